@@ -0,0 +1,57 @@
+/**
+ * Run a headless game session in Node and print a summary
+ * Usage: npm run headless -- [seconds] [level] [seed] [--record file] [--replay file] [--fire-mode auto|charge]
+ * Without --replay, a scripted session weaves up and down while firing
+ */
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { HeadlessGame } from '../src/headless/HeadlessGame.js';
+import { serializeReplay, parseReplay } from '../src/input/Replay.js';
+
+// Split flags (--name value) from positional arguments
+const positional = [];
+const flags = {};
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+        flags[args[i].slice(2)] = args[++i];
+    } else {
+        positional.push(args[i]);
+    }
+}
+
+const replay = flags.replay ? parseReplay(readFileSync(flags.replay, 'utf8')) : null;
+const level = Number(positional[1]) || 1;
+const seed = positional[2] !== undefined ? Number(positional[2]) : undefined;
+
+const game = new HeadlessGame({ level, seed, replay, fireMode: flags['fire-mode'] });
+
+let seconds;
+if (replay) {
+    // Run exactly as long as the recording
+    seconds = replay.ticks / replay.stepsPerSecond;
+    game.step(replay.ticks);
+} else {
+    seconds = Number(positional[0]) || 30;
+    
+    // Weave up and down every two seconds while holding fire
+    game.runFor(seconds, (session) => {
+        const goingUp = Math.floor(session.simulation.time / 2) % 2 === 0;
+        session.setInput({ up: goingUp, down: !goingUp, shoot: true });
+    });
+}
+
+if (flags.record) {
+    writeFileSync(flags.record, serializeReplay(game.getReplay()));
+}
+
+const summary = game.getSummary();
+console.log(JSON.stringify(summary, null, 2));
+
+// Basic sanity checks on the session
+assert.ok(Math.abs(summary.time - seconds) < 0.01, 'simulation should run for the requested time');
+assert.ok(summary.player.health >= 0 && summary.player.health <= game.player.maxHealth, 'health should stay in range');
+assert.ok(summary.enemies.asteroids > 0, 'enemies should have spawned');
+assert.deepEqual(summary.errors, [], 'no errors should be logged');
+
+game.dispose();
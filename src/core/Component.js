@@ -1,3 +1,5 @@
+import * as THREE from 'three';
+
 /**
  * Base Component class for the Entity Component System
  */
@@ -35,6 +37,7 @@ export class TransformComponent extends Component {
     constructor(entity) {
         super(entity);
         this.position = new THREE.Vector3();
+        this.previousPosition = new THREE.Vector3(); // Position at the previous simulation step, for render interpolation
         this.rotation = new THREE.Euler();
         this.scale = new THREE.Vector3(1, 1, 1);
         this.matrix = new THREE.Matrix4();
@@ -264,130 +267,95 @@ export class PhysicsComponent extends Component {
 }
 
 /**
- * Input component for handling user input
+ * Links an entity to the game object that runs its behaviour (Player, Asteroid, a missile)
+ * Systems call the actor's update(delta) during physics, and its interpolate(alpha) when rendering if it has one
  */
-export class InputComponent extends Component {
+export class ActorComponent extends Component {
     constructor(entity) {
         super(entity);
-        this.keys = {};
-        this.mousePosX = 0;
-        this.mousePosY = 0;
-        this.mouseButtons = {};
-        this.gamepadData = null;
-    }
-    
-    /**
-     * Initialize and set up event listeners
-     */
-    init() {
-        // Set up keyboard listeners
-        window.addEventListener('keydown', this.handleKeyDown.bind(this));
-        window.addEventListener('keyup', this.handleKeyUp.bind(this));
-        
-        // Set up mouse listeners
-        window.addEventListener('mousemove', this.handleMouseMove.bind(this));
-        window.addEventListener('mousedown', this.handleMouseDown.bind(this));
-        window.addEventListener('mouseup', this.handleMouseUp.bind(this));
-        
-        // Set up gamepad listeners
-        window.addEventListener('gamepadconnected', this.handleGamepadConnected.bind(this));
-        window.addEventListener('gamepaddisconnected', this.handleGamepadDisconnected.bind(this));
-    }
-    
-    /**
-     * Handle keyboard down events
-     */
-    handleKeyDown(event) {
-        this.keys[event.code] = true;
-    }
-    
-    /**
-     * Handle keyboard up events
-     */
-    handleKeyUp(event) {
-        this.keys[event.code] = false;
-    }
-    
-    /**
-     * Handle mouse movement
-     */
-    handleMouseMove(event) {
-        this.mousePosX = event.clientX;
-        this.mousePosY = event.clientY;
-    }
-    
-    /**
-     * Handle mouse button down
-     */
-    handleMouseDown(event) {
-        this.mouseButtons[event.button] = true;
+        this.actor = null;
     }
-    
-    /**
-     * Handle mouse button up
-     */
-    handleMouseUp(event) {
-        this.mouseButtons[event.button] = false;
-    }
-    
-    /**
-     * Handle gamepad connection
-     */
-    handleGamepadConnected(event) {
-        console.log(`Gamepad connected: ${event.gamepad.id}`);
-        this.gamepadData = event.gamepad;
-    }
-    
-    /**
-     * Handle gamepad disconnection
-     */
-    handleGamepadDisconnected(event) {
-        console.log(`Gamepad disconnected: ${event.gamepad.id}`);
-        this.gamepadData = null;
-    }
-    
-    /**
-     * Check if a key is currently pressed
-     * @param {string} keyCode - The key code to check
-     * @returns {boolean} True if key is pressed
-     */
-    isKeyPressed(keyCode) {
-        return this.keys[keyCode] === true;
+}
+
+/**
+ * Controls an entity follows each step (up, down, left, right, shoot, powerUp, formation, switchWeapon,
+ * boost, chargeShot, special, bomb)
+ * The input system fills these in from live input or a replay
+ */
+export class ControlComponent extends Component {
+    constructor(entity) {
+        super(entity);
+        this.controls = {
+            up: false,
+            down: false,
+            left: false,
+            right: false,
+            shoot: false,
+            powerUp: false,
+            formation: false,
+            switchWeapon: false,
+            boost: false,
+            chargeShot: false,
+            special: false,
+            bomb: false,
+            moveX: 0,
+            moveY: 0
+        };
+    }
+    
+    /**
+     * Set every control at once
+     * @param {Object|null} controls - Any of up, down, left, right, shoot, moveX, moveY (null releases everything)
+     */
+    set(controls) {
+        for (const control in this.controls) {
+            const value = controls ? controls[control] : false;
+            // The move axes are numbers, every other control is held or not
+            this.controls[control] = typeof this.controls[control] === 'number' ? Number(value) || 0 : !!value;
+        }
     }
-    
-    /**
-     * Check if a mouse button is currently pressed
-     * @param {number} button - The mouse button to check (0=left, 1=middle, 2=right)
-     * @returns {boolean} True if button is pressed
-     */
-    isMouseButtonPressed(button) {
-        return this.mouseButtons[button] === true;
+}
+
+/**
+ * Collision shape and layer for the collision system
+ * Colliders are tested against the layers listed in the collision system's layer pairs
+ */
+export class ColliderComponent extends Component {
+    constructor(entity) {
+        super(entity);
+        this.layer = null;
+        this.boundingBox = null;
+        
+        // Optional custom test against a bounding box, for shapes that aren't boxes (e.g. asteroid spheres)
+        // It is also given the other collider, e.g. to look for a hitbox
+        this.hitTest = null;
+        
+        // Optional smaller box inside the bounding box, for hits that have to be precise (enemy shots on the ship)
+        this.hitbox = null;
+        
+        // Called with the other entity when this collider hits something
+        this.onHit = null;
     }
     
     /**
-     * Update the input state
+     * Check whether this collider overlaps another
+     * @param {ColliderComponent} other - The other collider
+     * @returns {boolean} True if colliding
      */
-    update(delta) {
-        // Update gamepad state if available
-        if (navigator.getGamepads) {
-            const gamepads = navigator.getGamepads();
-            if (gamepads[0]) {
-                this.gamepadData = gamepads[0];
-            }
+    intersects(other) {
+        if (other.hitTest && this.boundingBox) {
+            return other.hitTest(this.boundingBox, this);
         }
-    }
-    
-    /**
-     * Clean up by removing event listeners
-     */
-    onRemove() {
-        window.removeEventListener('keydown', this.handleKeyDown);
-        window.removeEventListener('keyup', this.handleKeyUp);
-        window.removeEventListener('mousemove', this.handleMouseMove);
-        window.removeEventListener('mousedown', this.handleMouseDown);
-        window.removeEventListener('mouseup', this.handleMouseUp);
-        window.removeEventListener('gamepadconnected', this.handleGamepadConnected);
-        window.removeEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+        
+        if (this.hitTest && other.boundingBox) {
+            return this.hitTest(other.boundingBox, other);
+        }
+        
+        if (this.boundingBox && other.boundingBox) {
+            return this.boundingBox.intersectsBox(other.boundingBox);
+        }
+        
+        return false;
     }
 }
 
@@ -401,6 +369,9 @@ export class Entity {
         this.scene = scene;
         this.active = true;
         
+        // World that owns this entity (set by World.addEntity)
+        this.world = null;
+        
         // Add transform component by default
         this.addComponent(TransformComponent);
     }
@@ -424,9 +395,32 @@ export class Entity {
         // Initialize it
         component.init();
         
+        // Let the world update its queries
+        if (this.world) {
+            this.world.onComponentsChanged(this);
+        }
+        
         return component;
     }
     
+    /**
+     * Check whether this entity has a component
+     * @param {typeof Component} ComponentClass - The component class to check
+     * @returns {boolean} True if the entity has the component
+     */
+    hasComponent(ComponentClass) {
+        return this.components.has(ComponentClass.name);
+    }
+    
+    /**
+     * Check whether this entity has all of a list of components
+     * @param {Array<typeof Component>} ComponentClasses - The component classes to check
+     * @returns {boolean} True if the entity has every component
+     */
+    hasComponents(ComponentClasses) {
+        return ComponentClasses.every(ComponentClass => this.components.has(ComponentClass.name));
+    }
+    
     /**
      * Get a component by type
      * @param {typeof Component} ComponentClass - The component class to get
@@ -455,6 +449,11 @@ export class Entity {
         // Remove from map
         this.components.delete(ComponentClass.name);
         
+        // Let the world update its queries
+        if (this.world) {
+            this.world.onComponentsChanged(this);
+        }
+        
         return true;
     }
     
@@ -485,5 +484,10 @@ export class Entity {
         // Clear components
         this.components.clear();
         this.active = false;
+        
+        // Leave the world
+        if (this.world) {
+            this.world.removeEntity(this);
+        }
     }
 } 
\ No newline at end of file
@@ -1,74 +1,277 @@
 /**
  * Event system for game-wide communication
  * Allows components to communicate without direct references
+ *
+ * Event names use `namespace:name` strings (see GameEvents), so listeners can subscribe to
+ * a whole namespace with `namespace:*`, or to every event with `*`.
+ * Listeners with a higher priority run first; equal priorities run in the order they subscribed
  */
 export class EventSystem {
     constructor() {
+        // Listener records by event name (or wildcard pattern)
         this.listeners = new Map();
+        
+        // Increasing counter so listeners with equal priority keep subscription order
+        this.nextListenerOrder = 0;
+        
+        // Events queued by emitDeferred(), dispatched by flush()
+        this.deferredQueue = [];
+        
+        // Optional ring buffer of recently dispatched events (see enableTrace)
+        this.traceBuffer = null;
+        this.traceIndex = 0;
+        this.traceCount = 0;
     }
     
     /**
      * Register a listener for an event
-     * @param {string} eventName - Name of the event to listen for
+     * @param {string} eventName - Name of the event to listen for, `namespace:*` or `*`
      * @param {Function} callback - Function to call when event is dispatched
+     * @param {Object} options - Optional settings
+     * @param {number} options.priority - Listeners with higher priority are called first (default 0)
+     * @param {boolean} options.once - Remove the listener after it has been called once
      * @returns {Function} Function to call to remove the listener
      */
-    on(eventName, callback) {
+    on(eventName, callback, options = {}) {
         if (!this.listeners.has(eventName)) {
-            this.listeners.set(eventName, new Set());
+            this.listeners.set(eventName, []);
         }
         
-        this.listeners.get(eventName).add(callback);
+        // Registering the same callback again replaces the old registration
+        const records = this.listeners.get(eventName);
+        const existingIndex = records.findIndex(record => record.callback === callback);
+        if (existingIndex !== -1) {
+            records.splice(existingIndex, 1);
+        }
+        
+        records.push({
+            callback,
+            priority: options.priority || 0,
+            once: options.once || false,
+            order: this.nextListenerOrder++
+        });
+        
+        // Keep each list sorted so emit() only has to merge lists
+        records.sort(EventSystem.compareListeners);
         
         // Return a function to remove this listener
         return () => this.off(eventName, callback);
     }
     
+    /**
+     * Register a listener that is removed after it is first called
+     * @param {string} eventName - Name of the event to listen for, `namespace:*` or `*`
+     * @param {Function} callback - Function to call when event is dispatched
+     * @param {Object} options - Optional settings (see on())
+     * @returns {Function} Function to call to remove the listener before it fires
+     */
+    once(eventName, callback, options = {}) {
+        return this.on(eventName, callback, { ...options, once: true });
+    }
+    
     /**
      * Remove a listener for an event
-     * @param {string} eventName - Name of the event
+     * @param {string} eventName - Name of the event (or pattern) the listener was registered with
      * @param {Function} callback - Function to remove
      */
     off(eventName, callback) {
         if (this.listeners.has(eventName)) {
-            this.listeners.get(eventName).delete(callback);
+            const records = this.listeners.get(eventName).filter(record => record.callback !== callback);
             
             // Clean up empty event lists
-            if (this.listeners.get(eventName).size === 0) {
+            if (records.length === 0) {
                 this.listeners.delete(eventName);
+            } else {
+                this.listeners.set(eventName, records);
             }
         }
     }
     
     /**
-     * Dispatch an event to all listeners
+     * Dispatch an event to all listeners immediately
      * @param {string} eventName - Name of the event to dispatch
      * @param {any} data - Data to pass to listeners
      */
     emit(eventName, data) {
-        if (this.listeners.has(eventName)) {
-            // Create a copy of the listeners to avoid issues if listeners are added/removed during dispatch
-            const callbacks = Array.from(this.listeners.get(eventName));
+        this.dispatch(eventName, data, false);
+    }
+    
+    /**
+     * Queue an event to be dispatched by the next flush(), at the end of the current tick
+     * Use this when listeners shouldn't run in the middle of an update (e.g. while iterating entities)
+     * @param {string} eventName - Name of the event to dispatch
+     * @param {any} data - Data to pass to listeners
+     */
+    emitDeferred(eventName, data) {
+        this.deferredQueue.push({ eventName, data });
+    }
+    
+    /**
+     * Dispatch all queued events, in the order they were queued
+     * Events deferred by listeners during the flush wait for the next flush
+     */
+    flush() {
+        if (this.deferredQueue.length === 0) {
+            return;
+        }
+        
+        const queue = this.deferredQueue;
+        this.deferredQueue = [];
+        
+        for (const event of queue) {
+            this.dispatch(event.eventName, event.data, true);
+        }
+    }
+    
+    /**
+     * Call every listener that matches an event
+     * @param {string} eventName - Name of the event
+     * @param {any} data - Data to pass to listeners
+     * @param {boolean} deferred - Whether the event was queued by emitDeferred()
+     */
+    dispatch(eventName, data, deferred) {
+        // Collect a copy of the matching listeners to avoid issues if listeners are added/removed during dispatch
+        const records = this.getMatchingListeners(eventName);
+        
+        if (this.traceBuffer) {
+            this.recordTrace(eventName, data, deferred, records.length);
+        }
+        
+        for (const record of records) {
+            if (record.once) {
+                this.removeRecord(record);
+            }
             
-            for (const callback of callbacks) {
-                try {
-                    callback(data);
-                } catch (error) {
-                    console.error(`Error in event listener for ${eventName}:`, error);
+            try {
+                record.callback(data);
+            } catch (error) {
+                console.error(`Error in event listener for ${eventName}:`, error);
+            }
+        }
+    }
+    
+    /**
+     * Get the listeners for an event, its namespace wildcard and the global wildcard, in call order
+     * @param {string} eventName - Name of the event
+     * @returns {Object[]} Listener records
+     */
+    getMatchingListeners(eventName) {
+        const keys = [eventName];
+        
+        const separator = eventName.indexOf(':');
+        if (separator !== -1) {
+            keys.push(eventName.slice(0, separator) + ':*');
+        }
+        if (eventName !== '*') {
+            keys.push('*');
+        }
+        
+        const records = [];
+        for (const key of keys) {
+            if (this.listeners.has(key)) {
+                records.push(...this.listeners.get(key));
+            }
+        }
+        
+        // Each list is already sorted, but wildcard listeners have to be merged in
+        if (records.length > 1) {
+            records.sort(EventSystem.compareListeners);
+        }
+        
+        return records;
+    }
+    
+    /**
+     * Remove a single listener record, wherever it is registered
+     * @param {Object} record - The listener record
+     */
+    removeRecord(record) {
+        for (const [eventName, records] of this.listeners) {
+            const index = records.indexOf(record);
+            if (index !== -1) {
+                records.splice(index, 1);
+                if (records.length === 0) {
+                    this.listeners.delete(eventName);
                 }
+                return;
             }
         }
     }
     
+    /**
+     * Sort order for listener records: higher priority first, then subscription order
+     * @param {Object} a - Listener record
+     * @param {Object} b - Listener record
+     * @returns {number} Sort comparison
+     */
+    static compareListeners(a, b) {
+        return (b.priority - a.priority) || (a.order - b.order);
+    }
+    
+    /**
+     * Start keeping a ring buffer of the most recent events
+     * @param {number} size - Number of events to keep
+     */
+    enableTrace(size = 50) {
+        this.traceBuffer = new Array(size);
+        this.traceIndex = 0;
+        this.traceCount = 0;
+    }
+    
+    /**
+     * Stop tracing events and drop the trace
+     */
+    disableTrace() {
+        this.traceBuffer = null;
+    }
+    
+    /**
+     * Add a dispatched event to the trace
+     * @param {string} eventName - Name of the event
+     * @param {any} data - Data passed to listeners
+     * @param {boolean} deferred - Whether the event was queued by emitDeferred()
+     * @param {number} listenerCount - Number of listeners that received the event
+     */
+    recordTrace(eventName, data, deferred, listenerCount) {
+        this.traceBuffer[this.traceIndex] = {
+            name: eventName,
+            data,
+            deferred,
+            listenerCount,
+            time: typeof performance !== 'undefined' ? performance.now() : Date.now()
+        };
+        this.traceIndex = (this.traceIndex + 1) % this.traceBuffer.length;
+        this.traceCount++;
+    }
+    
+    /**
+     * Get the traced events
+     * @returns {Object[]} Recent events, oldest first (empty if tracing is disabled)
+     */
+    getTrace() {
+        if (!this.traceBuffer) {
+            return [];
+        }
+        
+        const size = this.traceBuffer.length;
+        const count = Math.min(this.traceCount, size);
+        const events = [];
+        for (let i = count; i > 0; i--) {
+            events.push(this.traceBuffer[(this.traceIndex - i + size) % size]);
+        }
+        return events;
+    }
+    
     /**
      * Remove all listeners for an event or all events
-     * @param {string} [eventName] - Optional event name, if not provided all events will be cleared
+     * @param {string} [eventName] - Optional event name, if not provided all events (and queued events) will be cleared
      */
     clear(eventName) {
         if (eventName) {
             this.listeners.delete(eventName);
         } else {
             this.listeners.clear();
+            this.deferredQueue = [];
         }
     }
 }
@@ -84,6 +287,8 @@ export const GameEvents = {
     GAME_PAUSE: 'game:pause',
     GAME_RESUME: 'game:resume',
     GAME_OVER: 'game:over',
+    GAME_MENU: 'game:menu',
+    GAME_STATE_CHANGED: 'game:state',
     
     // Player events
     PLAYER_SPAWN: 'player:spawn',
@@ -91,19 +296,33 @@ export const GameEvents = {
     PLAYER_DEATH: 'player:death',
     PLAYER_RESPAWN: 'player:respawn',
     PLAYER_SHOOT: 'player:shoot',
+    SHIELD_BROKEN: 'player:shieldbreak',
+    ABILITY_USED: 'player:ability',
+    BOMB_DETONATED: 'player:bomb',
     
     // Enemy events
     ENEMY_SPAWN: 'enemy:spawn',
     ENEMY_HIT: 'enemy:hit',
     ENEMY_DESTROYED: 'enemy:destroyed',
+    FORMATION_CLEARED: 'enemy:formationcleared',
+    
+    // Boss events
+    BOSS_SPAWN: 'boss:spawn',
+    BOSS_HEALTH_CHANGED: 'boss:health',
+    BOSS_PHASE_CHANGED: 'boss:phase',
+    BOSS_DEFEATED: 'boss:defeated',
     
     // Weapon events
     WEAPON_FIRED: 'weapon:fired',
     WEAPON_HIT: 'weapon:hit',
+    WEAPON_GRANTED: 'weapon:granted',
+    WEAPON_CHANGED: 'weapon:changed',
     
     // Powerup events
     POWERUP_SPAWN: 'powerup:spawn',
     POWERUP_COLLECTED: 'powerup:collected',
+    POWERUP_ACTIVATED: 'powerup:activated',
+    POWERUP_BAR_CHANGED: 'powerup:bar',
     
     // Level events
     LEVEL_START: 'level:start',
@@ -114,5 +333,7 @@ export const GameEvents = {
     // UI events
     SCORE_CHANGED: 'ui:score',
     LIVES_CHANGED: 'ui:lives',
+    BOMBS_CHANGED: 'ui:bombs',
     SHOW_MESSAGE: 'ui:message',
+    HIDE_MESSAGE: 'ui:hideMessage',
 }; 
\ No newline at end of file
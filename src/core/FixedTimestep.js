@@ -0,0 +1,47 @@
+/**
+ * Accumulator-based fixed timestep for the simulation loop
+ * Gameplay always advances in steps of the same size, whatever the frame rate,
+ * and the leftover fraction of a step is exposed as an interpolation factor for rendering
+ */
+export class FixedTimestep {
+    /**
+     * Create a new fixed timestep
+     * @param {number} stepsPerSecond - Simulation rate in Hz
+     * @param {number} maxFrameTime - Longest frame (in seconds) that will be simulated, to avoid a spiral of death
+     */
+    constructor(stepsPerSecond = 120, maxFrameTime = 0.25) {
+        this.stepSize = 1 / stepsPerSecond;
+        this.maxFrameTime = maxFrameTime;
+        this.accumulator = 0;
+        this.alpha = 0;
+        this.tick = 0;
+    }
+    
+    /**
+     * Advance the simulation by the real time that passed since the last frame
+     * @param {number} frameTime - Real time in seconds since the last frame
+     * @param {Function} step - Called once per fixed step with the step size in seconds
+     * @returns {number} Interpolation factor (0-1) between the previous and current simulation state
+     */
+    advance(frameTime, step) {
+        // Cap the frame time so a long stall doesn't queue up hundreds of steps
+        this.accumulator += Math.min(Math.max(frameTime, 0), this.maxFrameTime);
+        
+        while (this.accumulator >= this.stepSize) {
+            step(this.stepSize);
+            this.accumulator -= this.stepSize;
+            this.tick++;
+        }
+        
+        this.alpha = this.accumulator / this.stepSize;
+        return this.alpha;
+    }
+    
+    /**
+     * Drop any accumulated time, e.g. after a pause or a reset
+     */
+    reset() {
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+}
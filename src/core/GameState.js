@@ -10,13 +10,15 @@ export class GameState {
     
     /**
      * Called when entering this state
+     * @param {string|null} previousStateName - Name of the state being left (null on the first state)
      */
-    enter() {}
+    enter(previousStateName) {}
     
     /**
      * Called when exiting this state
+     * @param {string} nextStateName - Name of the state being entered
      */
-    exit() {}
+    exit(nextStateName) {}
     
     /**
      * Update logic for this state
@@ -26,7 +28,7 @@ export class GameState {
     
     /**
      * Handle input in this state
-     * @param {Object} inputState - Current input state
+     * @param {Object} inputState - Current input state (see InputManager.getState)
      */
     handleInput(inputState) {}
 }
@@ -37,18 +39,39 @@ export class GameState {
 export class MenuState extends GameState {
     enter() {
         console.log('Entering menu state');
+        
+        // Clear away any previous game behind the title screen
+        this.game.endGame();
+        
+        gameEvents.emit(GameEvents.GAME_MENU);
+        
         // Show menu UI
-        gameEvents.emit(GameEvents.SHOW_MESSAGE, { text: 'SPACE SHOOTER', duration: 0 });
+        this.showTitle();
+    }
+    
+    /**
+     * Show the title screen, with the fire mode the next game will use
+     */
+    showTitle() {
+        const start = this.game.hasSavedGame() ? 'PRESS ENTER TO START OR C TO CONTINUE' : 'PRESS ENTER TO START';
+        const subtext = `${start} | FIRE: ${this.game.getFireMode().toUpperCase()} (M TO CHANGE)`;
+        gameEvents.emit(GameEvents.SHOW_MESSAGE, { text: 'SPACE SHOOTER', subtext, duration: 0 });
     }
     
     exit() {
         // Hide menu UI
+        gameEvents.emit(GameEvents.HIDE_MESSAGE);
     }
     
     handleInput(inputState) {
         // Check for menu navigation and selection
-        if (inputState.enterPressed) {
+        if (inputState.pressed.confirm) {
             this.game.changeState('playing');
+        } else if (inputState.pressed.continue && this.game.hasSavedGame()) {
+            this.game.continueGame();
+        } else if (inputState.pressed.fireMode) {
+            this.game.toggleFireMode();
+            this.showTitle();
         }
     }
 }
@@ -57,14 +80,22 @@ export class MenuState extends GameState {
  * Playing state for active gameplay
  */
 export class PlayingState extends GameState {
-    enter() {
+    enter(previousStateName) {
+        // Resuming from pause carries on with the same game
+        if (previousStateName === 'paused') {
+            return;
+        }
+        
         console.log('Starting game');
         gameEvents.emit(GameEvents.GAME_START);
-        gameEvents.emit(GameEvents.LEVEL_START, { level: 1 });
+        
+        // Build a fresh game, which also starts the first level (and emits LEVEL_START)
+        this.game.resetGame();
     }
     
     exit() {
-        // Clean up gameplay elements
+        // Stop the ship from carrying on with held controls once play resumes
+        this.game.setPlayerInput(null);
     }
     
     update(delta) {
@@ -72,16 +103,22 @@ export class PlayingState extends GameState {
         this.game.updateEntities(delta);
         
         // Check game over conditions
-        if (this.game.player.lives <= 0) {
+        if (this.game.player && this.game.player.isDead) {
             this.game.changeState('gameOver');
+        } else if (this.game.isReplayFinished()) {
+            // A replay that ends before the ship is destroyed goes back to the title screen
+            this.game.changeState('menu');
         }
     }
     
     handleInput(inputState) {
-        // Pass input to player
-        if (inputState.pausePressed) {
+        if (inputState.pressed.pause) {
             this.game.changeState('paused');
+            return;
         }
+        
+        // Pass input to player
+        this.game.setPlayerInput(inputState.controls);
     }
 }
 
@@ -92,16 +129,24 @@ export class PausedState extends GameState {
     enter() {
         console.log('Game paused');
         gameEvents.emit(GameEvents.GAME_PAUSE);
-        gameEvents.emit(GameEvents.SHOW_MESSAGE, { text: 'PAUSED', duration: 0 });
+        gameEvents.emit(GameEvents.SHOW_MESSAGE, { text: 'PAUSED', subtext: 'PRESS ESC TO RESUME OR Q TO SAVE AND QUIT', duration: 0 });
     }
     
-    exit() {
-        gameEvents.emit(GameEvents.GAME_RESUME);
+    exit(nextStateName) {
+        gameEvents.emit(GameEvents.HIDE_MESSAGE);
+        
+        if (nextStateName === 'playing') {
+            gameEvents.emit(GameEvents.GAME_RESUME);
+        }
     }
     
     handleInput(inputState) {
-        if (inputState.pausePressed) {
+        if (inputState.pressed.pause) {
             this.game.changeState('playing');
+        } else if (inputState.pressed.quit) {
+            // Keep the run so it can be continued from the title screen
+            this.game.saveGame();
+            this.game.changeState('menu');
         }
     }
 }
@@ -112,13 +157,31 @@ export class PausedState extends GameState {
 export class GameOverState extends GameState {
     enter() {
         console.log('Game over');
-        gameEvents.emit(GameEvents.GAME_OVER);
-        gameEvents.emit(GameEvents.SHOW_MESSAGE, { text: 'GAME OVER', duration: 0 });
+        
+        // A finished run can't be continued (a replay ending doesn't touch the save)
+        if (!this.game.isReplaying()) {
+            this.game.deleteSavedGame();
+        }
+        
+        gameEvents.emit(GameEvents.GAME_OVER, { score: this.game.player ? this.game.player.score : 0 });
+        gameEvents.emit(GameEvents.SHOW_MESSAGE, { text: 'GAME OVER', subtext: 'PRESS ENTER TO CONTINUE OR R TO WATCH REPLAY', duration: 0 });
+    }
+    
+    exit() {
+        gameEvents.emit(GameEvents.HIDE_MESSAGE);
+    }
+    
+    update(delta) {
+        // Keep the world moving behind the game over screen
+        this.game.updateEntities(delta);
     }
     
     handleInput(inputState) {
-        if (inputState.enterPressed) {
+        if (inputState.pressed.confirm) {
             this.game.changeState('menu');
+        } else if (inputState.pressed.replay) {
+            // Watch the run that just ended
+            this.game.playReplay(this.game.getReplay());
         }
     }
 }
@@ -137,6 +200,7 @@ export class GameStateManager {
         };
         
         this.currentState = null;
+        this.currentStateName = null;
     }
     
     /**
@@ -157,14 +221,19 @@ export class GameStateManager {
             return;
         }
         
+        const previousStateName = this.currentStateName;
+        
         // Exit current state if it exists
         if (this.currentState) {
-            this.currentState.exit();
+            this.currentState.exit(newStateName);
         }
         
         // Enter new state
         this.currentState = this.states[newStateName];
-        this.currentState.enter();
+        this.currentStateName = newStateName;
+        this.currentState.enter(previousStateName);
+        
+        gameEvents.emit(GameEvents.GAME_STATE_CHANGED, { from: previousStateName, to: newStateName });
     }
     
     /**
@@ -1,12 +1,22 @@
+import * as THREE from 'three';
 import { Asteroid } from '../entities/Asteroid.js';
+import { Fighter } from '../entities/Fighter.js';
+import { BOSSES } from '../entities/Bosses.js';
+import { random } from './Random.js';
 import { gameEvents, GameEvents } from './EventSystem.js';
 
 /**
  * Manages level data, enemy spawning, and progression
  */
 export class LevelSystem {
-    constructor(scene) {
+    /**
+     * Create a new level system
+     * @param {THREE.Scene} scene - The scene to spawn enemies in
+     * @param {EnemyManager} enemyManager - Manager that spawned enemies are registered with (for updates and collisions)
+     */
+    constructor(scene, enemyManager = null) {
         this.scene = scene;
+        this.enemyManager = enemyManager;
         this.currentLevel = 0;
         this.currentWaveIndex = 0;
         this.waveTimer = 0;
@@ -14,9 +24,40 @@ export class LevelSystem {
         this.activeEnemies = new Set();
         this.isActive = false;
         this.bossSpawned = false;
+        this.bossEnemy = null;
+        
+        // Delayed actions, run on simulation time so they pause and step with the game.
+        // Actions are stored as method names and arguments (not closures) so they can be saved
+        this.clock = 0;
+        this.scheduledActions = [];
         
         // Listen for level events
-        gameEvents.on(GameEvents.ENEMY_DESTROYED, this.onEnemyDestroyed.bind(this));
+        this.removeEnemyDestroyedListener = gameEvents.on(GameEvents.ENEMY_DESTROYED, this.onEnemyDestroyed.bind(this));
+        this.removeBossDefeatedListener = gameEvents.on(GameEvents.BOSS_DEFEATED, this.onBossDefeated.bind(this));
+    }
+    
+    /**
+     * Call one of this level system's methods after a delay in simulation time
+     * @param {number} delay - Delay in seconds
+     * @param {string} method - Name of the method to call
+     * @param {...*} args - Arguments for the method (plain data only)
+     */
+    schedule(delay, method, ...args) {
+        this.scheduledActions.push({ time: this.clock + delay, method, args });
+    }
+    
+    /**
+     * Run any scheduled actions that are due
+     * @param {number} delta - Time since last update in seconds
+     */
+    updateScheduledActions(delta) {
+        this.clock += delta;
+        
+        const dueActions = this.scheduledActions.filter(action => action.time <= this.clock);
+        if (dueActions.length === 0) return;
+        
+        this.scheduledActions = this.scheduledActions.filter(action => action.time > this.clock);
+        dueActions.forEach(action => this[action.method](...action.args));
     }
     
     /**
@@ -37,6 +78,12 @@ export class LevelSystem {
         this.activeEnemies.clear();
         this.isActive = true;
         this.bossSpawned = false;
+        this.bossEnemy = null;
+        
+        // Levels bring in their own bosses, so the enemy manager's spawner doesn't
+        if (this.enemyManager) {
+            this.enemyManager.encounterBoss = null;
+        }
         
         console.log(`Starting level ${levelNumber}`);
         gameEvents.emit(GameEvents.LEVEL_START, { level: levelNumber });
@@ -68,6 +115,8 @@ export class LevelSystem {
      * @param {number} delta - Time since last update in seconds
      */
     update(delta) {
+        this.updateScheduledActions(delta);
+        
         if (!this.isActive) return;
         
         this.totalTime += delta;
@@ -95,8 +144,8 @@ export class LevelSystem {
             }
         }
         
-        // Check for level completion
-        if (this.bossSpawned && this.activeEnemies.size === 0) {
+        // Check for level completion (once every scheduled spawn has happened)
+        if (this.bossSpawned && this.scheduledActions.length === 0 && this.activeEnemies.size === 0) {
             this.completeLevel();
         }
     }
@@ -108,23 +157,44 @@ export class LevelSystem {
     spawnWave(waveData) {
         console.log(`Spawning wave: ${waveData.type}, count: ${waveData.count}`);
         
-        // Different handling based on enemy type
-        switch (waveData.type) {
-            case 'asteroid':
-                this.spawnAsteroids(waveData);
-                break;
-                
-            // Add cases for other enemy types
-            // case 'fighter':
-            //     this.spawnFighters(waveData);
-            //     break;
-                
-            default:
-                console.warn(`Unknown enemy type: ${waveData.type}`);
+        // Different handling based on enemy type, unless the wave flies as a formation
+        if (waveData.formation) {
+            this.spawnFormationWave(waveData);
+        } else {
+            switch (waveData.type) {
+                case 'asteroid':
+                    this.spawnAsteroids(waveData);
+                    break;
+                    
+                case 'fighter':
+                    this.spawnFighters(waveData);
+                    break;
+                    
+                default:
+                    console.warn(`Unknown enemy type: ${waveData.type}`);
+            }
+        }
+        
+        // Waves can hand the player a weapon (or upgrade it if they already have it)
+        const subtexts = [];
+        if (waveData.weapon) {
+            gameEvents.emit(GameEvents.WEAPON_GRANTED, { weapon: waveData.weapon });
+            subtexts.push(`WEAPON: ${waveData.weapon.toUpperCase()}`);
+        }
+        
+        // And can be checkpoints, where lost ships respawn when their last safe spot isn't clear
+        if (waveData.checkpoint) {
+            gameEvents.emit(GameEvents.CHECKPOINT_REACHED, {
+                level: this.currentLevel + 1,
+                wave: this.currentWaveIndex,
+                position: waveData.checkpoint === true ? null : waveData.checkpoint
+            });
+            subtexts.push('CHECKPOINT');
         }
         
         gameEvents.emit(GameEvents.SHOW_MESSAGE, { 
             text: waveData.message || `WAVE ${this.currentWaveIndex + 1}`, 
+            subtext: subtexts.join(' | '),
             duration: 2 
         });
     }
@@ -137,63 +207,198 @@ export class LevelSystem {
         const pattern = waveData.pattern || 'random';
         const count = waveData.count || 5;
         
+        const movementPattern = pattern === 'sine' ? 3 : 0;
+        
         for (let i = 0; i < count; i++) {
             // Add slight delay between spawns
-            setTimeout(() => {
-                const movementPattern = pattern === 'sine' ? 3 : 0;
-                const asteroid = new Asteroid(this.scene, null, null, movementPattern);
-                
-                // Track the active enemy
-                this.activeEnemies.add(asteroid);
-                
-                // Listen for removal
-                const originalRemove = asteroid.remove.bind(asteroid);
-                asteroid.remove = () => {
-                    originalRemove();
-                    this.activeEnemies.delete(asteroid);
-                };
-                
-            }, i * 300); // 300ms between each spawn
+            this.schedule(i * 0.3, 'spawnWaveAsteroid', movementPattern, waveData.emitter || null); // 300ms between each spawn
         }
     }
     
     /**
-     * Spawn a boss enemy
+     * Spawn one asteroid of a wave
+     * @param {number} movementPattern - Movement pattern (0-3)
+     * @param {string|Object} emitter - Bullet pattern for it to fire (null for none)
+     */
+    spawnWaveAsteroid(movementPattern, emitter = null) {
+        const asteroid = this.createAsteroid(null, null, movementPattern);
+        this.setWaveEmitter(asteroid, emitter);
+        
+        // Track the active enemy
+        this.trackEnemy(asteroid);
+    }
+    
+    /**
+     * Spawn enemy fighters
+     * 'formation' waves fly in one after another along the same line; 'attack' waves spread out
+     * to cover the height of the screen
+     * @param {Object} waveData - Data for the fighter wave
+     */
+    spawnFighters(waveData) {
+        const pattern = waveData.pattern || 'formation';
+        const count = waveData.count || 5;
+        const emitter = waveData.emitter || null;
+        
+        const formationY = (random.gameplay.next() - 0.5) * 50;
+        
+        for (let i = 0; i < count; i++) {
+            if (pattern === 'attack') {
+                const y = ((i + 0.5) / count - 0.5) * 70;
+                this.schedule(i * 0.5, 'spawnWaveFighter', pattern, i, y, emitter); // 500ms between each spawn
+            } else {
+                this.schedule(i * 0.4, 'spawnWaveFighter', pattern, i, formationY, emitter); // 400ms between each spawn
+            }
+        }
+    }
+    
+    /**
+     * Spawn one fighter of a wave, just off the right of the screen
+     * @param {string} pattern - Movement pattern ('formation' or 'attack')
+     * @param {number} index - Place in its wave
+     * @param {number} y - Height to fly in at
+     * @param {string|Object} emitter - Bullet pattern for it to fire instead of its own (null to keep its own)
+     */
+    spawnWaveFighter(pattern, index, y, emitter = null) {
+        const position = new THREE.Vector3(260, y, 0);
+        const fighter = this.enemyManager && this.enemyManager.spawnFighter
+            ? this.enemyManager.spawnFighter(position, pattern, index)
+            : new Fighter(this.scene, position, pattern, null, { index });
+        
+        this.setWaveEmitter(fighter, emitter);
+        this.trackEnemy(fighter);
+    }
+    
+    /**
+     * Spawn a wave that flies in as one formation, entering just off the right of the screen
+     * @param {Object} waveData - Data for the wave (see levelData)
+     */
+    spawnFormationWave(waveData) {
+        if (waveData.type !== 'asteroid' && waveData.type !== 'fighter') {
+            console.warn(`Unknown enemy type: ${waveData.type}`);
+            return;
+        }
+        if (!this.enemyManager || !this.enemyManager.spawnFormation) {
+            console.warn('Formations need an enemy manager');
+            return;
+        }
+        
+        const members = this.enemyManager.spawnFormation(waveData.type, waveData.count || 5, {
+            shape: waveData.formation,
+            path: waveData.path || 'straight',
+            origin: new THREE.Vector3(260, waveData.y || 0, 0),
+            bonus: waveData.bonus
+        });
+        
+        members.forEach(member => {
+            this.setWaveEmitter(member, waveData.emitter);
+            this.trackEnemy(member);
+        });
+    }
+    
+    /**
+     * Make a wave enemy fire the wave's bullet pattern, in place of any it fires already
+     * @param {Object} enemy - The enemy
+     * @param {string|Object} emitter - A key of BULLET_PATTERNS, or a pattern of the same form (nothing to leave it be)
+     */
+    setWaveEmitter(enemy, emitter) {
+        if (!emitter || !this.enemyManager || !this.enemyManager.attachEmitter) {
+            return;
+        }
+        
+        this.enemyManager.detachEmitters(enemy);
+        this.enemyManager.attachEmitter(enemy, emitter);
+    }
+    
+    /**
+     * Create an asteroid, registered with the enemy manager when there is one
+     * @param {THREE.Vector3} position - Initial position (null for random)
+     * @param {THREE.Vector3} velocity - Initial velocity (null for random)
+     * @param {number} pattern - Movement pattern (0-3)
+     * @returns {Asteroid} The new asteroid
+     */
+    createAsteroid(position, velocity, pattern) {
+        const asteroid = this.enemyManager && this.enemyManager.spawnAsteroid
+            ? this.enemyManager.spawnAsteroid(position, velocity, pattern)
+            : new Asteroid(this.scene, position, velocity, pattern);
+        
+        // Level enemies fly past once instead of wrapping around forever
+        asteroid.recycle = false;
+        
+        return asteroid;
+    }
+    
+    /**
+     * Track an enemy as active until it is removed
+     * @param {Object} enemy - The enemy to track
+     * @param {boolean} isBoss - Whether this is the level's boss
+     */
+    trackEnemy(enemy, isBoss = false) {
+        this.activeEnemies.add(enemy);
+        
+        if (isBoss) {
+            this.bossEnemy = enemy;
+            enemy.isBoss = true;
+        }
+        
+        // Listen for removal
+        const originalRemove = enemy.remove.bind(enemy);
+        enemy.remove = () => {
+            originalRemove();
+            
+            if (this.activeEnemies.delete(enemy) && enemy === this.bossEnemy) {
+                this.bossEnemy = null;
+            }
+        };
+    }
+    
+    /**
+     * Warn that the level's boss is coming, and bring it in after a moment
      * @param {Object} bossData - Data for the boss to spawn
      */
     spawnBoss(bossData) {
         console.log(`Spawning boss: ${bossData.type}`);
         
-        // TODO: Implement boss spawning
-        // For now, just send a message
+        const definition = BOSSES[bossData.type];
+        if (!definition || !this.enemyManager) {
+            console.warn(`Can't spawn boss: ${definition ? 'no enemy manager' : `unknown boss type ${bossData.type}`}`);
+            return;
+        }
+        
         gameEvents.emit(GameEvents.SHOW_MESSAGE, { 
             text: 'WARNING: BOSS APPROACHING', 
+            subtext: definition.name,
             duration: 3 
         });
         
-        // Create a placeholder boss (just a big asteroid for now)
-        setTimeout(() => {
-            const position = new THREE.Vector3(300, 0, 0);
-            const velocity = new THREE.Vector3(-5, 0, 0);
-            const asteroid = new Asteroid(this.scene, position, velocity, 3);
-            
-            // Make it much bigger
-            asteroid.scale = 10;
-            
-            // Track as an active enemy
-            this.activeEnemies.add(asteroid);
-            
-            // Override remove method to track when it's destroyed
-            const originalRemove = asteroid.remove.bind(asteroid);
-            asteroid.remove = () => {
-                originalRemove();
-                this.activeEnemies.delete(asteroid);
-                gameEvents.emit(GameEvents.SHOW_MESSAGE, { 
-                    text: 'BOSS DEFEATED!', 
-                    duration: 3 
-                });
-            };
-        }, 3000);
+        this.schedule(3, 'spawnLevelBoss', bossData.type, bossData.health ?? null);
+    }
+    
+    /**
+     * Bring in the level's boss and track it, so its defeat completes the level
+     * @param {string} type - Boss type, a key of BOSSES
+     * @param {number} health - Boss health (null for the definition's)
+     */
+    spawnLevelBoss(type, health) {
+        const boss = this.enemyManager.spawnBoss(type, health !== null ? { health } : {});
+        this.trackEnemy(boss, true);
+    }
+    
+    /**
+     * Announce a defeated boss, and complete the level if it was the level's boss
+     * @param {Object} data - BOSS_DEFEATED event data
+     */
+    onBossDefeated(data) {
+        if (data.boss !== this.bossEnemy) {
+            return;
+        }
+        
+        gameEvents.emit(GameEvents.SHOW_MESSAGE, { 
+            text: 'BOSS DEFEATED!', 
+            subtext: `+${data.score}`,
+            duration: 3 
+        });
+        
+        this.completeLevel();
     }
     
     /**
@@ -206,6 +411,61 @@ export class LevelSystem {
         }
     }
     
+    /**
+     * Get the wave progress and pending actions as plain data, for save games
+     * @param {Object[]} enemies - The saved enemies, so tracked enemies can be stored by index
+     * @returns {Object} Serializable level state
+     */
+    serialize(enemies) {
+        return {
+            currentLevel: this.currentLevel,
+            currentWaveIndex: this.currentWaveIndex,
+            waveTimer: this.waveTimer,
+            totalTime: this.totalTime,
+            isActive: this.isActive,
+            bossSpawned: this.bossSpawned,
+            clock: this.clock,
+            scheduledActions: this.scheduledActions.map(action => ({ ...action, args: [...action.args] })),
+            activeEnemies: Array.from(this.activeEnemies)
+                .map(enemy => enemies.indexOf(enemy))
+                .filter(index => index !== -1),
+            bossEnemy: enemies.indexOf(this.bossEnemy)
+        };
+    }
+    
+    /**
+     * Restore state returned by serialize()
+     * @param {Object} state - Serialized level state
+     * @param {Object[]} enemies - The restored enemies, in the same order as they were saved
+     */
+    deserialize(state, enemies) {
+        this.currentLevel = state.currentLevel;
+        this.currentWaveIndex = state.currentWaveIndex;
+        this.waveTimer = state.waveTimer;
+        this.totalTime = state.totalTime;
+        this.isActive = state.isActive;
+        this.bossSpawned = state.bossSpawned;
+        this.clock = state.clock;
+        this.scheduledActions = state.scheduledActions.map(action => ({ ...action, args: [...action.args] }));
+        
+        this.activeEnemies.clear();
+        this.bossEnemy = null;
+        state.activeEnemies.forEach(index => {
+            this.trackEnemy(enemies[index], index === state.bossEnemy);
+        });
+    }
+    
+    /**
+     * Stop listening for events and drop any pending actions
+     */
+    dispose() {
+        this.removeEnemyDestroyedListener();
+        this.removeBossDefeatedListener();
+        this.scheduledActions = [];
+        this.activeEnemies.clear();
+        this.isActive = false;
+    }
+    
     /**
      * Complete the current level and progress
      */
@@ -223,9 +483,7 @@ export class LevelSystem {
         // Check if there are more levels
         if (this.currentLevel + 1 < levelData.length) {
             // Give the player a moment before starting the next level
-            setTimeout(() => {
-                this.startLevel(this.currentLevel + 2);
-            }, 5000);
+            this.schedule(5, 'startLevel', this.currentLevel + 2);
         } else {
             // Game complete!
             gameEvents.emit(GameEvents.SHOW_MESSAGE, { 
@@ -238,6 +496,16 @@ export class LevelSystem {
 
 /**
  * Level data defining the progression of the game
+ * A wave with a weapon (an id from WEAPONS) grants it to the player when the wave starts.
+ * A wave with a checkpoint moves the player's fallback respawn point: true uses the ship's last
+ * safe position, or give an { x, y } position.
+ * A wave with a formation (a shape from FORMATION_SHAPES) flies in as one group, its leader
+ * following a path from FORMATION_PATHS (default 'straight') in at height y (default 0).
+ * Destroying every member scores a bonus (default FORMATION_CONFIG.bonusPerMember each).
+ * A wave with an emitter (a key of BULLET_PATTERNS, or a pattern of the same form) has every
+ * enemy in it fire that pattern, in place of any it fires already.
+ * A level's boss (a type from BOSSES, with health in place of the definition's if given) comes
+ * in once every wave has spawned, and defeating it completes the level
  */
 export const levelData = [
     // Level 1
@@ -253,8 +521,7 @@ export const levelData = [
         ],
         boss: {
             type: 'giant-asteroid',
-            health: 100,
-            pattern: 'sine'
+            health: 100
         }
     },
     
@@ -266,14 +533,14 @@ export const levelData = [
         waves: [
             { time: 0, type: 'asteroid', count: 3, pattern: 'random', message: 'LEVEL 2: ENEMY PATROL' },
             { time: 10, type: 'fighter', count: 5, pattern: 'formation' },
+            { time: 18, type: 'fighter', count: 5, formation: 'V', path: 'sine' },
             { time: 25, type: 'asteroid', count: 5, pattern: 'sine' },
             { time: 35, type: 'fighter', count: 8, pattern: 'attack' },
             { time: 50, type: 'asteroid', count: 10, pattern: 'random' }
         ],
         boss: {
             type: 'patrol-leader',
-            health: 200,
-            pattern: 'attack'
+            health: 200
         }
     }
 ]; 
\ No newline at end of file
@@ -0,0 +1,196 @@
+/**
+ * A single seeded pseudo-random number stream (mulberry32)
+ * Fast, 32 bits of state, and produces the same sequence on every platform for the same seed
+ */
+export class RandomStream {
+    /**
+     * Create a new random stream
+     * @param {number} seed - 32-bit integer seed
+     */
+    constructor(seed) {
+        this.state = seed >>> 0;
+    }
+    
+    /**
+     * Get the next random number
+     * @returns {number} A number in [0, 1), like Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Get a random number in a range
+     * @param {number} min - Lower bound (inclusive)
+     * @param {number} max - Upper bound (exclusive)
+     * @returns {number} A number in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Get a random integer in a range
+     * @param {number} min - Lower bound (inclusive)
+     * @param {number} max - Upper bound (exclusive)
+     * @returns {number} An integer in [min, max)
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max));
+    }
+    
+    /**
+     * Get a random number centered on zero, e.g. spread(0.2) is in [-0.1, 0.1)
+     * @param {number} width - Total width of the range
+     * @returns {number} A number in [-width / 2, width / 2)
+     */
+    spread(width) {
+        return (this.next() - 0.5) * width;
+    }
+    
+    /**
+     * Roll against a probability
+     * @param {number} probability - Chance of returning true (0-1)
+     * @returns {boolean} Whether the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    /**
+     * Pick a random element of an array
+     * @param {Array} items - The array to pick from
+     * @returns {*} One of the items
+     */
+    pick(items) {
+        return items[this.int(0, items.length)];
+    }
+    
+    /**
+     * Get the internal state, so the stream can be restored later
+     * @returns {number} The stream state
+     */
+    getState() {
+        return this.state;
+    }
+    
+    /**
+     * Restore a state returned by getState()
+     * @param {number} state - The stream state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
+
+/**
+ * Seedable random number service with independent named streams
+ * Gameplay code draws from the 'gameplay' stream, and purely visual effects from the 'cosmetic' stream,
+ * so effects can change (or be skipped) without changing what happens in the game
+ */
+export class RandomService {
+    /**
+     * Create a new random service
+     * @param {number} seed - Initial seed
+     */
+    constructor(seed = RandomService.createSeed()) {
+        this.streams = new Map();
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Create a new seed from the system random source
+     * @returns {number} A 32-bit integer seed
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+    
+    /**
+     * Reseed the service; every stream restarts from a state derived from the seed and its name
+     * @param {number} seed - 32-bit integer seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        
+        for (const [name, stream] of this.streams) {
+            stream.setState(this.deriveSeed(name));
+        }
+    }
+    
+    /**
+     * Derive the starting state of a named stream (FNV-1a hash of the seed and name)
+     * @param {string} name - Name of the stream
+     * @returns {number} A 32-bit integer seed
+     */
+    deriveSeed(name) {
+        const key = `${this.seed}:${name}`;
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < key.length; i++) {
+            hash ^= key.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    /**
+     * Get a named stream, creating it on first use
+     * @param {string} name - Name of the stream
+     * @returns {RandomStream} The stream
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new RandomStream(this.deriveSeed(name)));
+        }
+        
+        return this.streams.get(name);
+    }
+    
+    /**
+     * Stream for anything that affects the game state (spawns, movement, collisions)
+     * @returns {RandomStream} The gameplay stream
+     */
+    get gameplay() {
+        return this.stream('gameplay');
+    }
+    
+    /**
+     * Stream for visual-only effects (flicker, explosion sizes, debug sampling)
+     * @returns {RandomStream} The cosmetic stream
+     */
+    get cosmetic() {
+        return this.stream('cosmetic');
+    }
+    
+    /**
+     * Get the state of every stream, so it can be restored later
+     * @returns {Object} Seed and stream states
+     */
+    getState() {
+        const streams = {};
+        for (const [name, stream] of this.streams) {
+            streams[name] = stream.getState();
+        }
+        
+        return { seed: this.seed, streams };
+    }
+    
+    /**
+     * Restore a state returned by getState()
+     * @param {Object} state - Seed and stream states
+     */
+    setState(state) {
+        this.setSeed(state.seed);
+        
+        for (const name in state.streams) {
+            this.stream(name).setState(state.streams[name]);
+        }
+    }
+}
+
+// Singleton instance shared by all game code
+export const random = new RandomService();
@@ -0,0 +1,115 @@
+import debugHelper from '../utils/DebugHelper.js';
+
+// Current save format version; saves from other versions are ignored
+export const SAVE_VERSION = 1;
+
+/**
+ * Keeps a saved game snapshot in memory and, when available, in localStorage
+ * so a run can be continued after the page is closed
+ */
+export class SaveSystem {
+    /**
+     * Create a new save system
+     * @param {string} storageKey - Key to save under
+     * @param {Storage} storage - Persistent storage (defaults to localStorage, null for memory only)
+     */
+    constructor(storageKey = 'wandering.save', storage = SaveSystem.getDefaultStorage()) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.memorySave = null;
+    }
+    
+    /**
+     * Get localStorage if this environment has it
+     * @returns {Storage|null} localStorage, or null (e.g. in Node, or when storage is blocked)
+     */
+    static getDefaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Save a snapshot
+     * @param {Object} snapshot - Snapshot from Simulation.createSnapshot()
+     * @returns {boolean} Whether the snapshot also reached persistent storage
+     */
+    save(snapshot) {
+        this.memorySave = {
+            version: SAVE_VERSION,
+            savedAt: new Date().toISOString(),
+            snapshot
+        };
+        
+        if (!this.storage) {
+            return false;
+        }
+        
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.memorySave));
+            return true;
+        } catch (error) {
+            debugHelper.log("Error saving game: " + error.message, "error");
+            return false;
+        }
+    }
+    
+    /**
+     * Load the saved snapshot, preferring the in-memory copy
+     * @returns {Object|null} The snapshot, or null if there is no usable save
+     */
+    load() {
+        const save = this.memorySave || this.readStorage();
+        
+        if (!save || save.version !== SAVE_VERSION) {
+            return null;
+        }
+        
+        return save.snapshot;
+    }
+    
+    /**
+     * Check whether there is a save to continue from
+     * @returns {boolean} Whether load() would return a snapshot
+     */
+    hasSave() {
+        return this.load() !== null;
+    }
+    
+    /**
+     * Delete the save from memory and persistent storage
+     */
+    clear() {
+        this.memorySave = null;
+        
+        if (!this.storage) {
+            return;
+        }
+        
+        try {
+            this.storage.removeItem(this.storageKey);
+        } catch (error) {
+            debugHelper.log("Error clearing saved game: " + error.message, "error");
+        }
+    }
+    
+    /**
+     * Read the save from persistent storage
+     * @returns {Object|null} The stored save, or null if missing or unreadable
+     */
+    readStorage() {
+        if (!this.storage) {
+            return null;
+        }
+        
+        try {
+            const text = this.storage.getItem(this.storageKey);
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            debugHelper.log("Error reading saved game: " + error.message, "error");
+            return null;
+        }
+    }
+}
@@ -0,0 +1,328 @@
+import { Player } from '../entities/Player.js';
+import { EnemyManager } from '../entities/EnemyManager.js';
+import { PowerUpManager } from '../entities/PowerUpManager.js';
+import { LevelSystem } from './LevelSystem.js';
+import { FixedTimestep } from './FixedTimestep.js';
+import { random, RandomService } from './Random.js';
+import { ReplayRecorder, ReplayPlayer } from '../input/Replay.js';
+import { gameEvents, GameEvents } from './EventSystem.js';
+import { World, SystemPhase } from './World.js';
+import { InputSystem, AISystem, PhysicsSystem, CollisionSystem, RenderSyncSystem } from './Systems.js';
+import debugHelper from '../utils/DebugHelper.js';
+
+/**
+ * The gameplay simulation: player, enemies, missiles, power-ups, level script and collisions
+ * It never touches the renderer or the DOM, so the browser game and headless runs share it
+ */
+export class Simulation {
+    /**
+     * Create a new simulation
+     * @param {Object} options - Simulation settings
+     * @param {THREE.Scene} options.scene - The scene that holds all game objects
+     * @param {THREE.Camera} options.camera - Camera that follows the player
+     * @param {Object} options.resourceManager - The resource manager to get models from
+     * @param {THREE.AudioListener} options.audioListener - Audio listener (null to run without audio)
+     * @param {Object} options.playerOptions - Extra options passed to the Player (see Player constructor)
+     * @param {number} options.stepsPerSecond - Fixed simulation rate in Hz
+     * @param {number} options.seed - Seed for all gameplay randomness (random if not given)
+     */
+    constructor(options) {
+        this.scene = options.scene;
+        this.camera = options.camera;
+        this.resourceManager = options.resourceManager || null;
+        this.audioListener = options.audioListener || null;
+        this.playerOptions = options.playerOptions || {};
+        
+        // The same seed with the same inputs plays out identically
+        this.seed = options.seed !== undefined && options.seed !== null ? options.seed >>> 0 : RandomService.createSeed();
+        
+        // Gameplay runs at a fixed step, independent of the frame rate
+        this.stepsPerSecond = options.stepsPerSecond || 120;
+        this.timestep = new FixedTimestep(this.stepsPerSecond);
+        
+        // Simulation time in seconds
+        this.time = 0;
+        
+        // Smart bombs freeze everything for a moment (hitstop) when they go off
+        this.hitstopTimer = 0;
+        this.removeBombListener = gameEvents.on(GameEvents.BOMB_DETONATED, (data) => {
+            this.hitstopTimer = Math.max(this.hitstopTimer, data.hitstop);
+        });
+        
+        // Level the simulation was started at
+        this.level = 1;
+        
+        // Every entity lives in the world, which runs the systems each step
+        this.world = new World();
+        
+        // Game entities, created in start()
+        this.player = null;
+        this.enemyManager = null;
+        this.powerUpManager = null;
+        this.levelSystem = null;
+        
+        // Input recording and playback (see record() and play())
+        this.recorder = null;
+        this.playback = null;
+    }
+    
+    /**
+     * Create the game entities and start a level
+     * @param {number} levelNumber - Level to start (1-based index)
+     */
+    start(levelNumber = 1) {
+        this.level = levelNumber;
+        
+        // Reseed before anything draws random numbers
+        random.setSeed(this.seed);
+        
+        // Initialize game entities in the correct order
+        this.initEnemyManager();
+        this.initPlayer();
+        this.initPowerUps();
+        this.initLevelSystem(levelNumber);
+        this.initSystems();
+        
+        debugHelper.log(`Simulation initialized with seed ${this.seed}`);
+    }
+    
+    /**
+     * Create the game entities from a snapshot instead of starting a level
+     * Replays can't be recorded from a restored game, since they always start from the seed
+     * @param {Object} snapshot - Snapshot from createSnapshot()
+     */
+    restore(snapshot) {
+        this.seed = snapshot.seed;
+        this.level = snapshot.level;
+        this.time = snapshot.time;
+        this.hitstopTimer = snapshot.hitstop || 0;
+        random.setSeed(this.seed);
+        
+        this.initEnemyManager();
+        this.initPlayer();
+        this.initPowerUps();
+        this.levelSystem = new LevelSystem(this.scene, this.enemyManager);
+        this.initSystems();
+        
+        // Enemies first, so the level system can find the ones it was tracking
+        const enemies = this.enemyManager.deserialize(snapshot.enemyManager);
+        this.player.deserialize(snapshot.player);
+        if (snapshot.powerUpManager) {
+            this.powerUpManager.deserialize(snapshot.powerUpManager);
+        }
+        this.levelSystem.deserialize(snapshot.levelSystem, enemies);
+        
+        // Restore random streams last, since creating the entities above draws from them
+        random.setState(snapshot.random);
+        
+        debugHelper.log(`Simulation restored at ${this.time.toFixed(1)}s`);
+    }
+    
+    /**
+     * Capture the whole game state as plain data
+     * Must be called between steps
+     * @returns {Object} Snapshot that restore() accepts (safe to JSON.stringify)
+     */
+    createSnapshot() {
+        return {
+            seed: this.seed,
+            level: this.level,
+            time: this.time,
+            hitstop: this.hitstopTimer,
+            random: random.getState(),
+            player: this.player.serialize(),
+            enemyManager: this.enemyManager.serialize(),
+            powerUpManager: this.powerUpManager.serialize(),
+            levelSystem: this.levelSystem.serialize(this.enemyManager.getLiveEnemies())
+        };
+    }
+    
+    /**
+     * Initialize the enemy manager
+     */
+    initEnemyManager() {
+        try {
+            this.enemyManager = new EnemyManager(this.scene, this.resourceManager, this.world);
+        } catch (error) {
+            debugHelper.log("Error initializing enemy manager: " + error.message, "error");
+            
+            // Create a minimal enemy manager if initialization fails
+            this.enemyManager = {
+                update: () => {},
+                dispose: () => {},
+                getLiveAsteroids: () => [],
+                getLiveEnemies: () => [],
+                setTarget: () => {},
+                serialize: () => null,
+                deserialize: () => [],
+                checkCollisions: () => null,
+                entities: { asteroids: [] }
+            };
+        }
+    }
+    
+    /**
+     * Initialize the player
+     */
+    initPlayer() {
+        this.player = new Player(this.scene, this.camera, this.audioListener, this.resourceManager, {
+            ...this.playerOptions,
+            world: this.world,
+            enemyManager: this.enemyManager
+        });
+        
+        // Enemies fly at and shoot at the ship
+        this.enemyManager.setTarget(this.player);
+    }
+    
+    /**
+     * Initialize the power-up capsule drops for the player
+     */
+    initPowerUps() {
+        this.powerUpManager = new PowerUpManager(this.scene, this.world, this.player);
+    }
+    
+    /**
+     * Initialize the level system and start a level
+     * @param {number} levelNumber - Level to start (1-based index)
+     */
+    initLevelSystem(levelNumber) {
+        this.levelSystem = new LevelSystem(this.scene, this.enemyManager);
+        this.levelSystem.startLevel(levelNumber);
+    }
+    
+    /**
+     * Add the systems that run the world each step
+     */
+    initSystems() {
+        // The level script runs before the spawner, so scripted enemies are updated on the step they appear
+        const aiSystem = new AISystem();
+        aiSystem.addDirector(this.levelSystem);
+        aiSystem.addDirector(this.enemyManager);
+        
+        this.world.addSystem(new InputSystem(this), SystemPhase.INPUT);
+        this.world.addSystem(aiSystem, SystemPhase.AI);
+        this.world.addSystem(new PhysicsSystem(), SystemPhase.PHYSICS);
+        this.world.addSystem(new CollisionSystem([
+            ['playerProjectile', 'enemy'],
+            ['player', 'enemy'],
+            // Shots see whether the ship could be hit before the ship takes the hit (see EnemyBulletManager)
+            ['enemyProjectile', 'player'],
+            ['player', 'powerup']
+        ]), SystemPhase.COLLISION);
+        this.world.addSystem(new RenderSyncSystem(), SystemPhase.RENDER);
+    }
+    
+    /**
+     * Start recording the player's controls for every step
+     * @returns {ReplayRecorder} The recorder
+     */
+    record() {
+        this.recorder = new ReplayRecorder({
+            seed: this.seed,
+            level: this.level,
+            stepsPerSecond: this.stepsPerSecond,
+            fireMode: this.player.fireMode
+        });
+        return this.recorder;
+    }
+    
+    /**
+     * Drive the player from a replay instead of live input
+     * The simulation must have been started with the replay's seed and level
+     * @param {Object} replay - Replay data (see Replay.js)
+     */
+    play(replay) {
+        this.playback = new ReplayPlayer(replay);
+        
+        // Holding fire has to behave as it did when the run was recorded
+        this.player.setFireMode(replay.fireMode || 'auto');
+    }
+    
+    /**
+     * Get a replay of this run so far
+     * @returns {Object|null} Replay data, or null if nothing is being recorded or played
+     */
+    getReplay() {
+        if (this.playback) {
+            return this.playback.replay;
+        }
+        
+        return this.recorder ? this.recorder.toReplay() : null;
+    }
+    
+    /**
+     * Check whether a replay being played back has run out of input
+     * @returns {boolean} Whether playback is finished
+     */
+    isPlaybackFinished() {
+        return this.playback !== null && this.playback.isFinished();
+    }
+    
+    /**
+     * Advance the simulation by the real time that passed since the last frame
+     * @param {number} frameTime - Real time in seconds since the last frame
+     * @returns {number} Interpolation factor for rendering (see FixedTimestep.advance)
+     */
+    advance(frameTime) {
+        return this.timestep.advance(frameTime, (delta) => this.step(delta));
+    }
+    
+    /**
+     * Advance the game simulation by one fixed step
+     * @param {number} delta - Fixed step size in seconds
+     */
+    step(delta) {
+        this.time += delta;
+        
+        // Nothing moves during a hitstop, and no input is read or recorded, so replays stay in step
+        if (this.hitstopTimer > 0) {
+            this.hitstopTimer = Math.max(0, this.hitstopTimer - delta);
+            return;
+        }
+        
+        // Input, AI, physics, collision and render sync, in that order
+        this.world.update(delta);
+        
+        // Deliver events deferred during this step, now that every entity has updated
+        gameEvents.flush();
+    }
+    
+    /**
+     * Interpolate rendered transforms between the last two simulation steps
+     * @param {number} alpha - Interpolation factor from the previous (0) to the current (1) step
+     */
+    interpolate(alpha) {
+        this.world.interpolate(alpha);
+    }
+    
+    /**
+     * Remove all game entities from the scene and stop the level script
+     */
+    dispose() {
+        this.removeBombListener();
+        
+        if (this.levelSystem) {
+            this.levelSystem.dispose();
+        }
+        
+        if (this.enemyManager) {
+            this.enemyManager.dispose();
+        }
+        
+        if (this.powerUpManager) {
+            this.powerUpManager.dispose();
+        }
+        
+        if (this.player) {
+            this.player.dispose();
+        }
+        
+        this.world.clear();
+        
+        this.player = null;
+        this.enemyManager = null;
+        this.powerUpManager = null;
+        this.levelSystem = null;
+    }
+}
@@ -0,0 +1,205 @@
+import { System } from './World.js';
+import {
+    TransformComponent,
+    RenderComponent,
+    PhysicsComponent,
+    ActorComponent,
+    ControlComponent,
+    ColliderComponent
+} from './Component.js';
+
+/**
+ * Applies controls to controlled entities: recorded controls when a replay is playing,
+ * otherwise whatever live input set, which is then recorded
+ */
+export class InputSystem extends System {
+    /**
+     * Create a new input system
+     * @param {Object} source - Object with the current replay `playback` and `recorder` (e.g. the Simulation)
+     */
+    constructor(source) {
+        super();
+        this.source = source;
+    }
+    
+    /**
+     * Apply and record the controls for this step
+     * Replays hold a single set of controls per step, so there should only be one controlled entity
+     * @param {number} delta - Time step in seconds
+     */
+    update(delta) {
+        for (const entity of this.world.query(ControlComponent)) {
+            const control = entity.getComponent(ControlComponent);
+            
+            // Replays feed recorded controls through the same path as live input
+            if (this.source.playback) {
+                control.set(this.source.playback.next());
+            }
+            
+            // Record exactly the controls this step runs with
+            if (this.source.recorder) {
+                this.source.recorder.record(control.controls);
+            }
+        }
+    }
+}
+
+/**
+ * Runs the objects that decide what happens next: the level script and enemy spawners
+ */
+export class AISystem extends System {
+    constructor() {
+        super();
+        this.directors = [];
+    }
+    
+    /**
+     * Add an object to update every step, in the order added
+     * @param {Object} director - Object with an update(delta) method (e.g. LevelSystem, EnemyManager)
+     */
+    addDirector(director) {
+        this.directors.push(director);
+    }
+    
+    /**
+     * Update every director
+     * @param {number} delta - Time step in seconds
+     */
+    update(delta) {
+        for (const director of this.directors) {
+            director.update(delta);
+        }
+    }
+    
+    /**
+     * Forget every director
+     */
+    dispose() {
+        this.directors = [];
+    }
+}
+
+/**
+ * Moves every entity with physics
+ * Actors move themselves (player controls, asteroid patterns); other entities are integrated by their PhysicsComponent
+ */
+export class PhysicsSystem extends System {
+    /**
+     * Move every entity by one step
+     * @param {number} delta - Time step in seconds
+     */
+    update(delta) {
+        for (const entity of this.world.query(PhysicsComponent)) {
+            // Skip entities removed earlier in this step
+            if (!this.world.has(entity)) {
+                continue;
+            }
+            
+            const actor = entity.getComponent(ActorComponent);
+            if (actor && actor.actor) {
+                actor.actor.update(delta);
+            } else {
+                entity.getComponent(PhysicsComponent).update(delta);
+            }
+        }
+    }
+}
+
+/**
+ * Finds overlapping colliders on layers that interact and tells both sides
+ */
+export class CollisionSystem extends System {
+    /**
+     * Create a new collision system
+     * @param {Array<string[]>} layerPairs - Pairs of collider layers to test against each other, in order
+     */
+    constructor(layerPairs) {
+        super();
+        this.layerPairs = layerPairs;
+    }
+    
+    /**
+     * Test every pair of layers
+     * Each collider reports at most one hit per pair per step
+     * @param {number} delta - Time step in seconds
+     */
+    update(delta) {
+        const colliders = this.world.query(ColliderComponent);
+        
+        for (const [layerA, layerB] of this.layerPairs) {
+            const entitiesA = colliders.filter(entity => entity.getComponent(ColliderComponent).layer === layerA);
+            const entitiesB = colliders.filter(entity => entity.getComponent(ColliderComponent).layer === layerB);
+            
+            for (const entityA of entitiesA) {
+                const colliderA = entityA.getComponent(ColliderComponent);
+                
+                for (const entityB of entitiesB) {
+                    // Either side may have been removed or disabled by an earlier hit
+                    if (!this.isActive(entityA) || !this.isActive(entityB)) {
+                        continue;
+                    }
+                    
+                    const colliderB = entityB.getComponent(ColliderComponent);
+                    if (colliderA.intersects(colliderB)) {
+                        if (colliderA.onHit) {
+                            colliderA.onHit(entityB);
+                        }
+                        if (colliderB.onHit) {
+                            colliderB.onHit(entityA);
+                        }
+                        break;
+                    }
+                }
+            }
+        }
+    }
+    
+    /**
+     * Check whether an entity can still collide this step
+     * @param {Entity} entity - The entity to check
+     * @returns {boolean} Whether the entity is live and its collider is enabled
+     */
+    isActive(entity) {
+        const collider = entity.getComponent(ColliderComponent);
+        return this.world.has(entity) && collider !== null && collider.enabled;
+    }
+}
+
+/**
+ * Keeps meshes in line with the simulated transforms
+ */
+export class RenderSyncSystem extends System {
+    /**
+     * Move every mesh to its entity's simulated position
+     * @param {number} delta - Time step in seconds
+     */
+    update(delta) {
+        for (const entity of this.world.query(TransformComponent, RenderComponent)) {
+            const render = entity.getComponent(RenderComponent);
+            if (render.mesh && this.world.has(entity)) {
+                render.mesh.position.copy(entity.getComponent(TransformComponent).position);
+            }
+        }
+    }
+    
+    /**
+     * Place every mesh between the last two simulation steps
+     * Actors with an interpolate(alpha) method place themselves (e.g. the player also moves the camera)
+     * @param {number} alpha - Interpolation factor from the previous (0) to the current (1) step
+     */
+    interpolate(alpha) {
+        for (const entity of this.world.query(TransformComponent, RenderComponent)) {
+            const actor = entity.getComponent(ActorComponent);
+            if (actor && actor.actor && typeof actor.actor.interpolate === 'function') {
+                actor.actor.interpolate(alpha);
+                continue;
+            }
+            
+            const render = entity.getComponent(RenderComponent);
+            if (render.mesh) {
+                const transform = entity.getComponent(TransformComponent);
+                render.mesh.position.lerpVectors(transform.previousPosition, transform.position, alpha);
+            }
+        }
+    }
+}
@@ -0,0 +1,290 @@
+import { Entity } from './Component.js';
+
+/**
+ * Phases systems run in, in order, every simulation step
+ */
+export const SystemPhase = Object.freeze({
+    INPUT: 'input',         // Controls are applied to controlled entities
+    AI: 'ai',               // Level scripts, spawners and enemy decisions
+    PHYSICS: 'physics',     // Everything moves
+    COLLISION: 'collision', // Overlaps are found and resolved
+    RENDER: 'render'        // Meshes are synced to the simulated transforms
+});
+
+// Phase order used to sort systems
+const PHASE_ORDER = [
+    SystemPhase.INPUT,
+    SystemPhase.AI,
+    SystemPhase.PHYSICS,
+    SystemPhase.COLLISION,
+    SystemPhase.RENDER
+];
+
+/**
+ * Base class for systems that run over the entities in a World
+ */
+export class System {
+    constructor() {
+        this.world = null;
+        this.phase = null;
+        this.enabled = true;
+    }
+    
+    /**
+     * Called when the system is added to a world
+     * @param {World} world - The world the system was added to
+     */
+    init(world) {}
+    
+    /**
+     * Update method called every simulation step
+     * @param {number} delta - Time step in seconds
+     */
+    update(delta) {}
+    
+    /**
+     * Clean up method called when the system is removed from the world
+     */
+    dispose() {}
+}
+
+/**
+ * Owns every entity in the game and runs systems over them in a fixed phase order
+ * (input, AI, physics, collision, render sync)
+ */
+export class World {
+    constructor() {
+        // Entities in the order they were added, which keeps every query deterministic
+        this.entities = new Set();
+        
+        // Systems sorted by phase, then by the order they were added
+        this.systems = [];
+        
+        // Cached query results by component list (see query)
+        this.queries = new Map();
+        
+        // Entities removed during update(), taken out once all systems have run
+        this.pendingRemovals = new Set();
+        this.updating = false;
+    }
+    
+    /**
+     * Create an entity and add it to the world
+     * @param {THREE.Scene} scene - Scene the entity's components render into
+     * @returns {Entity} The new entity
+     */
+    createEntity(scene = null) {
+        return this.addEntity(new Entity(scene));
+    }
+    
+    /**
+     * Add an entity to the world
+     * @param {Entity} entity - The entity to add
+     * @returns {Entity} The entity
+     */
+    addEntity(entity) {
+        // Adding an entity back in the step it was removed just cancels the removal
+        this.pendingRemovals.delete(entity);
+        
+        if (this.entities.has(entity)) {
+            return entity;
+        }
+        
+        entity.world = this;
+        this.entities.add(entity);
+        
+        for (const query of this.queries.values()) {
+            if (entity.hasComponents(query.components)) {
+                query.entities.push(entity);
+            }
+        }
+        
+        return entity;
+    }
+    
+    /**
+     * Remove an entity from the world
+     * During update() the entity stays in query results until all systems have run
+     * @param {Entity} entity - The entity to remove
+     */
+    removeEntity(entity) {
+        if (!this.entities.has(entity)) {
+            return;
+        }
+        
+        if (this.updating) {
+            this.pendingRemovals.add(entity);
+        } else {
+            this.detachEntity(entity);
+        }
+    }
+    
+    /**
+     * Check whether an entity is in the world and not waiting to be removed
+     * @param {Entity} entity - The entity to check
+     * @returns {boolean} Whether the entity is live
+     */
+    has(entity) {
+        return this.entities.has(entity) && !this.pendingRemovals.has(entity);
+    }
+    
+    /**
+     * Take an entity out of the world and every query
+     * @param {Entity} entity - The entity to remove
+     */
+    detachEntity(entity) {
+        this.entities.delete(entity);
+        entity.world = null;
+        
+        for (const query of this.queries.values()) {
+            const index = query.entities.indexOf(entity);
+            if (index !== -1) {
+                query.entities.splice(index, 1);
+            }
+        }
+    }
+    
+    /**
+     * Get every entity that has all of the given components
+     * The returned array is kept up to date as entities change, so don't modify it
+     * @param {...typeof Component} ComponentClasses - Components the entities must have
+     * @returns {Entity[]} Matching entities, in the order they were added
+     */
+    query(...ComponentClasses) {
+        const key = ComponentClasses.map(ComponentClass => ComponentClass.name).join(',');
+        
+        if (!this.queries.has(key)) {
+            const entities = [];
+            for (const entity of this.entities) {
+                if (entity.hasComponents(ComponentClasses)) {
+                    entities.push(entity);
+                }
+            }
+            
+            this.queries.set(key, { components: ComponentClasses, entities });
+        }
+        
+        return this.queries.get(key).entities;
+    }
+    
+    /**
+     * Update cached queries after components were added to or removed from an entity
+     * Called by Entity
+     * @param {Entity} entity - The entity that changed
+     */
+    onComponentsChanged(entity) {
+        for (const query of this.queries.values()) {
+            const index = query.entities.indexOf(entity);
+            const matches = entity.hasComponents(query.components);
+            
+            if (matches && index === -1) {
+                // Keep the results in the order entities were added to the world
+                query.entities.length = 0;
+                for (const other of this.entities) {
+                    if (other.hasComponents(query.components)) {
+                        query.entities.push(other);
+                    }
+                }
+            } else if (!matches && index !== -1) {
+                query.entities.splice(index, 1);
+            }
+        }
+    }
+    
+    /**
+     * Add a system to run in a phase
+     * Systems in the same phase run in the order they were added
+     * @param {System} system - The system to add
+     * @param {string} phase - One of SystemPhase
+     * @returns {System} The system
+     */
+    addSystem(system, phase) {
+        if (!PHASE_ORDER.includes(phase)) {
+            throw new Error(`Unknown system phase: ${phase}`);
+        }
+        
+        system.world = this;
+        system.phase = phase;
+        this.systems.push(system);
+        
+        // Stable sort, so systems keep their order within a phase
+        this.systems.sort((a, b) => PHASE_ORDER.indexOf(a.phase) - PHASE_ORDER.indexOf(b.phase));
+        
+        system.init(this);
+        return system;
+    }
+    
+    /**
+     * Get the first system of a type
+     * @param {typeof System} SystemClass - The system class to find
+     * @returns {System|null} The system or null if not found
+     */
+    getSystem(SystemClass) {
+        return this.systems.find(system => system instanceof SystemClass) || null;
+    }
+    
+    /**
+     * Remove a system from the world
+     * @param {System} system - The system to remove
+     */
+    removeSystem(system) {
+        const index = this.systems.indexOf(system);
+        if (index !== -1) {
+            this.systems.splice(index, 1);
+            system.dispose();
+            system.world = null;
+        }
+    }
+    
+    /**
+     * Run every enabled system once, in phase order
+     * @param {number} delta - Time step in seconds
+     */
+    update(delta) {
+        this.updating = true;
+        
+        try {
+            for (const system of this.systems) {
+                if (system.enabled) {
+                    system.update(delta);
+                }
+            }
+        } finally {
+            this.updating = false;
+            
+            // Now that no system is iterating, take out removed entities
+            for (const entity of this.pendingRemovals) {
+                this.detachEntity(entity);
+            }
+            this.pendingRemovals.clear();
+        }
+    }
+    
+    /**
+     * Let systems place rendered objects between the last two simulation steps
+     * @param {number} alpha - Interpolation factor from the previous (0) to the current (1) step
+     */
+    interpolate(alpha) {
+        for (const system of this.systems) {
+            if (system.enabled && typeof system.interpolate === 'function') {
+                system.interpolate(alpha);
+            }
+        }
+    }
+    
+    /**
+     * Remove every system and entity
+     */
+    clear() {
+        for (const system of this.systems.slice()) {
+            this.removeSystem(system);
+        }
+        
+        for (const entity of this.entities) {
+            entity.world = null;
+        }
+        this.entities.clear();
+        this.queries.clear();
+        this.pendingRemovals.clear();
+    }
+}
@@ -2,6 +2,45 @@ import * as THREE from 'three';
 import { ModelLoader } from '../utils/ModelLoader.js';
 import debugHelper from '../utils/DebugHelper.js';
 import debugVisualizer from '../utils/DebugVisualizer.js';
+import { random } from '../core/Random.js';
+import { Entity, RenderComponent, PhysicsComponent, ActorComponent, ColliderComponent, TransformComponent } from '../core/Component.js';
+import { setGlow, restoreGlow, showHitFlash } from './HitFlash.js';
+
+/**
+ * Asteroid size tiers, smallest first
+ * New asteroids take the biggest tier their mass reaches. Destroying an asteroid scores its tier's
+ * score and splits it into a number of fragments (min-max) from the tier below; the smallest tier doesn't split
+ */
+export const ASTEROID_TIERS = [
+    { name: 'small', minMass: 0, score: 50, fragments: { min: 0, max: 0 } },
+    { name: 'medium', minMass: 25, score: 30, fragments: { min: 2, max: 2 } },
+    { name: 'large', minMass: 40, score: 20, fragments: { min: 2, max: 3 } }
+];
+
+/**
+ * Get the size tier for an asteroid's mass
+ * @param {number} mass - Asteroid mass
+ * @returns {number} Index into ASTEROID_TIERS
+ */
+export function getSizeTier(mass) {
+    for (let tier = ASTEROID_TIERS.length - 1; tier > 0; tier--) {
+        if (mass >= ASTEROID_TIERS[tier].minMass) {
+            return tier;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Get the hit points for an asteroid of a given size
+ * Heavier, bigger asteroids take more hits, from one for the smallest to three or four for the biggest
+ * @param {number} mass - Asteroid mass
+ * @param {number} scale - Asteroid model scale
+ * @returns {number} Hit points
+ */
+export function getAsteroidHealth(mass, scale) {
+    return Math.max(1, Math.round(Math.sqrt(mass * scale) / 6));
+}
 
 /**
  * Class representing an asteroid in the game
@@ -26,42 +65,46 @@ export class Asteroid {
         
         // For side-scrolling, position asteroids to the right of the screen
         this.position = position || new THREE.Vector3(
-            Math.random() * 300 + 100, // Start from right side of screen
-            (Math.random() - 0.5) * 60, // Vertical position
-            (Math.random() - 0.5) * 20  // Small Z variation for depth
+            random.gameplay.next() * 300 + 100, // Start from right side of screen
+            (random.gameplay.next() - 0.5) * 60, // Vertical position
+            (random.gameplay.next() - 0.5) * 20  // Small Z variation for depth
         );
         
         // For side-scrolling, asteroids move from right to left
         this.velocity = velocity || new THREE.Vector3(
-            -Math.random() * 15 - 5, // Move left at varying speeds
-            (Math.random() - 0.5) * 2, // Small vertical drift
+            -random.gameplay.next() * 15 - 5, // Move left at varying speeds
+            (random.gameplay.next() - 0.5) * 2, // Small vertical drift
             0 // No Z movement in side-scroller
         );
         
+        // Position at the previous simulation step, for render interpolation
+        this.previousPosition = this.position.clone();
+        
         // Gradius-style movement pattern
         this.movementPattern = pattern;
         this.initialY = this.position.y;
-        this.sineAmplitude = Math.random() * 20 + 10;
-        this.sineFrequency = Math.random() * 2 + 1;
-        this.moveTime = Math.random() * Math.PI * 2;
+        this.sineAmplitude = random.gameplay.next() * 20 + 10;
+        this.sineFrequency = random.gameplay.next() * 2 + 1;
+        this.moveTime = random.gameplay.next() * Math.PI * 2;
         
         // Random rotation
         this.rotation = new THREE.Euler(
-            Math.random() * Math.PI * 2,
-            Math.random() * Math.PI * 2,
-            Math.random() * Math.PI * 2
+            random.gameplay.next() * Math.PI * 2,
+            random.gameplay.next() * Math.PI * 2,
+            random.gameplay.next() * Math.PI * 2
         );
         
         // Random rotation speed
         this.rotationSpeed = new THREE.Vector3(
-            (Math.random() - 0.5) * 0.2,
-            (Math.random() - 0.5) * 0.2,
-            (Math.random() - 0.5) * 0.2
+            (random.gameplay.next() - 0.5) * 0.2,
+            (random.gameplay.next() - 0.5) * 0.2,
+            (random.gameplay.next() - 0.5) * 0.2
         );
         
         // Physical properties
-        this.mass = Math.random() * 50 + 10;
-        this.scale = (this.mass / 10) * (Math.random() * 0.5 + 1.5);
+        this.mass = random.gameplay.next() * 50 + 10;
+        this.scale = (this.mass / 10) * (random.gameplay.next() * 0.5 + 1.5);
+        this.sizeTier = getSizeTier(this.mass);
         
         // Create container for the asteroid model
         this.asteroidGroup = new THREE.Group();
@@ -70,6 +113,14 @@ export class Asteroid {
         
         // Initialize flags and properties
         this.markedForRemoval = false;
+        this.recycle = true; // Wrap back to the right when leaving the screen, instead of being removed
+        this.isBoss = false; // Set by the level system for the level's boss
+        this.formation = null; // Set by the formation this flies in, if any (see Formation)
+        this.emitters = []; // Bullet emitters attached by the enemy manager (see EnemyManager.attachEmitter)
+        this.maxHealth = getAsteroidHealth(this.mass, this.scale);
+        this.health = this.maxHealth;
+        this.flashTimer = 0; // Counts down while flashing from a hit that didn't destroy it
+        this.flashDuration = 0.08;
         this.isModelLoaded = false;
         this.model = null;
         this.boundingBox = null;
@@ -79,10 +130,40 @@ export class Asteroid {
         // Create lights but don't add them yet (will be added when model is loaded)
         this.createAsteroidLight();
         
+        // World entity, added to the world by the enemy manager once the model is loaded
+        this.entity = this.createEntity();
+        
         // Load the asteroid model
         this.loadModel();
     }
     
+    /**
+     * Create the world entity for this asteroid
+     * Its components share this asteroid's vectors, so systems and the asteroid see the same state
+     * @returns {Entity} The entity
+     */
+    createEntity() {
+        const entity = new Entity(this.scene);
+        
+        const transform = entity.getComponent(TransformComponent);
+        transform.position = this.position;
+        transform.previousPosition = this.previousPosition;
+        transform.rotation = this.rotation;
+        
+        const physics = entity.addComponent(PhysicsComponent);
+        physics.velocity = this.velocity;
+        physics.mass = this.mass;
+        
+        entity.addComponent(RenderComponent).mesh = this.asteroidGroup;
+        entity.addComponent(ActorComponent).actor = this;
+        
+        const collider = entity.addComponent(ColliderComponent);
+        collider.layer = 'enemy';
+        collider.hitTest = (boundingBox) => this.checkCollision(boundingBox);
+        
+        return entity;
+    }
+    
     /**
      * Load the asteroid model from ResourceManager or directly if ResourceManager is not available
      */
@@ -234,30 +315,31 @@ export class Asteroid {
     reset() {
         // Reset position to the right side with more variation
         this.position.set(
-            Math.random() * 300 + 200,
-            (Math.random() - 0.5) * 100,
-            (Math.random() - 0.5) * 20
+            random.gameplay.next() * 300 + 200,
+            (random.gameplay.next() - 0.5) * 100,
+            (random.gameplay.next() - 0.5) * 20
         );
         
         this.initialY = this.position.y;
+        this.previousPosition.copy(this.position);
         
         // Randomize velocity
         this.velocity.set(
-            -Math.random() * 20 - 10,
-            (Math.random() - 0.5) * 4,
+            -random.gameplay.next() * 20 - 10,
+            (random.gameplay.next() - 0.5) * 4,
             0
         );
         
         // Reset movement pattern
-        this.moveTime = Math.random() * Math.PI * 2;
-        this.sineAmplitude = Math.random() * 30 + 15;
-        this.sineFrequency = Math.random() * 3 + 0.5;
+        this.moveTime = random.gameplay.next() * Math.PI * 2;
+        this.sineAmplitude = random.gameplay.next() * 30 + 15;
+        this.sineFrequency = random.gameplay.next() * 3 + 0.5;
         
         // New random rotation speeds
         this.rotationSpeed.set(
-            (Math.random() - 0.5) * 0.2,
-            (Math.random() - 0.5) * 0.2,
-            (Math.random() - 0.5) * 0.2
+            (random.gameplay.next() - 0.5) * 0.2,
+            (random.gameplay.next() - 0.5) * 0.2,
+            (random.gameplay.next() - 0.5) * 0.2
         );
         
         // Update group position
@@ -266,8 +348,9 @@ export class Asteroid {
         // Reinitialize collision detection
         this.initializeCollision();
         
-        // Reset flags
+        // Reset flags and health
         this.markedForRemoval = false;
+        this.health = this.maxHealth;
     }
     
     /**
@@ -284,8 +367,9 @@ export class Asteroid {
             return;
         }
         
-        // Update the collision mesh's world matrix
-        this.collisionMesh.updateMatrixWorld(true);
+        // Update the group's world matrix (and the collision mesh with it) so the
+        // bounds follow the simulated position rather than the last rendered one
+        this.asteroidGroup.updateMatrixWorld(true);
         
         // First create a temporary bounding box to help calculate the sphere
         const tempBox = new THREE.Box3().setFromObject(this.collisionMesh);
@@ -335,7 +419,7 @@ export class Asteroid {
     createAsteroidLight() {
         // Create a brighter point light
         const lightColor = new THREE.Color(0xff6600);
-        const lightIntensity = 2.0 + Math.random() * 1.0;
+        const lightIntensity = 2.0 + random.cosmetic.next() * 1.0;
         const lightRange = this.scale * 20;
         
         const asteroidLight = new THREE.PointLight(lightColor, lightIntensity, lightRange);
@@ -363,13 +447,24 @@ export class Asteroid {
         
         // Initialize pulseTime if not already set
         if (this.pulseTime === undefined) {
-            this.pulseTime = Math.random() * 10;
+            this.pulseTime = random.cosmetic.next() * 10;
         }
         
+        // Remember where we were so rendering can interpolate between steps
+        this.previousPosition.copy(this.position);
+        
         // Update timers
         this.pulseTime += delta;
         this.moveTime += delta;
         
+        // Fade back from a damage flash
+        if (this.flashTimer > 0) {
+            this.flashTimer -= delta;
+            if (this.flashTimer <= 0) {
+                restoreGlow(this.model);
+            }
+        }
+        
         // Base velocity
         const baseVelocity = this.velocity.clone();
         
@@ -407,9 +502,13 @@ export class Asteroid {
             this.lights.secondary.intensity = secondaryIntensity;
         }
         
-        // Check if asteroid needs to be reset
+        // Check if asteroid needs to be reset (or removed, if it isn't recycled)
         if (this.position.x < -200) {
-            this.reset();
+            if (this.recycle) {
+                this.reset();
+            } else {
+                this.remove();
+            }
         }
     }
     
@@ -428,18 +527,79 @@ export class Asteroid {
             this.velocity.add(impulse);
             
             // Add some random rotation for visual effect
-            this.rotationSpeed.x += (Math.random() - 0.5) * 0.01;
-            this.rotationSpeed.y += (Math.random() - 0.5) * 0.01;
-            this.rotationSpeed.z += (Math.random() - 0.5) * 0.01;
+            this.rotationSpeed.x += (random.gameplay.next() - 0.5) * 0.01;
+            this.rotationSpeed.y += (random.gameplay.next() - 0.5) * 0.01;
+            this.rotationSpeed.z += (random.gameplay.next() - 0.5) * 0.01;
         }
     }
     
     /**
-     * Handle this asteroid being hit by a missile
+     * Resize the asteroid, e.g. to make it a fragment of a bigger one
+     * @param {number} mass - New mass
+     * @param {number} scale - New model scale
+     */
+    setSize(mass, scale) {
+        const ratio = scale / this.scale;
+        
+        this.mass = mass;
+        this.scale = scale;
+        this.maxHealth = getAsteroidHealth(mass, scale);
+        this.health = this.maxHealth;
+        this.entity.getComponent(PhysicsComponent).mass = mass;
+        
+        if (this.model) {
+            // The model was centred at the old scale, so its offset scales with it
+            this.model.scale.set(scale, scale, scale);
+            this.model.position.multiplyScalar(ratio);
+            this.asteroidGroup.userData.mass = mass;
+        }
+        if (this.lights) {
+            this.lights.main.distance = scale * 20;
+            this.lights.secondary.distance = scale * 16;
+        }
+        
+        if (this.isModelLoaded) {
+            this.updateBoundingBox();
+        }
+    }
+    
+    /**
+     * Get the score for destroying this asteroid
+     * @returns {number} Score for its size tier
+     */
+    getScoreValue() {
+        return ASTEROID_TIERS[this.sizeTier].score;
+    }
+    
+    /**
+     * Take damage from a hit, flashing if it survives
+     * @param {number} damage - Damage dealt
+     * @returns {boolean} Whether the hit destroyed it
+     */
+    takeDamage(damage) {
+        this.health = Math.max(0, this.health - damage);
+        
+        if (this.health > 0) {
+            this.flash();
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Flash white for a moment to show a hit landed
+     */
+    flash() {
+        showHitFlash(this.model);
+        this.flashTimer = this.flashDuration;
+    }
+    
+    /**
+     * Handle this asteroid being destroyed by a hit
      */
     handleHit() {
         // Emit game event for scoring and effects
-        if (window.gameEvents) {
+        if (typeof window !== 'undefined' && window.gameEvents) {
             window.gameEvents.emit('enemyHit', {
                 type: 'asteroid',
                 position: this.position.clone(),
@@ -447,23 +607,8 @@ export class Asteroid {
             });
         }
         
-        // Apply visual effect if needed
-        if (this.model) {
-            // Flash the asteroid with a bright color before removal
-            this.model.traverse(child => {
-                if (child.isMesh && child.material) {
-                    // Save original emissive if needed for reset
-                    if (!child.userData.originalEmissive) {
-                        child.userData.originalEmissive = child.material.emissive.clone();
-                        child.userData.originalEmissiveIntensity = child.material.emissiveIntensity;
-                    }
-                    
-                    // Set to bright white/yellow flash
-                    child.material.emissive = new THREE.Color(0xffff00);
-                    child.material.emissiveIntensity = 3.0;
-                }
-            });
-        }
+        // Flash the asteroid with a bright white/yellow color before removal
+        setGlow(this.model, new THREE.Color(0xffff00), 3.0);
         
         // Increase the lights intensity for a flash effect
         if (this.lights) {
@@ -472,6 +617,75 @@ export class Asteroid {
         }
     }
     
+    /**
+     * Get the asteroid's state as plain data, for save games
+     * @returns {Object} Serializable asteroid state
+     */
+    serialize() {
+        return {
+            position: this.position.toArray(),
+            velocity: this.velocity.toArray(),
+            pattern: this.movementPattern,
+            initialY: this.initialY,
+            sineAmplitude: this.sineAmplitude,
+            sineFrequency: this.sineFrequency,
+            moveTime: this.moveTime,
+            pulseTime: this.pulseTime,
+            rotation: this.rotation.toArray(),
+            rotationSpeed: this.rotationSpeed.toArray(),
+            mass: this.mass,
+            scale: this.scale,
+            sizeTier: this.sizeTier,
+            recycle: this.recycle,
+            maxHealth: this.maxHealth,
+            health: this.health,
+            // The model keeps the offset and rotation it was given when loaded
+            model: this.model ? {
+                position: this.model.position.toArray(),
+                rotation: this.model.rotation.toArray()
+            } : null
+        };
+    }
+    
+    /**
+     * Restore state returned by serialize()
+     * @param {Object} state - Serialized asteroid state
+     */
+    deserialize(state) {
+        this.position.fromArray(state.position);
+        this.previousPosition.copy(this.position);
+        this.velocity.fromArray(state.velocity);
+        this.movementPattern = state.pattern;
+        this.initialY = state.initialY;
+        this.sineAmplitude = state.sineAmplitude;
+        this.sineFrequency = state.sineFrequency;
+        this.moveTime = state.moveTime;
+        this.pulseTime = state.pulseTime;
+        this.rotation.fromArray(state.rotation);
+        this.rotationSpeed.fromArray(state.rotationSpeed);
+        this.mass = state.mass;
+        this.entity.getComponent(PhysicsComponent).mass = this.mass;
+        this.scale = state.scale;
+        this.sizeTier = state.sizeTier ?? getSizeTier(this.mass);
+        this.recycle = state.recycle;
+        this.maxHealth = state.maxHealth ?? getAsteroidHealth(this.mass, this.scale);
+        this.health = state.health ?? this.maxHealth;
+        
+        this.asteroidGroup.position.copy(this.position);
+        this.asteroidGroup.rotation.copy(this.rotation);
+        
+        if (this.model && state.model) {
+            this.model.position.fromArray(state.model.position);
+            this.model.rotation.fromArray(state.model.rotation);
+            this.model.scale.set(this.scale, this.scale, this.scale);
+            this.asteroidGroup.userData.mass = this.mass;
+        }
+        
+        if (this.isModelLoaded) {
+            this.updateBoundingBox();
+        }
+    }
+    
     /**
      * Remove this asteroid from the scene
      */
@@ -487,6 +701,11 @@ export class Asteroid {
             this.scene.remove(this.asteroidGroup);
         }
         
+        // Leave the world, so systems stop updating and colliding with it
+        if (this.entity.world) {
+            this.entity.world.removeEntity(this.entity);
+        }
+        
         this.markedForRemoval = true;
     }
     
@@ -3,6 +3,7 @@ import { gameEvents, GameEvents } from '../core/EventSystem.js';
 import { ModelLoader } from '../utils/ModelLoader.js';
 import * as THREE from 'three';
 import { debugHelper } from '../utils/DebugHelper.js';
+import { random } from '../core/Random.js';
 
 /**
  * Asteroid entity using the component-based architecture
@@ -23,15 +24,15 @@ export class AsteroidEntity extends Entity {
         
         // Set up initial positions
         this.initialPosition = position || new THREE.Vector3(
-            Math.random() * 300 + 100, // Start from right side of screen
-            (Math.random() - 0.5) * 60, // Vertical position
-            (Math.random() - 0.5) * 20  // Small Z variation for depth
+            random.gameplay.next() * 300 + 100, // Start from right side of screen
+            (random.gameplay.next() - 0.5) * 60, // Vertical position
+            (random.gameplay.next() - 0.5) * 20  // Small Z variation for depth
         );
         
         // Initial velocity
         this.initialVelocity = velocity || new THREE.Vector3(
-            -Math.random() * 15 - 5, // Move left at varying speeds
-            (Math.random() - 0.5) * 2, // Small vertical drift
+            -random.gameplay.next() * 15 - 5, // Move left at varying speeds
+            (random.gameplay.next() - 0.5) * 2, // Small vertical drift
             0 // No Z movement in side-scroller
         );
         
@@ -43,11 +44,11 @@ export class AsteroidEntity extends Entity {
         this.physics = this.addComponent(PhysicsComponent);
         this.physics.velocity.copy(this.initialVelocity);
         this.physics.angularVelocity.set(
-            (Math.random() - 0.5) * 0.2,
-            (Math.random() - 0.5) * 0.2,
-            (Math.random() - 0.5) * 0.2
+            (random.gameplay.next() - 0.5) * 0.2,
+            (random.gameplay.next() - 0.5) * 0.2,
+            (random.gameplay.next() - 0.5) * 0.2
         );
-        this.physics.mass = Math.random() * 50 + 10; // Random mass between 10 and 60
+        this.physics.mass = random.gameplay.next() * 50 + 10; // Random mass between 10 and 60
         
         // Add render component (mesh will be set when loaded)
         this.render = this.addComponent(RenderComponent);
@@ -55,11 +56,11 @@ export class AsteroidEntity extends Entity {
         // Store asteroid-specific properties
         this.movementPattern = pattern;
         this.initialY = this.initialPosition.y;
-        this.sineAmplitude = Math.random() * 20 + 10;
-        this.sineFrequency = Math.random() * 2 + 1;
-        this.moveTime = Math.random() * Math.PI * 2;
-        this.pulseTime = Math.random() * 10;
-        this.scale = (this.physics.mass / 10) * (Math.random() * 0.5 + 1.5);
+        this.sineAmplitude = random.gameplay.next() * 20 + 10;
+        this.sineFrequency = random.gameplay.next() * 2 + 1;
+        this.moveTime = random.gameplay.next() * Math.PI * 2;
+        this.pulseTime = random.gameplay.next() * 10;
+        this.scale = (this.physics.mass / 10) * (random.gameplay.next() * 0.5 + 1.5);
         
         // Add metadata for game logic
         this.userData = {
@@ -175,7 +176,7 @@ export class AsteroidEntity extends Entity {
     createLights() {
         // Create a brighter point light
         const lightColor = new THREE.Color(0xff6600);
-        const lightIntensity = 2.0 + Math.random() * 1.0;
+        const lightIntensity = 2.0 + random.cosmetic.next() * 1.0;
         const lightRange = this.scale * 20;
         
         const asteroidLight = new THREE.PointLight(lightColor, lightIntensity, lightRange);
@@ -224,30 +225,30 @@ export class AsteroidEntity extends Entity {
     reset() {
         // Reset position to the right side with more variation
         this.transform.position.set(
-            Math.random() * 300 + 200,
-            (Math.random() - 0.5) * 100,
-            (Math.random() - 0.5) * 20
+            random.gameplay.next() * 300 + 200,
+            (random.gameplay.next() - 0.5) * 100,
+            (random.gameplay.next() - 0.5) * 20
         );
         
         this.initialY = this.transform.position.y;
         
         // Randomize velocity
         this.physics.velocity.set(
-            -Math.random() * 20 - 10,
-            (Math.random() - 0.5) * 4,
+            -random.gameplay.next() * 20 - 10,
+            (random.gameplay.next() - 0.5) * 4,
             0
         );
         
         // Reset movement pattern variables
-        this.moveTime = Math.random() * Math.PI * 2;
-        this.sineAmplitude = Math.random() * 30 + 15;
-        this.sineFrequency = Math.random() * 3 + 0.5;
+        this.moveTime = random.gameplay.next() * Math.PI * 2;
+        this.sineAmplitude = random.gameplay.next() * 30 + 15;
+        this.sineFrequency = random.gameplay.next() * 3 + 0.5;
         
         // New random rotation speeds
         this.physics.angularVelocity.set(
-            (Math.random() - 0.5) * 0.2,
-            (Math.random() - 0.5) * 0.2,
-            (Math.random() - 0.5) * 0.2
+            (random.gameplay.next() - 0.5) * 0.2,
+            (random.gameplay.next() - 0.5) * 0.2,
+            (random.gameplay.next() - 0.5) * 0.2
         );
     }
     
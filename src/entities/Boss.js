@@ -0,0 +1,803 @@
+import * as THREE from 'three';
+import debugHelper from '../utils/DebugHelper.js';
+import debugVisualizer from '../utils/DebugVisualizer.js';
+import { gameEvents, GameEvents } from '../core/EventSystem.js';
+import { Entity, RenderComponent, PhysicsComponent, ActorComponent, ColliderComponent, TransformComponent } from '../core/Component.js';
+import { setGlow, restoreGlow, showHitFlash } from './HitFlash.js';
+
+/**
+ * Tuning shared by every boss
+ *
+ * - entranceDistance: How far right of its home position a boss starts its entrance
+ * - entranceTime: Seconds the entrance takes, during which the boss can't be hurt
+ * - steerRate: How hard a fighting boss steers toward where its movement puts it
+ * - stepDelay: Seconds before the first volley of each attack script step, unless the step gives its own
+ * - defeatTime: Seconds the defeat sequence takes before the boss is gone
+ * - sinkSpeed: Speed a defeated boss sinks at
+ * - spinRate: Radians per second a defeated boss spins at
+ * - flashDuration: Seconds a hit flashes for
+ */
+export const BOSS_CONFIG = Object.freeze({
+    entranceDistance: 160,
+    entranceTime: 4,
+    steerRate: 2,
+    stepDelay: 0.5,
+    defeatTime: 3,
+    sinkSpeed: 6,
+    spinRate: 1.5,
+    flashDuration: 0.08
+});
+
+/**
+ * A part of a boss that can be shot off, with its own hitbox and health
+ * Damage to a weak point also goes to the boss, unreduced by armour, and destroying one
+ * deals its breakDamage on top. Weak points can fire (see the attack scripts in BOSSES)
+ */
+export class BossWeakPoint {
+    /**
+     * Create a new weak point
+     * @param {Boss} boss - The boss it belongs to
+     * @param {Object} data - Weak point definition (see BOSSES)
+     */
+    constructor(boss, data) {
+        this.boss = boss;
+        this.scene = boss.scene;
+        this.id = data.id;
+        this.data = data;
+        this.offset = new THREE.Vector3(data.offset[0], data.offset[1], 0);
+        this.size = data.size;
+        
+        this.position = boss.position.clone().add(this.offset);
+        this.previousPosition = this.position.clone();
+        this.rotation = new THREE.Euler();
+        
+        this.isBoss = true; // Ramming a weak point doesn't break it
+        this.emitters = []; // Bullet emitters attached by the boss's attack script
+        this.maxHealth = data.health;
+        this.health = this.maxHealth;
+        this.flashTimer = 0;
+        this.markedForRemoval = false;
+        this.isModelLoaded = false;
+        this.boundingBox = new THREE.Box3();
+        this.boundingSphere = new THREE.Sphere();
+        
+        this.mesh = new THREE.Mesh(
+            new THREE.SphereGeometry(this.size, 12, 8),
+            new THREE.MeshStandardMaterial({ color: 0x331111, emissive: 0xff3300, emissiveIntensity: 1.2 })
+        );
+        this.mesh.position.copy(this.position);
+        this.mesh.userData = {
+            enemyRef: this,
+            damage: boss.definition.ramDamage,
+            debrisType: 'boss'
+        };
+        
+        this.entity = this.createEntity();
+    }
+    
+    /**
+     * Create the world entity for this weak point
+     * It has no physics: the boss moves it (see Boss.updateWeakPoints)
+     * @returns {Entity} The entity
+     */
+    createEntity() {
+        const entity = new Entity(this.scene);
+        
+        const transform = entity.getComponent(TransformComponent);
+        transform.position = this.position;
+        transform.previousPosition = this.previousPosition;
+        transform.rotation = this.rotation;
+        
+        entity.addComponent(RenderComponent).mesh = this.mesh;
+        entity.addComponent(ActorComponent).actor = this;
+        
+        const collider = entity.addComponent(ColliderComponent);
+        collider.layer = 'enemy';
+        collider.boundingBox = this.boundingBox;
+        collider.enabled = false;
+        
+        return entity;
+    }
+    
+    /**
+     * Show the weak point, once the boss's model is set up
+     */
+    setup() {
+        this.scene.add(this.mesh);
+        this.isModelLoaded = true;
+        this.updateBoundingBox();
+    }
+    
+    /**
+     * Move along with the boss
+     */
+    update() {
+        this.previousPosition.copy(this.position);
+        this.position.copy(this.boss.position).add(this.offset);
+        this.mesh.position.copy(this.position);
+        this.updateBoundingBox();
+    }
+    
+    /**
+     * Fit the hitbox and sphere around the weak point
+     */
+    updateBoundingBox() {
+        const size = this.size * 2;
+        this.boundingBox.setFromCenterAndSize(this.position, new THREE.Vector3(size, size, size));
+        this.boundingBox.getBoundingSphere(this.boundingSphere);
+    }
+    
+    /**
+     * Fade back from a damage flash
+     * @param {number} delta - Time step in seconds
+     */
+    updateFlash(delta) {
+        if (this.flashTimer > 0) {
+            this.flashTimer -= delta;
+            if (this.flashTimer <= 0) {
+                restoreGlow(this.mesh);
+            }
+        }
+    }
+    
+    /**
+     * Get the score for shooting this weak point off
+     * @returns {number} Score value
+     */
+    getScoreValue() {
+        return this.data.score;
+    }
+    
+    /**
+     * Take damage from a hit, passing it on to the boss (with the break damage if it destroys the weak point)
+     * @param {number} damage - Damage dealt
+     * @returns {boolean} Whether the hit destroyed the weak point
+     */
+    takeDamage(damage) {
+        this.health = Math.max(0, this.health - damage);
+        this.boss.applyDamage(damage);
+        
+        if (this.health > 0) {
+            showHitFlash(this.mesh);
+            this.flashTimer = this.boss.config.flashDuration;
+            return false;
+        }
+        
+        this.boss.handleWeakPointDestroyed(this);
+        return true;
+    }
+    
+    /**
+     * Handle this weak point being destroyed by a hit
+     */
+    handleHit() {
+        setGlow(this.mesh, new THREE.Color(0xffff00), 3.0);
+    }
+    
+    /**
+     * Turn the hitbox on or off
+     * @param {boolean} enabled - Whether shots and the ship can hit it
+     */
+    setCollidable(enabled) {
+        this.entity.getComponent(ColliderComponent).enabled = enabled;
+    }
+    
+    /**
+     * Remove this weak point from the scene
+     */
+    remove() {
+        if (this.mesh.parent) {
+            this.scene.remove(this.mesh);
+        }
+        if (this.entity.world) {
+            this.entity.world.removeEntity(this.entity);
+        }
+        this.markedForRemoval = true;
+    }
+}
+
+/**
+ * Base class for bosses
+ * A boss flies in (the entrance, when it can't be hurt), then fights from its home position
+ * through a series of phases, each starting once its health falls to the phase's threshold.
+ * Each phase has its own movement and an attack script: steps that each fire a set of bullet
+ * patterns from the hull or from weak points for a while, repeated for as long as the phase lasts.
+ * Its hull takes only part of any damage (its armour), so shooting off its weak points is the
+ * quicker way down. When its health runs out it doesn't just disappear: the defeat sequence
+ * plays, then BOSS_DEFEATED is emitted and it leaves play.
+ *
+ * Subclasses give the boss its look by overriding createModel(); the rest comes from its
+ * definition (see BOSSES)
+ */
+export class Boss {
+    /**
+     * Create a new boss, starting its entrance
+     * @param {THREE.Scene} scene - The scene to add the boss to
+     * @param {string} type - Boss type, a key of BOSSES
+     * @param {Object} definition - The boss's definition from BOSSES
+     * @param {Object} resourceManager - The resource manager to get models from
+     * @param {Object} options - Boss options
+     * @param {Function} options.onLoaded - Called when the model is set up
+     * @param {EnemyManager} options.enemyManager - Runs the emitters the attack scripts attach, and holds the shots they fire
+     * @param {number} options.health - Health, in place of the definition's
+     */
+    constructor(scene, type, definition, resourceManager = null, options = {}) {
+        this.scene = scene;
+        this.type = type;
+        this.definition = definition;
+        this.resourceManager = resourceManager;
+        this.onLoaded = options.onLoaded || null;
+        this.enemyManager = options.enemyManager || null;
+        this.config = BOSS_CONFIG;
+        
+        // Generate a unique ID for this boss
+        this.id = 'boss_' + Math.random().toString(36).substring(2, 10);
+        
+        // Where it fights from, and where its entrance starts
+        this.home = new THREE.Vector3(definition.home.x, definition.home.y, 0);
+        this.position = this.home.clone();
+        this.position.x += this.config.entranceDistance;
+        this.previousPosition = this.position.clone();
+        this.velocity = new THREE.Vector3();
+        this.rotation = new THREE.Euler();
+        
+        // Sequence ('entrance', 'fight' or 'defeat'), and progress through the phases and their scripts
+        this.state = 'entrance';
+        this.stateTime = 0;
+        this.fightTime = 0;
+        this.phaseIndex = 0;
+        this.stepIndex = 0;
+        this.stepTime = 0;
+        
+        // Physical properties
+        this.mass = 500;
+        
+        // Create container for the model
+        this.group = new THREE.Group();
+        this.group.position.copy(this.position);
+        
+        // Initialize flags and properties
+        this.markedForRemoval = false;
+        this.recycle = false;
+        this.isBoss = true;
+        this.formation = null;
+        this.emitters = []; // Bullet emitters the attack script fires from the hull
+        this.maxHealth = options.health ?? definition.health;
+        this.health = this.maxHealth;
+        this.flashTimer = 0;
+        this.isModelLoaded = false;
+        this.model = null;
+        this.boundingBox = new THREE.Box3();
+        this.boundingSphere = new THREE.Sphere();
+        
+        this.weakPoints = definition.weakPoints.map(data => new BossWeakPoint(this, data));
+        
+        // World entity, added to the world (after the weak points) by the enemy manager once the model is set up
+        this.entity = this.createEntity();
+        
+        this.loadModel();
+    }
+    
+    /**
+     * Create the world entity for this boss
+     * Its components share this boss's vectors, so systems and the boss see the same state
+     * @returns {Entity} The entity
+     */
+    createEntity() {
+        const entity = new Entity(this.scene);
+        
+        const transform = entity.getComponent(TransformComponent);
+        transform.position = this.position;
+        transform.previousPosition = this.previousPosition;
+        transform.rotation = this.rotation;
+        
+        const physics = entity.addComponent(PhysicsComponent);
+        physics.velocity = this.velocity;
+        physics.mass = this.mass;
+        
+        entity.addComponent(RenderComponent).mesh = this.group;
+        entity.addComponent(ActorComponent).actor = this;
+        
+        // Nothing can hit it until its entrance is over
+        const collider = entity.addComponent(ColliderComponent);
+        collider.layer = 'enemy';
+        collider.boundingBox = this.boundingBox;
+        collider.enabled = false;
+        
+        return entity;
+    }
+    
+    /**
+     * Build the boss's model, at unit scale (it is scaled by the definition's modelScale)
+     * Subclasses override this to give the boss its look
+     * @returns {THREE.Object3D} The model
+     */
+    createModel() {
+        return new THREE.Mesh(new THREE.IcosahedronGeometry(1, 1), new THREE.MeshStandardMaterial({ color: 0x555555 }));
+    }
+    
+    /**
+     * Set up the model and weak points, then hand the boss to onLoaded
+     */
+    loadModel() {
+        const model = this.createModel();
+        const scale = this.definition.modelScale;
+        
+        this.model = model;
+        this.model.visible = true;
+        this.model.scale.set(scale, scale, scale);
+        
+        // Centre the model on the boss's position, so weak point offsets are from the middle of the hull
+        const center = new THREE.Box3().setFromObject(this.model).getCenter(new THREE.Vector3());
+        this.model.position.sub(center);
+        
+        // Give the boss its glow, on its own copies of the materials
+        this.model.traverse((child) => {
+            if (child.isMesh && child.material) {
+                child.material = Array.isArray(child.material)
+                    ? child.material.map(mat => mat.clone())
+                    : child.material.clone();
+                
+                for (const material of [].concat(child.material)) {
+                    material.emissive = new THREE.Color(this.definition.glow);
+                    material.emissiveIntensity = 0.6;
+                }
+            }
+        });
+        
+        this.group.add(this.model);
+        this.group.userData = {
+            enemyRef: this,
+            mass: this.mass,
+            damage: this.definition.ramDamage,
+            debrisType: 'boss'
+        };
+        this.scene.add(this.group);
+        
+        this.isModelLoaded = true;
+        this.weakPoints.forEach(weakPoint => weakPoint.setup());
+        this.updateBoundingBox();
+        
+        debugHelper.log(`Boss: ${this.definition.name} entering with ${this.maxHealth} health`);
+        this.announce();
+        
+        if (this.onLoaded) {
+            this.onLoaded(this);
+        }
+    }
+    
+    /**
+     * Fit the bounding box and sphere around the model at its simulated position
+     */
+    updateBoundingBox() {
+        if (!this.isModelLoaded) {
+            return;
+        }
+        
+        this.group.updateMatrixWorld(true);
+        this.boundingBox.setFromObject(this.model);
+        this.boundingBox.getBoundingSphere(this.boundingSphere);
+        
+        // Update visualization for debugging
+        const visualizer = debugVisualizer.getInstance();
+        if (visualizer) {
+            visualizer.visualizeBox(this.boundingBox, this.id, 'enemy');
+        }
+    }
+    
+    /**
+     * Play the entrance, fight or defeat sequence for a step, and carry the weak points along
+     * @param {number} delta - Time step in seconds
+     */
+    update(delta) {
+        if (!this.isModelLoaded) {
+            return;
+        }
+        
+        // Remember where we were so rendering can interpolate between steps
+        this.previousPosition.copy(this.position);
+        this.stateTime += delta;
+        
+        // Fade back from a damage flash
+        if (this.flashTimer > 0) {
+            this.flashTimer -= delta;
+            if (this.flashTimer <= 0) {
+                restoreGlow(this.model);
+            }
+        }
+        this.weakPoints.forEach(weakPoint => weakPoint.updateFlash(delta));
+        
+        switch (this.state) {
+            case 'entrance':
+                this.updateEntrance(delta);
+                break;
+            
+            case 'fight':
+                this.updateFight(delta);
+                break;
+            
+            case 'defeat':
+                if (this.stateTime >= this.config.defeatTime) {
+                    this.finishDefeat();
+                    return;
+                }
+                this.updateDefeat(delta);
+                break;
+        }
+        
+        this.position.addScaledVector(this.velocity, delta);
+        this.group.position.copy(this.position);
+        this.group.rotation.copy(this.rotation);
+        
+        this.updateWeakPoints();
+        this.updateBoundingBox();
+    }
+    
+    /**
+     * Entrance: glide in from the right to the home position, slowing down as it arrives
+     * @param {number} delta - Time step in seconds
+     */
+    updateEntrance(delta) {
+        const progress = Math.min(this.stateTime / this.config.entranceTime, 1);
+        const eased = 1 - Math.pow(1 - progress, 2);
+        const target = this.home.clone();
+        target.x += this.config.entranceDistance * (1 - eased);
+        
+        this.velocity.subVectors(target, this.position).divideScalar(delta);
+        
+        if (progress >= 1) {
+            this.startFight();
+        }
+    }
+    
+    /**
+     * Fight: move as the phase says, and work through its attack script
+     * @param {number} delta - Time step in seconds
+     */
+    updateFight(delta) {
+        this.fightTime += delta;
+        
+        const phase = this.getPhase();
+        const move = phase.move;
+        const angle = (this.fightTime / move.period) * Math.PI * 2;
+        const target = new THREE.Vector3(
+            this.home.x + Math.sin(angle / 2) * (move.depth || 0),
+            this.home.y + Math.sin(angle) * move.amplitude,
+            0
+        );
+        this.velocity.subVectors(target, this.position).multiplyScalar(this.config.steerRate);
+        
+        // Move on to the script's next step when this one is over, starting again after the last
+        this.stepTime += delta;
+        const step = phase.script[this.stepIndex];
+        if (this.stepTime >= step.duration) {
+            this.stepTime -= step.duration;
+            this.stepIndex = (this.stepIndex + 1) % phase.script.length;
+            this.armStep();
+        }
+    }
+    
+    /**
+     * Defeat: stop, sink and spin while flickering
+     * @param {number} delta - Time step in seconds
+     */
+    updateDefeat(delta) {
+        this.velocity.set(0, -this.config.sinkSpeed, 0);
+        this.rotation.z += this.config.spinRate * delta;
+        
+        const flicker = Math.floor(this.stateTime / 0.1) % 2 === 0;
+        setGlow(this.model, new THREE.Color(flicker ? 0xffffff : 0xff6600), flicker ? 2.0 : 3.0);
+    }
+    
+    /**
+     * Carry the weak points along with the hull
+     */
+    updateWeakPoints() {
+        this.weakPoints.forEach(weakPoint => {
+            if (!weakPoint.markedForRemoval) {
+                weakPoint.update();
+            }
+        });
+    }
+    
+    /**
+     * Switch to another step of the sequence
+     * @param {string} state - The new state ('entrance', 'fight' or 'defeat')
+     */
+    setState(state) {
+        this.state = state;
+        this.stateTime = 0;
+    }
+    
+    /**
+     * End the entrance: the boss can be hit, and its first phase starts
+     */
+    startFight() {
+        this.setState('fight');
+        this.setCollidable(true);
+        this.enterPhase(0);
+    }
+    
+    /**
+     * Get the phase the boss is in
+     * @returns {Object} The phase's definition
+     */
+    getPhase() {
+        return this.definition.phases[this.phaseIndex];
+    }
+    
+    /**
+     * Start a phase, from the first step of its attack script
+     * @param {number} index - Index into the definition's phases
+     */
+    enterPhase(index) {
+        this.phaseIndex = index;
+        this.stepIndex = 0;
+        this.stepTime = 0;
+        this.armStep();
+        
+        const phase = this.getPhase();
+        gameEvents.emit(GameEvents.BOSS_PHASE_CHANGED, { boss: this, phase: index, name: phase.name || null });
+        
+        if (phase.message) {
+            gameEvents.emit(GameEvents.SHOW_MESSAGE, { text: phase.message, duration: 2 });
+        }
+    }
+    
+    /**
+     * Replace whatever the boss is firing with the current script step's patterns
+     * Patterns from weak points that have been shot off are skipped
+     */
+    armStep() {
+        this.disarm();
+        if (!this.enemyManager) {
+            return;
+        }
+        
+        const step = this.getPhase().script[this.stepIndex];
+        for (const fire of step.fire) {
+            const owner = fire.from && fire.from !== 'hull' ? this.getWeakPoint(fire.from) : this;
+            if (!owner || owner.markedForRemoval) {
+                continue;
+            }
+            
+            this.enemyManager.attachEmitter(owner, fire.pattern, fire.delay ?? this.config.stepDelay);
+        }
+    }
+    
+    /**
+     * Stop everything the hull and weak points are firing
+     */
+    disarm() {
+        if (!this.enemyManager) {
+            return;
+        }
+        
+        this.enemyManager.detachEmitters(this);
+        this.weakPoints.forEach(weakPoint => this.enemyManager.detachEmitters(weakPoint));
+    }
+    
+    /**
+     * Find a weak point, whether or not it has been shot off
+     * @param {string} id - The weak point's id from the definition
+     * @returns {BossWeakPoint|null} The weak point
+     */
+    getWeakPoint(id) {
+        return this.weakPoints.find(weakPoint => weakPoint.id === id) || null;
+    }
+    
+    /**
+     * Turn the hull's and weak points' colliders on or off
+     * @param {boolean} enabled - Whether shots and the ship can hit the boss
+     */
+    setCollidable(enabled) {
+        this.entity.getComponent(ColliderComponent).enabled = enabled;
+        this.weakPoints.forEach(weakPoint => weakPoint.setCollidable(enabled));
+    }
+    
+    /**
+     * Get the score for destroying this boss
+     * @returns {number} Score value
+     */
+    getScoreValue() {
+        return this.definition.score;
+    }
+    
+    /**
+     * Take damage from a hit on the hull, reduced by the boss's armour
+     * A smart bomb's damage is fixed (see BOMB_CONFIG.bossDamage), so armour doesn't reduce it.
+     * A boss never goes down to a single hit: when its health runs out the defeat sequence
+     * takes it out of play (see startDefeat)
+     * @param {number} damage - Damage dealt
+     * @param {string} source - What hit it ('missile', 'bomb' or 'collision')
+     * @returns {boolean} Always false
+     */
+    takeDamage(damage, source = 'missile') {
+        this.applyDamage(source === 'bomb' ? damage : damage * this.definition.armor);
+        return false;
+    }
+    
+    /**
+     * Lose health, moving on to any phase whose threshold that crosses, or starting the defeat sequence
+     * Nothing hurts a boss during its entrance or once it is defeated
+     * @param {number} damage - Health lost
+     */
+    applyDamage(damage) {
+        if (this.state !== 'fight') {
+            return;
+        }
+        
+        this.health = Math.max(0, this.health - damage);
+        this.flash();
+        gameEvents.emit(GameEvents.BOSS_HEALTH_CHANGED, { boss: this, health: this.health, maxHealth: this.maxHealth });
+        
+        if (this.health <= 0) {
+            this.startDefeat();
+            return;
+        }
+        
+        // A big enough hit can skip a phase
+        const phases = this.definition.phases;
+        const share = this.health / this.maxHealth;
+        let next = this.phaseIndex;
+        while (next + 1 < phases.length && share <= phases[next + 1].threshold) {
+            next++;
+        }
+        
+        if (next !== this.phaseIndex) {
+            this.enterPhase(next);
+        }
+    }
+    
+    /**
+     * Take a weak point's break damage when it is shot off
+     * @param {BossWeakPoint} weakPoint - The weak point destroyed
+     */
+    handleWeakPointDestroyed(weakPoint) {
+        debugHelper.log(`Boss: ${this.definition.name} lost its ${weakPoint.id}`);
+        this.applyDamage(weakPoint.data.breakDamage);
+    }
+    
+    /**
+     * Start the defeat sequence: stop firing, clear the screen of shots and stop colliding
+     */
+    startDefeat() {
+        this.setState('defeat');
+        this.disarm();
+        this.setCollidable(false);
+        
+        if (this.enemyManager) {
+            this.enemyManager.bullets.clear();
+        }
+        
+        debugHelper.log(`Boss: ${this.definition.name} defeated`);
+    }
+    
+    /**
+     * End the defeat sequence: announce the defeat and leave play
+     */
+    finishDefeat() {
+        gameEvents.emit(GameEvents.BOSS_DEFEATED, {
+            boss: this,
+            type: this.type,
+            name: this.definition.name,
+            position: this.position.clone(),
+            score: this.getScoreValue()
+        });
+        
+        this.remove();
+    }
+    
+    /**
+     * Let the HUD know the boss is in play and how healthy it is
+     */
+    announce() {
+        gameEvents.emit(GameEvents.BOSS_SPAWN, {
+            boss: this,
+            type: this.type,
+            name: this.definition.name,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            phase: this.getPhase().name || null,
+            thresholds: this.definition.phases.slice(1).map(phase => phase.threshold)
+        });
+    }
+    
+    /**
+     * Flash white for a moment to show a hit landed
+     */
+    flash() {
+        showHitFlash(this.model);
+        this.flashTimer = this.config.flashDuration;
+    }
+    
+    /**
+     * Get the boss's state as plain data, for save games
+     * @returns {Object} Serializable boss state
+     */
+    serialize() {
+        return {
+            type: this.type,
+            position: this.position.toArray(),
+            velocity: this.velocity.toArray(),
+            rotation: this.rotation.toArray(),
+            state: this.state,
+            stateTime: this.stateTime,
+            fightTime: this.fightTime,
+            phaseIndex: this.phaseIndex,
+            stepIndex: this.stepIndex,
+            stepTime: this.stepTime,
+            maxHealth: this.maxHealth,
+            health: this.health,
+            weakPoints: this.weakPoints.map(weakPoint => ({
+                id: weakPoint.id,
+                health: weakPoint.health,
+                removed: weakPoint.markedForRemoval
+            }))
+        };
+    }
+    
+    /**
+     * Restore state returned by serialize()
+     * The emitters the attack script had attached are restored by the enemy manager
+     * @param {Object} state - Serialized boss state
+     */
+    deserialize(state) {
+        this.position.fromArray(state.position);
+        this.previousPosition.copy(this.position);
+        this.velocity.fromArray(state.velocity);
+        this.rotation.fromArray(state.rotation);
+        this.state = state.state;
+        this.stateTime = state.stateTime;
+        this.fightTime = state.fightTime;
+        this.phaseIndex = state.phaseIndex;
+        this.stepIndex = state.stepIndex;
+        this.stepTime = state.stepTime;
+        this.maxHealth = state.maxHealth;
+        this.health = state.health;
+        
+        for (const weakPointState of state.weakPoints) {
+            const weakPoint = this.getWeakPoint(weakPointState.id);
+            weakPoint.health = weakPointState.health;
+            if (weakPointState.removed) {
+                weakPoint.remove();
+            }
+        }
+        
+        this.setCollidable(this.state === 'fight');
+        this.group.position.copy(this.position);
+        this.group.rotation.copy(this.rotation);
+        this.updateWeakPoints();
+        this.weakPoints.forEach(weakPoint => weakPoint.previousPosition.copy(weakPoint.position));
+        this.updateBoundingBox();
+        this.announce();
+    }
+    
+    /**
+     * Remove this boss and its weak points from the scene
+     */
+    remove() {
+        // Clear debug visualizations
+        const visualizer = debugVisualizer.getInstance();
+        if (visualizer && this.id) {
+            visualizer.removeVisualization(this.id);
+        }
+        
+        this.weakPoints.forEach(weakPoint => {
+            if (!weakPoint.markedForRemoval) {
+                weakPoint.remove();
+            }
+        });
+        
+        if (this.group.parent) {
+            this.scene.remove(this.group);
+        }
+        
+        // Leave the world, so systems stop updating and colliding with it
+        if (this.entity.world) {
+            this.entity.world.removeEntity(this.entity);
+        }
+        
+        this.markedForRemoval = true;
+    }
+}
@@ -0,0 +1,141 @@
+import { Boss } from './Boss.js';
+import { BULLET_PATTERNS } from './BulletEmitter.js';
+
+/**
+ * A giant asteroid, hollowed out and fitted with gun vents
+ */
+export class GiantAsteroid extends Boss {
+    /**
+     * Use the asteroid model, falling back to the plain hull if it isn't loaded
+     * @returns {THREE.Object3D} The model
+     */
+    createModel() {
+        const model = this.resourceManager && this.resourceManager.getAsteroidModel
+            ? this.resourceManager.getAsteroidModel()
+            : null;
+        
+        return model || super.createModel();
+    }
+}
+
+/**
+ * The flagship leading the enemy patrol, a much bigger fighter bristling with guns
+ */
+export class PatrolLeader extends Boss {
+    /**
+     * Use the ship model, falling back to the plain hull if it isn't loaded
+     * @returns {THREE.Object3D} The model
+     */
+    createModel() {
+        const model = this.resourceManager && this.resourceManager.getShipModel
+            ? this.resourceManager.getShipModel()
+            : null;
+        
+        return model || super.createModel();
+    }
+}
+
+/**
+ * Boss definitions, by the type levels give for their boss (see levelData)
+ *
+ * - class: Boss class to create, which gives the boss its look
+ * - name: Name shown on the boss health bar
+ * - health: Health, unless the level gives its own
+ * - score: Score for defeating it
+ * - armor: Share of damage to the hull that counts (weak points take it all)
+ * - ramDamage: Damage it does to the ship when they collide
+ * - modelScale: Scale of the model
+ * - glow: Emissive colour of the model
+ * - home: Where it fights from, once its entrance is over
+ * - weakPoints: Parts that can be shot off, each with an id, an offset from the hull's centre,
+ *   a size (radius), its own health, a score, and the breakDamage the boss takes when it goes
+ * - phases: In order, each starting once the boss's health falls to its threshold (a share of
+ *   its full health; the first phase's is 1). Each has an optional name and message, a move (the
+ *   amplitude and period in seconds of its bob up and down, and how far it lunges forward and back)
+ *   and a script of steps. Each step lasts duration seconds and fires each of its patterns
+ *   (keys of BULLET_PATTERNS, or patterns of the same form) from the hull (the default) or a weak point (by id)
+ */
+export const BOSSES = Object.freeze({
+    'giant-asteroid': {
+        class: GiantAsteroid,
+        name: 'GIANT ASTEROID',
+        health: 100,
+        score: 5000,
+        armor: 0.5,
+        ramDamage: 30,
+        modelScale: 12,
+        glow: 0xff5500,
+        home: { x: 55, y: 0 },
+        weakPoints: [
+            { id: 'upper-vent', offset: [-9, 7], size: 3, health: 12, score: 500, breakDamage: 15 },
+            { id: 'lower-vent', offset: [-9, -7], size: 3, health: 12, score: 500, breakDamage: 15 }
+        ],
+        phases: [
+            {
+                threshold: 1,
+                move: { amplitude: 12, period: 8 },
+                script: [
+                    { duration: 4, fire: [{ pattern: 'fan', from: 'upper-vent' }, { pattern: 'fan', from: 'lower-vent' }] },
+                    { duration: 3, fire: [{ pattern: 'ring', from: 'hull' }] }
+                ]
+            },
+            {
+                threshold: 0.5,
+                name: 'CRUMBLING',
+                message: 'THE ASTEROID IS BREAKING UP!',
+                move: { amplitude: 25, period: 5, depth: 10 },
+                script: [
+                    { duration: 5, fire: [{ pattern: { ...BULLET_PATTERNS.spiral, interval: 0.3 }, from: 'hull' }] },
+                    { duration: 3, fire: [{ pattern: 'aimed', from: 'upper-vent' }, { pattern: 'aimed', from: 'lower-vent' }, { pattern: 'ring', from: 'hull' }] }
+                ]
+            }
+        ]
+    },
+    
+    'patrol-leader': {
+        class: PatrolLeader,
+        name: 'PATROL LEADER',
+        health: 200,
+        score: 8000,
+        armor: 0.25,
+        ramDamage: 40,
+        modelScale: 14,
+        glow: 0xff2222,
+        home: { x: 60, y: 0 },
+        weakPoints: [
+            { id: 'top-cannon', offset: [0, 7], size: 3, health: 20, score: 800, breakDamage: 20 },
+            { id: 'bottom-cannon', offset: [0, -7], size: 3, health: 20, score: 800, breakDamage: 20 },
+            { id: 'nose', offset: [-13, 0], size: 3.5, health: 30, score: 1000, breakDamage: 30 }
+        ],
+        phases: [
+            {
+                threshold: 1,
+                move: { amplitude: 15, period: 7 },
+                script: [
+                    { duration: 3, fire: [{ pattern: 'aimed', from: 'top-cannon' }, { pattern: 'aimed', from: 'bottom-cannon' }] },
+                    { duration: 3, fire: [{ pattern: 'fan', from: 'nose' }, { pattern: 'aimed', from: 'hull' }] }
+                ]
+            },
+            {
+                threshold: 0.6,
+                name: 'PURSUIT',
+                message: 'PATROL LEADER IS CLOSING IN!',
+                move: { amplitude: 25, period: 5, depth: 15 },
+                script: [
+                    { duration: 4, fire: [{ pattern: 'burst', from: 'top-cannon' }, { pattern: 'burst', from: 'bottom-cannon' }, { pattern: 'aimed', from: 'hull' }] },
+                    { duration: 3, fire: [{ pattern: 'ring', from: 'hull' }, { pattern: 'fan', from: 'nose' }] }
+                ]
+            },
+            {
+                threshold: 0.25,
+                name: 'LAST STAND',
+                message: 'PATROL LEADER: LAST STAND!',
+                move: { amplitude: 30, period: 3.5, depth: 25 },
+                script: [
+                    { duration: 4, fire: [{ pattern: { ...BULLET_PATTERNS.spiral, interval: 0.25 }, from: 'hull' }, { pattern: 'aimed', from: 'nose' }] },
+                    { duration: 3, fire: [{ pattern: 'fan', from: 'hull' }, { pattern: 'burst', from: 'top-cannon' }, { pattern: 'burst', from: 'bottom-cannon' }] }
+                ]
+            }
+        ]
+    }
+});
@@ -0,0 +1,210 @@
+import * as THREE from 'three';
+import { random } from '../core/Random.js';
+
+/**
+ * Settings every bullet pattern has, unless the pattern gives its own
+ *
+ * - interval: Seconds between volleys
+ * - speed: Bullet speed
+ * - count: Bullets in each volley
+ * - spread: Degrees a 'fan' volley covers
+ * - turnRate: Degrees per second a 'spiral' turns
+ * - burstDelay: Seconds between the shots of a 'burst'
+ * - minRange, maxRange: How far ahead of the target the emitter has to be to fire, so enemies
+ *   only shoot from the screen and never from behind the ship
+ */
+export const EMITTER_DEFAULTS = Object.freeze({
+    interval: 2,
+    speed: 50,
+    count: 1,
+    spread: 0,
+    turnRate: 0,
+    burstDelay: 0.1,
+    minRange: 10,
+    maxRange: 130
+});
+
+/**
+ * Bullet patterns, as data
+ * The type picks how a volley is laid out (see VOLLEYS), and the rest override EMITTER_DEFAULTS.
+ * Emitters take one of these by name, or any object of the same form, so new patterns
+ * (e.g. a slower ring for a boss phase) need no code
+ */
+export const BULLET_PATTERNS = Object.freeze({
+    aimed: { type: 'aimed', interval: 1.6, speed: 60 },
+    fan: { type: 'fan', interval: 2.2, speed: 50, count: 5, spread: 60 },
+    ring: { type: 'ring', interval: 3, speed: 35, count: 12 },
+    spiral: { type: 'spiral', interval: 0.15, speed: 40, count: 3, turnRate: 120 },
+    burst: { type: 'burst', interval: 2.5, speed: 70, count: 4, burstDelay: 0.12 }
+});
+
+/**
+ * Directions (in radians) of the bullets in one volley, for each pattern type
+ * Each takes the pattern, the angle to the target and the emitter's spiral angle
+ */
+const VOLLEYS = {
+    // One shot straight at the target
+    aimed: (pattern, aim) => [aim],
+    
+    // Shots spread evenly across an arc centred on the target
+    fan: (pattern, aim) => {
+        const spread = THREE.MathUtils.degToRad(pattern.spread);
+        if (pattern.count === 1) {
+            return [aim];
+        }
+        return Array.from({ length: pattern.count }, (_, i) => aim - spread / 2 + (spread * i) / (pattern.count - 1));
+    },
+    
+    // Shots evenly all the way round, one of them at the target
+    ring: (pattern, aim) => Array.from({ length: pattern.count }, (_, i) => aim + (i / pattern.count) * Math.PI * 2),
+    
+    // Shots evenly all the way round, turning steadily between volleys whatever the target does
+    spiral: (pattern, aim, angle) => Array.from({ length: pattern.count }, (_, i) => angle + (i / pattern.count) * Math.PI * 2),
+    
+    // Aimed shots one after another (see BulletEmitter.updateBurst)
+    burst: (pattern, aim) => [aim]
+};
+
+/**
+ * Fires a bullet pattern from an enemy, a boss or any part of one
+ * Emitters are attached and updated by the enemy manager (see EnemyManager.attachEmitter)
+ */
+export class BulletEmitter {
+    /**
+     * Create a new emitter
+     * @param {EnemyBulletManager} bullets - Where the shots come from
+     * @param {string|Object} pattern - A key of BULLET_PATTERNS, or a pattern of the same form
+     * @param {Object} owner - What fires (anything with a position; the emitter stops when it is marked for removal)
+     * @param {Object} target - What to aim at (anything with a position, usually the player)
+     * @param {number} delay - Seconds until the first volley (defaults to a random part of the interval)
+     */
+    constructor(bullets, pattern, owner, target = null, delay = null) {
+        const data = typeof pattern === 'string' ? BULLET_PATTERNS[pattern] : pattern;
+        if (!data || !VOLLEYS[data.type]) {
+            throw new Error(`Unknown bullet pattern: ${typeof pattern === 'string' ? pattern : data && data.type}`);
+        }
+        
+        this.bullets = bullets;
+        this.pattern = { ...EMITTER_DEFAULTS, ...data };
+        this.owner = owner;
+        this.target = target;
+        
+        // Stagger the first volley, so enemies spawned together don't fire as one
+        this.timer = delay ?? this.pattern.interval * (0.5 + random.gameplay.next());
+        
+        // Where a spiral points, and the shots left in a burst
+        this.angle = 0;
+        this.burstShots = 0;
+        this.burstTimer = 0;
+    }
+    
+    /**
+     * Check whether the emitter's owner has gone
+     * @returns {boolean} Whether the emitter is finished
+     */
+    isFinished() {
+        return !!this.owner.markedForRemoval;
+    }
+    
+    /**
+     * Count down to the next volley and fire it
+     * @param {number} delta - Time step in seconds
+     */
+    update(delta) {
+        this.angle += THREE.MathUtils.degToRad(this.pattern.turnRate) * delta;
+        
+        if (this.burstShots > 0) {
+            this.updateBurst(delta);
+        }
+        
+        this.timer -= delta;
+        if (this.timer > 0) {
+            return;
+        }
+        this.timer += this.pattern.interval;
+        
+        if (!this.canFire()) {
+            return;
+        }
+        
+        if (this.pattern.type === 'burst') {
+            this.burstShots = this.pattern.count;
+            this.burstTimer = 0;
+            this.updateBurst(0);
+        } else {
+            this.fireVolley();
+        }
+    }
+    
+    /**
+     * Fire the next shots of a burst that are due
+     * @param {number} delta - Time step in seconds
+     */
+    updateBurst(delta) {
+        this.burstTimer -= delta;
+        
+        while (this.burstShots > 0 && this.burstTimer <= 0) {
+            this.fireVolley();
+            this.burstShots--;
+            this.burstTimer += this.pattern.burstDelay;
+        }
+    }
+    
+    /**
+     * Make the next update fire, e.g. when the owner is provoked
+     */
+    fireNow() {
+        this.timer = Math.min(this.timer, 0);
+    }
+    
+    /**
+     * Check whether there is something to shoot at, with the owner in front of it and close enough to be on screen
+     * @returns {boolean} Whether to fire
+     */
+    canFire() {
+        if (!this.bullets || !this.target || this.target.disableControls || this.owner.isModelLoaded === false) {
+            return false;
+        }
+        
+        const range = this.owner.position.x - this.target.position.x;
+        return range > this.pattern.minRange && range < this.pattern.maxRange;
+    }
+    
+    /**
+     * Fire one volley of the pattern from where the owner is
+     */
+    fireVolley() {
+        const origin = this.owner.position;
+        const aim = Math.atan2(this.target.position.y - origin.y, this.target.position.x - origin.x);
+        
+        for (const direction of VOLLEYS[this.pattern.type](this.pattern, aim, this.angle)) {
+            const velocity = new THREE.Vector3(Math.cos(direction), Math.sin(direction), 0).multiplyScalar(this.pattern.speed);
+            this.bullets.fire(origin, velocity);
+        }
+    }
+    
+    /**
+     * Get the emitter's progress as plain data, for save games
+     * @returns {Object} Serializable emitter state
+     */
+    serialize() {
+        return {
+            pattern: { ...this.pattern },
+            timer: this.timer,
+            angle: this.angle,
+            burstShots: this.burstShots,
+            burstTimer: this.burstTimer
+        };
+    }
+    
+    /**
+     * Restore progress from state returned by serialize()
+     * @param {Object} state - Serialized emitter state
+     */
+    deserialize(state) {
+        this.timer = state.timer;
+        this.angle = state.angle;
+        this.burstShots = state.burstShots;
+        this.burstTimer = state.burstTimer;
+    }
+}
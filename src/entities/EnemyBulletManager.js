@@ -0,0 +1,272 @@
+import * as THREE from 'three';
+import { ObjectPool } from '../core/ObjectPool.js';
+import { Entity, RenderComponent, PhysicsComponent, ActorComponent, ColliderComponent, TransformComponent } from '../core/Component.js';
+import debugHelper from '../utils/DebugHelper.js';
+
+/**
+ * Shots fired by enemies
+ * Bullets are pooled world entities on the 'enemyProjectile' layer: the manager moves them,
+ * and the collision system reports when one reaches the player's hitbox.
+ * Enemies fire them in patterns through bullet emitters (see BulletEmitter)
+ */
+export class EnemyBulletManager {
+    /**
+     * Create a new enemy bullet manager
+     * @param {THREE.Scene} scene - The scene to add bullets to
+     * @param {World} world - World bullets are simulated in
+     */
+    constructor(scene, world = null) {
+        this.scene = scene;
+        this.world = world;
+        
+        // Bullet settings
+        this.bulletSpeed = 60;
+        this.bulletDamage = 10;
+        this.bulletLifetime = 5;         // Seconds before a bullet that hit nothing disappears
+        this.bulletRadius = 0.8;
+        
+        // Bullets in flight
+        this.bullets = [];
+        
+        // Shared look for every bullet
+        this.bulletGeometry = new THREE.SphereGeometry(this.bulletRadius, 8, 6);
+        this.bulletMaterial = new THREE.MeshBasicMaterial({ color: 0xff4466 });
+        
+        this.pool = new ObjectPool(
+            () => this.createBullet(),
+            (bullet) => {
+                bullet.visible = false;
+                
+                if (bullet.parent) {
+                    this.scene.remove(bullet);
+                }
+                if (this.world) {
+                    this.world.removeEntity(bullet.userData.entity);
+                }
+            },
+            40
+        );
+        
+        debugHelper.log("Enemy bullet manager initialized");
+    }
+    
+    /**
+     * Create a bullet for the pool
+     * @returns {THREE.Object3D} The bullet, hidden
+     */
+    createBullet() {
+        const bullet = new THREE.Mesh(this.bulletGeometry, this.bulletMaterial);
+        bullet.visible = false;
+        
+        bullet.userData = {
+            position: new THREE.Vector3(),
+            previousPosition: new THREE.Vector3(),
+            velocity: new THREE.Vector3(),
+            damage: this.bulletDamage,
+            debrisType: 'bullet',
+            mass: 1,
+            lifeTime: 0,
+            boundingBox: new THREE.Box3()
+        };
+        bullet.userData.entity = this.createBulletEntity(bullet);
+        
+        return bullet;
+    }
+    
+    /**
+     * Create the world entity for a pooled bullet
+     * Its components share the bullet's simulated vectors and bounding box
+     * @param {THREE.Object3D} bullet - The pooled bullet
+     * @returns {Entity} The entity
+     */
+    createBulletEntity(bullet) {
+        const entity = new Entity(this.scene);
+        
+        const transform = entity.getComponent(TransformComponent);
+        transform.position = bullet.userData.position;
+        transform.previousPosition = bullet.userData.previousPosition;
+        
+        const physics = entity.addComponent(PhysicsComponent);
+        physics.velocity = bullet.userData.velocity;
+        physics.drag = 0;
+        
+        entity.addComponent(RenderComponent).mesh = bullet;
+        
+        // Like missiles, bullets have no class of their own, so the manager moves them
+        entity.addComponent(ActorComponent).actor = {
+            update: (delta) => this.updateBullet(bullet, delta)
+        };
+        
+        const collider = entity.addComponent(ColliderComponent);
+        collider.layer = 'enemyProjectile';
+        collider.boundingBox = bullet.userData.boundingBox;
+        
+        // Only the core of the ship counts, when it has a hitbox
+        collider.hitTest = (box, other) => bullet.userData.boundingBox.intersectsBox(other && other.hitbox ? other.hitbox : box);
+        collider.onHit = (target) => this.handleBulletHit(bullet, target);
+        
+        return entity;
+    }
+    
+    /**
+     * Fire a bullet
+     * @param {THREE.Vector3} position - Where it starts
+     * @param {THREE.Vector3} velocity - Its velocity
+     * @returns {THREE.Object3D} The bullet
+     */
+    fire(position, velocity) {
+        const bullet = this.pool.get();
+        const data = bullet.userData;
+        
+        data.position.copy(position);
+        data.previousPosition.copy(position);
+        data.velocity.copy(velocity);
+        data.lifeTime = 0;
+        
+        bullet.position.copy(position);
+        bullet.visible = true;
+        this.updateBoundingBox(bullet);
+        
+        this.scene.add(bullet);
+        this.bullets.push(bullet);
+        if (this.world) {
+            this.world.addEntity(data.entity);
+        }
+        
+        return bullet;
+    }
+    
+    /**
+     * Fire a bullet straight at a point
+     * @param {THREE.Vector3} position - Where it starts
+     * @param {THREE.Vector3} target - Where to aim
+     * @param {number} speed - Bullet speed (defaults to bulletSpeed)
+     * @returns {THREE.Object3D} The bullet
+     */
+    fireAt(position, target, speed = this.bulletSpeed) {
+        const direction = new THREE.Vector3(target.x - position.x, target.y - position.y, 0);
+        if (direction.lengthSq() === 0) {
+            direction.set(-1, 0, 0);
+        }
+        
+        return this.fire(position, direction.normalize().multiplyScalar(speed));
+    }
+    
+    /**
+     * Move a bullet by one step, and drop it once it has flown long enough
+     * @param {THREE.Object3D} bullet - The bullet to update
+     * @param {number} delta - Time step in seconds
+     */
+    updateBullet(bullet, delta) {
+        const data = bullet.userData;
+        
+        data.previousPosition.copy(data.position);
+        data.position.addScaledVector(data.velocity, delta);
+        data.lifeTime += delta;
+        
+        bullet.position.copy(data.position);
+        this.updateBoundingBox(bullet);
+        
+        if (data.lifeTime > this.bulletLifetime) {
+            this.releaseBullet(bullet);
+        }
+    }
+    
+    /**
+     * Fit a bullet's bounding box around its simulated position
+     * @param {THREE.Object3D} bullet - The bullet
+     */
+    updateBoundingBox(bullet) {
+        const data = bullet.userData;
+        const size = this.bulletRadius * 2;
+        data.boundingBox.setFromCenterAndSize(data.position, new THREE.Vector3(size, size, size));
+    }
+    
+    /**
+     * Handle a bullet reaching the player, as reported by the collision system
+     * Bullets pass through a ship that can't be hit (just hit, respawning or phase shifting);
+     * this runs before the ship handles the hit, which would make it invulnerable
+     * @param {THREE.Object3D} bullet - The bullet
+     * @param {Entity} target - The entity it reached
+     */
+    handleBulletHit(bullet, target) {
+        const actor = target.getComponent(ActorComponent);
+        if (actor && actor.actor && actor.actor.invulnerable) {
+            return;
+        }
+        
+        this.releaseBullet(bullet);
+    }
+    
+    /**
+     * Take a bullet out of play and return it to the pool
+     * @param {THREE.Object3D} bullet - The bullet
+     */
+    releaseBullet(bullet) {
+        const index = this.bullets.indexOf(bullet);
+        if (index === -1) {
+            return;
+        }
+        
+        this.bullets.splice(index, 1);
+        this.pool.release(bullet);
+    }
+    
+    /**
+     * Cancel every bullet in an area, e.g. when a smart bomb goes off
+     * @param {THREE.Box3} bounds - The area to clear
+     * @returns {number} How many bullets were cancelled
+     */
+    cancel(bounds) {
+        const cancelled = this.bullets.filter(bullet => bounds.containsPoint(bullet.userData.position));
+        cancelled.forEach(bullet => this.releaseBullet(bullet));
+        
+        return cancelled.length;
+    }
+    
+    /**
+     * Get every bullet in flight as plain data, for save games
+     * @returns {Object[]} Serializable bullet state
+     */
+    serialize() {
+        return this.bullets.map(bullet => ({
+            position: bullet.userData.position.toArray(),
+            velocity: bullet.userData.velocity.toArray(),
+            lifeTime: bullet.userData.lifeTime
+        }));
+    }
+    
+    /**
+     * Restore state returned by serialize(), replacing any bullets in flight
+     * @param {Object[]} state - Serialized bullet state
+     */
+    deserialize(state) {
+        this.clear();
+        
+        for (const bulletState of state) {
+            const bullet = this.fire(
+                new THREE.Vector3().fromArray(bulletState.position),
+                new THREE.Vector3().fromArray(bulletState.velocity)
+            );
+            bullet.userData.lifeTime = bulletState.lifeTime;
+        }
+    }
+    
+    /**
+     * Return every bullet in flight to the pool
+     */
+    clear() {
+        for (const bullet of this.bullets.slice()) {
+            this.releaseBullet(bullet);
+        }
+    }
+    
+    /**
+     * Remove every bullet and free the shared geometry
+     */
+    dispose() {
+        this.clear();
+        this.bulletGeometry.dispose();
+        this.bulletMaterial.dispose();
+    }
+}
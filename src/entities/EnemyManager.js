@@ -1,6 +1,14 @@
 import * as THREE from 'three';
-import { Asteroid } from './Asteroid';
+import { Asteroid, ASTEROID_TIERS } from './Asteroid.js';
+import { Fighter } from './Fighter.js';
+import { Boss } from './Boss.js';
+import { BOSSES } from './Bosses.js';
+import { EnemyBulletManager } from './EnemyBulletManager.js';
+import { BulletEmitter } from './BulletEmitter.js';
+import { Formation, FORMATION_SHAPES } from './Formation.js';
 import debugHelper from '../utils/DebugHelper.js';
+import { random } from '../core/Random.js';
+import { gameEvents, GameEvents } from '../core/EventSystem.js';
 
 /**
  * Class that manages enemy spawning and tracking
@@ -10,22 +18,34 @@ export class EnemyManager {
      * Create a new enemy manager
      * @param {THREE.Scene} scene - The scene to add enemies to
      * @param {Object} resourceManager - The resource manager to get models from
+     * @param {World} world - World that loaded enemies are added to (it updates and collides them)
      */
-    constructor(scene, resourceManager = null) {
+    constructor(scene, resourceManager = null, world = null) {
         this.scene = scene;
         this.resourceManager = resourceManager;
+        this.world = world;
+        
+        // What enemies aim at (see setTarget), the shots they fire at it and the patterns they fire in
+        this.target = null;
+        this.bullets = new EnemyBulletManager(scene, world);
+        this.emitters = [];
         
         debugHelper.log(`EnemyManager: Initialized with resourceManager: ${this.resourceManager ? 'provided' : 'not provided'}`);
         
         // Collection of spawned entities
         this.entities = {
             asteroids: [],       // All asteroids (including those still loading)
-            loadedAsteroids: []  // Only fully loaded asteroids with models
+            loadedAsteroids: [], // Only fully loaded asteroids with models
+            fighters: [],        // Fighters, which are set up as soon as they are spawned
+            bosses: []           // Bosses (see spawnBoss)
         };
         
         // Track pending asteroid loads
         this.pendingAsteroidLoads = 0;
         
+        // Formations still flying (see spawnFormation)
+        this.formations = [];
+        
         // Start with higher difficulty
         this.initialDifficultyLevel = 3; // Start at equivalent of level 3
         
@@ -61,6 +81,15 @@ export class EnemyManager {
         this.waveStartTime = 0;
         this.waveEndTime = this.waveDuration;
         
+        // Boss brought in near the end of each level (see prepareBossEncounter); null leaves bosses to the level script
+        this.encounterBoss = 'giant-asteroid';
+        
+        // Destroyed asteroids split into fragments from the size tier below (see ASTEROID_TIERS)
+        this.fragmentSpeed = { min: 8, max: 16 };   // Spread added to the parent's velocity
+        this.fragmentMassRatio = 0.5;               // Fragment mass, as a share of the parent's
+        this.fragmentScaleRatio = 0.6;              // Fragment size, as a share of the parent's
+        this.removeDestroyedListener = gameEvents.on(GameEvents.ENEMY_DESTROYED, (data) => this.handleEnemyDestroyed(data));
+        
         // More frequent events
         this.progressEvents = [
             { progress: 0.20, event: 'increaseDifficulty', triggered: false },
@@ -90,30 +119,30 @@ export class EnemyManager {
         
         for (let i = 0; i < count; i++) {
             // Position asteroids off-screen to the right, so they move into view
-            const xPos = Math.random() * 100 + 180; // 180-280 units from right (off-screen)
+            const xPos = random.gameplay.next() * 100 + 180; // 180-280 units from right (off-screen)
             
             // Varied vertical positions, but keep within likely visible area
-            const yPos = (Math.random() - 0.5) * 80; // Smaller height coverage to ensure visibility
+            const yPos = (random.gameplay.next() - 0.5) * 80; // Smaller height coverage to ensure visibility
             
             // Keep Z near 0 for side-scroller
             const position = new THREE.Vector3(xPos, yPos, 0);
             
             // Create different movement patterns
-            const pattern = Math.floor(Math.random() * 4);
+            const pattern = Math.floor(random.gameplay.next() * 4);
             let velocity;
             
             switch (pattern) {
                 case 0: // Standard left movement
-                    velocity = new THREE.Vector3(-Math.random() * 15 - 10, 0, 0);
+                    velocity = new THREE.Vector3(-random.gameplay.next() * 15 - 10, 0, 0);
                     break;
                 case 1: // Diagonal down
-                    velocity = new THREE.Vector3(-Math.random() * 15 - 10, -Math.random() * 8 - 3, 0);
+                    velocity = new THREE.Vector3(-random.gameplay.next() * 15 - 10, -random.gameplay.next() * 8 - 3, 0);
                     break;
                 case 2: // Diagonal up
-                    velocity = new THREE.Vector3(-Math.random() * 15 - 10, Math.random() * 8 + 3, 0);
+                    velocity = new THREE.Vector3(-random.gameplay.next() * 15 - 10, random.gameplay.next() * 8 + 3, 0);
                     break;
                 case 3: // Sine wave pattern (vertical movement handled in Asteroid class)
-                    velocity = new THREE.Vector3(-Math.random() * 15 - 10, 0, 0);
+                    velocity = new THREE.Vector3(-random.gameplay.next() * 15 - 10, 0, 0);
                     break;
             }
             
@@ -125,6 +154,7 @@ export class EnemyManager {
                 debugHelper.log(`EnemyManager: Asteroid ${i+1}/${count} model loaded successfully at position (${asteroid.position.x.toFixed(1)}, ${asteroid.position.y.toFixed(1)}, ${asteroid.position.z.toFixed(1)})`);
                 this.entities.loadedAsteroids.push(asteroid);
                 this.pendingAsteroidLoads--;
+                this.addToWorld(asteroid);
                 debugHelper.log(`EnemyManager: ${this.pendingAsteroidLoads} asteroids still loading, ${this.entities.loadedAsteroids.length} loaded`);
             };
             
@@ -154,7 +184,8 @@ export class EnemyManager {
     }
     
     /**
-     * Update all enemies and handle spawning
+     * Handle spawning and clean up removed enemies
+     * The asteroids themselves are moved by the world's physics system
      * @param {number} delta - Time step in seconds
      */
     update(delta) {
@@ -173,16 +204,17 @@ export class EnemyManager {
         // Spawn enemies based on current game state
         this.spawnEnemies(delta);
         
+        // Steer formation members into their slots before physics moves them
+        this.updateFormations(delta);
+        
+        // Fire from where enemies are at the start of the step
+        this.updateEmitters(delta);
+        
         // Log asteroid count periodically (every ~5 seconds)
         if (Math.floor(this.gameTime) % 5 === 0 && Math.floor(this.gameTime) !== Math.floor(this.gameTime - delta)) {
             debugHelper.log(`EnemyManager: Currently managing ${this.entities.asteroids.length} asteroids (${this.entities.loadedAsteroids.length} loaded, ${this.pendingAsteroidLoads} loading) at time ${this.gameTime.toFixed(1)}`);
         }
         
-        // Update all loaded asteroids
-        this.entities.loadedAsteroids.forEach(asteroid => {
-            asteroid.update(delta);
-        });
-        
         // Remove any entities marked for removal
         const beforeCount = this.entities.asteroids.length;
         const beforeLoadedCount = this.entities.loadedAsteroids.length;
@@ -196,6 +228,203 @@ export class EnemyManager {
         }
     }
     
+    /**
+     * Get the asteroids that are loaded and still in play
+     * @returns {Asteroid[]} Live asteroids, in spawn order
+     */
+    getLiveAsteroids() {
+        return this.entities.loadedAsteroids.filter(asteroid => !asteroid.markedForRemoval);
+    }
+    
+    /**
+     * Get every enemy that is loaded and still in play
+     * They come in the order the world updates and collides them, so a game restored from them
+     * resolves overlapping hits the same way as the game that was saved
+     * @returns {Object[]} Live asteroids, fighters and bosses
+     */
+    getLiveEnemies() {
+        const enemies = [
+            ...this.getLiveAsteroids(),
+            ...this.entities.fighters.filter(fighter => !fighter.markedForRemoval),
+            ...this.getLiveBosses()
+        ];
+        
+        if (this.world) {
+            const order = new Map();
+            for (const entity of this.world.entities) {
+                order.set(entity, order.size);
+            }
+            enemies.sort((a, b) => order.get(a.entity) - order.get(b.entity));
+        }
+        
+        return enemies;
+    }
+    
+    /**
+     * Get the bosses that are still in play, including any still making their entrance or being defeated
+     * @returns {Boss[]} Live bosses
+     */
+    getLiveBosses() {
+        return this.entities.bosses.filter(boss => !boss.markedForRemoval);
+    }
+    
+    /**
+     * Set what enemies fly at and shoot at
+     * @param {Object} target - Anything with a position, usually the player
+     */
+    setTarget(target) {
+        this.target = target;
+        this.entities.fighters.forEach(fighter => {
+            fighter.target = target;
+        });
+        this.emitters.forEach(emitter => {
+            emitter.target = target;
+        });
+    }
+    
+    /**
+     * Get the spawn timing and every live asteroid as plain data, for save games
+     * @returns {Object} Serializable enemy state
+     */
+    serialize() {
+        const enemies = this.getLiveEnemies();
+        
+        return {
+            gameTime: this.gameTime,
+            gameProgress: this.gameProgress,
+            lastSpawnTime: this.lastSpawnTime,
+            currentLevel: this.currentLevel,
+            currentWave: this.currentWave,
+            waveStartTime: this.waveStartTime,
+            waveEndTime: this.waveEndTime,
+            progressEvents: this.progressEvents.map(event => event.triggered),
+            encounterBoss: this.encounterBoss,
+            enemies: enemies.map(enemy => ({
+                type: enemy instanceof Boss ? 'boss' : enemy instanceof Fighter ? 'fighter' : 'asteroid',
+                state: enemy.serialize()
+            })),
+            bullets: this.bullets.serialize(),
+            formations: this.formations.map(formation => formation.serialize(enemies)),
+            emitters: this.emitters
+                .filter(emitter => !emitter.isFinished())
+                .map(emitter => ({ ...this.getEmitterOwnerIndex(emitter.owner, enemies), ...emitter.serialize() }))
+                .filter(emitterState => emitterState.owner !== -1)
+        };
+    }
+    
+    /**
+     * Find an emitter's owner among the saved enemies
+     * Weak points aren't saved on their own, so their emitters are saved against their boss
+     * @param {Object} owner - The emitter's owner
+     * @param {Object[]} enemies - The saved enemies
+     * @returns {Object} The owner's index (-1 if it isn't saved), and the weak point's id if it is one
+     */
+    getEmitterOwnerIndex(owner, enemies) {
+        if (owner.boss) {
+            return { owner: enemies.indexOf(owner.boss), part: owner.id };
+        }
+        
+        return { owner: enemies.indexOf(owner) };
+    }
+    
+    /**
+     * Restore state returned by serialize(), replacing every current enemy
+     * @param {Object} state - Serialized enemy state
+     * @returns {Object[]} The restored enemies, in the same order as they were saved
+     */
+    deserialize(state) {
+        this.clear();
+        
+        this.gameTime = state.gameTime;
+        this.gameProgress = state.gameProgress;
+        this.lastSpawnTime = state.lastSpawnTime;
+        this.currentLevel = state.currentLevel;
+        this.currentWave = state.currentWave;
+        this.waveStartTime = state.waveStartTime;
+        this.waveEndTime = state.waveEndTime;
+        this.progressEvents.forEach((event, index) => {
+            event.triggered = state.progressEvents[index];
+        });
+        this.encounterBoss = state.encounterBoss !== undefined ? state.encounterBoss : 'giant-asteroid';
+        
+        // Saves from before there were fighters only list asteroids
+        const saved = state.enemies || state.asteroids.map(asteroidState => ({ type: 'asteroid', state: asteroidState }));
+        
+        const enemies = saved.map(({ type, state: enemyState }) => {
+            let enemy;
+            if (type === 'boss') {
+                enemy = this.spawnBoss(enemyState.type);
+            } else if (type === 'fighter') {
+                enemy = this.spawnFighter(null, enemyState.pattern);
+            } else {
+                enemy = this.spawnAsteroid(null, null, enemyState.pattern);
+            }
+            enemy.deserialize(enemyState);
+            return enemy;
+        });
+        
+        this.bullets.deserialize(state.bullets || []);
+        
+        this.formations = (state.formations || []).map(formationState => {
+            const formation = new Formation({
+                shape: formationState.shape,
+                path: formationState.path,
+                origin: new THREE.Vector3().fromArray(formationState.origin),
+                bonus: formationState.bonus,
+                ...formationState.overrides
+            });
+            formation.deserialize(formationState, enemies);
+            return formation;
+        });
+        
+        // Replace the emitters the enemies were given as they were spawned with the saved ones
+        this.clearEmitters();
+        for (const emitterState of state.emitters || []) {
+            const owner = emitterState.part
+                ? enemies[emitterState.owner].getWeakPoint(emitterState.part)
+                : enemies[emitterState.owner];
+            const emitter = this.attachEmitter(owner, emitterState.pattern, emitterState.timer);
+            emitter.deserialize(emitterState);
+        }
+        
+        return enemies;
+    }
+    
+    /**
+     * Remove every enemy and stop listening for destroyed enemies
+     */
+    dispose() {
+        this.removeDestroyedListener();
+        this.clear();
+        this.bullets.dispose();
+    }
+    
+    /**
+     * Remove every enemy from the scene
+     */
+    clear() {
+        this.entities.asteroids.forEach(asteroid => {
+            asteroid.remove();
+        });
+        
+        this.entities.fighters.forEach(fighter => {
+            fighter.remove();
+        });
+        
+        this.entities.bosses.forEach(boss => {
+            boss.remove();
+        });
+        
+        this.entities.asteroids = [];
+        this.entities.loadedAsteroids = [];
+        this.entities.fighters = [];
+        this.entities.bosses = [];
+        this.pendingAsteroidLoads = 0;
+        this.formations = [];
+        this.clearEmitters();
+        this.bullets.clear();
+    }
+    
     /**
      * Clean up any entities marked for removal
      */
@@ -205,6 +434,9 @@ export class EnemyManager {
         
         // Also filter the loadedAsteroids array
         this.entities.loadedAsteroids = this.entities.loadedAsteroids.filter(asteroid => !asteroid.markedForRemoval);
+        
+        this.entities.fighters = this.entities.fighters.filter(fighter => !fighter.markedForRemoval);
+        this.entities.bosses = this.entities.bosses.filter(boss => !boss.markedForRemoval);
     }
     
     /**
@@ -275,7 +507,7 @@ export class EnemyManager {
                 // Only spawn if below max limit
                 if (currentCount < config.maxEntities) {
                     // Try to spawn
-                    if (Math.random() < this.getSpawnProbability(type)) {
+                    if (random.gameplay.next() < this.getSpawnProbability(type)) {
                         this.spawnEnemy(type);
                         this.lastSpawnTime = this.gameTime;
                     }
@@ -351,8 +583,8 @@ export class EnemyManager {
         const config = this.enemyTypes[type];
         
         // Position asteroids off-screen to the right so they move into view
-        const xPos = Math.random() * 100 + 150; // 150-250 units from right (off-screen)
-        const yPos = (Math.random() - 0.5) * 80; // Smaller height coverage to ensure visibility
+        const xPos = random.gameplay.next() * 100 + 150; // 150-250 units from right (off-screen)
+        const yPos = (random.gameplay.next() - 0.5) * 80; // Smaller height coverage to ensure visibility
         const position = new THREE.Vector3(xPos, yPos, 0);
         
         // Determine movement pattern based on type
@@ -365,7 +597,7 @@ export class EnemyManager {
                 speedMultiplier = 1.0;
                 break;
             case 'fast':
-                pattern = Math.random() < 0.5 ? 1 : 2; // Diagonal movement
+                pattern = random.gameplay.next() < 0.5 ? 1 : 2; // Diagonal movement
                 speedMultiplier = 1.5;
                 break;
             case 'wavey':
@@ -375,7 +607,7 @@ export class EnemyManager {
         }
         
         // Calculate speed based on configuration and level
-        const baseSpeed = Math.random() * 
+        const baseSpeed = random.gameplay.next() * 
             (config.speedRange.max - config.speedRange.min) + 
             config.speedRange.min;
         
@@ -410,6 +642,7 @@ export class EnemyManager {
             debugHelper.log(`EnemyManager: New asteroid model loaded successfully at position (${asteroid.position.x.toFixed(1)}, ${asteroid.position.y.toFixed(1)}, ${asteroid.position.z.toFixed(1)})`);
             this.entities.loadedAsteroids.push(asteroid);
             this.pendingAsteroidLoads--;
+            this.addToWorld(asteroid);
             debugHelper.log(`EnemyManager: ${this.pendingAsteroidLoads} asteroids still loading, ${this.entities.loadedAsteroids.length} loaded`);
         };
         
@@ -423,59 +656,271 @@ export class EnemyManager {
     }
     
     /**
-     * Spawn a wave of enemies
+     * Create an asteroid and register it with the manager so it is updated and collidable
+     * @param {THREE.Vector3} position - Initial position (null for random)
+     * @param {THREE.Vector3} velocity - Initial velocity (null for random)
+     * @param {number} pattern - Movement pattern (0-3)
+     * @returns {Asteroid} The new asteroid
      */
-    spawnEnemyWave() {
-        const waveSize = 5 + this.currentLevel * 2; // More enemies in higher levels
+    spawnAsteroid(position = null, velocity = null, pattern = 0) {
+        // Increment pending loads counter
+        this.pendingAsteroidLoads++;
         
-        debugHelper.log(`Spawning wave of ${waveSize} enemies`);
+        const onLoaded = (asteroid) => {
+            this.entities.loadedAsteroids.push(asteroid);
+            this.pendingAsteroidLoads--;
+            this.addToWorld(asteroid);
+        };
         
-        // Increment pending loads counter
-        this.pendingAsteroidLoads += waveSize;
-        
-        // Spawn enemies in a formation
-        for (let i = 0; i < waveSize; i++) {
-            // Create a formation pattern - line, V-shape, etc.
-            // Position off-screen to the right
-            const xPos = Math.random() * 80 + 200; // 200-280 units from right (off-screen)
-            const yPos = (Math.random() - 0.5) * 70; // In formation, but within visible area
-            const position = new THREE.Vector3(xPos, yPos, 0);
-            
-            // Enemies in a wave move more cohesively
-            const pattern = i % 4; // Mix of patterns
-            const speed = 15 + this.currentLevel * 2; // Faster in higher levels
+        const asteroid = new Asteroid(this.scene, position, velocity, pattern, this.resourceManager, onLoaded);
+        this.entities.asteroids.push(asteroid);
+        
+        return asteroid;
+    }
+    
+    /**
+     * Create a fighter and register it with the manager so it is updated, collidable and can shoot
+     * @param {THREE.Vector3} position - Initial position (null for the default entry point)
+     * @param {string} pattern - Movement pattern ('formation' or 'attack', see Fighter)
+     * @param {number} index - Place in its wave
+     * @returns {Fighter} The new fighter
+     */
+    spawnFighter(position = null, pattern = 'formation', index = 0) {
+        const fighter = new Fighter(this.scene, position, pattern, this.resourceManager, {
+            onLoaded: (loaded) => this.addToWorld(loaded),
+            target: this.target,
+            index
+        });
+        this.entities.fighters.push(fighter);
+        this.attachEmitter(fighter, fighter.config.weapon);
+        
+        return fighter;
+    }
+    
+    /**
+     * Create a boss and register it with the manager so it is updated and collidable
+     * Its weak points join the world ahead of its hull, so shots that reach both hit the weak point
+     * @param {string} type - Boss type, a key of BOSSES
+     * @param {Object} options - Boss options (see Boss), e.g. health in place of the definition's
+     * @returns {Boss} The new boss, starting its entrance
+     */
+    spawnBoss(type, options = {}) {
+        const definition = BOSSES[type];
+        if (!definition) {
+            throw new Error(`Unknown boss type: ${type}`);
+        }
+        
+        const boss = new definition.class(this.scene, type, definition, this.resourceManager, {
+            ...options,
+            onLoaded: (loaded) => {
+                loaded.weakPoints.forEach(weakPoint => this.addToWorld(weakPoint));
+                this.addToWorld(loaded);
+            },
+            enemyManager: this
+        });
+        this.entities.bosses.push(boss);
+        
+        debugHelper.log(`EnemyManager: Spawned ${definition.name} boss`);
+        return boss;
+    }
+    
+    /**
+     * Make an enemy (or a boss, or any part of one) fire a bullet pattern
+     * @param {Object} owner - What fires (anything with a position)
+     * @param {string|Object} pattern - A key of BULLET_PATTERNS, or a pattern of the same form
+     * @param {number} delay - Seconds until the first volley (defaults to a random part of the interval)
+     * @returns {BulletEmitter} The emitter
+     */
+    attachEmitter(owner, pattern, delay = null) {
+        const emitter = new BulletEmitter(this.bullets, pattern, owner, this.target, delay);
+        this.emitters.push(emitter);
+        
+        if (owner.emitters) {
+            owner.emitters.push(emitter);
+        }
+        
+        return emitter;
+    }
+    
+    /**
+     * Stop everything an owner fires, e.g. to switch its patterns
+     * @param {Object} owner - The owner given to attachEmitter
+     */
+    detachEmitters(owner) {
+        this.emitters = this.emitters.filter(emitter => emitter.owner !== owner);
+        
+        if (owner.emitters) {
+            owner.emitters = [];
+        }
+    }
+    
+    /**
+     * Remove every emitter
+     */
+    clearEmitters() {
+        this.emitters.forEach(emitter => {
+            if (emitter.owner.emitters) {
+                emitter.owner.emitters = [];
+            }
+        });
+        this.emitters = [];
+    }
+    
+    /**
+     * Fire every emitter that is due and drop the ones whose owners have gone
+     * @param {number} delta - Time step in seconds
+     */
+    updateEmitters(delta) {
+        this.emitters = this.emitters.filter(emitter => !emitter.isFinished());
+        this.emitters.forEach(emitter => emitter.update(delta));
+    }
+    
+    /**
+     * Spawn a wave that flies as a formation (see Formation)
+     * Members start in their slots, leader first, and the formation steers them from then on
+     * @param {string} type - Enemy type ('asteroid' or 'fighter')
+     * @param {number} count - Number of members
+     * @param {Object} options - Formation options (see Formation), with the origin just off the right of the screen by default
+     * @returns {Object[]} The members, leader first
+     */
+    spawnFormation(type, count, options = {}) {
+        const formation = new Formation({ origin: new THREE.Vector3(260, 0, 0), ...options });
+        
+        for (let i = 0; i < count; i++) {
+            const position = formation.getSlotPosition(i, count);
             
-            let velocity;
-            switch (pattern) {
-                case 0: // Standard left movement
-                    velocity = new THREE.Vector3(-speed, 0, 0);
-                    break;
-                case 1: // Diagonal down
-                    velocity = new THREE.Vector3(-speed, -speed * 0.3, 0);
-                    break;
-                case 2: // Diagonal up
-                    velocity = new THREE.Vector3(-speed, speed * 0.3, 0);
-                    break;
-                case 3: // Sine wave pattern
-                    velocity = new THREE.Vector3(-speed, 0, 0);
-                    break;
+            let enemy;
+            if (type === 'fighter') {
+                enemy = this.spawnFighter(position, 'formation', i);
+            } else {
+                enemy = this.spawnAsteroid(position, new THREE.Vector3(), 0);
+                
+                // A formation flies past once
+                enemy.recycle = false;
             }
             
-            // Define the onLoaded callback
-            const onLoaded = (asteroid) => {
-                debugHelper.log(`EnemyManager: Wave asteroid ${i+1}/${waveSize} model loaded successfully at position (${asteroid.position.x.toFixed(1)}, ${asteroid.position.y.toFixed(1)}, ${asteroid.position.z.toFixed(1)})`);
-                this.entities.loadedAsteroids.push(asteroid);
-                this.pendingAsteroidLoads--;
-                debugHelper.log(`EnemyManager: ${this.pendingAsteroidLoads} asteroids still loading, ${this.entities.loadedAsteroids.length} loaded`);
-            };
+            formation.addMember(enemy);
+        }
+        
+        this.formations.push(formation);
+        debugHelper.log(`EnemyManager: Spawned ${formation.shape} formation of ${count} ${type}s on a ${formation.path} path`);
+        
+        return formation.members.slice();
+    }
+    
+    /**
+     * Move every formation along and drop the ones with no members left
+     * @param {number} delta - Time step in seconds
+     */
+    updateFormations(delta) {
+        this.formations.forEach(formation => formation.update(delta));
+        this.formations = this.formations.filter(formation => !formation.isFinished());
+    }
+    
+    /**
+     * Let a destroyed enemy's formation know, and award the bonus if that cleared it
+     * @param {Object} enemy - The destroyed enemy
+     */
+    handleFormationMemberDestroyed(enemy) {
+        const formation = enemy.formation;
+        if (!formation.handleMemberDestroyed(enemy)) {
+            return;
+        }
+        
+        gameEvents.emit(GameEvents.FORMATION_CLEARED, {
+            position: enemy.position.clone(),
+            shape: formation.shape,
+            size: formation.size,
+            bonus: formation.getBonus()
+        });
+    }
+    
+    /**
+     * Handle a destroyed enemy: formations react, and asteroids split into fragments
+     * @param {Object} data - ENEMY_DESTROYED event data
+     */
+    handleEnemyDestroyed(data) {
+        if (data && data.enemy && data.enemy.formation) {
+            this.handleFormationMemberDestroyed(data.enemy);
+        }
+        
+        // Smart bombs clear the screen, so they leave nothing behind; bosses go down in one piece
+        if (!data || data.source === 'bomb' || !(data.enemy instanceof Asteroid) || data.enemy.isBoss) {
+            return;
+        }
+        
+        this.fragmentAsteroid(data.enemy);
+    }
+    
+    /**
+     * Spawn the fragments of a destroyed asteroid, spread out from where it was
+     * Fragments carry on with the parent's momentum, and are registered like any other asteroid
+     * @param {Asteroid} parent - The destroyed asteroid
+     * @returns {Asteroid[]} The fragments (none for the smallest tier)
+     */
+    fragmentAsteroid(parent) {
+        const tier = ASTEROID_TIERS[parent.sizeTier];
+        if (parent.sizeTier === 0 || !tier) {
+            return [];
+        }
+        
+        const { min, max } = tier.fragments;
+        const count = min + Math.floor(random.gameplay.next() * (max - min + 1));
+        const fragments = [];
+        
+        // Evenly spaced around a random starting angle, so fragments never overlap
+        const startAngle = random.gameplay.next() * Math.PI * 2;
+        for (let i = 0; i < count; i++) {
+            const angle = startAngle + (i / count) * Math.PI * 2;
+            const direction = new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0);
+            const speed = this.fragmentSpeed.min + random.gameplay.next() * (this.fragmentSpeed.max - this.fragmentSpeed.min);
             
-            // Create the asteroid
-            const asteroid = new Asteroid(this.scene, position, velocity, pattern, this.resourceManager, onLoaded);
-            this.entities.asteroids.push(asteroid);
+            const position = parent.position.clone().addScaledVector(direction, parent.scale * 0.5);
+            const velocity = parent.velocity.clone().addScaledVector(direction, speed);
+            velocity.z = 0;
             
-            // Slight delay between each spawn
-            this.lastSpawnTime = this.gameTime;
+            const fragment = this.spawnAsteroid(position, velocity, 0);
+            fragment.setSize(parent.mass * this.fragmentMassRatio, parent.scale * this.fragmentScaleRatio);
+            fragment.sizeTier = parent.sizeTier - 1;
+            fragment.recycle = false;
+            fragments.push(fragment);
         }
+        
+        debugHelper.log(`EnemyManager: ${ASTEROID_TIERS[parent.sizeTier].name} asteroid split into ${count} fragments`);
+        return fragments;
+    }
+    
+    /**
+     * Add a loaded enemy's entity to the world, so it starts moving and colliding
+     * @param {Asteroid|Fighter|Boss|BossWeakPoint} enemy - The loaded enemy
+     */
+    addToWorld(enemy) {
+        if (this.world) {
+            this.world.addEntity(enemy.entity);
+        }
+    }
+    
+    /**
+     * Spawn a wave of asteroids flying in a formation of a random shape
+     */
+    spawnEnemyWave() {
+        const waveSize = 5 + this.currentLevel * 2; // More enemies in higher levels
+        
+        const shapes = Object.keys(FORMATION_SHAPES);
+        const shape = shapes[Math.floor(random.gameplay.next() * shapes.length)];
+        const y = (random.gameplay.next() - 0.5) * 40;
+        
+        debugHelper.log(`Spawning ${shape} formation wave of ${waveSize} enemies`);
+        
+        this.spawnFormation('asteroid', waveSize, {
+            shape,
+            path: 'straight',
+            origin: new THREE.Vector3(240, y, 0), // Off-screen to the right
+            speed: 15 + this.currentLevel * 2,    // Faster in higher levels
+            spacing: 14                           // Asteroids need more room than ships
+        });
+        
+        this.lastSpawnTime = this.gameTime;
     }
     
     /**
@@ -493,7 +938,8 @@ export class EnemyManager {
     }
     
     /**
-     * Prepare for a boss encounter
+     * Prepare for a boss encounter: clear most of the field and bring in the encounter boss,
+     * unless bosses are left to the level script or one is already in play
      */
     prepareBossEncounter() {
         debugHelper.log(`Preparing for boss encounter at level ${this.currentLevel}`);
@@ -501,44 +947,17 @@ export class EnemyManager {
         // Clear most existing enemies to make room for the boss
         const keepCount = 5; // Keep a few enemies
         if (this.entities.asteroids.length > keepCount) {
-            // Mark excess asteroids for removal
+            // Remove excess asteroids (from the world too, so they stop colliding)
             for (let i = keepCount; i < this.entities.asteroids.length; i++) {
-                this.entities.asteroids[i].markedForRemoval = true;
+                this.entities.asteroids[i].remove();
             }
         }
         
-        // In the future, this would spawn a boss enemy
-        // For now, just spawn a bigger, tougher asteroid
-        const xPos = 250; // Start off-screen to the right
-        const yPos = 0;   // Center
-        const position = new THREE.Vector3(xPos, yPos, 0);
-        const velocity = new THREE.Vector3(-8, 0, 0); // Slower but tougher
-        
-        // Log the boss spawn position
-        debugHelper.log(`EnemyManager: Spawning boss asteroid at position (${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)})`);
-        
-        // Increment pending loads counter
-        this.pendingAsteroidLoads++;
-        
-        // Define the onLoaded callback
-        const onLoaded = (asteroid) => {
-            debugHelper.log(`EnemyManager: Boss asteroid model loaded successfully at position (${asteroid.position.x.toFixed(1)}, ${asteroid.position.y.toFixed(1)}, ${asteroid.position.z.toFixed(1)})`);
-            this.entities.loadedAsteroids.push(asteroid);
-            this.pendingAsteroidLoads--;
-            debugHelper.log(`EnemyManager: ${this.pendingAsteroidLoads} asteroids still loading, ${this.entities.loadedAsteroids.length} loaded`);
-        };
-        
-        // Create a "boss" asteroid
-        const bossAsteroid = new Asteroid(this.scene, position, velocity, 3, this.resourceManager, onLoaded);
-        
-        // Make it bigger and tougher
-        bossAsteroid.scale = 4.0;
-        bossAsteroid.mass = 200;
-        
-        // Add to collection
-        this.entities.asteroids.push(bossAsteroid);
+        if (!this.encounterBoss || this.getLiveBosses().length > 0) {
+            return;
+        }
         
-        debugHelper.log(`EnemyManager: Boss asteroid spawned at position (${position.x.toFixed(1)}, ${position.y.toFixed(1)}, ${position.z.toFixed(1)})`);
+        this.spawnBoss(this.encounterBoss);
     }
     
     /**
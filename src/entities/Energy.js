@@ -0,0 +1,152 @@
+/**
+ * Energy tuning for the ship's abilities
+ *
+ * - capacity: Energy when full
+ * - rechargeRate: Energy restored per second
+ * - rechargeDelay: Seconds after spending energy before recharging starts
+ * - boost: Temporary speed boost while held
+ *   - drainRate: Energy spent per second of boosting
+ *   - minEnergy: Energy needed to start boosting (it then runs until the energy is gone)
+ *   - speedMultiplier: Ship speed while boosting, as a multiple of its normal speed
+ * - chargeShot: Heavy piercing shot, fired at full charge by its own control, or charged up by holding fire in the 'charge' fire mode
+ *   - cost: Energy for a fully charged shot (partly charged shots cost their share)
+ *   - weapon: Weapon id from WEAPONS fired by the shot
+ *   - holdThreshold: Seconds fire must be held before a shot starts charging
+ *   - chargeTime: Seconds from starting to charge to full charge
+ *   - cancelOnDamage: Whether taking a hit throws away the charge
+ * - special: Phase shift, which makes the ship intangible for a while
+ *   - cost: Energy per use
+ *   - duration: Seconds the ship stays intangible
+ *
+ * Pass overrides as the Player's energy option to rebalance without touching these defaults
+ */
+export const ENERGY_CONFIG = Object.freeze({
+    capacity: 100,
+    rechargeRate: 5,
+    rechargeDelay: 1,
+    boost: {
+        drainRate: 30,
+        minEnergy: 10,
+        speedMultiplier: 1.75
+    },
+    chargeShot: {
+        cost: 25,
+        weapon: 'charge',
+        holdThreshold: 0.25,
+        chargeTime: 1.5,
+        cancelOnDamage: true
+    },
+    special: {
+        cost: 60,
+        duration: 2.5
+    }
+});
+
+/**
+ * Merge tuning overrides into the default energy config
+ * @param {Object} overrides - Any ENERGY_CONFIG fields; ability fields may be given one at a time
+ * @returns {Object} The merged config
+ */
+export function createEnergyConfig(overrides = {}) {
+    const config = { ...ENERGY_CONFIG, ...overrides };
+    
+    for (const ability of ['boost', 'chargeShot', 'special']) {
+        config[ability] = { ...ENERGY_CONFIG[ability], ...overrides[ability] };
+    }
+    
+    return config;
+}
+
+/**
+ * The ship's energy reserve
+ * Abilities spend energy, and it recharges at a steady rate once a short delay after the last spend has passed
+ */
+export class Energy {
+    /**
+     * Create a new energy reserve, full
+     * @param {Object} config - Energy config (see createEnergyConfig)
+     */
+    constructor(config = ENERGY_CONFIG) {
+        this.capacity = config.capacity;
+        this.rechargeRate = config.rechargeRate;
+        this.rechargeDelay = config.rechargeDelay;
+        
+        this.current = this.capacity;
+        this.rechargeTimer = 0;      // Seconds until recharging starts
+    }
+    
+    /**
+     * Spend a fixed amount of energy, all or nothing
+     * @param {number} amount - Energy to spend
+     * @returns {boolean} Whether there was enough energy
+     */
+    spend(amount) {
+        if (this.current < amount) {
+            return false;
+        }
+        
+        this.current -= amount;
+        this.rechargeTimer = this.rechargeDelay;
+        return true;
+    }
+    
+    /**
+     * Spend as much of an amount of energy as is left, for abilities that drain over time
+     * @param {number} amount - Energy to spend
+     * @returns {number} Energy actually spent
+     */
+    drain(amount) {
+        const drained = Math.min(this.current, amount);
+        
+        this.current -= drained;
+        this.rechargeTimer = this.rechargeDelay;
+        return drained;
+    }
+    
+    /**
+     * Count down the recharge delay, then recharge
+     * @param {number} delta - Time step in seconds
+     * @returns {boolean} Whether the energy changed
+     */
+    update(delta) {
+        if (this.rechargeTimer > 0) {
+            this.rechargeTimer = Math.max(0, this.rechargeTimer - delta);
+            return false;
+        }
+        
+        if (this.current >= this.capacity) {
+            return false;
+        }
+        
+        this.current = Math.min(this.capacity, this.current + this.rechargeRate * delta);
+        return true;
+    }
+    
+    /**
+     * Fill the reserve, e.g. for a new ship
+     */
+    refill() {
+        this.current = this.capacity;
+        this.rechargeTimer = 0;
+    }
+    
+    /**
+     * Get the energy as plain data, for save games
+     * @returns {Object} Serializable energy state
+     */
+    serialize() {
+        return {
+            current: this.current,
+            rechargeTimer: this.rechargeTimer
+        };
+    }
+    
+    /**
+     * Restore state returned by serialize()
+     * @param {Object} state - Serialized energy state
+     */
+    deserialize(state) {
+        this.current = state.current;
+        this.rechargeTimer = state.rechargeTimer;
+    }
+}
@@ -0,0 +1,446 @@
+import * as THREE from 'three';
+import debugHelper from '../utils/DebugHelper.js';
+import debugVisualizer from '../utils/DebugVisualizer.js';
+import { random } from '../core/Random.js';
+import { Entity, RenderComponent, PhysicsComponent, ActorComponent, ColliderComponent, TransformComponent } from '../core/Component.js';
+import { setGlow, restoreGlow, showHitFlash } from './HitFlash.js';
+
+/**
+ * Fighter tuning
+ *
+ * - health: Hits a fighter takes before it goes down
+ * - score: Score for shooting one down
+ * - ramDamage: Damage a fighter does to the ship when they collide
+ * - modelScale: Scale of the ship model (the player's ship is 5.75)
+ * - cruiseSpeed: Speed the 'formation' pattern flies across the screen
+ * - entrySpeed: Speed the 'attack' pattern flies in at
+ * - diveSpeed: Speed the 'attack' pattern dives at the ship
+ * - holdDistance: How far ahead of the ship 'attack' fighters stop (min-max)
+ * - holdTime: Seconds 'attack' fighters hold position before diving (min-max)
+ * - trackSpeed: Vertical speed while lining up with the ship
+ * - weapon: Bullet pattern the fighter fires (a key of BULLET_PATTERNS, or a pattern of the same form)
+ */
+export const FIGHTER_CONFIG = Object.freeze({
+    health: 3,
+    score: 150,
+    ramDamage: 20,
+    modelScale: 4.5,
+    cruiseSpeed: 30,
+    entrySpeed: 50,
+    diveSpeed: 55,
+    holdDistance: { min: 60, max: 80 },
+    holdTime: { min: 2, max: 3.5 },
+    trackSpeed: 20,
+    weapon: 'aimed'
+});
+
+/**
+ * Class representing an enemy fighter
+ * Fighters fly one of two patterns and shoot at the ship:
+ * - 'formation': cross the screen on a shared sine wave, each offset by its place in the wave
+ * - 'attack': fly in, hold position ahead of the ship while lining up and firing, then dive at it
+ */
+export class Fighter {
+    /**
+     * Create a new fighter
+     * @param {THREE.Scene} scene - The scene to add the fighter to
+     * @param {THREE.Vector3} position - Initial position
+     * @param {string} pattern - Movement pattern ('formation' or 'attack')
+     * @param {Object} resourceManager - The resource manager to get the ship model from
+     * @param {Object} options - Fighter options
+     * @param {Function} options.onLoaded - Called when the model is set up
+     * @param {Object} options.target - What to fly at and shoot at (anything with a position, usually the player)
+     * @param {number} options.index - Place in its wave, which offsets the 'formation' pattern
+     */
+    constructor(scene, position, pattern = 'formation', resourceManager = null, options = {}) {
+        this.scene = scene;
+        this.resourceManager = resourceManager;
+        this.onLoaded = options.onLoaded || null;
+        this.target = options.target || null;
+        this.config = FIGHTER_CONFIG;
+        
+        // Generate a unique ID for this fighter
+        this.id = 'fighter_' + Math.random().toString(36).substring(2, 10);
+        
+        this.position = position ? position.clone() : new THREE.Vector3(260, 0, 0);
+        this.previousPosition = this.position.clone();
+        this.velocity = new THREE.Vector3(-this.config.cruiseSpeed, 0, 0);
+        this.rotation = new THREE.Euler();
+        
+        // Movement pattern and its state
+        this.movementPattern = pattern;
+        this.state = pattern === 'attack' ? 'enter' : 'cruise';
+        this.stateTime = 0;
+        this.moveTime = 0;
+        this.initialY = this.position.y;
+        this.phase = (options.index || 0) * 0.6;
+        this.holdDistance = this.randomRange(this.config.holdDistance);
+        this.holdTime = this.randomRange(this.config.holdTime);
+        
+        // Physical properties
+        this.mass = 20;
+        
+        // Create container for the ship model
+        this.shipGroup = new THREE.Group();
+        this.shipGroup.position.copy(this.position);
+        
+        // Initialize flags and properties
+        this.markedForRemoval = false;
+        this.recycle = false;
+        this.isBoss = false; // Set by the level system for the level's boss
+        this.formation = null; // Set by the formation this flies in, if any (see Formation)
+        this.emitters = []; // Bullet emitters attached by the enemy manager (see EnemyManager.attachEmitter)
+        this.maxHealth = this.config.health;
+        this.health = this.maxHealth;
+        this.flashTimer = 0; // Counts down while flashing from a hit that didn't destroy it
+        this.flashDuration = 0.08;
+        this.isModelLoaded = false;
+        this.model = null;
+        this.boundingBox = new THREE.Box3();
+        this.boundingSphere = new THREE.Sphere();
+        
+        // World entity, added to the world by the enemy manager once the model is set up
+        this.entity = this.createEntity();
+        
+        this.loadModel();
+    }
+    
+    /**
+     * Pick a random value in a range
+     * @param {Object} range - min and max
+     * @returns {number} A value between min and max
+     */
+    randomRange(range) {
+        return range.min + random.gameplay.next() * (range.max - range.min);
+    }
+    
+    /**
+     * Create the world entity for this fighter
+     * Its components share this fighter's vectors, so systems and the fighter see the same state
+     * @returns {Entity} The entity
+     */
+    createEntity() {
+        const entity = new Entity(this.scene);
+        
+        const transform = entity.getComponent(TransformComponent);
+        transform.position = this.position;
+        transform.previousPosition = this.previousPosition;
+        transform.rotation = this.rotation;
+        
+        const physics = entity.addComponent(PhysicsComponent);
+        physics.velocity = this.velocity;
+        physics.mass = this.mass;
+        
+        entity.addComponent(RenderComponent).mesh = this.shipGroup;
+        entity.addComponent(ActorComponent).actor = this;
+        
+        const collider = entity.addComponent(ColliderComponent);
+        collider.layer = 'enemy';
+        collider.boundingBox = this.boundingBox;
+        
+        return entity;
+    }
+    
+    /**
+     * Set up the ship model from the ResourceManager
+     */
+    loadModel() {
+        const model = this.resourceManager && this.resourceManager.getShipModel
+            ? this.resourceManager.getShipModel()
+            : null;
+        
+        if (!model) {
+            debugHelper.log("Fighter: No ship model available", "error");
+            this.markedForRemoval = true;
+            return;
+        }
+        
+        this.setupModel(model);
+    }
+    
+    /**
+     * Set up the ship model with enemy colours, facing left
+     * @param {THREE.Object3D} model - The ship model
+     */
+    setupModel(model) {
+        this.model = model;
+        this.model.visible = true;
+        this.model.scale.set(this.config.modelScale, this.config.modelScale, this.config.modelScale);
+        
+        // The player's ship is turned around to face right; fighters keep the model's own heading
+        this.model.rotation.set(0, 0, 0);
+        
+        // Give the enemy a hostile red glow
+        this.model.traverse((child) => {
+            if (child.isMesh && child.material) {
+                // Clone materials so preloaded templates are never modified
+                child.material = Array.isArray(child.material)
+                    ? child.material.map(mat => mat.clone())
+                    : child.material.clone();
+                
+                for (const material of [].concat(child.material)) {
+                    material.emissive = new THREE.Color(0xff2222);
+                    material.emissiveIntensity = 0.6;
+                }
+            }
+        });
+        
+        this.shipGroup.add(this.model);
+        this.shipGroup.userData = {
+            enemyRef: this,
+            mass: this.mass,
+            damage: this.config.ramDamage,
+            debrisType: 'fighter'
+        };
+        this.scene.add(this.shipGroup);
+        
+        this.isModelLoaded = true;
+        this.updateBoundingBox();
+        
+        if (this.onLoaded) {
+            this.onLoaded(this);
+        }
+    }
+    
+    /**
+     * Fit the bounding box and sphere around the ship at its simulated position
+     */
+    updateBoundingBox() {
+        if (!this.isModelLoaded) {
+            return;
+        }
+        
+        this.shipGroup.updateMatrixWorld(true);
+        this.boundingBox.setFromObject(this.model);
+        this.boundingBox.getBoundingSphere(this.boundingSphere);
+        
+        // Update visualization for debugging
+        const visualizer = debugVisualizer.getInstance();
+        if (visualizer) {
+            visualizer.visualizeBox(this.boundingBox, this.id, 'enemy');
+        }
+    }
+    
+    /**
+     * Fly the movement pattern, fire, and leave once off screen
+     * @param {number} delta - Time step in seconds
+     */
+    update(delta) {
+        if (!this.isModelLoaded) {
+            return;
+        }
+        
+        // Remember where we were so rendering can interpolate between steps
+        this.previousPosition.copy(this.position);
+        
+        this.moveTime += delta;
+        this.stateTime += delta;
+        
+        // Fade back from a damage flash
+        if (this.flashTimer > 0) {
+            this.flashTimer -= delta;
+            if (this.flashTimer <= 0) {
+                restoreGlow(this.model);
+            }
+        }
+        
+        // Members of a formation are steered into their slots by the formation instead (see Formation.update)
+        if (!this.formation) {
+            if (this.movementPattern === 'attack') {
+                this.updateAttack(delta);
+            } else {
+                this.updateFormation(delta);
+            }
+        }
+        
+        this.position.addScaledVector(this.velocity, delta);
+        this.shipGroup.position.copy(this.position);
+        
+        // Bank into climbs and dives
+        this.rotation.x = THREE.MathUtils.clamp(-this.velocity.y * 0.02, -0.6, 0.6);
+        this.shipGroup.rotation.copy(this.rotation);
+        
+        this.updateBoundingBox();
+        
+        // Gone once it has flown off the screen
+        if (this.position.x < -200 || Math.abs(this.position.y) > 150) {
+            this.remove();
+        }
+    }
+    
+    /**
+     * 'formation' pattern: cross the screen on a sine wave
+     * @param {number} delta - Time step in seconds
+     */
+    updateFormation(delta) {
+        const targetY = this.initialY + Math.sin(this.moveTime * 1.5 + this.phase) * 12;
+        
+        this.velocity.set(-this.config.cruiseSpeed, (targetY - this.position.y) / delta, 0);
+    }
+    
+    /**
+     * 'attack' pattern: fly in, hold ahead of the ship while lining up with it, then dive
+     * @param {number} delta - Time step in seconds
+     */
+    updateAttack(delta) {
+        const target = this.target ? this.target.position : null;
+        const holdX = (target ? target.x : 20) + this.holdDistance;
+        
+        switch (this.state) {
+            case 'enter':
+                this.velocity.set(-this.config.entrySpeed, 0, 0);
+                if (this.position.x <= holdX) {
+                    this.setState('hold');
+                }
+                break;
+            
+            case 'hold': {
+                // Keep station ahead of the ship and drift toward its height
+                const dy = (target ? target.y : this.initialY) - this.position.y;
+                const trackSpeed = Math.min(this.config.trackSpeed, Math.abs(dy) / delta);
+                this.velocity.set((holdX - this.position.x) * 2, Math.sign(dy) * trackSpeed, 0);
+                
+                if (this.stateTime >= this.holdTime) {
+                    this.setState('dive');
+                }
+                break;
+            }
+            
+            case 'dive':
+                // Commit to a heading on the first step of the dive, then keep it
+                if (this.stateTime <= delta) {
+                    const aim = target
+                        ? new THREE.Vector3(target.x - this.position.x, target.y - this.position.y, 0)
+                        : new THREE.Vector3(-1, 0, 0);
+                    
+                    // Never turn back toward the right edge
+                    aim.x = Math.min(aim.x, -1);
+                    this.velocity.copy(aim.normalize().multiplyScalar(this.config.diveSpeed));
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Switch to another step of the movement pattern
+     * @param {string} state - The new state
+     */
+    setState(state) {
+        this.state = state;
+        this.stateTime = 0;
+    }
+    
+    /**
+     * React to losing a neighbour in our formation by returning fire at once
+     */
+    onNeighborLost() {
+        this.emitters.forEach(emitter => emitter.fireNow());
+    }
+    
+    /**
+     * Get the score for destroying this fighter
+     * @returns {number} Score value
+     */
+    getScoreValue() {
+        return this.config.score;
+    }
+    
+    /**
+     * Take damage from a hit, flashing if it survives
+     * @param {number} damage - Damage dealt
+     * @returns {boolean} Whether the hit destroyed it
+     */
+    takeDamage(damage) {
+        this.health = Math.max(0, this.health - damage);
+        
+        if (this.health > 0) {
+            this.flash();
+            return false;
+        }
+        return true;
+    }
+    
+    /**
+     * Flash white for a moment to show a hit landed
+     */
+    flash() {
+        showHitFlash(this.model);
+        this.flashTimer = this.flashDuration;
+    }
+    
+    /**
+     * Handle this fighter being destroyed by a hit
+     */
+    handleHit() {
+        setGlow(this.model, new THREE.Color(0xffff00), 3.0);
+    }
+    
+    /**
+     * Get the fighter's state as plain data, for save games
+     * @returns {Object} Serializable fighter state
+     */
+    serialize() {
+        return {
+            position: this.position.toArray(),
+            velocity: this.velocity.toArray(),
+            pattern: this.movementPattern,
+            state: this.state,
+            stateTime: this.stateTime,
+            moveTime: this.moveTime,
+            initialY: this.initialY,
+            phase: this.phase,
+            holdDistance: this.holdDistance,
+            holdTime: this.holdTime,
+            rotation: this.rotation.toArray(),
+            maxHealth: this.maxHealth,
+            health: this.health
+        };
+    }
+    
+    /**
+     * Restore state returned by serialize()
+     * @param {Object} state - Serialized fighter state
+     */
+    deserialize(state) {
+        this.position.fromArray(state.position);
+        this.previousPosition.copy(this.position);
+        this.velocity.fromArray(state.velocity);
+        this.movementPattern = state.pattern;
+        this.state = state.state;
+        this.stateTime = state.stateTime;
+        this.moveTime = state.moveTime;
+        this.initialY = state.initialY;
+        this.phase = state.phase;
+        this.holdDistance = state.holdDistance;
+        this.holdTime = state.holdTime;
+        this.rotation.fromArray(state.rotation);
+        this.maxHealth = state.maxHealth;
+        this.health = state.health;
+        
+        this.shipGroup.position.copy(this.position);
+        this.shipGroup.rotation.copy(this.rotation);
+        this.updateBoundingBox();
+    }
+    
+    /**
+     * Remove this fighter from the scene
+     */
+    remove() {
+        // Clear debug visualizations
+        const visualizer = debugVisualizer.getInstance();
+        if (visualizer && this.id) {
+            visualizer.removeVisualization(this.id);
+        }
+        
+        if (this.shipGroup.parent) {
+            this.scene.remove(this.shipGroup);
+        }
+        
+        // Leave the world, so systems stop updating and colliding with it
+        if (this.entity.world) {
+            this.entity.world.removeEntity(this.entity);
+        }
+        
+        this.markedForRemoval = true;
+    }
+}
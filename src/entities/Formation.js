@@ -0,0 +1,321 @@
+import * as THREE from 'three';
+
+/**
+ * Formation tuning
+ *
+ * - spacing: Distance between neighbouring slots
+ * - closeRate: How hard members steer back into their slot, e.g. to close ranks after a loss
+ * - snakeDelay: Seconds each member of a snake trails the one ahead of it along the path
+ * - circleSpin: Turns per second a circle formation spins around its leader
+ * - bonusPerMember: Score for destroying a whole formation, for each member it started with
+ * - speed: Speed the leader flies its path at
+ * - amplitude, frequency: Height and cycles per second of the 'sine' path
+ * - loopRadius, loopRate: Size and turn rate (radians per second) of the loops in the 'loop' path
+ *
+ * Any of these can be overridden for a single formation through its options
+ */
+export const FORMATION_CONFIG = Object.freeze({
+    spacing: 12,
+    closeRate: 4,
+    snakeDelay: 0.35,
+    circleSpin: 0.15,
+    bonusPerMember: 100,
+    speed: 30,
+    amplitude: 20,
+    frequency: 0.4,
+    loopRadius: 25,
+    loopRate: 1.6
+});
+
+/**
+ * Where each slot sits relative to the leader, for each formation shape
+ * Slot 0 is the leader itself. Formations fly left, so positive x is behind the leader
+ * Each shape takes (slot, count, config, time) and returns the slot's offset
+ */
+export const FORMATION_SHAPES = {
+    // Side by side, alternating above and below the leader
+    line: (slot, count, config) => {
+        const rank = Math.ceil(slot / 2);
+        const side = slot % 2 === 1 ? 1 : -1;
+        return new THREE.Vector3(0, side * rank * config.spacing, 0);
+    },
+    
+    // Chevron with the leader at the point
+    V: (slot, count, config) => {
+        const rank = Math.ceil(slot / 2);
+        const side = slot % 2 === 1 ? 1 : -1;
+        return new THREE.Vector3(rank * config.spacing, side * rank * config.spacing * 0.75, 0);
+    },
+    
+    // Single file behind the leader
+    column: (slot, count, config) => {
+        return new THREE.Vector3(slot * config.spacing, 0, 0);
+    },
+    
+    // Ring spinning around the leader
+    circle: (slot, count, config, time) => {
+        if (slot === 0) {
+            return new THREE.Vector3();
+        }
+        
+        const ringCount = count - 1;
+        const radius = Math.max(config.spacing, (ringCount * config.spacing) / (Math.PI * 2));
+        const angle = ((slot - 1) / ringCount + time * config.circleSpin) * Math.PI * 2;
+        return new THREE.Vector3(Math.cos(angle) * radius, Math.sin(angle) * radius, 0);
+    },
+    
+    // Members retrace the leader's path a moment behind it instead (see Formation.getSlotPosition)
+    snake: () => new THREE.Vector3()
+};
+
+/**
+ * Paths a formation's leader can fly, as an offset from where the formation entered
+ * Each path takes (time, config) and returns the leader's offset at that time
+ */
+export const FORMATION_PATHS = {
+    straight: (time, config) => new THREE.Vector3(-config.speed * time, 0, 0),
+    
+    sine: (time, config) => new THREE.Vector3(
+        -config.speed * time,
+        Math.sin(time * config.frequency * Math.PI * 2) * config.amplitude,
+        0
+    ),
+    
+    // Loops the loop as it goes, whenever loopRadius * loopRate is faster than speed
+    loop: (time, config) => new THREE.Vector3(
+        -config.speed * time + Math.sin(time * config.loopRate) * config.loopRadius,
+        (1 - Math.cos(time * config.loopRate)) * config.loopRadius,
+        0
+    )
+};
+
+/**
+ * A group of enemies flying together
+ * The leader flies a path and every other member steers toward its slot relative to the leader.
+ * When a member is lost the ones behind it move up to close the gap (a new leader takes over
+ * if the old one goes), and the nearest members react if they can (see onNeighborLost).
+ * Destroying every member, rather than letting any escape, earns a bonus
+ */
+export class Formation {
+    /**
+     * Create a new formation, with no members yet
+     * @param {Object} options - Formation options, plus any FORMATION_CONFIG overrides
+     * @param {string} options.shape - Shape, a key of FORMATION_SHAPES
+     * @param {string} options.path - Path the leader flies, a key of FORMATION_PATHS
+     * @param {THREE.Vector3} options.origin - Where the leader enters
+     * @param {number} options.bonus - Score for destroying the whole formation (defaults to bonusPerMember for each member)
+     */
+    constructor(options = {}) {
+        const { shape = 'line', path = 'straight', origin = null, bonus, ...overrides } = options;
+        
+        if (!FORMATION_SHAPES[shape]) {
+            throw new Error(`Unknown formation shape: ${shape}`);
+        }
+        if (!FORMATION_PATHS[path]) {
+            throw new Error(`Unknown formation path: ${path}`);
+        }
+        
+        this.shape = shape;
+        this.path = path;
+        this.origin = origin ? origin.clone() : new THREE.Vector3();
+        this.bonus = bonus ?? null;
+        this.overrides = overrides;
+        this.config = { ...FORMATION_CONFIG, ...overrides };
+        
+        // Seconds the formation has been flying its path
+        this.time = 0;
+        
+        // Members still in play, and the slot each one holds (the leader holds slot 0)
+        this.members = [];
+        this.slots = [];
+        
+        // How many members it started with, how many were destroyed, and whether any got away
+        this.size = 0;
+        this.destroyed = 0;
+        this.escaped = false;
+    }
+    
+    /**
+     * Add a member in the next free slot
+     * @param {Object} enemy - The enemy (anything with position and velocity vectors)
+     */
+    addMember(enemy) {
+        enemy.formation = this;
+        this.members.push(enemy);
+        this.slots.push(this.size);
+        this.size++;
+    }
+    
+    /**
+     * Get the slot that moves up to fill a slot when its member is lost
+     * Lines and Vs close up along each wing, so nobody crosses over to the other side
+     * @param {number} slot - The emptied slot
+     * @returns {number} The slot behind it
+     */
+    getNextSlot(slot) {
+        if (this.shape === 'line' || this.shape === 'V') {
+            return slot === 0 ? 1 : slot + 2;
+        }
+        
+        return slot + 1;
+    }
+    
+    /**
+     * Get where the leader is on its path
+     * @param {number} time - Seconds along the path
+     * @returns {THREE.Vector3} The leader's position
+     */
+    getLeaderPosition(time) {
+        return FORMATION_PATHS[this.path](time, this.config).add(this.origin);
+    }
+    
+    /**
+     * Get where a slot is
+     * @param {number} slot - Slot index (0 is the leader)
+     * @param {number} count - Number of members the formation is spread over
+     * @param {number} time - Seconds along the path (defaults to now)
+     * @returns {THREE.Vector3} The slot's position
+     */
+    getSlotPosition(slot, count, time = this.time) {
+        if (this.shape === 'snake') {
+            return this.getLeaderPosition(time - slot * this.config.snakeDelay);
+        }
+        
+        return this.getLeaderPosition(time).add(FORMATION_SHAPES[this.shape](slot, count, this.config, time));
+    }
+    
+    /**
+     * Move the formation along its path and steer every member toward its slot
+     * Runs before physics, which then moves the members by the velocities set here
+     * @param {number} delta - Time step in seconds
+     */
+    update(delta) {
+        // Anyone who left without being destroyed flew off the screen
+        if (this.members.some(member => member.markedForRemoval)) {
+            this.escaped = true;
+            this.slots = this.slots.filter((slot, index) => !this.members[index].markedForRemoval);
+            this.members = this.members.filter(member => !member.markedForRemoval);
+        }
+        
+        const count = this.members.length;
+        const previousTime = this.time;
+        this.time += delta;
+        
+        this.members.forEach((member, index) => {
+            const slot = this.slots[index];
+            const from = this.getSlotPosition(slot, count, previousTime);
+            const to = this.getSlotPosition(slot, count, this.time);
+            
+            // Follow the slot, and make up any distance to it
+            member.velocity
+                .subVectors(to, from)
+                .divideScalar(delta)
+                .addScaledVector(from.sub(member.position), this.config.closeRate);
+            member.velocity.z = 0;
+        });
+    }
+    
+    /**
+     * Take a destroyed member out of the formation, close the gap it left and let its neighbours react
+     * @param {Object} enemy - The destroyed member
+     * @returns {boolean} Whether that cleared the whole formation
+     */
+    handleMemberDestroyed(enemy) {
+        const index = this.members.indexOf(enemy);
+        if (index === -1) {
+            return false;
+        }
+        
+        // Neighbours are the two members in the slots closest to the lost one
+        const count = this.members.length;
+        const lostPosition = this.getSlotPosition(this.slots[index], count);
+        const neighbors = this.members
+            .map((member, i) => ({ member, distance: this.getSlotPosition(this.slots[i], count).distanceTo(lostPosition) }))
+            .filter(({ member }) => member !== enemy)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, 2)
+            .map(({ member }) => member);
+        
+        // Everyone behind it moves up a slot
+        let emptySlot = this.slots[index];
+        this.members.splice(index, 1);
+        this.slots.splice(index, 1);
+        this.destroyed++;
+        
+        let next = this.slots.indexOf(this.getNextSlot(emptySlot));
+        while (next !== -1) {
+            const vacated = this.slots[next];
+            this.slots[next] = emptySlot;
+            emptySlot = vacated;
+            next = this.slots.indexOf(this.getNextSlot(emptySlot));
+        }
+        
+        for (const neighbor of neighbors) {
+            if (typeof neighbor.onNeighborLost === 'function') {
+                neighbor.onNeighborLost(enemy);
+            }
+        }
+        
+        return this.members.length === 0 && !this.escaped;
+    }
+    
+    /**
+     * Check whether every member has been destroyed or has left
+     * @returns {boolean} Whether the formation is gone
+     */
+    isFinished() {
+        return this.members.length === 0;
+    }
+    
+    /**
+     * Get the score for destroying the whole formation
+     * @returns {number} Bonus score
+     */
+    getBonus() {
+        return this.bonus ?? this.size * this.config.bonusPerMember;
+    }
+    
+    /**
+     * Get the formation as plain data, for save games
+     * @param {Object[]} enemies - The saved enemies, so members can be stored by index
+     * @returns {Object} Serializable formation state
+     */
+    serialize(enemies) {
+        // Members that left since the last update aren't saved, and count as having escaped
+        const saved = this.members
+            .map((member, index) => ({ index: enemies.indexOf(member), slot: this.slots[index] }))
+            .filter(({ index }) => index !== -1);
+        
+        return {
+            shape: this.shape,
+            path: this.path,
+            origin: this.origin.toArray(),
+            bonus: this.bonus,
+            overrides: { ...this.overrides },
+            time: this.time,
+            size: this.size,
+            destroyed: this.destroyed,
+            escaped: this.escaped || saved.length < this.members.length,
+            members: saved.map(({ index }) => index),
+            slots: saved.map(({ slot }) => slot)
+        };
+    }
+    
+    /**
+     * Restore the progress and members from state returned by serialize()
+     * The formation must have been created with the saved shape, path, origin, bonus and overrides
+     * @param {Object} state - Serialized formation state
+     * @param {Object[]} enemies - The restored enemies, in the same order as they were saved
+     */
+    deserialize(state, enemies) {
+        this.time = state.time;
+        this.destroyed = state.destroyed;
+        this.escaped = state.escaped;
+        
+        this.members = [];
+        this.slots = [];
+        state.members.forEach(index => this.addMember(enemies[index]));
+        this.slots = state.slots.slice();
+        this.size = state.size;
+    }
+}
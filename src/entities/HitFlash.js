@@ -0,0 +1,63 @@
+import * as THREE from 'three';
+
+// Glow a model shows for a moment when a hit lands without destroying it
+const HIT_FLASH_COLOR = new THREE.Color(0xffffff);
+const HIT_FLASH_INTENSITY = 2.0;
+
+/**
+ * Change a model's emissive glow, remembering the original so restoreGlow() can put it back
+ * Each material keeps its own original, so the model's materials must not be shared with other models
+ * @param {THREE.Object3D|null} model - The model (nothing happens without one)
+ * @param {THREE.Color} color - Emissive color
+ * @param {number} intensity - Emissive intensity
+ */
+export function setGlow(model, color, intensity) {
+    if (!model) {
+        return;
+    }
+    
+    model.traverse(child => {
+        if (child.isMesh && child.material) {
+            for (const material of [].concat(child.material)) {
+                // Save original emissive if needed for reset
+                if (!material.userData.originalEmissive) {
+                    material.userData.originalEmissive = material.emissive.clone();
+                    material.userData.originalEmissiveIntensity = material.emissiveIntensity;
+                }
+                
+                material.emissive = color.clone();
+                material.emissiveIntensity = intensity;
+            }
+        }
+    });
+}
+
+/**
+ * Put back the glow a model had before setGlow()
+ * @param {THREE.Object3D|null} model - The model
+ */
+export function restoreGlow(model) {
+    if (!model) {
+        return;
+    }
+    
+    model.traverse(child => {
+        if (child.isMesh && child.material) {
+            for (const material of [].concat(child.material)) {
+                if (material.userData.originalEmissive) {
+                    material.emissive = material.userData.originalEmissive.clone();
+                    material.emissiveIntensity = material.userData.originalEmissiveIntensity;
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Flash a model white to show a hit landed
+ * The caller times the flash and calls restoreGlow() once it is over
+ * @param {THREE.Object3D|null} model - The model
+ */
+export function showHitFlash(model) {
+    setGlow(model, HIT_FLASH_COLOR, HIT_FLASH_INTENSITY);
+}
@@ -3,6 +3,9 @@ import { ModelLoader } from '../utils/ModelLoader.js';
 import { ObjectPool } from '../core/ObjectPool.js';
 import debugHelper from '../utils/DebugHelper.js';
 import debugVisualizer from '../utils/DebugVisualizer.js';
+import { random } from '../core/Random.js';
+import { getWeapon, getWeaponStats, getChargedStats, getMaxWeaponLevel, WEAPONS } from './Weapons.js';
+import { Entity, RenderComponent, PhysicsComponent, ActorComponent, ColliderComponent, TransformComponent } from '../core/Component.js';
 
 /**
  * Class responsible for managing all missile-related functionality
@@ -12,22 +15,31 @@ export class MissileManager {
      * Create a new missile manager
      * @param {THREE.Scene} scene - The scene to add missiles to
      * @param {THREE.AudioListener} audioListener - Audio listener for missile sounds
+     * @param {Object} resourceManager - Optional resource manager with preloaded missile and explosion models
+     * @param {World} world - World that missiles in flight are added to (it moves and collides them)
      */
-    constructor(scene, audioListener) {
+    constructor(scene, audioListener, resourceManager = null, world = null) {
         this.scene = scene;
         this.audioListener = audioListener;
+        this.resourceManager = resourceManager;
+        this.world = world;
+        
+        // Called with (missile, target entity) when a missile hits something; may return the impact point
+        this.onHit = null;
         this.modelLoader = new ModelLoader();
         
-        // Missile properties
-        this.missileSpeed = 200;
-        this.missileLifetime = 5.0;
-        this.shootDelay = 0.25; // 4 shots per second
-        this.lastShotTime = 0;
+        // Weapons (see Weapons.js): the main weapon, the level of every weapon owned,
+        // and the sub-weapon fired alongside the main one
+        this.weaponId = 'standard';
+        this.weaponLevels = { standard: 1 };
+        this.subWeaponId = null;
+        this.elapsedTime = 0; // Simulation time, advanced in update()
+        this.lastShotTime = -1; // Allow the first shot immediately
         
         // Collections
         this.missileModel = null;
         this.missiles = [];
-        this.missilePool = null;
+        this.pools = new Map(); // Object pool for each weapon's projectiles, created on first use
         
         // Sounds
         this.soundsLoaded = false;
@@ -59,39 +71,17 @@ export class MissileManager {
      * Load the missile model
      */
     loadMissileModel() {
+        // Use the preloaded model from the ResourceManager when there is one
+        const preloadedModel = this.resourceManager && this.resourceManager.getMissileModel
+            ? this.resourceManager.getMissileModel()
+            : null;
+        if (preloadedModel) {
+            this.setupMissileModel(preloadedModel);
+            return;
+        }
+        
         this.modelLoader.loadModel('models/spaceships/spaceship_missile_0304125431.glb', (model) => {
-            // Ensure model is properly set up
-            model.traverse(child => {
-                if (child.isMesh) {
-                    // Ensure materials are properly set
-                    if (child.material) {
-                        // Clone the material to avoid shared material issues
-                        child.material = child.material.clone();
-                        
-                        // Make materials much brighter with strong emissive glow
-                        child.material.emissive = new THREE.Color(0xfffffff); // white glow
-                        child.material.emissiveIntensity = 0.25;
-                                                
-                        // Ensure material is visible
-                        child.material.transparent = false;
-                        child.material.opacity = 1.0;
-                        
-                        // Increase shininess for metallic look
-                        if (child.material.shininess !== undefined) {
-                            child.material.shininess = 100;
-                        }
-                    }
-                }
-            });
-            
-            // Store the model
-            this.missileModel = model;
-            
-            // Hide the model - we're just using it as a template
-            model.visible = false;
-            
-            // Initialize the missile pool
-            this.initMissilePool();
+            this.setupMissileModel(model);
         }, (error) => {
             debugHelper.log("Failed to load missile model: " + error, "error");
             // Do not create a fallback model
@@ -100,43 +90,64 @@ export class MissileManager {
     }
     
     /**
-     * Initialize the missile object pool
+     * Set up the missile template model and the missile pool
+     * @param {THREE.Object3D} model - The loaded missile model
+     */
+    setupMissileModel(model) {
+        // Ensure model is properly set up
+        model.traverse(child => {
+            if (child.isMesh) {
+                // Ensure materials are properly set
+                if (child.material) {
+                    // Clone the material to avoid shared material issues
+                    child.material = child.material.clone();
+                    
+                    // Make materials much brighter with strong emissive glow
+                    child.material.emissive = new THREE.Color(0xfffffff); // white glow
+                    child.material.emissiveIntensity = 0.25;
+                                            
+                    // Ensure material is visible
+                    child.material.transparent = false;
+                    child.material.opacity = 1.0;
+                    
+                    // Increase shininess for metallic look
+                    if (child.material.shininess !== undefined) {
+                        child.material.shininess = 100;
+                    }
+                }
+            }
+        });
+        
+        // Store the model
+        this.missileModel = model;
+        
+        // Hide the model - we're just using it as a template
+        model.visible = false;
+        
+        // Fill the standard weapon's pool up front
+        this.getPool('standard');
+    }
+    
+    /**
+     * Get the object pool for a weapon's projectiles, creating it on first use
+     * @param {string} weaponId - Weapon id from WEAPONS
+     * @returns {ObjectPool|null} The pool, or null while the missile model is still loading
      */
-    initMissilePool() {
+    getPool(weaponId) {
+        if (this.pools.has(weaponId)) {
+            return this.pools.get(weaponId);
+        }
+        
+        const weapon = getWeapon(weaponId);
+        
         // Check if we have a missile model
-        if (!this.missileModel) {
-            debugHelper.log("Cannot initialize missile pool: No missile model available", "error");
-            return;
+        if (weapon.model === 'missile' && !this.missileModel) {
+            return null;
         }
         
-        // Create a pool of 20 missiles (should be enough for most gameplay)
-        this.missilePool = new ObjectPool(
+        const pool = new ObjectPool(
             // Creation function
-            () => {
-                const missile = this.missileModel.clone();
-                
-                // Ensure missile is visible
-                missile.visible = false;
-                
-                // Reset any existing rotation
-                missile.rotation.set(0, 0, 0);
-                
-                // Ensure missile points right (towards positive X)
-                missile.rotation.y = Math.PI; // 180 degree rotation around Y axis
-                
-                // Scale the missile up for visibility
-                missile.scale.set(5.0, 5.0, 5.0);
-                
-                // Add user data for tracking
-                missile.userData = {
-                    velocity: new THREE.Vector3(this.missileSpeed, 0, 0),
-                    lifeTime: 0,
-                    maxLifeTime: this.missileLifetime,
-                    boundingBox: new THREE.Box3()
-                };
-                
-                return missile;
-            },
+            () => this.createProjectile(weaponId),
             // Reset function
             (missile) => {
                 missile.visible = false;
@@ -146,9 +157,94 @@ export class MissileManager {
                 if (missile.parent) {
                     this.scene.remove(missile);
                 }
+                
+                // Stop simulating it
+                if (this.world) {
+                    this.world.removeEntity(missile.userData.entity);
+                }
             },
-            20 // Pool size
+            weapon.poolSize || 20
         );
+        
+        this.pools.set(weaponId, pool);
+        return pool;
+    }
+    
+    /**
+     * Create a projectile for a weapon's pool
+     * @param {string} weaponId - Weapon id from WEAPONS
+     * @returns {THREE.Object3D} The projectile, hidden
+     */
+    createProjectile(weaponId) {
+        const weapon = getWeapon(weaponId);
+        let missile;
+        
+        if (weapon.model === 'missile') {
+            missile = this.missileModel.clone();
+        } else {
+            // Built-in shapes glow in the weapon's color
+            const geometry = weapon.model === 'beam'
+                ? new THREE.BoxGeometry(1, 1, 1)
+                : new THREE.SphereGeometry(1, 10, 8);
+            const material = new THREE.MeshBasicMaterial({ color: weapon.color || 0xffffff });
+            missile = new THREE.Mesh(geometry, material);
+        }
+        
+        // Ensure missile is hidden until it is fired
+        missile.visible = false;
+        
+        // Add user data for tracking
+        missile.userData = {
+            weaponId: weaponId,
+            stats: getWeaponStats(weaponId),
+            position: new THREE.Vector3(), // Simulated position
+            previousPosition: new THREE.Vector3(), // Simulated position at the previous step
+            velocity: new THREE.Vector3(weapon.speed, 0, 0),
+            angle: 0, // Launch angle in radians, up from the +X axis
+            damage: weapon.damage,
+            pierce: weapon.pierce, // Targets it can still pass through
+            hitTargets: new Set(), // Ids of the entities it has hit, so a piercing shot hits each one once
+            lifeTime: 0,
+            maxLifeTime: weapon.lifetime,
+            boundingBox: new THREE.Box3()
+        };
+        missile.userData.entity = this.createMissileEntity(missile);
+        missile.scale.fromArray(weapon.scale);
+        this.orientMissile(missile);
+        
+        return missile;
+    }
+    
+    /**
+     * Create the world entity for a pooled missile
+     * Its components share the missile's simulated vectors and bounding box
+     * @param {THREE.Object3D} missile - The pooled missile
+     * @returns {Entity} The entity
+     */
+    createMissileEntity(missile) {
+        const entity = new Entity(this.scene);
+        
+        const transform = entity.getComponent(TransformComponent);
+        transform.position = missile.userData.position;
+        transform.previousPosition = missile.userData.previousPosition;
+        
+        const physics = entity.addComponent(PhysicsComponent);
+        physics.velocity = missile.userData.velocity;
+        physics.drag = 0;
+        
+        entity.addComponent(RenderComponent).mesh = missile;
+        
+        // Missiles have no class of their own, so the manager moves them
+        entity.addComponent(ActorComponent).actor = {
+            update: (delta) => this.updateMissile(missile, delta)
+        };
+        
+        const collider = entity.addComponent(ColliderComponent);
+        collider.layer = 'playerProjectile';
+        collider.boundingBox = missile.userData.boundingBox;
+        collider.onHit = (target) => this.handleMissileHit(missile, target);
+        
+        return entity;
     }
     
     /**
@@ -187,28 +283,177 @@ export class MissileManager {
     }
     
     /**
-     * Shoot a missile from the specified position
+     * Get the stats of a weapon at the level it is owned at
+     * @param {string} weaponId - Weapon id from WEAPONS (defaults to the main weapon)
+     * @returns {Object} The weapon's stats (see getWeaponStats)
+     */
+    getWeaponStats(weaponId = this.weaponId) {
+        return getWeaponStats(weaponId, this.weaponLevels[weaponId] || 1);
+    }
+    
+    /**
+     * Check whether a weapon is owned
+     * @param {string} weaponId - Weapon id from WEAPONS
+     * @returns {boolean} Whether it is owned
+     */
+    hasWeapon(weaponId) {
+        return this.weaponLevels[weaponId] !== undefined;
+    }
+    
+    /**
+     * Switch the main weapon to one that is owned
+     * @param {string} weaponId - Weapon id from WEAPONS
+     */
+    setWeapon(weaponId) {
+        if (!this.hasWeapon(weaponId)) {
+            throw new Error(`Weapon not owned: ${weaponId}`);
+        }
+        this.weaponId = weaponId;
+    }
+    
+    /**
+     * Switch to the next owned weapon, in the order of WEAPONS
+     * @returns {string} The new main weapon
+     */
+    cycleWeapon() {
+        const owned = Object.keys(WEAPONS).filter(id => this.hasWeapon(id) && id !== this.subWeaponId);
+        const index = owned.indexOf(this.weaponId);
+        this.weaponId = owned[(index + 1) % owned.length];
+        return this.weaponId;
+    }
+    
+    /**
+     * Give a weapon, or upgrade it by a level if it is already owned
+     * @param {string} weaponId - Weapon id from WEAPONS
+     * @returns {number} The weapon's level afterwards
+     */
+    grantWeapon(weaponId) {
+        if (this.hasWeapon(weaponId)) {
+            return this.upgradeWeapon(weaponId);
+        }
+        
+        getWeapon(weaponId); // Throws for unknown weapons
+        this.weaponLevels[weaponId] = 1;
+        return 1;
+    }
+    
+    /**
+     * Upgrade an owned weapon by a level, up to its maximum
+     * @param {string} weaponId - Weapon id from WEAPONS (defaults to the main weapon)
+     * @returns {number} The weapon's level afterwards
+     */
+    upgradeWeapon(weaponId = this.weaponId) {
+        if (!this.hasWeapon(weaponId)) {
+            throw new Error(`Weapon not owned: ${weaponId}`);
+        }
+        
+        this.weaponLevels[weaponId] = Math.min(this.weaponLevels[weaponId] + 1, getMaxWeaponLevel(weaponId));
+        return this.weaponLevels[weaponId];
+    }
+    
+    /**
+     * Set the weapon fired alongside the main weapon
+     * @param {string|null} weaponId - Weapon id from WEAPONS, or null for none
+     */
+    setSubWeapon(weaponId) {
+        if (weaponId !== null) {
+            this.grantWeapon(weaponId);
+        }
+        this.subWeaponId = weaponId;
+    }
+    
+    /**
+     * Shoot the main weapon, and the sub-weapon if there is one, from the specified position
      * @param {THREE.Vector3} position - The position to shoot from
-     * @returns {boolean} Whether the missile was successfully shot
+     * @returns {boolean} Whether any missile was successfully shot
      */
     shootMissile(position) {
-        // Check if we have a missile model
-        if (!this.missileModel) {
+        // Check that the weapon's projectiles are ready (the missile model may still be loading)
+        if (!this.getPool(this.weaponId)) {
             debugHelper.log("Cannot shoot missile: No missile model available", "error");
             return false;
         }
         
-        // Check if enough time has passed since the last shot
-        const currentTime = performance.now() / 1000; // Convert to seconds
-        if (currentTime - this.lastShotTime < this.shootDelay) {
+        // Check if enough simulation time has passed since the last shot
+        if (this.elapsedTime - this.lastShotTime < 1 / this.getWeaponStats().fireRate) {
             return false;
         }
         
         // Update last shot time
-        this.lastShotTime = currentTime;
+        this.lastShotTime = this.elapsedTime;
+        
+        const fired = this.fireVolley(position);
         
-        // Get a missile from the pool
-        const missile = this.missilePool.get();
+        // Play sound
+        if (fired) {
+            this.playMissileSound();
+        }
+        
+        return fired;
+    }
+    
+    /**
+     * Launch a volley from the main weapon and the sub-weapon, ignoring the fire rate
+     * Option drones fire their volleys through here, alongside the ship's own shot
+     * @param {THREE.Vector3} position - The position to shoot from
+     * @returns {boolean} Whether any missile was launched
+     */
+    fireVolley(position) {
+        let fired = this.fireWeapon(this.weaponId, position);
+        
+        if (this.subWeaponId) {
+            fired = this.fireWeapon(this.subWeaponId, position) || fired;
+        }
+        
+        return fired;
+    }
+    
+    /**
+     * Launch one projectile for each spread angle of a weapon
+     * @param {string} weaponId - Weapon id from WEAPONS
+     * @param {THREE.Vector3} position - The position to shoot from
+     * @returns {boolean} Whether any missile was launched
+     */
+    fireWeapon(weaponId, position) {
+        const stats = this.getWeaponStats(weaponId);
+        let fired = false;
+        
+        for (const angle of stats.spread) {
+            fired = this.launchMissile(stats, position, THREE.MathUtils.degToRad(angle)) || fired;
+        }
+        
+        return fired;
+    }
+    
+    /**
+     * Launch a charge shot, scaled by how far it was charged, ignoring the fire rate
+     * @param {string} weaponId - Weapon id from WEAPONS, with charged stats
+     * @param {THREE.Vector3} position - The position to shoot from
+     * @param {number} charge - How far the shot was charged, from 0 to 1
+     * @returns {boolean} Whether any missile was launched
+     */
+    fireChargedShot(weaponId, position, charge) {
+        const stats = getChargedStats(weaponId, charge);
+        let fired = false;
+        
+        for (const angle of stats.spread) {
+            fired = this.launchMissile(stats, position, THREE.MathUtils.degToRad(angle)) || fired;
+        }
+        
+        return fired;
+    }
+    
+    /**
+     * Launch a single missile
+     * @param {Object} stats - Stats of the weapon firing it (see getWeaponStats)
+     * @param {THREE.Vector3} position - The position to shoot from
+     * @param {number} angle - Flight angle in radians, up from the +X axis
+     * @returns {boolean} Whether the missile was launched
+     */
+    launchMissile(stats, position, angle) {
+        // Get a missile from the weapon's pool
+        const pool = this.getPool(stats.id);
+        const missile = pool ? pool.get() : null;
         if (!missile) {
             debugHelper.log("No missiles available in pool");
             return false;
@@ -218,29 +463,130 @@ export class MissileManager {
         missile.visible = true;
         
         // Position the missile
-        missile.position.copy(position);
-        missile.position.x += 10 ; // Position in front of the ship
-        
-        // Reset rotation and ensure missile points right
-        missile.rotation.set(0, 0, 0);
-        missile.rotation.y = Math.PI; // 180 degree rotation around Y axis
+        missile.userData.position.copy(position);
+        missile.userData.position.x += 10 ; // Position in front of the ship
+        missile.userData.previousPosition.copy(missile.userData.position);
+        missile.position.copy(missile.userData.position);
         
         // Reset missile properties
         missile.userData.lifeTime = 0;
-        missile.userData.velocity.set(this.missileSpeed, 0, 0);
+        missile.userData.angle = angle;
+        this.applyWeaponStats(missile, stats);
+        missile.userData.pierce = stats.pierce;
+        missile.userData.hitTargets.clear();
+        missile.userData.velocity.set(Math.cos(angle) * stats.speed, Math.sin(angle) * stats.speed, 0);
+        
+        this.orientMissile(missile);
         
         // Add to scene
         this.scene.add(missile);
         
         // Add to active missiles array
         this.missiles.push(missile);
-        
-        // Play sound
-        this.playMissileSound();
+        this.addToWorld(missile);
         
         return true;
     }
     
+    /**
+     * Give a missile the stats of the weapon that fired it
+     * @param {THREE.Object3D} missile - The missile
+     * @param {Object} stats - Stats of the weapon (see getWeaponStats)
+     */
+    applyWeaponStats(missile, stats) {
+        missile.userData.stats = stats;
+        missile.userData.damage = stats.damage;
+        missile.userData.maxLifeTime = stats.lifetime;
+        missile.scale.fromArray(stats.scale);
+    }
+    
+    /**
+     * Point a missile along its flight path
+     * @param {THREE.Object3D} missile - The missile
+     */
+    orientMissile(missile) {
+        const velocity = missile.userData.velocity;
+        const heading = Math.atan2(velocity.y, velocity.x);
+        
+        missile.rotation.set(0, 0, 0);
+        if (missile.userData.stats.model === 'missile') {
+            missile.rotation.y = Math.PI; // 180 degree rotation around Y axis points the model right
+            missile.rotation.z = -heading; // Applied before the flip, so the angle is mirrored
+        } else {
+            missile.rotation.z = heading;
+        }
+    }
+    
+    /**
+     * Steer a missile by one step according to its weapon's motion
+     * @param {THREE.Object3D} missile - The missile
+     * @param {number} delta - Time step in seconds
+     */
+    steerMissile(missile, delta) {
+        const data = missile.userData;
+        const stats = data.stats;
+        
+        if (stats.motion === 'wave') {
+            // Weave across the line of flight: the sideways speed is the derivative of a sine wave
+            const omega = Math.PI * 2 * stats.waveFrequency;
+            const sideways = stats.waveAmplitude * omega * Math.cos(omega * data.lifeTime);
+            data.velocity.set(
+                Math.cos(data.angle) * stats.speed - Math.sin(data.angle) * sideways,
+                Math.sin(data.angle) * stats.speed + Math.cos(data.angle) * sideways,
+                0
+            );
+        } else if (stats.motion === 'homing') {
+            const target = this.findHomingTarget(data.position);
+            if (!target) {
+                return;
+            }
+            
+            // Turn towards the target, no faster than the turn rate
+            const heading = Math.atan2(data.velocity.y, data.velocity.x);
+            const desired = Math.atan2(target.y - data.position.y, target.x - data.position.x);
+            let turn = desired - heading;
+            turn = Math.atan2(Math.sin(turn), Math.cos(turn)); // Wrap to -PI..PI
+            const maxTurn = stats.turnRate * delta;
+            const newHeading = heading + Math.max(-maxTurn, Math.min(maxTurn, turn));
+            
+            data.velocity.set(Math.cos(newHeading) * stats.speed, Math.sin(newHeading) * stats.speed, 0);
+        }
+    }
+    
+    /**
+     * Find the closest enemy ahead of a homing missile
+     * @param {THREE.Vector3} position - The missile's position
+     * @returns {THREE.Vector3|null} Centre of the closest enemy, or null when there is none
+     */
+    findHomingTarget(position) {
+        if (!this.world) {
+            return null;
+        }
+        
+        let closest = null;
+        let closestDistance = Infinity;
+        
+        for (const entity of this.world.query(ColliderComponent)) {
+            const collider = entity.getComponent(ColliderComponent);
+            if (collider.layer !== 'enemy' || !collider.enabled) {
+                continue;
+            }
+            
+            const target = entity.getComponent(TransformComponent).position;
+            if (target.x < position.x) {
+                continue;
+            }
+            
+            const distance = target.distanceToSquared(position);
+            if (distance < closestDistance) {
+                closest = target;
+                closestDistance = distance;
+            }
+        }
+        
+        return closest;
+    }
+    
     /**
      * Play missile launch sound
      */
@@ -272,6 +618,15 @@ export class MissileManager {
      * Load the explosion model
      */
     loadExplosionModel() {
+        // Use the preloaded model from the ResourceManager when there is one
+        const preloadedModel = this.resourceManager && this.resourceManager.getExplosionModel
+            ? this.resourceManager.getExplosionModel()
+            : null;
+        if (preloadedModel) {
+            this.setupExplosionModel(preloadedModel);
+            return;
+        }
+        
         // Define potential model paths to try
         const explosionModelPaths = [
             'models/spaceships/impact_explosion_no__0305031045.glb',
@@ -298,8 +653,6 @@ export class MissileManager {
         
         this.modelLoader.loadModel(path, 
             (model) => {
-                this.explosionModel = model;
-                
                 // Check if model is null or empty
                 if (!model) {
                     debugHelper.log("MissileManager: Loaded explosion model is null", "error");
@@ -307,64 +660,7 @@ export class MissileManager {
                     return;
                 }
                 
-                // Set up the explosion model
-                model.visible = false; // Hide the template model
-                
-                // Make explosion materials emissive and bright
-                model.traverse(child => {
-                    if (child.isMesh && child.material) {
-                        // Clone the material to avoid sharing
-                        child.material = child.material.clone();
-                        
-                        // Make it bright and glowing
-                        child.material.emissive = new THREE.Color(0xffaa00);
-                        child.material.emissiveIntensity = 2.0;
-                        
-                        // Enable transparency for fading
-                        child.material.transparent = true;
-                        child.material.opacity = 1.0;
-                        
-                        // Add blending for better visual effect
-                        child.material.blending = THREE.AdditiveBlending;
-                    }
-                });
-                
-                // Add model to scene (invisible) to ensure it's loaded properly
-                this.scene.add(model);
-                
-                // Create object pool for explosions
-                this.explosionPool = new ObjectPool(
-                    // Factory function to create new explosions
-                    () => {
-                        const explosion = this.explosionModel.clone();
-                        explosion.userData = {
-                            lifetime: 0,
-                            maxLifetime: 1.0, // 1 second explosion
-                            scale: 2.0 // Larger base scale
-                        };
-                        return explosion;
-                    },
-                    // Reset function
-                    (explosion) => {
-                        explosion.visible = false;
-                        explosion.userData.lifetime = 0;
-                        explosion.position.set(0, 0, 0);
-                        explosion.scale.set(1, 1, 1);
-                        // Reset materials
-                        explosion.traverse(child => {
-                            if (child.isMesh && child.material) {
-                                child.material.opacity = 1.0;
-                                child.material.transparent = false;
-                                child.material.emissiveIntensity = 2.0;
-                            }
-                        });
-                    },
-                    // Initial pool size
-                    10 // Pre-create 10 explosions
-                );
-                
-                // Initialize explosions array
-                this.activeExplosions = [];
+                this.setupExplosionModel(model);
             }, 
             (error) => {
                 debugHelper.log(`MissileManager: Failed to load explosion model from ${path}: ${error}`, "error");
@@ -374,6 +670,73 @@ export class MissileManager {
         );
     }
     
+    /**
+     * Set up the explosion template model and the explosion pool
+     * @param {THREE.Object3D} model - The loaded explosion model
+     */
+    setupExplosionModel(model) {
+        this.explosionModel = model;
+        
+        // Set up the explosion model
+        model.visible = false; // Hide the template model
+        
+        // Make explosion materials emissive and bright
+        model.traverse(child => {
+            if (child.isMesh && child.material) {
+                // Clone the material to avoid sharing
+                child.material = child.material.clone();
+                
+                // Make it bright and glowing
+                child.material.emissive = new THREE.Color(0xffaa00);
+                child.material.emissiveIntensity = 2.0;
+                
+                // Enable transparency for fading
+                child.material.transparent = true;
+                child.material.opacity = 1.0;
+                
+                // Add blending for better visual effect
+                child.material.blending = THREE.AdditiveBlending;
+            }
+        });
+        
+        // Add model to scene (invisible) to ensure it's loaded properly
+        this.scene.add(model);
+        
+        // Create object pool for explosions
+        this.explosionPool = new ObjectPool(
+            // Factory function to create new explosions
+            () => {
+                const explosion = this.explosionModel.clone();
+                explosion.userData = {
+                    lifetime: 0,
+                    maxLifetime: 1.0, // 1 second explosion
+                    scale: 2.0 // Larger base scale
+                };
+                return explosion;
+            },
+            // Reset function
+            (explosion) => {
+                explosion.visible = false;
+                explosion.userData.lifetime = 0;
+                explosion.position.set(0, 0, 0);
+                explosion.scale.set(1, 1, 1);
+                // Reset materials
+                explosion.traverse(child => {
+                    if (child.isMesh && child.material) {
+                        child.material.opacity = 1.0;
+                        child.material.transparent = false;
+                        child.material.emissiveIntensity = 2.0;
+                    }
+                });
+            },
+            // Initial pool size
+            10 // Pre-create 10 explosions
+        );
+        
+        // Initialize explosions array
+        this.activeExplosions = [];
+    }
+    
     /**
      * Create an explosion at the specified position
      * @param {THREE.Vector3} position - The position to create the explosion at
@@ -392,7 +755,7 @@ export class MissileManager {
                 explosion.position.copy(position);
                 
                 // Random size variation
-                const scale = 3.0 + Math.random() * 1.0; // Much larger explosion for visibility
+                const scale = 3.0 + random.cosmetic.next() * 1.0; // Much larger explosion for visibility
                 explosion.scale.set(scale, scale, scale);
                 
                 // Store original scale for animation
@@ -486,80 +849,171 @@ export class MissileManager {
     }
     
     /**
-     * Update all missiles and check for collisions
+     * Advance the fire rate clock and the explosions
+     * Missiles in flight are moved by the world's physics system (see updateMissile)
      * @param {number} delta - Time step in seconds
-     * @param {Function} collisionCallback - Callback for collision detection
      */
-    update(delta, collisionCallback) {
-        // Process each missile
-        for (let i = this.missiles.length - 1; i >= 0; i--) {
-            const missile = this.missiles[i];
-            
-            // Update missile position based on velocity
-            missile.position.x += missile.userData.velocity.x * delta;
-            missile.position.y += missile.userData.velocity.y * delta;
-            missile.position.z += missile.userData.velocity.z * delta;
-            
-            // Ensure missile maintains correct orientation (pointing right)
-            // Reset rotation and then apply the correct orientation
-            missile.rotation.set(0, 0, 0);
-            missile.rotation.y = Math.PI; // 180 degree rotation around Y axis
-            
-            // Update missile lifetime
-            missile.userData.lifeTime += delta;
-            
-            // Create or update missile bounding box
-            missile.userData.boundingBox.setFromObject(missile);
-            
-            // Add minimal padding to the missile bounding box for pixel-perfect collision detection
-            const missilePadding = 0.2; // Reduced from 3.0 to 0.2 for more precise collisions
-            missile.userData.boundingBox.min.subScalar(missilePadding);
-            missile.userData.boundingBox.max.addScalar(missilePadding);
-            
-            // Visualize missile bounding box for debugging
-            const visualizer = debugVisualizer.getInstance();
-            if (visualizer) {
-                // Make sure the missile has an ID for visualization tracking
-                if (!missile.id) {
-                    missile.id = 'missile_' + Math.random().toString(36).substring(2, 10);
-                }
-                visualizer.visualizeBox(missile.userData.boundingBox, missile.id, 'missile');
+    update(delta) {
+        // Advance the simulation clock used for the fire rate
+        this.elapsedTime += delta;
+        
+        // Update active explosions
+        this.updateExplosions(delta);
+    }
+    
+    /**
+     * Move a missile in flight by one step and expire it when it has lived too long
+     * @param {THREE.Object3D} missile - The missile to update
+     * @param {number} delta - Time step in seconds
+     */
+    updateMissile(missile, delta) {
+        // Wave and homing weapons change course as they fly
+        this.steerMissile(missile, delta);
+        
+        // Update missile position based on velocity
+        missile.userData.previousPosition.copy(missile.userData.position);
+        missile.userData.position.addScaledVector(missile.userData.velocity, delta);
+        missile.position.copy(missile.userData.position);
+        
+        // Ensure missile maintains correct orientation (pointing along its flight path)
+        this.orientMissile(missile);
+        
+        // Update missile lifetime
+        missile.userData.lifeTime += delta;
+        
+        // Create or update missile bounding box
+        missile.userData.boundingBox.setFromObject(missile);
+        
+        // Add minimal padding to the missile bounding box for pixel-perfect collision detection
+        const missilePadding = 0.2; // Reduced from 3.0 to 0.2 for more precise collisions
+        missile.userData.boundingBox.min.subScalar(missilePadding);
+        missile.userData.boundingBox.max.addScalar(missilePadding);
+        
+        // Visualize missile bounding box for debugging
+        const visualizer = debugVisualizer.getInstance();
+        if (visualizer) {
+            // Make sure the missile has an ID for visualization tracking
+            if (!missile.id) {
+                missile.id = 'missile_' + Math.random().toString(36).substring(2, 10);
             }
-            
-            // Check if missile has lived too long or gone too far
-            if (missile.userData.lifeTime > missile.userData.maxLifeTime || 
-                missile.position.x > 1000 || 
-                missile.position.x < -1000) {
-                
-                // Remove missile
-                this.scene.remove(missile);
-                this.missiles.splice(i, 1);
-                this.missilePool.release(missile);
+            visualizer.visualizeBox(missile.userData.boundingBox, missile.id, 'missile');
+        }
+        
+        // Check if missile has lived too long or gone too far
+        if (missile.userData.lifeTime > missile.userData.maxLifeTime || 
+            missile.position.x > 1000 || 
+            missile.position.x < -1000) {
+            this.releaseMissile(missile);
+        }
+    }
+    
+    /**
+     * Handle a missile hitting something, as reported by the collision system
+     * @param {THREE.Object3D} missile - The missile that hit
+     * @param {Entity} target - The entity it hit
+     */
+    handleMissileHit(missile, target) {
+        // A piercing shot overlaps its target for several steps, but only hits it on the first
+        if (missile.userData.hitTargets.has(target.id)) {
+            return;
+        }
+        missile.userData.hitTargets.add(target.id);
+        
+        // Let the owner apply the hit; it may report where the impact was
+        const impactPoint = this.onHit ? this.onHit(missile, target) : null;
+        
+        // Missile hit something; piercing missiles keep going until they run out of pierce
+        if (missile.userData.pierce > 0) {
+            missile.userData.pierce--;
+        } else {
+            this.releaseMissile(missile);
+        }
+        
+        // Create explosion at impact point, falling back to the missile position
+        this.createExplosion(impactPoint || missile.position.clone());
+    }
+    
+    /**
+     * Get the state of the missiles in flight as plain data, for save games
+     * @returns {Object} Serializable missile state
+     */
+    serialize() {
+        return {
+            elapsedTime: this.elapsedTime,
+            lastShotTime: this.lastShotTime,
+            weaponId: this.weaponId,
+            weaponLevels: { ...this.weaponLevels },
+            subWeaponId: this.subWeaponId,
+            missiles: this.missiles.map(missile => ({
+                weaponId: missile.userData.weaponId,
+                level: missile.userData.stats.level,
+                charge: missile.userData.stats.charge,
+                position: missile.userData.position.toArray(),
+                previousPosition: missile.userData.previousPosition.toArray(),
+                velocity: missile.userData.velocity.toArray(),
+                angle: missile.userData.angle,
+                pierce: missile.userData.pierce,
+                lifeTime: missile.userData.lifeTime
+            }))
+        };
+    }
+    
+    /**
+     * Restore state returned by serialize(), replacing any missiles in flight
+     * @param {Object} state - Serialized missile state
+     */
+    deserialize(state) {
+        this.elapsedTime = state.elapsedTime;
+        this.lastShotTime = state.lastShotTime;
+        this.weaponId = state.weaponId || 'standard';
+        this.weaponLevels = { ...(state.weaponLevels || { standard: 1 }) };
+        this.subWeaponId = state.subWeaponId || null;
+        
+        // Return current missiles to their pools
+        for (const missile of this.missiles) {
+            this.scene.remove(missile);
+            this.pools.get(missile.userData.weaponId).release(missile);
+        }
+        this.missiles = [];
+        
+        for (const missileState of state.missiles) {
+            const weaponId = missileState.weaponId || 'standard';
+            const pool = this.getPool(weaponId);
+            if (!pool) {
                 continue;
             }
             
-            // If a collision callback is provided, let the caller handle collisions
-            if (collisionCallback) {
-                const collisionResult = collisionCallback(missile, missile.userData.boundingBox);
-                if (collisionResult) {
-                    // Missile hit something, remove it
-                    this.scene.remove(missile);
-                    this.missiles.splice(i, 1);
-                    this.missilePool.release(missile);
-                    
-                    // Create explosion at impact point
-                    if (collisionResult.position) {
-                        this.createExplosion(collisionResult.position);
-                    } else {
-                        // Fallback to missile position if no impact point provided
-                        this.createExplosion(missile.position.clone());
-                    }
-                }
-            }
+            const missile = pool.get();
+            
+            missile.visible = true;
+            missile.userData.position.fromArray(missileState.position);
+            missile.userData.previousPosition.fromArray(missileState.previousPosition);
+            missile.userData.velocity.fromArray(missileState.velocity);
+            missile.userData.angle = missileState.angle || 0;
+            missile.userData.lifeTime = missileState.lifeTime;
+            missile.position.copy(missile.userData.position);
+            this.applyWeaponStats(missile, missileState.charge !== undefined
+                ? getChargedStats(weaponId, missileState.charge)
+                : getWeaponStats(weaponId, missileState.level || 1));
+            missile.userData.pierce = missileState.pierce || 0;
+            // Enemies are recreated on restore, so the targets a shot already hit can't be carried over
+            missile.userData.hitTargets.clear();
+            this.orientMissile(missile);
+            
+            this.scene.add(missile);
+            this.missiles.push(missile);
+            this.addToWorld(missile);
+        }
+    }
+    
+    /**
+     * Add a missile's entity to the world, so it starts moving and colliding
+     * @param {THREE.Object3D} missile - The missile in flight
+     */
+    addToWorld(missile) {
+        if (this.world) {
+            this.world.addEntity(missile.userData.entity);
         }
-        
-        // Update active explosions
-        this.updateExplosions(delta);
     }
     
     /**
@@ -569,12 +1023,30 @@ export class MissileManager {
         // Clean up all missiles
         for (const missile of this.missiles) {
             this.scene.remove(missile);
+            if (this.world) {
+                this.world.removeEntity(missile.userData.entity);
+            }
         }
         this.missiles = [];
         
-        // Clean up pool
-        if (this.missilePool) {
-            this.missilePool.clear();
+        // Clean up any explosions still playing
+        if (this.activeExplosions) {
+            for (const explosion of this.activeExplosions) {
+                this.scene.remove(explosion);
+            }
+            this.activeExplosions = [];
+        }
+        if (this.explosionModel) {
+            this.scene.remove(this.explosionModel);
+        }
+        
+        // Clean up pools
+        for (const pool of this.pools.values()) {
+            pool.clear();
+        }
+        this.pools.clear();
+        if (this.explosionPool) {
+            this.explosionPool.clear();
         }
         
         // Clean up sounds
@@ -601,10 +1073,23 @@ export class MissileManager {
             visualizer.removeVisualization(missile.id);
         }
         
+        this.releaseMissile(missile);
+    }
+    
+    /**
+     * Take a missile out of flight and return it to the pool
+     * @param {THREE.Object3D} missile - The missile to release
+     */
+    releaseMissile(missile) {
+        const index = this.missiles.indexOf(missile);
+        if (index !== -1) {
+            this.missiles.splice(index, 1);
+        }
+        
         // Remove missile from scene
         this.scene.remove(missile);
         
-        // Return missile to object pool
-        this.missilePool.release(missile);
+        // Return missile to its weapon's pool (which also takes it out of the world)
+        this.pools.get(missile.userData.weaponId).release(missile);
     }
 } 
\ No newline at end of file
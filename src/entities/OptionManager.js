@@ -0,0 +1,239 @@
+import * as THREE from 'three';
+import debugHelper from '../utils/DebugHelper.js';
+
+// Formations the options can fly in, in the order the formation control cycles through them
+export const OPTION_FORMATIONS = ['trail', 'spread', 'rotate'];
+
+// Offsets from the ship for the fixed spread formation, one per option
+const SPREAD_OFFSETS = [
+    new THREE.Vector3(-4, 12, 0),
+    new THREE.Vector3(-4, -12, 0),
+    new THREE.Vector3(-10, 22, 0),
+    new THREE.Vector3(-10, -22, 0)
+];
+
+/**
+ * Gradius-style Option drones
+ * Options are glowing orbs that copy every shot the ship fires. In the trail formation each one
+ * follows the path the ship flew, a fixed number of steps behind the one in front; they can also
+ * hold a fixed spread around the ship or circle it. Options can't be hit, so they aren't world entities:
+ * the player moves them during its own update and their shots are ordinary player missiles
+ */
+export class OptionManager {
+    /**
+     * Create a new option manager
+     * @param {THREE.Scene} scene - The scene to add options to
+     * @param {Player} player - Ship the options follow and fire with
+     */
+    constructor(scene, player) {
+        this.scene = scene;
+        this.player = player;
+        
+        this.maxOptions = 4;
+        this.formation = 'trail';
+        
+        // Trail settings
+        this.trailSpacing = 16;          // Recorded ship positions between one option and the next
+        this.history = [];               // Ship positions, newest first, recorded only while it moves
+        
+        // Rotate settings
+        this.rotateRadius = 14;
+        this.rotateSpeed = 3;            // Radians per second
+        this.rotateAngle = 0;
+        
+        // Options in play
+        this.options = [];
+        
+        // Shared look for every option
+        this.optionGeometry = new THREE.SphereGeometry(1.8, 12, 8);
+        this.optionMaterial = new THREE.MeshStandardMaterial({
+            color: 0xff8800,
+            emissive: 0xff6600,
+            emissiveIntensity: 2
+        });
+    }
+    
+    /**
+     * Set the formation the options fly in
+     * @param {string} formation - One of OPTION_FORMATIONS
+     */
+    setFormation(formation) {
+        if (!OPTION_FORMATIONS.includes(formation)) {
+            throw new Error(`Unknown option formation: ${formation}`);
+        }
+        this.formation = formation;
+        debugHelper.log(`Option formation: ${formation}`);
+    }
+    
+    /**
+     * Switch to the next formation
+     */
+    cycleFormation() {
+        const index = OPTION_FORMATIONS.indexOf(this.formation);
+        this.setFormation(OPTION_FORMATIONS[(index + 1) % OPTION_FORMATIONS.length]);
+    }
+    
+    /**
+     * Add or remove option meshes to match the number of options the player has earned
+     */
+    syncCount() {
+        const count = Math.min(this.player.optionCount, this.maxOptions);
+        
+        while (this.options.length < count) {
+            const option = new THREE.Mesh(this.optionGeometry, this.optionMaterial);
+            option.userData = {
+                position: this.player.position.clone(),
+                previousPosition: this.player.position.clone()
+            };
+            option.position.copy(option.userData.position);
+            this.scene.add(option);
+            this.options.push(option);
+        }
+        
+        while (this.options.length > count) {
+            this.scene.remove(this.options.pop());
+        }
+    }
+    
+    /**
+     * Record the ship's position and move the options into formation by one step
+     * @param {number} delta - Time step in seconds
+     */
+    update(delta) {
+        this.syncCount();
+        this.recordPosition(this.player.position);
+        this.rotateAngle = (this.rotateAngle + this.rotateSpeed * delta) % (Math.PI * 2);
+        
+        this.options.forEach((option, index) => {
+            option.userData.previousPosition.copy(option.userData.position);
+            this.getFormationPosition(index, option.userData.position);
+        });
+    }
+    
+    /**
+     * Add a ship position to the history
+     * Like Gradius, the trail only moves while the ship does, so options bunch up behind a still ship
+     * @param {THREE.Vector3} position - Ship position this step
+     */
+    recordPosition(position) {
+        if (this.history.length > 0 && this.history[0].equals(position)) {
+            return;
+        }
+        
+        this.history.unshift(position.clone());
+        
+        const maxLength = this.maxOptions * this.trailSpacing + 1;
+        if (this.history.length > maxLength) {
+            this.history.length = maxLength;
+        }
+    }
+    
+    /**
+     * Work out where an option should be in the current formation
+     * @param {number} index - Option index, 0 being the closest to the ship
+     * @param {THREE.Vector3} target - Vector to store the position in
+     * @returns {THREE.Vector3} The target vector
+     */
+    getFormationPosition(index, target) {
+        const ship = this.player.position;
+        
+        switch (this.formation) {
+            case 'spread':
+                return target.copy(ship).add(SPREAD_OFFSETS[index]);
+            case 'rotate': {
+                const angle = this.rotateAngle + index * Math.PI * 2 / this.options.length;
+                return target.set(
+                    ship.x + Math.cos(angle) * this.rotateRadius,
+                    ship.y + Math.sin(angle) * this.rotateRadius,
+                    ship.z
+                );
+            }
+            default: {
+                // Trail: follow the ship's path, falling back to its oldest point while the path is short
+                const historyIndex = Math.min((index + 1) * this.trailSpacing, this.history.length - 1);
+                return historyIndex >= 0 ? target.copy(this.history[historyIndex]) : target.copy(ship);
+            }
+        }
+    }
+    
+    /**
+     * Fire a volley from every option; called whenever the ship fires
+     * @param {MissileManager} missileManager - The ship's missile manager, so option shots hit and score like the ship's
+     */
+    fire(missileManager) {
+        for (const option of this.options) {
+            missileManager.fireVolley(option.userData.position);
+        }
+    }
+    
+    /**
+     * Place the options between the last two simulation steps
+     * @param {number} alpha - Interpolation factor from the previous (0) to the current (1) step
+     */
+    interpolate(alpha) {
+        for (const option of this.options) {
+            option.position.lerpVectors(option.userData.previousPosition, option.userData.position, alpha);
+        }
+    }
+    
+    /**
+     * Show or hide every option, e.g. while the ship is destroyed
+     * @param {boolean} visible - Whether the options are shown
+     */
+    setVisible(visible) {
+        for (const option of this.options) {
+            option.visible = visible;
+        }
+    }
+    
+    /**
+     * Get the formation, trail and option positions as plain data, for save games
+     * The number of options is saved with the player
+     * @returns {Object} Serializable option state
+     */
+    serialize() {
+        return {
+            formation: this.formation,
+            rotateAngle: this.rotateAngle,
+            history: this.history.map(position => position.toArray()),
+            options: this.options.map(option => ({
+                position: option.userData.position.toArray(),
+                previousPosition: option.userData.previousPosition.toArray()
+            }))
+        };
+    }
+    
+    /**
+     * Restore state returned by serialize()
+     * The player's option count must be restored first
+     * @param {Object} state - Serialized option state
+     */
+    deserialize(state) {
+        this.formation = state.formation;
+        this.rotateAngle = state.rotateAngle;
+        this.history = state.history.map(position => new THREE.Vector3().fromArray(position));
+        
+        this.syncCount();
+        this.options.forEach((option, index) => {
+            const optionState = state.options[index];
+            if (optionState) {
+                option.userData.position.fromArray(optionState.position);
+                option.userData.previousPosition.fromArray(optionState.previousPosition);
+                option.position.copy(option.userData.position);
+            }
+        });
+    }
+    
+    /**
+     * Remove every option from the scene
+     */
+    dispose() {
+        for (const option of this.options) {
+            this.scene.remove(option);
+        }
+        this.options = [];
+        
+        this.optionGeometry.dispose();
+        this.optionMaterial.dispose();
+    }
+}
@@ -1,18 +1,56 @@
 import * as THREE from 'three';
-import { ModelLoader } from '../utils/ModelLoader';
+import { ModelLoader } from '../utils/ModelLoader.js';
 import debugHelper from '../utils/DebugHelper.js';
 import { MissileManager } from './MissileManager.js';
+import { PowerUpBar, POWER_UPS } from './PowerUpManager.js';
+import { OptionManager } from './OptionManager.js';
+import { getMaxWeaponLevel } from './Weapons.js';
+import { Shield } from './Shield.js';
+import { Energy, createEnergyConfig } from './Energy.js';
+import { BOMB_CONFIG, Shockwave } from './SmartBomb.js';
 import { HealthBar } from '../ui/HealthBar.js';
 import debugVisualizer from '../utils/DebugVisualizer.js';
+import { gameEvents, GameEvents } from '../core/EventSystem.js';
+import { random } from '../core/Random.js';
+import { Entity, RenderComponent, PhysicsComponent, ActorComponent, ControlComponent, ColliderComponent, TransformComponent } from '../core/Component.js';
 
+// How holding fire behaves: 'auto' repeats shots on the weapon's fire rate, 'charge' fires once
+// and then builds up a charge shot that is released when fire is let go
+export const FIRE_MODES = ['auto', 'charge'];
+
+/**
+ * The player's ship: movement, weapons, health and collisions
+ */
 export class Player {
-    constructor(scene, camera, audioListener, resourceManager) {
+    /**
+     * Create the player
+     * @param {THREE.Scene} scene - The scene to add the ship to
+     * @param {THREE.Camera} camera - Camera that follows the ship
+     * @param {THREE.AudioListener} audioListener - Audio listener for ship sounds (null for no audio)
+     * @param {Object} resourceManager - The resource manager to get models from
+     * @param {Object} options - Optional settings
+     * @param {Object} options.healthBar - Health bar to report health to (defaults to a DOM HealthBar)
+     * @param {World} options.world - World the ship and its missiles are simulated in
+     * @param {EnemyManager} options.enemyManager - Enemies the smart bomb clears
+     * @param {string} options.optionFormation - Formation the option drones start in (see OPTION_FORMATIONS)
+     * @param {Object} options.shield - Shield tuning (see Shield)
+     * @param {Object} options.energy - Energy tuning overrides (see ENERGY_CONFIG)
+     * @param {string} options.fireMode - How holding fire behaves (see FIRE_MODES)
+     * @param {Object} options.bomb - Smart bomb tuning overrides (see BOMB_CONFIG)
+     * @param {number} options.lives - Ships per credit, including the first
+     * @param {number} options.extraLifeScore - Score that earns the first extra life
+     * @param {number} options.extraLifeInterval - Score between later extra lives
+     * @param {number} options.continueTime - Seconds to decide whether to continue once out of lives
+     */
+    constructor(scene, camera, audioListener, resourceManager, options = {}) {
         this.scene = scene;
         this.camera = camera;
         this.resourceManager = resourceManager; // Store reference to ResourceManager
         
         // Initialize ship properties
         this.position = new THREE.Vector3(-40, 0, 0); // Start more to the left
+        this.previousPosition = this.position.clone(); // Position at the previous simulation step
+        this.renderPosition = this.position.clone(); // Interpolated position used for rendering
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.acceleration = new THREE.Vector3(0, 0, 0);
         this.rotation = new THREE.Euler(0, 0, 0, 'YXZ');
@@ -22,6 +60,25 @@ export class Player {
         // Initialize player score
         this.score = 0;
         
+        // Lives: losing a ship respawns the next one, and running out offers a continue
+        this.startingLives = options.lives ?? 3;
+        this.lives = this.startingLives;                        // Ships left, including the one in play
+        this.extraLifeInterval = options.extraLifeInterval ?? 10000;
+        this.nextExtraLifeScore = options.extraLifeScore ?? 5000;
+        this.destroyed = false;                                 // Ship blown up, waiting to respawn or continue
+        this.respawnDelay = 2;                                  // Seconds before the next ship appears
+        this.respawnTimer = 0;
+        this.respawnInvulnerability = 3;                        // Seconds a new ship can't be hit
+        this.continueTime = options.continueTime ?? 10;
+        this.continueTimer = 0;                                 // Counts down while a continue is on offer
+        this.continuesUsed = 0;
+        
+        // Where a new ship appears: the last spot the ship was clear of enemies, or else the last checkpoint
+        this.spawnPosition = this.position.clone();
+        this.safePosition = this.position.clone();
+        this.checkpointPosition = this.position.clone();
+        this.safeRadius = 30;
+        
         // Gradius-style side-scroller settings
         this.autoScrollSpeed = 30;       // Automatic scroll speed (how fast the world moves)
         this.verticalSpeed = 100;        // Vertical movement speed
@@ -49,15 +106,21 @@ export class Player {
         this.boundingBox = null;
         this.size = new THREE.Vector3(2, 1, 4); // Default approximate size
         
+        // Enemy shots only count when they reach the middle of the ship, not its wingtips
+        this.hitboxSize = new THREE.Vector3(3, 1.2, 4);
+        this.hitbox = new THREE.Box3();
+        
         // Camera settings for side-scrolling
         this.cameraOffset = new THREE.Vector3(0, 0, 50); // Position camera in front of the scene
         this.cameraDampingFactor = 0.05; // Lower value = smoother but slower camera
+        this.cameraLookAhead = 20;       // How far ahead of the ship the camera looks
         
         // Game mode
         this.gameMode = 'sideScroller'; // Set game mode to side-scroller
         
         // Game state
         this.disableControls = false; // Flag to disable controls on game over
+        this.isDead = false;
         
         // Input state
         this.inputControls = {
@@ -65,7 +128,17 @@ export class Player {
             down: false,
             left: false,
             right: false,
-            shoot: false
+            shoot: false,
+            powerUp: false,
+            formation: false,
+            switchWeapon: false,
+            boost: false,
+            chargeShot: false,
+            special: false,
+            bomb: false,
+            // Analog movement from -1 to 1, up and right positive (0 when only the move buttons are used)
+            moveX: 0,
+            moveY: 0
         };
         
         // Initialize keys object for backward compatibility
@@ -74,7 +147,14 @@ export class Player {
             down: false,
             left: false,
             right: false,
-            shoot: false
+            shoot: false,
+            powerUp: false,
+            formation: false,
+            switchWeapon: false,
+            boost: false,
+            chargeShot: false,
+            special: false,
+            bomb: false
         };
         
         // Collision detection
@@ -88,17 +168,48 @@ export class Player {
         // Health and energy - health is now a property we'll modify based on collisions
         this.maxHealth = 100;
         this.health = this.maxHealth;
-        this.energy = 100;
-        this.energyRechargeRate = 5; // Per second
-        this.healthBar = new HealthBar(this.maxHealth);
+        this.energyConfig = createEnergyConfig(options.energy);
+        this.energy = new Energy(this.energyConfig);
+        this.boosting = false;                  // Whether the speed boost is running
+        this.chargeShotHeld = false;            // Abilities need a fresh press each time
+        this.specialHeld = false;
+        this.healthBar = options.healthBar || new HealthBar(this.maxHealth);
         this.invulnerable = false;
         this.invulnerableTime = 0;
         this.invulnerableDuration = 1.0; // One second of invulnerability after being hit
         
+        // Shield, drained before health
+        this.shield = new Shield(options.shield);
+        this.shieldMesh = null; // Bubble around the ship while the shield is up
+        
         // Weapon systems
         this.missiles = [];
         this.missileCooldown = 0;
         this.missileCooldownTime = 0.1; // Reduced from 0.15 to 0.1 for even faster firing
+        this.fireMode = 'auto';
+        this.setFireMode(options.fireMode || 'auto');
+        this.shootHeld = false;                 // Charge mode fires on a fresh press and charges while held
+        this.chargeHeldTime = 0;                // Seconds fire has been held in charge mode
+        this.charge = 0;                        // Charge built up, from 0 to 1
+        this.chargeCancelled = false;           // A hit threw the charge away; fire must be let go first
+        this.chargeMesh = null;                 // Glow at the ship's nose while charging
+        
+        // Smart bombs clear the screen; each new ship gets at least the starting stock
+        this.bombConfig = { ...BOMB_CONFIG, ...options.bomb };
+        this.bombs = this.bombConfig.stock;
+        this.bombHeld = false;                  // Bombs need a fresh press each time
+        this.enemyManager = options.enemyManager || null;
+        this.shockwaves = [];
+        
+        // Power-ups, bought from the power-up bar with capsules (see PowerUpManager)
+        this.powerUpBar = new PowerUpBar();
+        this.powerUpHeld = false;               // Buying needs a fresh press of the power-up control
+        this.baseVerticalSpeed = this.verticalSpeed;
+        this.baseHorizontalAdjustSpeed = this.horizontalAdjustSpeed;
+        this.speedLevel = 0;                    // Each level adds 15% to the movement speeds
+        this.optionCount = 0;                   // Option drones earned
+        this.formationHeld = false;             // Switching formation needs a fresh press too
+        this.weaponHeld = false;                // And so does switching weapon
         
         // Audio
         this.audioListener = audioListener;
@@ -108,9 +219,17 @@ export class Player {
         // Create model loader
         this.modelLoader = new ModelLoader();
         
-        // Start listening for keyboard inputs
+        // Set up input state (the game state passes keyboard input in through setInputControls)
         this.setupInputListeners();
         
+        // World entity for the ship; its mesh and bounding box are filled in once the model is loaded
+        this.world = options.world || null;
+        this.entity = this.createEntity();
+        this.collider = this.entity.getComponent(ColliderComponent);
+        if (this.world) {
+            this.world.addEntity(this.entity);
+        }
+        
         // Load models
         this.loadShipModel();
         // No longer loading our own missile model - using ResourceManager instead
@@ -123,11 +242,74 @@ export class Player {
         this.setupSideScrollCamera();
         
         // Create missile manager
-        this.missileManager = new MissileManager(scene, audioListener);
+        this.missileManager = new MissileManager(scene, audioListener, resourceManager, this.world);
+        this.missileManager.onHit = (missile, target) => this.handleMissileHit(missile, target);
+        
+        // Option drones copy every shot through the same missile manager
+        this.optionManager = new OptionManager(scene, this);
+        if (options.optionFormation) {
+            this.optionManager.setFormation(options.optionFormation);
+        }
+        
+        // Weapons can also be granted by the level script
+        this.removeWeaponGrantedListener = gameEvents.on(GameEvents.WEAPON_GRANTED, (data) => {
+            this.grantWeapon(data.weapon);
+            this.emitPowerUpBar();
+        });
+        
+        // Checkpoints move the fallback respawn point along the level
+        this.removeCheckpointListener = gameEvents.on(GameEvents.CHECKPOINT_REACHED, (data) => {
+            this.setCheckpoint(data.position);
+        });
+        
+        // Wiping out a whole formation is worth a bonus
+        this.removeFormationClearedListener = gameEvents.on(GameEvents.FORMATION_CLEARED, (data) => {
+            this.score += data.bonus;
+            gameEvents.emit(GameEvents.SHOW_MESSAGE, { text: 'FORMATION BONUS', subtext: `+${data.bonus}`, duration: 2 });
+        });
+        
+        // Bosses go down through their defeat sequence rather than a single hit, so they score when it ends
+        this.removeBossDefeatedListener = gameEvents.on(GameEvents.BOSS_DEFEATED, (data) => {
+            this.score += data.score;
+        });
+        
+        // Show the full shield and energy, the lives and bombs, the empty power-up bar and the starting weapon
+        this.updateShieldDisplay();
+        this.updateEnergyDisplay();
+        this.emitLives();
+        this.emitBombs();
+        this.emitPowerUpBar();
+        this.emitWeaponChanged();
         
         debugHelper.log("Player initialized with health system");
     }
     
+    /**
+     * Create the world entity for the ship
+     * Its components share the ship's vectors and input controls, so systems and the ship see the same state
+     * @returns {Entity} The entity
+     */
+    createEntity() {
+        const entity = new Entity(this.scene);
+        
+        const transform = entity.getComponent(TransformComponent);
+        transform.position = this.position;
+        transform.previousPosition = this.previousPosition;
+        
+        entity.addComponent(PhysicsComponent).velocity = this.velocity;
+        entity.addComponent(RenderComponent);
+        entity.addComponent(ActorComponent).actor = this;
+        entity.addComponent(ControlComponent).controls = this.inputControls;
+        
+        const collider = entity.addComponent(ColliderComponent);
+        collider.layer = 'player';
+        collider.enabled = false;
+        collider.hitbox = this.hitbox;
+        collider.onHit = (target) => this.handleHit(target);
+        
+        return entity;
+    }
+    
     /**
      * Loads audio assets for the player
      */
@@ -161,6 +343,12 @@ export class Player {
             this.collisionSound.setVolume(0.8);
             this.collisionSound.setRefDistance(20);
             
+            // Create charge-up sound, which rises in pitch as the charge builds
+            this.chargeSound = new THREE.PositionalAudio(this.audioListener);
+            this.chargeSound.setLoop(true);
+            this.chargeSound.setVolume(0.6);
+            this.chargeSound.setRefDistance(20);
+            
             // Load engine sound
             audioLoader.load('assets/sounds/engine_hum.mp3', (buffer) => {
                 this.engineSound.setBuffer(buffer);
@@ -188,6 +376,13 @@ export class Player {
                 debugHelper.log("Error loading collision sound: " + error.message, "error");
             });
             
+            // Load charge-up sound
+            audioLoader.load('assets/sounds/charge_up.mp3', (buffer) => {
+                this.chargeSound.setBuffer(buffer);
+            }, null, (error) => {
+                debugHelper.log("Error loading charge sound: " + error.message, "error");
+            });
+            
             // Add sounds to the model when it's created
             this.soundsLoaded = true;
             
@@ -204,68 +399,18 @@ export class Player {
      * Loads the ship GLB model
      */
     loadShipModel() {
-        // Remove verbose log
+        // Use the preloaded model from the ResourceManager when there is one
+        const preloadedModel = this.resourceManager && this.resourceManager.getShipModel
+            ? this.resourceManager.getShipModel()
+            : null;
+        if (preloadedModel) {
+            this.setupShipModel(preloadedModel);
+            return;
+        }
         
         // Load the spaceship model
         this.modelLoader.loadModel('models/spaceships/spaceship_0304124415.glb', (model) => {
-            // Success callback
-            this.model = model;
-            
-            // Make materials brighter
-            this.model.traverse((child) => {
-                if (child.isMesh && child.material) {
-                    // If it's an array of materials, process each one
-                    if (Array.isArray(child.material)) {
-                        child.material.forEach(mat => {
-                            mat.emissive = new THREE.Color(0x666666);
-                            mat.emissiveIntensity = 0.5;
-                            mat.color.multiplyScalar(1.5); // Make colors brighter
-                        });
-                    } else {
-                        // Single material
-                        child.material.emissive = new THREE.Color(0x666666);
-                        child.material.emissiveIntensity = 0.5;
-                        child.material.color.multiplyScalar(1.5); // Make colors brighter
-                    }
-                }
-            });
-            
-            // Create a group for the ship and add the model to it
-            this.shipGroup = new THREE.Group();
-            this.shipGroup.add(this.model);
-            
-            // Make the ship bigger - increased by 15%
-            this.model.scale.set(5.75, 5.75, 5.75); // Increased from 5.0 to 5.75 (15% increase)
-            
-            // Clear existing rotations
-            this.model.rotation.set(0, 0, 0);
-            this.shipGroup.rotation.set(0, 0, 0);
-            
-            // First rotate the ship to determine its main direction
-            this.model.rotation.y = Math.PI; // 180 degrees - point opposite of default
-            
-            // Then apply the side-scroller orientation 
-            this.shipGroup.rotation.y = 0;  // Align with X axis
-            this.shipGroup.rotation.z = 0;  // No roll
-            this.shipGroup.rotation.x = 0;  // No pitch
-            
-            // Position the ship on the left side of the screen
-            this.position.set(-40, 0, 0); // Start from left side
-            this.shipGroup.position.copy(this.position);
-            
-            // Add to scene
-            this.scene.add(this.shipGroup);
-            
-            // Create bounding box for collision detection
-            this.boundingBox = new THREE.Box3().setFromObject(this.shipGroup);
-            
-            // Visualize bounding box for debugging
-            const visualizer = debugVisualizer.getInstance();
-            if (visualizer) {
-                visualizer.visualizeBox(this.boundingBox, 'player', 'player');
-            }
-            
-            // Remove verbose log
+            this.setupShipModel(model);
         }, (error) => {
             // Keep error logs
             debugHelper.log("Failed to load spaceship model: " + error.message, "error");
@@ -276,116 +421,132 @@ export class Player {
     }
     
     /**
-     * Set up input event listeners
+     * Set up the ship model, add it to the scene and create its bounding box
+     * @param {THREE.Object3D} model - The loaded ship model
      */
-    setupInputListeners() {
-        // Store references to bound methods to be able to remove them later
-        this.boundKeyDown = this.handleKeyDown.bind(this);
-        this.boundKeyUp = this.handleKeyUp.bind(this);
+    setupShipModel(model) {
+        this.model = model;
+        
+        // Make materials brighter
+        this.model.traverse((child) => {
+            if (child.isMesh && child.material) {
+                // Clone materials so preloaded templates are never modified
+                child.material = Array.isArray(child.material)
+                    ? child.material.map(mat => mat.clone())
+                    : child.material.clone();
+                
+                // If it's an array of materials, process each one
+                if (Array.isArray(child.material)) {
+                    child.material.forEach(mat => {
+                        mat.emissive = new THREE.Color(0x666666);
+                        mat.emissiveIntensity = 0.5;
+                        mat.color.multiplyScalar(1.5); // Make colors brighter
+                    });
+                } else {
+                    // Single material
+                    child.material.emissive = new THREE.Color(0x666666);
+                    child.material.emissiveIntensity = 0.5;
+                    child.material.color.multiplyScalar(1.5); // Make colors brighter
+                }
+            }
+        });
+        
+        // Create a group for the ship and add the model to it
+        this.shipGroup = new THREE.Group();
+        this.shipGroup.add(this.model);
+        
+        // Make the ship bigger - increased by 15%
+        this.model.scale.set(5.75, 5.75, 5.75); // Increased from 5.0 to 5.75 (15% increase)
+        
+        // Clear existing rotations
+        this.model.rotation.set(0, 0, 0);
+        this.shipGroup.rotation.set(0, 0, 0);
+        
+        // First rotate the ship to determine its main direction
+        this.model.rotation.y = Math.PI; // 180 degrees - point opposite of default
+        
+        // Then apply the side-scroller orientation 
+        this.shipGroup.rotation.y = 0;  // Align with X axis
+        this.shipGroup.rotation.z = 0;  // No roll
+        this.shipGroup.rotation.x = 0;  // No pitch
         
-        // Add event listeners
-        document.addEventListener('keydown', this.boundKeyDown);
-        document.addEventListener('keyup', this.boundKeyUp);
+        // Position the ship on the left side of the screen
+        this.position.set(-40, 0, 0); // Start from left side
+        this.previousPosition.copy(this.position);
+        this.shipGroup.position.copy(this.position);
         
+        // Add to scene
+        this.scene.add(this.shipGroup);
+        
+        // Create bounding box for collision detection
+        this.boundingBox = new THREE.Box3().setFromObject(this.shipGroup);
+        
+        // Let the world render and collide the ship
+        this.entity.getComponent(RenderComponent).mesh = this.shipGroup;
+        this.collider.boundingBox = this.boundingBox;
+        this.updateHitbox();
+        
+        // Visualize bounding box for debugging
+        const visualizer = debugVisualizer.getInstance();
+        if (visualizer) {
+            visualizer.visualizeBox(this.boundingBox, 'player', 'player');
+        }
+    }
+    
+    /**
+     * Set up the input state
+     */
+    setupInputListeners() {
         // Initialize input state
         this.inputControls = {
             up: false,
             down: false,
             left: false,
             right: false,
-            shoot: false
+            shoot: false,
+            powerUp: false,
+            formation: false,
+            switchWeapon: false,
+            boost: false,
+            chargeShot: false,
+            special: false,
+            bomb: false,
+            moveX: 0,
+            moveY: 0
         };
         
         // Make sure keys object is synchronized with inputControls
         this.keys = this.inputControls;
-        
-        // Remove console log
     }
     
     /**
-     * Handle key down events
-     * @param {KeyboardEvent} event - The keyboard event
+     * Set the controls the ship follows on the next update
+     * @param {Object|null} controls - Any of up, down, left, right, shoot, moveX, moveY (null releases everything)
      */
-    handleKeyDown(event) {
-        // Prevent default behavior for game controls to avoid browser scrolling
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'KeyW', 'KeyS', 'KeyA', 'KeyD', 'Space'].includes(event.code)) {
-            event.preventDefault();
-        }
-        
-        const code = event.code;
-        
-        switch (code) {
-            case 'ArrowUp':
-            case 'KeyW':
-                this.inputControls.up = true;
-                this.keys.up = true;
-                break;
-            case 'ArrowDown':
-            case 'KeyS':
-                this.inputControls.down = true;
-                this.keys.down = true;
-                break;
-            case 'ArrowLeft':
-            case 'KeyA':
-                this.inputControls.left = true;
-                this.keys.left = true;
-                break;
-            case 'ArrowRight':
-            case 'KeyD':
-                this.inputControls.right = true;
-                this.keys.right = true;
-                break;
-            case 'Space':
-                this.inputControls.shoot = true;
-                this.keys.shoot = true;
-                
-                // For immediate response, try to shoot right away if cooldown is ready
-                if (this.missileCooldown <= 0) {
-                    this.shootMissile();
-                    this.missileCooldown = this.missileCooldownTime;
-                }
-                break;
+    setInputControls(controls) {
+        for (const control in this.inputControls) {
+            const value = controls ? controls[control] : false;
+            this.inputControls[control] = typeof this.inputControls[control] === 'number' ? Number(value) || 0 : !!value;
         }
     }
     
     /**
-     * Handle key up events
-     * @param {KeyboardEvent} event - The keyboard event
+     * Get how far the ship is being steered on each axis
+     * The analog axis is used while it is off centre, otherwise the move buttons steer at full deflection
+     * @returns {Object} x and y from -1 to 1, up and right positive
      */
-    handleKeyUp(event) {
-        // Prevent default behavior for game controls
-        if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'KeyW', 'KeyS', 'KeyA', 'KeyD', 'Space'].includes(event.code)) {
-            event.preventDefault();
+    getMoveAxis() {
+        const { moveX, moveY } = this.inputControls;
+        if (moveX || moveY) {
+            return { x: moveX, y: moveY };
         }
         
-        const code = event.code;
-        
-        switch (code) {
-            case 'ArrowUp':
-            case 'KeyW':
-                this.inputControls.up = false;
-                this.keys.up = false;
-                break;
-            case 'ArrowDown':
-            case 'KeyS':
-                this.inputControls.down = false;
-                this.keys.down = false;
-                break;
-            case 'ArrowLeft':
-            case 'KeyA':
-                this.inputControls.left = false;
-                this.keys.left = false;
-                break;
-            case 'ArrowRight':
-            case 'KeyD':
-                this.inputControls.right = false;
-                this.keys.right = false;
-                break;
-            case 'Space':
-                this.inputControls.shoot = false;
-                this.keys.shoot = false;
-                break;
-        }
+        // Down wins over up, and right over left, when both are held
+        const controls = this.inputControls;
+        return {
+            x: controls.right ? 1 : (controls.left ? -1 : 0),
+            y: controls.down ? -1 : (controls.up ? 1 : 0)
+        };
     }
     
     /**
@@ -393,8 +554,20 @@ export class Player {
      * @param {number} delta - The time in seconds since the last update
      */
     update(delta) {
-        // If controls are disabled (game over), only update animations
+        // Remember where we were so rendering can interpolate between steps
+        this.previousPosition.copy(this.position);
+        
+        // If controls are disabled (ship destroyed or game over), only wait to respawn and update animations
         if (this.disableControls) {
+            this.collider.enabled = false;
+            
+            if (this.destroyed && !this.isDead) {
+                this.updateDestroyed(delta);
+            }
+            
+            // Let a shockwave finish sweeping the screen
+            this.updateShockwaves(delta);
+            
             // Update explosions if any
             if (this.explosions.length > 0) {
                 this.explosions.forEach((explosion, index) => {
@@ -412,6 +585,17 @@ export class Player {
         this.missileCooldown = Math.max(0, this.missileCooldown - delta);
         this.collisionCooldown = Math.max(0, this.collisionCooldown - delta);
         
+        // Award extra lives for score
+        this.checkExtraLives();
+        
+        // Recharge the shield once the delay after the last hit has passed
+        if (this.shield.update(delta)) {
+            this.updateShieldDisplay();
+        }
+        
+        // Spend energy on abilities, and recharge what isn't spent
+        this.updateAbilities(delta);
+        
         // Update invulnerability status
         if (this.invulnerable) {
             this.invulnerableTime -= delta;
@@ -432,35 +616,65 @@ export class Player {
         // Perform movement update
         this.updateMovement(delta);
         
+        // Bring the options along, switching formation on a fresh press
+        if (this.inputControls.formation && !this.formationHeld) {
+            this.optionManager.cycleFormation();
+        }
+        this.formationHeld = this.inputControls.formation;
+        this.optionManager.update(delta);
+        
         // Update visual effects
         if (this.engineParticles) {
             this.updateEngineEffects();
         }
         
-        // Update camera position
-        this.updateCameraPosition();
-        
         // Auto-fire missiles if enabled
         if (this.autoFire && this.missileCooldown <= 0) {
             this.shootMissile();
         }
         
-        // Manual fire missiles if space is pressed
-        if (this.inputControls.shoot && this.missileCooldown <= 0) {
+        // Manual fire missiles if space is pressed, or charge a shot while it's held in charge mode
+        if (this.fireMode === 'charge') {
+            this.updateChargeShot(delta);
+        } else if (this.inputControls.shoot && this.missileCooldown <= 0) {
             this.shootMissile();
         }
+        this.shootHeld = this.inputControls.shoot;
+        
+        // Buy the highlighted power-up on a fresh press
+        if (this.inputControls.powerUp && !this.powerUpHeld) {
+            this.activatePowerUp();
+        }
+        this.powerUpHeld = this.inputControls.powerUp;
+        
+        // Switch to the next owned weapon on a fresh press
+        if (this.inputControls.switchWeapon && !this.weaponHeld) {
+            this.switchWeapon();
+        }
+        this.weaponHeld = this.inputControls.switchWeapon;
+        
+        // Set off a smart bomb on a fresh press
+        if (this.inputControls.bomb && !this.bombHeld) {
+            this.useBomb();
+        }
+        this.bombHeld = this.inputControls.bomb;
+        this.updateShockwaves(delta);
         
-        // Update missiles with collision detection
+        // Update the fire rate clock and explosions
         this.updateMissiles(delta);
         
-        // Check for collisions
-        if (this.collisionCooldown <= 0 && this.boundingBox && !this.invulnerable) {
-            this.checkCollisions();
+        // Remember this spot as a place to respawn if it's clear of enemies
+        if (this.isPositionSafe(this.position)) {
+            this.safePosition.copy(this.position);
         }
         
+        // Stay collidable while invulnerable so capsules can still be picked up (see handleHit)
+        this.collider.enabled = this.boundingBox !== null;
+        
         // Update the bounding box to match the ship's current position
         if (this.boundingBox && this.shipGroup) {
             this.boundingBox.setFromObject(this.shipGroup);
+            this.updateHitbox();
             
             // Update visualization for debugging
             const visualizer = debugVisualizer.getInstance();
@@ -470,33 +684,40 @@ export class Player {
         }
     }
     
+    /**
+     * Centre the hitbox on the ship
+     */
+    updateHitbox() {
+        this.hitbox.setFromCenterAndSize(this.position, this.hitboxSize);
+    }
+    
     updateMovement(delta) {
         // Always apply a small forward velocity for classic side-scroller feel
         this.velocity.set(0, 0, 0);
         
+        // The boost speeds up movement in every direction
+        const speedMultiplier = this.boosting ? this.energyConfig.boost.speedMultiplier : 1;
+        
+        // Speed scales with how far the stick is pushed (always full for the move buttons)
+        const move = this.getMoveAxis();
+        
         // In Gradius-style games, UP/DOWN are the primary controls
-        if (this.inputControls.up) {
-            this.velocity.y = this.verticalSpeed;
-        }
-        if (this.inputControls.down) {
-            this.velocity.y = -this.verticalSpeed;
-        }
+        this.velocity.y = this.verticalSpeed * speedMultiplier * move.y;
         
         // LEFT/RIGHT adjust horizontal speed but don't fully control it
         // LEFT slows down slightly, RIGHT speeds up slightly
         let horizontalSpeed = 0;
         
-        if (this.inputControls.right) {
-            horizontalSpeed = this.horizontalAdjustSpeed;
-        } else if (this.inputControls.left) {
-            horizontalSpeed = -this.horizontalAdjustSpeed * 0.5; // Slower backward movement
+        if (move.x > 0) {
+            horizontalSpeed = this.horizontalAdjustSpeed * speedMultiplier * move.x;
+        } else if (move.x < 0) {
+            horizontalSpeed = this.horizontalAdjustSpeed * 0.5 * speedMultiplier * move.x; // Slower backward movement
         }
         
         this.velocity.x = horizontalSpeed;
         
-        // Update position with delta time
-        const fixedDelta = Math.min(delta, 0.016); // Cap at 60fps equivalent
-        this.position.add(this.velocity.clone().multiplyScalar(fixedDelta));
+        // Update position with delta time (the game loop already runs at a fixed step)
+        this.position.add(this.velocity.clone().multiplyScalar(delta));
         
         // Apply position boundaries for screen limits
         if (this.position.y < this.minY) this.position.y = this.minY;
@@ -513,7 +734,8 @@ export class Player {
             const targetRotationX = this.calculateShipTilt();
             
             // Smoothly interpolate current rotation to target rotation
-            const rotationLerpFactor = 0.1; // Adjust this value to change tilt responsiveness
+            // The factor is 0.1 per 60Hz frame, scaled so the tilt eases at the same speed at any step size
+            const rotationLerpFactor = 1 - Math.pow(1 - 0.1, delta * 60);
             this.shipGroup.rotation.x = THREE.MathUtils.lerp(
                 this.shipGroup.rotation.x,
                 targetRotationX,
@@ -535,16 +757,12 @@ export class Player {
         const maxTiltAngle = Math.PI / 8; // 22.5 degrees maximum tilt (reduced from 30)
         let targetTilt = 0;
         
-        if (this.inputControls.up) {
-            // Bank left when moving up
-            targetTilt = maxTiltAngle;
-        } else if (this.inputControls.down) {
-            // Bank right when moving down
-            targetTilt = -maxTiltAngle;
-        }
-        
-        // Add a slight tilt based on vertical velocity for smooth transitions
-        if (!this.inputControls.up && !this.inputControls.down) {
+        // Bank left when moving up and right when moving down, as far as the ship is steered
+        const move = this.getMoveAxis();
+        if (move.y !== 0) {
+            targetTilt = maxTiltAngle * move.y;
+        } else {
+            // Add a slight tilt based on vertical velocity for smooth transitions
             targetTilt = -(this.velocity.y / this.verticalSpeed) * (maxTiltAngle * 0.5);
         }
         
@@ -598,10 +816,13 @@ export class Player {
         this.model.add(secondaryLight);
         this.secondaryLight = secondaryLight;
         
-        // Attach engine sound to the ship if available
+        // Attach engine and charge sounds to the ship if available
         if (this.soundsLoaded && this.engineSound) {
             this.model.add(this.engineSound);
         }
+        if (this.soundsLoaded && this.chargeSound) {
+            this.model.add(this.chargeSound);
+        }
         
         // Initial visibility - always visible for Gradius style
         this.engineGlow.visible = true;
@@ -627,7 +848,7 @@ export class Player {
         const basePulse = Math.sin(this.engineTime * 10) * 0.2 + 0.8; // Oscillate between 0.6 and 1.0
         
         // Apply random flicker
-        const flicker = Math.random() * 0.2 + 0.9; // Random value between 0.9 and 1.1
+        const flicker = random.cosmetic.next() * 0.2 + 0.9; // Random value between 0.9 and 1.1
         const totalFactor = basePulse * flicker;
         
         // Apply to the main engine
@@ -662,59 +883,64 @@ export class Player {
         }
     }
     
-    updateCameraPosition() {
+    /**
+     * Place the ship and camera between the last two simulation steps
+     * Called once per rendered frame, after all fixed steps for that frame have run
+     * @param {number} alpha - Interpolation factor from the previous (0) to the current (1) step
+     */
+    interpolate(alpha) {
+        this.renderPosition.lerpVectors(this.previousPosition, this.position, alpha);
+        
+        if (this.shipGroup) {
+            this.shipGroup.position.copy(this.renderPosition);
+        }
+        
+        if (this.shieldMesh) {
+            this.shieldMesh.position.copy(this.renderPosition);
+        }
+        
+        if (this.chargeMesh) {
+            this.chargeMesh.position.copy(this.renderPosition);
+            this.chargeMesh.position.x += 10; // Where shots leave the ship
+        }
+        
+        this.optionManager.interpolate(alpha);
+        
+        // Update camera position
+        this.updateCameraPosition(this.renderPosition);
+    }
+    
+    /**
+     * Follow the ship with the camera
+     * @param {THREE.Vector3} position - Ship position to follow
+     */
+    updateCameraPosition(position = this.position) {
         // For Gradius-style side-scrolling, position the camera to show more of what's ahead
         // Position the camera so the player is about 1/3 from the left edge of the screen
         
-        const lookAheadOffset = 20; // How far ahead to look
+        const lookAheadOffset = this.cameraLookAhead;
         
         // Set the camera position
-        this.camera.position.set(this.position.x + lookAheadOffset, this.position.y, 100);
-        this.camera.lookAt(this.position.x + lookAheadOffset, this.position.y, 0);
+        this.camera.position.set(position.x + lookAheadOffset, position.y, 100);
+        this.camera.lookAt(position.x + lookAheadOffset, position.y, 0);
     }
     
     /**
-     * Check for collisions with other objects
+     * Handle the collision system reporting that the ship touched another entity
+     * Enemies and their shots only hurt once the collision cooldown and invulnerability have run out;
+     * capsules collect themselves through their own collider
+     * @param {Entity} target - The entity touched
      */
-    checkCollisions() {
-        try {
-            // Only check collisions if cooldown is inactive and boundingBox exists
-            if (this.collisionCooldown <= 0 && this.boundingBox) {
-                // Check if our bounding box intersects with any debris or asteroids
-                this.scene.traverse((object) => {
-                    if (object.userData && (object.userData.isDebris || object.userData.isAsteroid)) {
-                        try {
-                            // Get asteroid reference if available
-                            const asteroid = object.userData.asteroidRef;
-                            
-                            if (asteroid && asteroid.checkCollision) {
-                                // Use the asteroid's sphere-based collision detection
-                                if (asteroid.checkCollision(this.boundingBox)) {
-                                    // Handle collision with the asteroid
-                                    this.handleCollision(object);
-                                }
-                            } else {
-                                // Fallback to box-based collision for other objects
-                                const debrisBoundingBox = new THREE.Box3().setFromObject(object);
-                                
-                                // Check for intersection
-                                if (this.boundingBox.intersectsBox(debrisBoundingBox)) {
-                                    // Handle collision
-                                    this.handleCollision(object);
-                                }
-                            }
-                        } catch (error) {
-                            // Silently ignore errors during collision detection
-                            // This can happen if objects are being removed or not fully loaded
-                            debugHelper.log("Collision detection error: " + error.message, "error");
-                        }
-                    }
-                });
-            }
-        } catch (error) {
-            // Keep error logs
-            debugHelper.log("Collision detection error: " + error.message, "error");
+    handleHit(target) {
+        const layer = target.getComponent(ColliderComponent).layer;
+        if (layer !== 'enemy' && layer !== 'enemyProjectile') {
+            return;
         }
+        if (this.collisionCooldown > 0 || this.invulnerable) {
+            return;
+        }
+        
+        this.handleCollision(target.getComponent(RenderComponent).mesh);
     }
     
     /**
@@ -777,19 +1003,11 @@ export class Player {
                 
                 this.createExplosion(explosionPosition);
                 
-                // Log the asteroid destruction
-                debugHelper.log("Player collided with asteroid - destroying it");
-                
-                // Call handleHit for any additional asteroid destruction effects
-                if (typeof asteroid.handleHit === 'function') {
-                    debugHelper.log(`Calling asteroid.handleHit for asteroid with mass: ${asteroid.mass || 'undefined'}`);
-                    asteroid.handleHit();
-                } else {
-                    debugHelper.log('Asteroid has no handleHit method');
+                // Ramming destroys ordinary enemies outright, but bosses shrug it off
+                if (!asteroid.isBoss) {
+                    debugHelper.log("Player collided with asteroid - destroying it");
+                    this.damageEnemy(asteroid, asteroid.health, explosionPosition, 'collision');
                 }
-                                                
-                // Remove the asteroid
-                asteroid.remove();
             } else if (userData.isAsteroid) {
                 // For asteroids without a proper reference, just create an explosion
                 const explosionPosition = object.position ? object.position.clone() : this.position.clone();
@@ -803,11 +1021,40 @@ export class Player {
                     this.scene.remove(object);
                 }
             }
+        } else if (userData.enemyRef) {
+            // Enemy ships do a fixed amount of damage, whatever their size
+            damage = userData.damage ?? 5;
+            
+            const enemy = userData.enemyRef;
+            const explosionPosition = enemy.position.clone();
+            this.createExplosion(explosionPosition);
+            
+            if (!enemy.isBoss) {
+                this.damageEnemy(enemy, enemy.health, explosionPosition, 'collision');
+            }
         } else {
-            // Generic damage for other types
-            damage = 5;
+            // Generic damage for other types, e.g. enemy shots, which carry their own
+            damage = userData.damage ?? 5;
         }
                 
+        // A hit can knock out a charge in progress
+        if (this.energyConfig.chargeShot.cancelOnDamage && this.charge > 0) {
+            this.cancelCharge();
+        }
+        
+        // The shield soaks up what it can, and the hull takes the rest
+        const shieldHit = this.shield.absorb(damage);
+        damage = shieldHit.remaining;
+        this.updateShieldDisplay();
+        
+        if (shieldHit.broken) {
+            debugHelper.log("Shield down!");
+            gameEvents.emit(GameEvents.SHIELD_BROKEN, { position: this.position.clone() });
+            
+            // Breaking burns off the '?' overcharge, so it can be bought again
+            this.emitPowerUpBar();
+        }
+        
         // Apply damage to health
         this.health = Math.max(0, this.health - damage);
         
@@ -828,16 +1075,16 @@ export class Player {
         const bounceDirection = this.velocity.clone().normalize().multiplyScalar(-1);
         
         // Add some randomness to the bounce
-        bounceDirection.x += (Math.random() - 0.5) * 0.2;
-        bounceDirection.y += (Math.random() - 0.5) * 0.2;
-        bounceDirection.z += (Math.random() - 0.5) * 0.2;
+        bounceDirection.x += (random.gameplay.next() - 0.5) * 0.2;
+        bounceDirection.y += (random.gameplay.next() - 0.5) * 0.2;
+        bounceDirection.z += (random.gameplay.next() - 0.5) * 0.2;
         
         // Apply bounce force
         this.velocity.addScaledVector(bounceDirection, impactForce);
         
         // Add some rotation from impact
-        this.rotation.x += (Math.random() - 0.5) * 0.1;
-        this.rotation.z += (Math.random() - 0.5) * 0.1;
+        this.rotation.x += (random.gameplay.next() - 0.5) * 0.1;
+        this.rotation.z += (random.gameplay.next() - 0.5) * 0.1;
         
         // Play collision sound
         if (this.soundsLoaded && this.collisionSound && this.collisionSound.buffer) {
@@ -855,103 +1102,219 @@ export class Player {
     }
     
     /**
-     * Handle player death
+     * Handle the ship being destroyed: lose a life, then respawn or offer a continue
      */
     handleDeath() {
         // Create explosion at player position
         this.createExplosion(this.position);
         
-        // Keep important game state log
-        debugHelper.log("Player died! Game Over!");
-        
         // Hide the player ship
         if (this.model) {
             this.model.visible = false;
         }
+        this.optionManager.setVisible(false);
+        this.boosting = false;
+        this.cancelCharge();
         
         // Disable player controls
         this.disableControls = true;
-        
-        // Create game over UI
-        this.showGameOver();
+        this.destroyed = true;
+        this.updateShieldDisplay();
         
         // Stop any playing sounds
         if (this.engineSound && this.engineSound.isPlaying) {
             this.engineSound.stop();
         }
+        
+        this.lives--;
+        this.emitLives();
+        
+        if (this.lives > 0) {
+            debugHelper.log(`Ship destroyed! ${this.lives} left`);
+            this.respawnTimer = this.respawnDelay;
+        } else {
+            debugHelper.log("Out of lives!");
+            this.continueTimer = this.continueTime;
+            this.showContinueCountdown();
+        }
     }
     
     /**
-     * Display game over screen
-     */
-    showGameOver() {
-        // Create game over container
-        const gameOverContainer = document.createElement('div');
-        gameOverContainer.id = 'game-over-container';
-        gameOverContainer.style.position = 'absolute';
-        gameOverContainer.style.top = '0';
-        gameOverContainer.style.left = '0';
-        gameOverContainer.style.width = '100%';
-        gameOverContainer.style.height = '100%';
-        gameOverContainer.style.display = 'flex';
-        gameOverContainer.style.flexDirection = 'column';
-        gameOverContainer.style.alignItems = 'center';
-        gameOverContainer.style.justifyContent = 'center';
-        gameOverContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
-        gameOverContainer.style.zIndex = '1000';
-        gameOverContainer.style.transition = 'opacity 1s';
-        gameOverContainer.style.opacity = '0';
-        
-        // Create game over text
-        const gameOverText = document.createElement('h1');
-        gameOverText.textContent = 'GAME OVER';
-        gameOverText.style.color = '#ff0000';
-        gameOverText.style.fontFamily = '"Orbitron", sans-serif';
-        gameOverText.style.fontSize = '48px';
-        gameOverText.style.textShadow = '0 0 10px rgba(255, 0, 0, 0.7)';
-        gameOverText.style.marginBottom = '30px';
-        
-        // Create restart button
-        const restartButton = document.createElement('button');
-        restartButton.textContent = 'RESTART';
-        restartButton.style.backgroundColor = '#222';
-        restartButton.style.color = '#fff';
-        restartButton.style.border = '2px solid #0ff';
-        restartButton.style.borderRadius = '5px';
-        restartButton.style.padding = '10px 20px';
-        restartButton.style.fontSize = '18px';
-        restartButton.style.fontFamily = '"Orbitron", sans-serif';
-        restartButton.style.cursor = 'pointer';
-        restartButton.style.boxShadow = '0 0 10px rgba(0, 255, 255, 0.7)';
-        restartButton.style.transition = 'all 0.3s';
-        
-        // Button hover effect
-        restartButton.onmouseover = () => {
-            restartButton.style.backgroundColor = '#0ff';
-            restartButton.style.color = '#000';
-        };
+     * Wait out the respawn delay, or the continue countdown, while the ship is destroyed
+     * A fresh press of fire takes the continue
+     * @param {number} delta - Time step in seconds
+     */
+    updateDestroyed(delta) {
+        if (this.respawnTimer > 0) {
+            this.respawnTimer -= delta;
+            if (this.respawnTimer <= 0) {
+                this.respawn();
+            }
+        } else if (this.continueTimer > 0) {
+            const secondsShown = Math.ceil(this.continueTimer);
+            this.continueTimer -= delta;
+            
+            if (this.inputControls.shoot && !this.shootHeld) {
+                this.useContinue();
+            } else if (this.continueTimer <= 0) {
+                this.gameOver();
+            } else if (Math.ceil(this.continueTimer) !== secondsShown) {
+                this.showContinueCountdown();
+            }
+        }
         
-        restartButton.onmouseout = () => {
-            restartButton.style.backgroundColor = '#222';
-            restartButton.style.color = '#fff';
-        };
+        this.shootHeld = this.inputControls.shoot;
+    }
+    
+    /**
+     * Bring in a new ship, fully repaired and briefly invulnerable, at the safest spot available
+     */
+    respawn() {
+        this.position.copy(this.findRespawnPosition());
+        this.previousPosition.copy(this.position);
+        this.renderPosition.copy(this.position);
+        this.velocity.set(0, 0, 0);
         
-        // Button click event
-        restartButton.onclick = () => {
-            window.location.reload();
-        };
+        this.health = this.maxHealth;
+        this.healthBar.update(this.health);
+        this.shield.reset();
+        this.energy.refill();
+        this.bombs = Math.max(this.bombs, this.bombConfig.stock);
+        this.emitBombs();
+        
+        this.destroyed = false;
+        this.disableControls = false;
+        this.respawnTimer = 0;
+        this.invulnerable = true;
+        this.invulnerableTime = this.respawnInvulnerability;
         
-        // Add elements to container
-        gameOverContainer.appendChild(gameOverText);
-        gameOverContainer.appendChild(restartButton);
+        // Show the ship again where it now is
+        if (this.model) {
+            this.model.visible = true;
+        }
+        if (this.shipGroup) {
+            this.shipGroup.position.copy(this.position);
+            if (this.boundingBox) {
+                this.boundingBox.setFromObject(this.shipGroup);
+                this.updateHitbox();
+            }
+        }
+        this.optionManager.setVisible(true);
+        this.updateShieldDisplay();
+        this.updateEnergyDisplay();
+        
+        debugHelper.log(`Ship respawned at (${this.position.x.toFixed(1)}, ${this.position.y.toFixed(1)})`);
+        gameEvents.emit(GameEvents.PLAYER_RESPAWN, { position: this.position.clone(), lives: this.lives });
+    }
+    
+    /**
+     * Take the continue on offer: a full set of lives, keeping the score
+     */
+    useContinue() {
+        this.continueTimer = 0;
+        this.continuesUsed++;
+        this.lives = this.startingLives;
+        this.emitLives();
+        
+        gameEvents.emit(GameEvents.HIDE_MESSAGE);
+        this.respawn();
+    }
+    
+    /**
+     * End the game once the continue countdown runs out
+     */
+    gameOver() {
+        this.continueTimer = 0;
+        this.isDead = true;
         
-        // Add container to document
-        document.body.appendChild(gameOverContainer);
+        // Keep important game state log
+        debugHelper.log("Player died! Game Over!");
         
-        // Fade in the game over screen
-        setTimeout(() => {
-            gameOverContainer.style.opacity = '1';
-        }, 100);
+        // Let the game state decide what happens next
+        gameEvents.emit(GameEvents.PLAYER_DEATH, { score: this.score });
+    }
+    
+    /**
+     * Show the continue countdown, in whole seconds
+     */
+    showContinueCountdown() {
+        gameEvents.emit(GameEvents.SHOW_MESSAGE, {
+            text: `CONTINUE? ${Math.ceil(this.continueTimer)}`,
+            subtext: 'PRESS FIRE',
+            duration: 0
+        });
+    }
+    
+    /**
+     * Award a life for every extra life score passed
+     */
+    checkExtraLives() {
+        while (this.score >= this.nextExtraLifeScore) {
+            this.lives++;
+            this.nextExtraLifeScore += this.extraLifeInterval;
+            this.emitLives();
+            
+            gameEvents.emit(GameEvents.SHOW_MESSAGE, { text: 'EXTRA LIFE', duration: 2 });
+        }
+    }
+    
+    /**
+     * Tell the UI how many lives are left
+     */
+    emitLives() {
+        gameEvents.emit(GameEvents.LIVES_CHANGED, { lives: this.lives });
+    }
+    
+    /**
+     * Move the fallback respawn point
+     * @param {Object|null} position - Checkpoint position ({ x, y }), or null to use the ship's last safe position
+     */
+    setCheckpoint(position) {
+        if (position) {
+            this.checkpointPosition.set(position.x, position.y, 0);
+        } else {
+            this.checkpointPosition.copy(this.safePosition);
+        }
+    }
+    
+    /**
+     * Check whether a position is clear of enemies
+     * @param {THREE.Vector3} position - Position to check
+     * @returns {boolean} Whether no enemy is within the safe radius
+     */
+    isPositionSafe(position) {
+        if (!this.world) {
+            return true;
+        }
+        
+        const safeRadiusSquared = this.safeRadius * this.safeRadius;
+        for (const entity of this.world.query(ColliderComponent)) {
+            const collider = entity.getComponent(ColliderComponent);
+            if (collider.layer !== 'enemy' || !collider.enabled) {
+                continue;
+            }
+            
+            if (entity.getComponent(TransformComponent).position.distanceToSquared(position) < safeRadiusSquared) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Pick where the next ship appears: the last safe position if it's still clear,
+     * then the last checkpoint, then the starting position
+     * @returns {THREE.Vector3} The respawn position
+     */
+    findRespawnPosition() {
+        if (this.isPositionSafe(this.safePosition)) {
+            return this.safePosition;
+        }
+        if (this.isPositionSafe(this.checkpointPosition)) {
+            return this.checkpointPosition;
+        }
+        return this.spawnPosition;
     }
     
     /**
@@ -963,7 +1326,8 @@ export class Player {
             const success = this.missileManager.shootMissile(this.position);
             
             if (success) {
-                // Remove console log
+                // Every option fires along with the ship
+                this.optionManager.fire(this.missileManager);
             } else {
                 // Remove console log
             }
@@ -974,111 +1338,559 @@ export class Player {
     }
     
     /**
-     * Update missiles and check for collisions
+     * Advance the missile manager's fire rate clock and explosions
+     * Missiles in flight are moved and collided by the world
      * @param {number} delta - Time step in seconds
      */
     updateMissiles(delta) {
-        // Use the missile manager to update missiles
         if (this.missileManager) {
-            this.missileManager.update(delta, (missile, boundingBox) => {
-                // Check for collisions with asteroids
-                let collisionFound = false;
-                let collisionResult = null;
-                
-                // Debug logging for missile position (occasionally)
-                if (Math.random() < 0.01) {
-                    debugHelper.log(`Player: Missile at position (${missile.position.x.toFixed(1)}, ${missile.position.y.toFixed(1)}, ${missile.position.z.toFixed(1)})`);
-                }
-                
-                // Direct check for objects with isAsteroid flag (optimization)
-                const potentialTargets = [];
-                this.scene.traverse((object) => {
-                    if (object.userData && object.userData.isAsteroid) {
-                        potentialTargets.push(object);
-                    }
-                });
-                
-                // Log the number of potential targets occasionally
-                if (Math.random() < 0.01) {
-                    debugHelper.log(`Player: Found ${potentialTargets.length} potential asteroid targets`);
-                }
-                
-                // Check each potential target
-                for (const object of potentialTargets) {
-                    if (collisionFound) break; // Stop if we already found a collision
-                    
-                    try {
-                        // Get the asteroid reference
-                        const asteroid = object.userData.asteroidRef;
-                        
-                        // Only check collision if asteroid is fully loaded
-                        if (asteroid && asteroid.isModelLoaded) {
-                            // Use the asteroid's sphere-based collision detection
-                            if (asteroid.checkCollision && asteroid.checkCollision(boundingBox)) {
-                                collisionFound = true;
-                                
-                                // Calculate the actual impact point - find the closest point on missile bounding box to asteroid center
-                                const missileClosestPoint = new THREE.Vector3();
-                                boundingBox.clampPoint(asteroid.boundingSphere.center, missileClosestPoint);
-                                
-                                // Find the direction from asteroid center to missile
-                                const impactDirection = new THREE.Vector3().subVectors(missileClosestPoint, asteroid.boundingSphere.center).normalize();
-                                
-                                // Calculate the actual impact point on the asteroid surface
-                                const impactPoint = new THREE.Vector3().addVectors(
-                                    asteroid.boundingSphere.center,
-                                    impactDirection.multiplyScalar(asteroid.boundingSphere.radius)
-                                );
-                                
-                                // Log the collision
-                                debugHelper.log(`Player: COLLISION! Missile hit asteroid at position (${impactPoint.x.toFixed(1)}, ${impactPoint.y.toFixed(1)}, ${impactPoint.z.toFixed(1)})`);
-                                
-                                // Call the asteroid's handleHit method if it exists
-                                if (typeof asteroid.handleHit === 'function') {
-                                    debugHelper.log(`Calling asteroid.handleHit for asteroid with mass: ${asteroid.mass || 'undefined'}`);
-                                    asteroid.handleHit();
-                                } else {
-                                    debugHelper.log('Asteroid has no handleHit method');
-                                }
-                                
-                                // Increase player score based on asteroid mass
-                                if (this.score !== undefined && asteroid.mass) {
-                                    const scoreValue = Math.floor(asteroid.mass); // Double points for shooting vs collision
-                                    const oldScore = this.score;
-                                    this.score += scoreValue;
-                                    debugHelper.log(`Player score increased from ${oldScore} to ${this.score} (+${scoreValue}) for missile hit`);
-                                } else {
-                                    debugHelper.log(`Could not update score: score=${this.score !== undefined}, asteroid.mass=${asteroid.mass || 'undefined'}`);
-                                }
-                                
-                                // Create explosion at the actual impact point on asteroid surface
-                                this.createExplosion(impactPoint);
-                                
-                                // Create an explosion at the missile's position too
-                                this.missileManager.createExplosion(missile.position.clone());
-                                
-                                // Remove the asteroid
-                                asteroid.remove();
-                                
-                                // Set collision result with impact position for the MissileManager
-                                collisionResult = {
-                                    position: impactPoint,
-                                    object: asteroid
-                                };
-                            }
-                        }
-                    } catch (error) {
-                        // Log error but continue checking other asteroids
-                        debugHelper.log(`Player: Error checking missile collision: ${error.message}`, "error");
-                    }
-                }
-                
-                // Return the collision result to the missile manager
-                return collisionResult;
-            });
+            this.missileManager.update(delta);
         }
     }
     
+    /**
+     * Handle one of our missiles hitting an enemy, as reported by the collision system
+     * @param {THREE.Object3D} missile - The missile that hit
+     * @param {Entity} target - The entity it hit
+     * @returns {THREE.Vector3|null} Impact point on the target's surface, or null if it wasn't a loaded enemy
+     */
+    handleMissileHit(missile, target) {
+        const actor = target.getComponent(ActorComponent);
+        const asteroid = actor ? actor.actor : null;
+        
+        // Only check collision if asteroid is fully loaded
+        if (!asteroid || !asteroid.isModelLoaded || !asteroid.boundingSphere) {
+            return null;
+        }
+        
+        const boundingBox = missile.userData.boundingBox;
+        
+        // Calculate the actual impact point - find the closest point on missile bounding box to asteroid center
+        const missileClosestPoint = new THREE.Vector3();
+        boundingBox.clampPoint(asteroid.boundingSphere.center, missileClosestPoint);
+        
+        // Find the direction from asteroid center to missile
+        const impactDirection = new THREE.Vector3().subVectors(missileClosestPoint, asteroid.boundingSphere.center).normalize();
+        
+        // Calculate the actual impact point on the asteroid surface
+        const impactPoint = new THREE.Vector3().addVectors(
+            asteroid.boundingSphere.center,
+            impactDirection.multiplyScalar(asteroid.boundingSphere.radius)
+        );
+        
+        // Log the collision
+        debugHelper.log(`Player: COLLISION! Missile hit asteroid at position (${impactPoint.x.toFixed(1)}, ${impactPoint.y.toFixed(1)}, ${impactPoint.z.toFixed(1)})`);
+        
+        // Create an explosion at the missile's position too
+        this.missileManager.createExplosion(missile.position.clone());
+        
+        // The missile does its weapon's damage
+        this.damageEnemy(asteroid, missile.userData.damage || 1, impactPoint, 'missile');
+        
+        // The missile manager adds its own explosion at the impact point
+        return impactPoint;
+    }
+    
+    /**
+     * Damage an enemy, destroying it once its health runs out
+     * @param {Asteroid|Fighter} asteroid - The enemy hit
+     * @param {number} damage - Damage dealt
+     * @param {THREE.Vector3} position - Where the hit landed
+     * @param {string} source - What hit it ('missile', 'bomb' or 'collision')
+     * @returns {boolean} Whether the hit destroyed it
+     */
+    damageEnemy(asteroid, damage, position, source) {
+        const destroyed = asteroid.takeDamage(damage, source);
+        gameEvents.emit(GameEvents.ENEMY_HIT, {
+            enemy: asteroid,
+            position: position.clone(),
+            damage,
+            health: asteroid.health,
+            source
+        });
+        
+        if (destroyed) {
+            // Call the asteroid's handleHit method for its last flash
+            asteroid.handleHit();
+            this.destroyEnemy(asteroid, position, source, damage);
+        }
+        
+        return destroyed;
+    }
+    
+    /**
+     * Score an enemy we destroyed, blow it up and take it out of play
+     * Ramming an enemy destroys it but doesn't score
+     * @param {Asteroid|Fighter} asteroid - The enemy destroyed
+     * @param {THREE.Vector3} position - Where to put the explosion
+     * @param {string} source - What destroyed it ('missile', 'bomb' or 'collision')
+     * @param {number} damage - Damage of the hit that destroyed it
+     */
+    destroyEnemy(asteroid, position, source, damage) {
+        // Increase player score based on the asteroid's size tier
+        if (source === 'collision') {
+            debugHelper.log('No score for ramming an enemy');
+        } else if (this.score !== undefined && typeof asteroid.getScoreValue === 'function') {
+            const scoreValue = asteroid.getScoreValue();
+            const oldScore = this.score;
+            this.score += scoreValue;
+            debugHelper.log(`Player score increased from ${oldScore} to ${this.score} (+${scoreValue}) for ${source} hit`);
+        } else {
+            debugHelper.log(`Could not update score: score=${this.score !== undefined}, enemy has no score value`);
+        }
+        
+        // Create explosion at the actual impact point on asteroid surface
+        this.createExplosion(position);
+        
+        // Remove the asteroid
+        asteroid.remove();
+        gameEvents.emit(GameEvents.ENEMY_DESTROYED, { enemy: asteroid, position: position.clone(), damage, source });
+    }
+    
+    /**
+     * Collect a power-up capsule, moving the selector one slot along the power-up bar
+     */
+    collectPowerUp() {
+        this.powerUpBar.advance();
+        
+        gameEvents.emit(GameEvents.POWERUP_COLLECTED, { selected: this.powerUpBar.getSelected().id });
+        this.emitPowerUpBar();
+    }
+    
+    /**
+     * Buy the highlighted power-up, unless nothing is highlighted or it is already maxed out
+     * @returns {boolean} Whether a power-up was applied
+     */
+    activatePowerUp() {
+        const powerUp = this.powerUpBar.getSelected();
+        if (!powerUp || this.getPowerUpLevel(powerUp.id) >= powerUp.maxLevel) {
+            return false;
+        }
+        
+        switch (powerUp.id) {
+            case 'speed':
+                this.setSpeedLevel(this.speedLevel + 1);
+                break;
+            case 'missile':
+                this.missileManager.setSubWeapon('missile');
+                break;
+            case 'double':
+            case 'laser':
+                // Buying a weapon again upgrades it
+                this.grantWeapon(powerUp.id);
+                break;
+            case 'option':
+                this.optionCount++;
+                break;
+            case 'shield':
+                this.shield.overcharge();
+                this.updateShieldDisplay();
+                break;
+        }
+        
+        this.powerUpBar.reset();
+        debugHelper.log(`Power-up activated: ${powerUp.label}`);
+        
+        gameEvents.emit(GameEvents.POWERUP_ACTIVATED, { id: powerUp.id, level: this.getPowerUpLevel(powerUp.id) });
+        this.emitPowerUpBar();
+        return true;
+    }
+    
+    /**
+     * Get how many times a power-up has been bought
+     * @param {string} id - Power-up id from POWER_UPS
+     * @returns {number} Current level (0 when not bought)
+     */
+    getPowerUpLevel(id) {
+        switch (id) {
+            case 'speed':
+                return this.speedLevel;
+            case 'missile':
+                return this.missileManager.subWeaponId === 'missile' ? 1 : 0;
+            case 'double':
+            case 'laser':
+                return this.missileManager.weaponLevels[id] || 0;
+            case 'option':
+                return this.optionCount;
+            case 'shield':
+                return this.shield.overcharged ? 1 : 0;
+            default:
+                return 0;
+        }
+    }
+    
+    /**
+     * Give the ship a weapon and switch to it, or upgrade it if the ship already has it
+     * @param {string} weaponId - Weapon id from WEAPONS
+     * @returns {number} The weapon's level afterwards
+     */
+    grantWeapon(weaponId) {
+        const level = this.missileManager.grantWeapon(weaponId);
+        this.missileManager.setWeapon(weaponId);
+        
+        debugHelper.log(`Weapon granted: ${weaponId} (level ${level}/${getMaxWeaponLevel(weaponId)})`);
+        this.emitWeaponChanged();
+        return level;
+    }
+    
+    /**
+     * Switch to the next weapon the ship has
+     */
+    switchWeapon() {
+        this.missileManager.cycleWeapon();
+        this.emitWeaponChanged();
+    }
+    
+    /**
+     * Tell the HUD which weapon is in use
+     */
+    emitWeaponChanged() {
+        const stats = this.missileManager.getWeaponStats();
+        gameEvents.emit(GameEvents.WEAPON_CHANGED, { weapon: stats.id, name: stats.name, level: stats.level });
+    }
+    
+    /**
+     * Set the speed level and the movement speeds that go with it
+     * @param {number} level - Speed level
+     */
+    setSpeedLevel(level) {
+        this.speedLevel = level;
+        this.verticalSpeed = this.baseVerticalSpeed * (1 + 0.15 * level);
+        this.horizontalAdjustSpeed = this.baseHorizontalAdjustSpeed * (1 + 0.15 * level);
+    }
+    
+    /**
+     * Show the shield's charge on the health bar and the bubble around the ship
+     */
+    updateShieldDisplay() {
+        const up = this.shield.isUp() && !this.destroyed;
+        
+        // Kept out of the ship group so it doesn't grow the ship's bounding box
+        if (!this.shieldMesh && up) {
+            this.shieldMesh = new THREE.Mesh(
+                new THREE.SphereGeometry(6, 16, 12),
+                new THREE.MeshBasicMaterial({ color: 0x66ccff, transparent: true, opacity: 0.3, depthWrite: false })
+            );
+            this.shieldMesh.position.copy(this.renderPosition);
+            this.scene.add(this.shieldMesh);
+        }
+        
+        if (this.shieldMesh) {
+            // Fades as it drains, and turns gold while overcharged
+            this.shieldMesh.visible = up;
+            this.shieldMesh.material.opacity = 0.1 + 0.2 * this.shield.current / this.shield.capacity;
+            this.shieldMesh.material.color.set(this.shield.overcharged ? 0xffcc44 : 0x66ccff);
+        }
+        
+        this.healthBar.updateShield(this.shield.current, this.shield.capacity);
+    }
+    
+    /**
+     * Run the energy-powered abilities for one step: the boost while its control is held,
+     * and the charge shot and special on a fresh press
+     * @param {number} delta - Time step in seconds
+     */
+    updateAbilities(delta) {
+        const boost = this.energyConfig.boost;
+        let changed = false;
+        
+        // Starting a boost needs a little energy in hand, so an empty reserve doesn't stutter on and off
+        const wasBoosting = this.boosting;
+        this.boosting = this.inputControls.boost &&
+            (wasBoosting ? this.energy.current > 0 : this.energy.current >= boost.minEnergy);
+        if (this.boosting) {
+            this.energy.drain(boost.drainRate * delta);
+            changed = true;
+        }
+        if (this.boosting && !wasBoosting) {
+            gameEvents.emit(GameEvents.ABILITY_USED, { ability: 'boost', position: this.position.clone() });
+        }
+        
+        if (this.inputControls.chargeShot && !this.chargeShotHeld) {
+            changed = this.useChargeShot() || changed;
+        }
+        this.chargeShotHeld = this.inputControls.chargeShot;
+        
+        if (this.inputControls.special && !this.specialHeld) {
+            changed = this.useSpecial() || changed;
+        }
+        this.specialHeld = this.inputControls.special;
+        
+        if (this.energy.update(delta) || changed) {
+            this.updateEnergyDisplay();
+        }
+    }
+    
+    /**
+     * Fire a fully charged shot if there is energy for it
+     * @returns {boolean} Whether the shot was fired
+     */
+    useChargeShot() {
+        if (this.energy.current < this.energyConfig.chargeShot.cost) {
+            return false;
+        }
+        
+        return this.fireChargeShot(1);
+    }
+    
+    /**
+     * Launch a charge shot and pay its share of the energy cost
+     * The caller checks that the energy is there
+     * @param {number} charge - How far the shot was charged, from 0 to 1
+     * @returns {boolean} Whether the shot was fired
+     */
+    fireChargeShot(charge) {
+        const { cost, weapon } = this.energyConfig.chargeShot;
+        
+        // Only pay for a shot that actually launched (projectiles may still be loading)
+        if (!this.missileManager.fireChargedShot(weapon, this.position, charge)) {
+            return false;
+        }
+        
+        this.energy.drain(cost * charge);
+        this.missileManager.playMissileSound();
+        gameEvents.emit(GameEvents.ABILITY_USED, { ability: 'chargeShot', charge, position: this.position.clone() });
+        return true;
+    }
+    
+    /**
+     * Set how holding fire behaves
+     * @param {string} mode - One of FIRE_MODES
+     */
+    setFireMode(mode) {
+        if (!FIRE_MODES.includes(mode)) {
+            throw new Error(`Unknown fire mode: ${mode}`);
+        }
+        this.fireMode = mode;
+    }
+    
+    /**
+     * Run the fire control in charge mode for one step
+     * A fresh press fires an ordinary shot; holding on past the threshold charges, as far as the
+     * energy allows, and letting go releases the charge shot
+     * @param {number} delta - Time step in seconds
+     */
+    updateChargeShot(delta) {
+        const config = this.energyConfig.chargeShot;
+        
+        if (this.inputControls.shoot && !this.shootHeld) {
+            this.shootMissile();
+            this.chargeHeldTime = 0;
+            this.chargeCancelled = false;
+        } else if (this.inputControls.shoot && !this.chargeCancelled) {
+            this.chargeHeldTime += delta;
+            
+            if (this.chargeHeldTime > config.holdThreshold) {
+                const charge = Math.min(1, (this.chargeHeldTime - config.holdThreshold) / config.chargeTime);
+                this.setCharge(Math.min(charge, this.energy.current / config.cost));
+            }
+        } else if (!this.inputControls.shoot && this.shootHeld && this.charge > 0) {
+            this.fireChargeShot(this.charge);
+            this.setCharge(0);
+        }
+    }
+    
+    /**
+     * Throw away any charge built up; fire has to be let go before charging again
+     */
+    cancelCharge() {
+        if (this.charge > 0) {
+            debugHelper.log("Charge lost!");
+        }
+        this.chargeCancelled = true;
+        this.setCharge(0);
+    }
+    
+    /**
+     * Set the charge built up, and show it with the glow at the ship's nose and the charge-up sound
+     * @param {number} charge - Charge from 0 to 1
+     */
+    setCharge(charge) {
+        this.charge = charge;
+        const charging = charge > 0 && !this.destroyed;
+        
+        // Added to the scene rather than the ship group, like the shield bubble
+        if (!this.chargeMesh && charging) {
+            this.chargeMesh = new THREE.Mesh(
+                new THREE.SphereGeometry(1, 12, 8),
+                new THREE.MeshBasicMaterial({ color: 0x88ffcc, transparent: true, opacity: 0.8, depthWrite: false })
+            );
+            this.chargeMesh.position.copy(this.renderPosition);
+            this.scene.add(this.chargeMesh);
+        }
+        
+        if (this.chargeMesh) {
+            // Grows with the charge, and flashes white once full
+            this.chargeMesh.visible = charging;
+            this.chargeMesh.scale.setScalar(1 + 2.5 * charge);
+            this.chargeMesh.material.color.set(charge >= 1 ? 0xffffff : 0x88ffcc);
+        }
+        
+        if (this.soundsLoaded && this.chargeSound && this.chargeSound.buffer) {
+            if (charging && !this.chargeSound.isPlaying) {
+                this.chargeSound.play();
+            } else if (!charging && this.chargeSound.isPlaying) {
+                this.chargeSound.stop();
+            }
+            if (charging) {
+                this.chargeSound.setPlaybackRate(0.8 + 0.7 * charge);
+            }
+        }
+    }
+    
+    /**
+     * Use the special ability, a phase shift that makes the ship intangible for a while
+     * @returns {boolean} Whether there was energy for it
+     */
+    useSpecial() {
+        const { cost, duration } = this.energyConfig.special;
+        if (!this.energy.spend(cost)) {
+            return false;
+        }
+        
+        // Rides on the invulnerability the ship gets after a hit, blinking included
+        this.invulnerable = true;
+        this.invulnerableTime = Math.max(this.invulnerableTime, duration);
+        
+        debugHelper.log("Phase shift!");
+        gameEvents.emit(GameEvents.ABILITY_USED, { ability: 'special', position: this.position.clone() });
+        return true;
+    }
+    
+    /**
+     * Set off a smart bomb if there is one in stock
+     * @returns {boolean} Whether a bomb went off
+     */
+    useBomb() {
+        if (this.bombs <= 0) {
+            return false;
+        }
+        
+        this.bombs--;
+        this.emitBombs();
+        this.detonateBomb();
+        return true;
+    }
+    
+    /**
+     * Hit every enemy on screen: ordinary enemies are destroyed, and bosses take a fixed amount of damage
+     * The blast is centred on the ship, and freezes the simulation for a moment (see Simulation)
+     */
+    detonateBomb() {
+        const bounds = this.getViewBounds();
+        const enemies = this.enemyManager ? this.enemyManager.getLiveEnemies() : [];
+        let destroyed = 0;
+        
+        for (const enemy of enemies) {
+            if (!enemy.isModelLoaded || !bounds.containsPoint(enemy.position)) {
+                continue;
+            }
+            
+            // Bosses take a fixed amount of damage; anything else takes all the damage it has left
+            const damage = enemy.isBoss ? this.bombConfig.bossDamage : enemy.health;
+            if (this.damageEnemy(enemy, damage, enemy.position, 'bomb')) {
+                destroyed++;
+            } else {
+                this.createExplosion(enemy.position);
+            }
+        }
+        
+        // Wipe the screen of enemy shots too
+        let cancelled = 0;
+        if (this.bombConfig.cancelBullets && this.enemyManager && this.enemyManager.bullets) {
+            cancelled = this.enemyManager.bullets.cancel(bounds);
+        }
+        
+        // Reach the corners of the screen
+        const size = bounds.getSize(new THREE.Vector3());
+        this.shockwaves.push(new Shockwave(this.scene, this.position, size.length() / 2, this.bombConfig.shockwaveDuration));
+        
+        debugHelper.log(`Smart bomb! ${destroyed} enemies destroyed, ${cancelled} shots cancelled`);
+        gameEvents.emit(GameEvents.BOMB_DETONATED, {
+            position: this.position.clone(),
+            destroyed,
+            cancelled,
+            hitstop: this.bombConfig.hitstop
+        });
+    }
+    
+    /**
+     * Get the part of the world the camera shows, following the ship the way updateCameraPosition does
+     * Worked out from the simulated position, so it's the same whether or not anything is rendered
+     * @returns {THREE.Box3} The visible area (unbounded in depth)
+     */
+    getViewBounds() {
+        const zoom = this.camera.zoom || 1;
+        const halfWidth = (this.camera.right - this.camera.left) / 2 / zoom;
+        const halfHeight = (this.camera.top - this.camera.bottom) / 2 / zoom;
+        const centerX = this.position.x + this.cameraLookAhead;
+        
+        return new THREE.Box3(
+            new THREE.Vector3(centerX - halfWidth, this.position.y - halfHeight, -Infinity),
+            new THREE.Vector3(centerX + halfWidth, this.position.y + halfHeight, Infinity)
+        );
+    }
+    
+    /**
+     * Grow any shockwaves by one step, dropping the ones that have faded
+     * @param {number} delta - Time step in seconds
+     */
+    updateShockwaves(delta) {
+        for (const shockwave of this.shockwaves) {
+            shockwave.update(delta);
+        }
+        this.shockwaves = this.shockwaves.filter(shockwave => !shockwave.isDone);
+    }
+    
+    /**
+     * Pick up a smart bomb, or take score for it if the stock is full
+     */
+    collectBomb() {
+        if (this.bombs < this.bombConfig.maxStock) {
+            this.bombs++;
+            this.emitBombs();
+        } else {
+            this.score += this.bombConfig.pickupScore;
+        }
+    }
+    
+    /**
+     * Tell the UI how many smart bombs are in stock
+     */
+    emitBombs() {
+        gameEvents.emit(GameEvents.BOMBS_CHANGED, { bombs: this.bombs });
+    }
+    
+    /**
+     * Show the energy reserve on the health bar
+     */
+    updateEnergyDisplay() {
+        this.healthBar.updateEnergy(this.energy.current, this.energy.capacity, this.boosting);
+    }
+    
+    /**
+     * Get the power-up bar for display
+     * @returns {Object} Selected slot index and every slot with its current level
+     */
+    getPowerUpState() {
+        return {
+            selected: this.powerUpBar.selected,
+            slots: POWER_UPS.map(powerUp => ({
+                id: powerUp.id,
+                label: powerUp.label,
+                level: this.getPowerUpLevel(powerUp.id),
+                maxLevel: powerUp.maxLevel
+            }))
+        };
+    }
+    
+    /**
+     * Tell the HUD the power-up bar changed
+     */
+    emitPowerUpBar() {
+        gameEvents.emit(GameEvents.POWERUP_BAR_CHANGED, this.getPowerUpState());
+    }
+    
     /**
      * Set up the side-scroller camera
      */
@@ -1143,4 +1955,207 @@ export class Player {
             this.missileManager.createExplosion(position);
         }
     }
-} 
\ No newline at end of file
+    
+    /**
+     * Get the player's state as plain data, for save games
+     * @returns {Object} Serializable player state
+     */
+    serialize() {
+        return {
+            position: this.position.toArray(),
+            velocity: this.velocity.toArray(),
+            tilt: this.shipGroup ? this.shipGroup.rotation.x : 0,
+            health: this.health,
+            energy: this.energy.serialize(),
+            score: this.score,
+            invulnerable: this.invulnerable,
+            invulnerableTime: this.invulnerableTime,
+            missileCooldown: this.missileCooldown,
+            collisionCooldown: this.collisionCooldown,
+            isDead: this.isDead,
+            lives: {
+                lives: this.lives,
+                nextExtraLifeScore: this.nextExtraLifeScore,
+                destroyed: this.destroyed,
+                respawnTimer: this.respawnTimer,
+                continueTimer: this.continueTimer,
+                continuesUsed: this.continuesUsed,
+                safePosition: this.safePosition.toArray(),
+                checkpointPosition: this.checkpointPosition.toArray()
+            },
+            bombs: {
+                stock: this.bombs,
+                held: this.bombHeld
+            },
+            powerUps: {
+                selected: this.powerUpBar.selected,
+                held: this.powerUpHeld,
+                speedLevel: this.speedLevel,
+                optionCount: this.optionCount,
+                formationHeld: this.formationHeld,
+                weaponHeld: this.weaponHeld
+            },
+            shield: this.shield.serialize(),
+            abilities: {
+                boosting: this.boosting,
+                chargeShotHeld: this.chargeShotHeld,
+                specialHeld: this.specialHeld,
+                fireMode: this.fireMode,
+                shootHeld: this.shootHeld,
+                chargeHeldTime: this.chargeHeldTime,
+                charge: this.charge,
+                chargeCancelled: this.chargeCancelled
+            },
+            missiles: this.missileManager.serialize(),
+            options: this.optionManager.serialize()
+        };
+    }
+    
+    /**
+     * Restore state returned by serialize()
+     * @param {Object} state - Serialized player state
+     */
+    deserialize(state) {
+        this.position.fromArray(state.position);
+        this.previousPosition.copy(this.position);
+        this.renderPosition.copy(this.position);
+        this.velocity.fromArray(state.velocity);
+        
+        this.health = state.health;
+        this.score = state.score;
+        this.invulnerable = state.invulnerable;
+        this.invulnerableTime = state.invulnerableTime;
+        this.missileCooldown = state.missileCooldown;
+        this.collisionCooldown = state.collisionCooldown;
+        this.isDead = state.isDead;
+        this.destroyed = state.isDead;
+        if (state.lives) {
+            this.lives = state.lives.lives;
+            this.nextExtraLifeScore = state.lives.nextExtraLifeScore;
+            this.destroyed = state.lives.destroyed;
+            this.respawnTimer = state.lives.respawnTimer;
+            this.continueTimer = state.lives.continueTimer;
+            this.continuesUsed = state.lives.continuesUsed;
+            this.safePosition.fromArray(state.lives.safePosition);
+            this.checkpointPosition.fromArray(state.lives.checkpointPosition);
+        }
+        this.disableControls = this.destroyed;
+        this.emitLives();
+        if (state.bombs) {
+            this.bombs = state.bombs.stock;
+            this.bombHeld = state.bombs.held;
+        }
+        this.emitBombs();
+        
+        // Move the ship model to match
+        if (this.shipGroup) {
+            this.shipGroup.position.copy(this.position);
+            this.shipGroup.rotation.x = state.tilt;
+            
+            if (this.boundingBox) {
+                this.boundingBox.setFromObject(this.shipGroup);
+                this.updateHitbox();
+            }
+        }
+        if (this.model) {
+            this.model.visible = !this.destroyed;
+        }
+        
+        this.healthBar.update(this.health);
+        this.missileManager.deserialize(state.missiles);
+        
+        if (state.powerUps) {
+            this.powerUpBar.selected = state.powerUps.selected;
+            this.powerUpHeld = state.powerUps.held;
+            this.setSpeedLevel(state.powerUps.speedLevel);
+            this.optionCount = state.powerUps.optionCount;
+            this.formationHeld = !!state.powerUps.formationHeld;
+            this.weaponHeld = !!state.powerUps.weaponHeld;
+        }
+        if (state.shield) {
+            this.shield.deserialize(state.shield);
+        }
+        this.updateShieldDisplay();
+        
+        // Older saves kept energy as a plain number, which nothing used
+        if (state.energy && typeof state.energy === 'object') {
+            this.energy.deserialize(state.energy);
+        }
+        if (state.abilities) {
+            this.boosting = state.abilities.boosting;
+            this.chargeShotHeld = state.abilities.chargeShotHeld;
+            this.specialHeld = state.abilities.specialHeld;
+            this.setFireMode(state.abilities.fireMode || 'auto');
+            this.shootHeld = !!state.abilities.shootHeld;
+            this.chargeHeldTime = state.abilities.chargeHeldTime || 0;
+            this.chargeCancelled = !!state.abilities.chargeCancelled;
+            this.setCharge(state.abilities.charge || 0);
+        }
+        this.updateEnergyDisplay();
+        this.emitPowerUpBar();
+        this.emitWeaponChanged();
+        
+        if (state.options) {
+            this.optionManager.deserialize(state.options);
+        }
+        this.optionManager.setVisible(!this.destroyed);
+        
+        // Bring back a continue countdown that was on screen
+        if (this.continueTimer > 0) {
+            this.showContinueCountdown();
+        }
+    }
+    
+    /**
+     * Remove the ship, its missiles and its UI
+     */
+    dispose() {
+        if (this.shipGroup && this.shipGroup.parent) {
+            this.scene.remove(this.shipGroup);
+        }
+        
+        // Clear debug visualizations
+        const visualizer = debugVisualizer.getInstance();
+        if (visualizer) {
+            visualizer.removeVisualization('player');
+        }
+        
+        if (this.missileManager) {
+            this.missileManager.dispose();
+        }
+        
+        this.optionManager.dispose();
+        this.removeWeaponGrantedListener();
+        this.removeCheckpointListener();
+        this.removeFormationClearedListener();
+        this.removeBossDefeatedListener();
+        
+        if (this.shieldMesh) {
+            this.scene.remove(this.shieldMesh);
+            this.shieldMesh.geometry.dispose();
+            this.shieldMesh.material.dispose();
+        }
+        if (this.chargeMesh) {
+            this.scene.remove(this.chargeMesh);
+            this.chargeMesh.geometry.dispose();
+            this.chargeMesh.material.dispose();
+        }
+        if (this.chargeSound && this.chargeSound.isPlaying) {
+            this.chargeSound.stop();
+        }
+        for (const shockwave of this.shockwaves) {
+            shockwave.remove();
+        }
+        this.shockwaves = [];
+        
+        if (this.world) {
+            this.world.removeEntity(this.entity);
+        }
+        
+        if (this.engineSound && this.engineSound.isPlaying) {
+            this.engineSound.stop();
+        }
+        
+        this.healthBar.remove();
+    }
+}
\ No newline at end of file
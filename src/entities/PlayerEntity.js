@@ -1,9 +1,10 @@
-import { Entity, TransformComponent, RenderComponent, PhysicsComponent, InputComponent } from '../core/Component.js';
+import { Entity, TransformComponent, RenderComponent, PhysicsComponent, ControlComponent } from '../core/Component.js';
 import { gameEvents, GameEvents } from '../core/EventSystem.js';
 import { ObjectPool } from '../core/ObjectPool.js';
 import { ModelLoader } from '../utils/ModelLoader.js';
 import * as THREE from 'three';
 import { debugHelper } from '../utils/DebugHelper.js';
+import { random } from '../core/Random.js';
 
 /**
  * Custom component for player weapons
@@ -338,8 +339,8 @@ export class PlayerEntity extends Entity {
         // Add render component (mesh will be set when loaded)
         this.render = this.addComponent(RenderComponent);
         
-        // Add input component
-        this.input = this.addComponent(InputComponent);
+        // Add control component, set from the input manager's controls (see InputManager.getControls)
+        this.control = this.addComponent(ControlComponent);
         
         // Add weapon component
         this.weapon = this.addComponent(WeaponComponent);
@@ -528,7 +529,7 @@ export class PlayerEntity extends Entity {
         }
         
         // Add some random flicker
-        const flicker = Math.random() * 0.3 + 0.85;
+        const flicker = random.cosmetic.next() * 0.3 + 0.85;
         
         // Apply to all engine lights
         for (const light of this.engineLights) {
@@ -569,24 +570,25 @@ export class PlayerEntity extends Entity {
      * Update player movement based on input
      */
     handleMovementInput(delta) {
-        // Get input component
-        if (!this.input) return;
+        // Get control component
+        if (!this.control) return;
+        const controls = this.control.controls;
         
         // Calculate movement direction
         let moveX = 0;
         let moveY = 0;
         
-        // Keyboard controls
-        if (this.input.isKeyPressed('KeyW') || this.input.isKeyPressed('ArrowUp')) {
+        // Held move actions, whichever keys or buttons they are bound to
+        if (controls.up) {
             moveY += 1;
         }
-        if (this.input.isKeyPressed('KeyS') || this.input.isKeyPressed('ArrowDown')) {
+        if (controls.down) {
             moveY -= 1;
         }
-        if (this.input.isKeyPressed('KeyA') || this.input.isKeyPressed('ArrowLeft')) {
+        if (controls.left) {
             moveX -= 1;
         }
-        if (this.input.isKeyPressed('KeyD') || this.input.isKeyPressed('ArrowRight')) {
+        if (controls.right) {
             moveX += 1;
         }
         
@@ -604,7 +606,7 @@ export class PlayerEntity extends Entity {
         this.physics.applyForce(new THREE.Vector3(forceX, forceY, 0));
         
         // Handle shooting
-        if (this.input.isKeyPressed('Space')) {
+        if (controls.shoot) {
             this.weapon.shootMissile();
         }
     }
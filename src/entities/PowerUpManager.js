@@ -0,0 +1,294 @@
+import * as THREE from 'three';
+import debugHelper from '../utils/DebugHelper.js';
+import { getMaxWeaponLevel } from './Weapons.js';
+import { gameEvents, GameEvents } from '../core/EventSystem.js';
+import { Entity, RenderComponent, PhysicsComponent, ActorComponent, ColliderComponent, TransformComponent } from '../core/Component.js';
+
+/**
+ * Slots on the power-up bar, in the order the selector moves through them
+ * maxLevel is how many times a slot can be bought before it is greyed out;
+ * buying a weapon slot again upgrades the weapon (see Weapons.js)
+ */
+export const POWER_UPS = [
+    { id: 'speed', label: 'SPEED', maxLevel: 4 },
+    { id: 'missile', label: 'MISSILE', maxLevel: 1 },
+    { id: 'double', label: 'DOUBLE', maxLevel: getMaxWeaponLevel('double') },
+    { id: 'laser', label: 'LASER', maxLevel: getMaxWeaponLevel('laser') },
+    { id: 'option', label: 'OPTION', maxLevel: 4 },
+    { id: 'shield', label: '?', maxLevel: 1 }
+];
+
+/**
+ * Gradius-style power-up bar
+ * Every capsule collected moves the selector one slot along; buying the highlighted slot
+ * applies it and sends the selector back to the start
+ */
+export class PowerUpBar {
+    constructor() {
+        // Index into POWER_UPS, or -1 when nothing is highlighted
+        this.selected = -1;
+    }
+    
+    /**
+     * Move the selector to the next slot, wrapping around at the end
+     */
+    advance() {
+        this.selected = (this.selected + 1) % POWER_UPS.length;
+    }
+    
+    /**
+     * Get the highlighted slot
+     * @returns {Object|null} Entry from POWER_UPS, or null when nothing is highlighted
+     */
+    getSelected() {
+        return this.selected >= 0 ? POWER_UPS[this.selected] : null;
+    }
+    
+    /**
+     * Clear the selection after a purchase
+     */
+    reset() {
+        this.selected = -1;
+    }
+}
+
+/**
+ * Drops power-up capsules from destroyed enemies and hands them to the player when collected
+ * Every few capsules is a smart bomb pickup instead of a power-up.
+ * Capsules are world entities: the physics system drifts them and the collision system
+ * reports when the player touches one
+ */
+export class PowerUpManager {
+    /**
+     * Create a new power-up manager
+     * @param {THREE.Scene} scene - The scene to add capsules to
+     * @param {World} world - World capsules are simulated in
+     * @param {Player} player - Player that collects capsules
+     */
+    constructor(scene, world, player) {
+        this.scene = scene;
+        this.world = world;
+        this.player = player;
+        
+        // Every this many enemies destroyed drops a capsule
+        this.killsPerCapsule = 7;
+        this.kills = 0;
+        
+        // Every this many capsules is a smart bomb
+        this.capsulesPerBomb = 4;
+        
+        // Capsule settings
+        this.capsuleSpeed = 15;          // Drift to the left
+        this.capsuleBobAmplitude = 4;    // Vertical bob
+        this.capsuleBobFrequency = 1;    // Bobs per second
+        this.capsuleLifetime = 12;       // Seconds before an uncollected capsule disappears
+        
+        // Capsules in play
+        this.capsules = [];
+        
+        // Shared look for every capsule
+        this.capsuleGeometry = new THREE.CapsuleGeometry(1.2, 1.6, 4, 8);
+        this.capsuleMaterial = new THREE.MeshStandardMaterial({
+            color: 0xff5522,
+            emissive: 0xff3300,
+            emissiveIntensity: 1.5
+        });
+        this.bombMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffee88,
+            emissive: 0xffcc00,
+            emissiveIntensity: 1.5
+        });
+        
+        this.removeDestroyedListener = gameEvents.on(GameEvents.ENEMY_DESTROYED, (data) => this.handleEnemyDestroyed(data));
+        
+        debugHelper.log("Power-up manager initialized");
+    }
+    
+    /**
+     * Count a destroyed enemy and drop a capsule where it died every few kills
+     * @param {Object} data - ENEMY_DESTROYED event data
+     */
+    handleEnemyDestroyed(data) {
+        this.kills++;
+        
+        if (this.kills % this.killsPerCapsule === 0 && data && data.position) {
+            const capsules = this.kills / this.killsPerCapsule;
+            this.spawnCapsule(data.position, capsules % this.capsulesPerBomb === 0 ? 'bomb' : 'powerUp');
+        }
+    }
+    
+    /**
+     * Drop a capsule
+     * @param {THREE.Vector3} position - Where to drop it
+     * @param {string} type - 'powerUp' to move the power-up bar along, or 'bomb' for a smart bomb
+     * @returns {THREE.Object3D} The capsule
+     */
+    spawnCapsule(position, type = 'powerUp') {
+        const capsule = this.addCapsule(position, type);
+        gameEvents.emit(GameEvents.POWERUP_SPAWN, { position: position.clone(), type });
+        return capsule;
+    }
+    
+    /**
+     * Create a capsule and put it into play
+     * @param {THREE.Vector3} position - Where to put it
+     * @param {string} type - 'powerUp' or 'bomb'
+     * @returns {THREE.Object3D} The capsule
+     */
+    addCapsule(position, type = 'powerUp') {
+        const capsule = new THREE.Mesh(this.capsuleGeometry, type === 'bomb' ? this.bombMaterial : this.capsuleMaterial);
+        
+        // Lie the capsule along the direction of travel
+        capsule.rotation.z = Math.PI / 2;
+        
+        capsule.userData = {
+            type,
+            position: position.clone(),
+            previousPosition: position.clone(),
+            velocity: new THREE.Vector3(-this.capsuleSpeed, 0, 0),
+            baseY: position.y,
+            lifeTime: 0,
+            boundingBox: new THREE.Box3()
+        };
+        capsule.position.copy(position);
+        capsule.userData.boundingBox.setFromObject(capsule);
+        capsule.userData.entity = this.createCapsuleEntity(capsule);
+        
+        this.scene.add(capsule);
+        this.capsules.push(capsule);
+        this.world.addEntity(capsule.userData.entity);
+        
+        return capsule;
+    }
+    
+    /**
+     * Create the world entity for a capsule
+     * Its components share the capsule's simulated vectors and bounding box
+     * @param {THREE.Object3D} capsule - The capsule
+     * @returns {Entity} The entity
+     */
+    createCapsuleEntity(capsule) {
+        const entity = new Entity(this.scene);
+        
+        const transform = entity.getComponent(TransformComponent);
+        transform.position = capsule.userData.position;
+        transform.previousPosition = capsule.userData.previousPosition;
+        
+        const physics = entity.addComponent(PhysicsComponent);
+        physics.velocity = capsule.userData.velocity;
+        physics.drag = 0;
+        
+        entity.addComponent(RenderComponent).mesh = capsule;
+        
+        entity.addComponent(ActorComponent).actor = {
+            update: (delta) => this.updateCapsule(capsule, delta)
+        };
+        
+        const collider = entity.addComponent(ColliderComponent);
+        collider.layer = 'powerup';
+        collider.boundingBox = capsule.userData.boundingBox;
+        collider.onHit = () => this.collectCapsule(capsule);
+        
+        return entity;
+    }
+    
+    /**
+     * Drift and bob a capsule by one step, and expire it when it has been left too long
+     * @param {THREE.Object3D} capsule - The capsule to update
+     * @param {number} delta - Time step in seconds
+     */
+    updateCapsule(capsule, delta) {
+        const data = capsule.userData;
+        
+        data.previousPosition.copy(data.position);
+        data.lifeTime += delta;
+        
+        data.position.x += data.velocity.x * delta;
+        data.position.y = data.baseY + Math.sin(data.lifeTime * this.capsuleBobFrequency * Math.PI * 2) * this.capsuleBobAmplitude;
+        
+        capsule.position.copy(data.position);
+        capsule.rotation.x += delta * 3; // Spin so it catches the eye
+        data.boundingBox.setFromObject(capsule);
+        
+        if (data.lifeTime > this.capsuleLifetime) {
+            this.removeCapsule(capsule);
+        }
+    }
+    
+    /**
+     * Give a capsule to the player
+     * @param {THREE.Object3D} capsule - The capsule the player touched
+     */
+    collectCapsule(capsule) {
+        this.removeCapsule(capsule);
+        
+        if (capsule.userData.type === 'bomb') {
+            this.player.collectBomb();
+        } else {
+            this.player.collectPowerUp();
+        }
+    }
+    
+    /**
+     * Take a capsule out of play
+     * @param {THREE.Object3D} capsule - The capsule to remove
+     */
+    removeCapsule(capsule) {
+        const index = this.capsules.indexOf(capsule);
+        if (index !== -1) {
+            this.capsules.splice(index, 1);
+        }
+        
+        this.scene.remove(capsule);
+        this.world.removeEntity(capsule.userData.entity);
+    }
+    
+    /**
+     * Get the drop counter and every capsule in play as plain data, for save games
+     * @returns {Object} Serializable power-up state
+     */
+    serialize() {
+        return {
+            kills: this.kills,
+            capsules: this.capsules.map(capsule => ({
+                type: capsule.userData.type,
+                position: capsule.userData.position.toArray(),
+                baseY: capsule.userData.baseY,
+                lifeTime: capsule.userData.lifeTime
+            }))
+        };
+    }
+    
+    /**
+     * Restore state returned by serialize(), replacing any capsules in play
+     * @param {Object} state - Serialized power-up state
+     */
+    deserialize(state) {
+        for (const capsule of this.capsules.slice()) {
+            this.removeCapsule(capsule);
+        }
+        
+        this.kills = state.kills;
+        
+        for (const capsuleState of state.capsules) {
+            const capsule = this.addCapsule(new THREE.Vector3().fromArray(capsuleState.position), capsuleState.type || 'powerUp');
+            capsule.userData.baseY = capsuleState.baseY;
+            capsule.userData.lifeTime = capsuleState.lifeTime;
+        }
+    }
+    
+    /**
+     * Remove every capsule and stop listening for destroyed enemies
+     */
+    dispose() {
+        this.removeDestroyedListener();
+        
+        for (const capsule of this.capsules.slice()) {
+            this.removeCapsule(capsule);
+        }
+        
+        this.capsuleGeometry.dispose();
+        this.capsuleMaterial.dispose();
+        this.bombMaterial.dispose();
+    }
+}
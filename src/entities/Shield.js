@@ -0,0 +1,122 @@
+/**
+ * Regenerating shield layered over the ship's health
+ * Damage drains the shield before it reaches the hull. After every hit the shield waits out a
+ * recharge delay, then refills at a steady rate. The '?' power-up overcharges it past its
+ * capacity until the next time it breaks
+ */
+export class Shield {
+    /**
+     * Create a new shield, fully charged
+     * @param {Object} options - Shield tuning
+     * @param {number} options.capacity - Shield points when fully charged
+     * @param {number} options.rechargeDelay - Seconds after a hit before recharging starts
+     * @param {number} options.rechargeRate - Shield points restored per second while recharging
+     * @param {number} options.overchargeCapacity - Extra shield points from the '?' power-up
+     */
+    constructor(options = {}) {
+        this.baseCapacity = options.capacity ?? 50;
+        this.rechargeDelay = options.rechargeDelay ?? 3;
+        this.rechargeRate = options.rechargeRate ?? 10;
+        this.overchargeCapacity = options.overchargeCapacity ?? 50;
+        
+        this.capacity = this.baseCapacity;
+        this.current = this.capacity;
+        this.rechargeTimer = 0;      // Seconds until recharging starts
+        this.overcharged = false;
+    }
+    
+    /**
+     * Check whether the shield has any charge left
+     * @returns {boolean} Whether the shield is up
+     */
+    isUp() {
+        return this.current > 0;
+    }
+    
+    /**
+     * Soak up as much of a hit as the shield can
+     * Any hit restarts the recharge delay, even once the shield is down
+     * @param {number} damage - Incoming damage
+     * @returns {Object} absorbed (damage taken by the shield), remaining (damage left for the hull)
+     *                   and broken (whether this hit took the shield down)
+     */
+    absorb(damage) {
+        const absorbed = Math.min(this.current, damage);
+        const wasUp = this.isUp();
+        
+        this.current -= absorbed;
+        this.rechargeTimer = this.rechargeDelay;
+        
+        const broken = wasUp && !this.isUp();
+        if (broken) {
+            // Breaking burns off any overcharge
+            this.capacity = this.baseCapacity;
+            this.overcharged = false;
+        }
+        
+        return { absorbed, remaining: damage - absorbed, broken };
+    }
+    
+    /**
+     * Count down the recharge delay, then recharge
+     * @param {number} delta - Time step in seconds
+     * @returns {boolean} Whether the charge changed
+     */
+    update(delta) {
+        if (this.rechargeTimer > 0) {
+            this.rechargeTimer = Math.max(0, this.rechargeTimer - delta);
+            return false;
+        }
+        
+        if (this.current >= this.capacity) {
+            return false;
+        }
+        
+        this.current = Math.min(this.capacity, this.current + this.rechargeRate * delta);
+        return true;
+    }
+    
+    /**
+     * Raise the capacity past its normal maximum and fill the shield
+     */
+    overcharge() {
+        this.capacity = this.baseCapacity + this.overchargeCapacity;
+        this.current = this.capacity;
+        this.rechargeTimer = 0;
+        this.overcharged = true;
+    }
+    
+    /**
+     * Put the shield back to its normal capacity, fully charged, e.g. for a new ship
+     */
+    reset() {
+        this.capacity = this.baseCapacity;
+        this.current = this.capacity;
+        this.rechargeTimer = 0;
+        this.overcharged = false;
+    }
+    
+    /**
+     * Get the shield's charge as plain data, for save games
+     * @returns {Object} Serializable shield state
+     */
+    serialize() {
+        return {
+            capacity: this.capacity,
+            current: this.current,
+            rechargeTimer: this.rechargeTimer,
+            overcharged: this.overcharged
+        };
+    }
+    
+    /**
+     * Restore state returned by serialize()
+     * @param {Object} state - Serialized shield state
+     */
+    deserialize(state) {
+        this.capacity = state.capacity;
+        this.current = state.current;
+        this.rechargeTimer = state.rechargeTimer;
+        this.overcharged = state.overcharged;
+    }
+}
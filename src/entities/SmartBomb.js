@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+
+/**
+ * Smart bomb tuning
+ *
+ * - stock: Bombs each new ship starts with
+ * - maxStock: Most bombs that can be carried; pickups past this are worth score instead
+ * - pickupScore: Score for a bomb pickup when the stock is already full
+ * - bossDamage: Fixed damage a bomb does to a boss, which it can't destroy outright
+ * - hitstop: Seconds the whole simulation freezes when a bomb goes off
+ * - shockwaveDuration: Seconds the shockwave takes to sweep across the screen
+ * - cancelBullets: Whether a bomb also wipes out the enemy shots on screen
+ */
+export const BOMB_CONFIG = Object.freeze({
+    stock: 3,
+    maxStock: 9,
+    pickupScore: 500,
+    bossDamage: 25,
+    hitstop: 0.12,
+    shockwaveDuration: 0.6,
+    cancelBullets: true
+});
+
+/**
+ * Expanding ring left by a smart bomb
+ * Purely for show: the bomb does all its damage the moment it goes off
+ */
+export class Shockwave {
+    /**
+     * Create a shockwave and add it to the scene
+     * @param {THREE.Scene} scene - The scene to add the ring to
+     * @param {THREE.Vector3} position - Where the bomb went off
+     * @param {number} radius - Radius the ring grows to
+     * @param {number} duration - Seconds the ring takes to grow and fade
+     */
+    constructor(scene, position, radius, duration) {
+        this.scene = scene;
+        this.radius = radius;
+        this.duration = duration;
+        this.lifeTime = 0;
+        this.isDone = false;
+        
+        this.mesh = new THREE.Mesh(
+            new THREE.RingGeometry(0.8, 1, 48),
+            new THREE.MeshBasicMaterial({
+                color: 0xffffff,
+                transparent: true,
+                opacity: 0.9,
+                depthWrite: false,
+                side: THREE.DoubleSide,
+                blending: THREE.AdditiveBlending
+            })
+        );
+        this.mesh.position.copy(position);
+        this.mesh.scale.setScalar(0.01);
+        this.scene.add(this.mesh);
+    }
+    
+    /**
+     * Grow and fade the ring by one step
+     * @param {number} delta - Time step in seconds
+     */
+    update(delta) {
+        this.lifeTime += delta;
+        const progress = Math.min(1, this.lifeTime / this.duration);
+        
+        // Fast at first, easing out as it reaches the edge of the screen
+        const eased = 1 - Math.pow(1 - progress, 3);
+        this.mesh.scale.setScalar(Math.max(0.01, eased * this.radius));
+        this.mesh.material.opacity = 0.9 * (1 - progress);
+        this.mesh.material.color.setHSL(0.12, 1, 0.5 + 0.5 * (1 - progress));
+        
+        if (progress >= 1) {
+            this.remove();
+        }
+    }
+    
+    /**
+     * Take the ring out of the scene
+     */
+    remove() {
+        this.isDone = true;
+        this.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
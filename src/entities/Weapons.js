@@ -0,0 +1,231 @@
+/**
+ * Weapon definitions for the MissileManager
+ *
+ * Each weapon is plain data:
+ * - name: Label shown on the HUD
+ * - model: 'missile' for the missile GLB, or a built-in shape ('beam' or 'orb')
+ * - color: Color of built-in shapes
+ * - scale: Projectile scale [x, y, z]
+ * - speed: Projectile speed in units per second
+ * - spread: Angle of each projectile in a volley, in degrees up from straight ahead
+ * - fireRate: Volleys per second
+ * - damage: Damage each projectile deals
+ * - pierce: How many targets a projectile passes through before it stops (0 stops at the first); it hits each target once
+ * - lifetime: Seconds before a projectile expires
+ * - motion: 'straight', 'wave' (weaves around its line of flight) or 'homing' (turns towards the nearest enemy)
+ * - waveAmplitude, waveFrequency: Size (units) and rate (per second) of the weave, for 'wave'
+ * - turnRate: How fast a homing projectile turns, in radians per second
+ * - poolSize: Projectiles created up front (the pool grows past this when needed)
+ * - upgrades: Overrides applied on top of the base stats for each level above 1, in order
+ * - charged: For charge shots, the scale, damage and pierce at full charge (see getChargedStats).
+ *   A big shot overlaps a target for many steps, but still hits each target once
+ */
+export const WEAPONS = Object.freeze({
+    standard: {
+        name: 'STANDARD',
+        model: 'missile',
+        scale: [5, 5, 5],
+        speed: 200,
+        spread: [0],
+        fireRate: 4,
+        damage: 1,
+        pierce: 0,
+        lifetime: 5,
+        motion: 'straight',
+        poolSize: 20,
+        upgrades: [
+            { fireRate: 5 },
+            { fireRate: 6, damage: 2 }
+        ]
+    },
+    double: {
+        name: 'DOUBLE',
+        model: 'missile',
+        scale: [5, 5, 5],
+        speed: 200,
+        spread: [0, 45],
+        fireRate: 4,
+        damage: 1,
+        pierce: 0,
+        lifetime: 5,
+        motion: 'straight',
+        poolSize: 20,
+        upgrades: [
+            { spread: [0, 30, 45] },
+            { spread: [0, 30, 45], fireRate: 5 }
+        ]
+    },
+    laser: {
+        name: 'LASER',
+        model: 'beam',
+        color: 0x66ffff,
+        scale: [14, 0.8, 0.8],
+        speed: 320,
+        spread: [0],
+        fireRate: 4,
+        damage: 2,
+        pierce: 5,
+        lifetime: 3,
+        motion: 'straight',
+        poolSize: 10,
+        upgrades: [
+            { scale: [20, 1, 1], damage: 3 },
+            { scale: [28, 1.2, 1.2], damage: 4, fireRate: 5 }
+        ]
+    },
+    spread: {
+        name: 'SPREAD',
+        model: 'orb',
+        color: 0xffaa33,
+        scale: [1.2, 1.2, 1.2],
+        speed: 180,
+        spread: [-15, 0, 15],
+        fireRate: 3,
+        damage: 1,
+        pierce: 0,
+        lifetime: 2,
+        motion: 'straight',
+        poolSize: 30,
+        upgrades: [
+            { spread: [-20, -10, 0, 10, 20] },
+            { spread: [-30, -15, 0, 15, 30], fireRate: 4 }
+        ]
+    },
+    wave: {
+        name: 'WAVE',
+        model: 'orb',
+        color: 0xcc66ff,
+        scale: [1.5, 1.5, 1.5],
+        speed: 160,
+        spread: [0],
+        fireRate: 4,
+        damage: 1,
+        pierce: 1,
+        lifetime: 3,
+        motion: 'wave',
+        waveAmplitude: 10,
+        waveFrequency: 2,
+        poolSize: 15,
+        upgrades: [
+            { waveAmplitude: 16, pierce: 2 },
+            { waveAmplitude: 20, pierce: 3, damage: 2 }
+        ]
+    },
+    homing: {
+        name: 'HOMING',
+        model: 'missile',
+        scale: [4, 4, 4],
+        speed: 140,
+        spread: [20, -20],
+        fireRate: 2,
+        damage: 2,
+        pierce: 0,
+        lifetime: 4,
+        motion: 'homing',
+        turnRate: 3,
+        poolSize: 10,
+        upgrades: [
+            { turnRate: 4.5, fireRate: 2.5 },
+            { turnRate: 6, fireRate: 3, spread: [30, 0, -30] }
+        ]
+    },
+    
+    // Sub-weapon from the MISSILE power-up, fired alongside the main weapon
+    missile: {
+        name: 'MISSILE',
+        model: 'missile',
+        scale: [4, 4, 4],
+        speed: 120,
+        spread: [-45],
+        fireRate: 4,
+        damage: 2,
+        pierce: 0,
+        lifetime: 5,
+        motion: 'straight',
+        poolSize: 10,
+        upgrades: []
+    },
+    
+    // Energy-powered charge shot (see ENERGY_CONFIG); the base stats are for the weakest charge
+    charge: {
+        name: 'CHARGE',
+        model: 'orb',
+        color: 0x88ffcc,
+        scale: [2, 2, 2],
+        speed: 220,
+        spread: [0],
+        fireRate: 1,
+        damage: 2,
+        pierce: 0,
+        lifetime: 3,
+        motion: 'straight',
+        poolSize: 4,
+        upgrades: [],
+        charged: {
+            scale: [5, 5, 5],
+            damage: 8,
+            pierce: 8
+        }
+    }
+});
+
+/**
+ * Get a weapon's definition
+ * @param {string} id - Weapon id from WEAPONS
+ * @returns {Object} The definition
+ */
+export function getWeapon(id) {
+    const weapon = WEAPONS[id];
+    if (!weapon) {
+        throw new Error(`Unknown weapon: ${id}`);
+    }
+    return weapon;
+}
+
+/**
+ * Get the highest level a weapon can be upgraded to
+ * @param {string} id - Weapon id from WEAPONS
+ * @returns {number} Maximum level (1 when it has no upgrades)
+ */
+export function getMaxWeaponLevel(id) {
+    return getWeapon(id).upgrades.length + 1;
+}
+
+/**
+ * Get a weapon's stats at a level, with every upgrade up to that level applied
+ * @param {string} id - Weapon id from WEAPONS
+ * @param {number} level - Weapon level, from 1
+ * @returns {Object} The weapon's stats
+ */
+export function getWeaponStats(id, level = 1) {
+    const weapon = getWeapon(id);
+    const stats = { ...weapon, id, level };
+    
+    for (const upgrade of weapon.upgrades.slice(0, level - 1)) {
+        Object.assign(stats, upgrade);
+    }
+    
+    return stats;
+}
+
+/**
+ * Get a charge shot's stats, scaled between its base stats and its fully charged ones
+ * @param {string} id - Weapon id from WEAPONS, with charged stats
+ * @param {number} charge - How far the shot was charged, from 0 to 1
+ * @returns {Object} The shot's stats, with the charge recorded on them
+ */
+export function getChargedStats(id, charge) {
+    const stats = getWeaponStats(id);
+    const charged = stats.charged;
+    if (!charged) {
+        throw new Error(`Weapon can't be charged: ${id}`);
+    }
+    
+    return {
+        ...stats,
+        charge,
+        scale: stats.scale.map((value, axis) => value + (charged.scale[axis] - value) * charge),
+        damage: Math.round(stats.damage + (charged.damage - stats.damage) * charge),
+        pierce: Math.round(stats.pierce + (charged.pierce - stats.pierce) * charge)
+    };
+}
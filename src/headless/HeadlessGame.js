@@ -0,0 +1,195 @@
+import * as THREE from 'three';
+import { Simulation } from '../core/Simulation.js';
+import { gameEvents, GameEvents } from '../core/EventSystem.js';
+import { HeadlessResourceManager } from './HeadlessResourceManager.js';
+import { NullHealthBar } from './NullHealthBar.js';
+import debugHelper from '../utils/DebugHelper.js';
+import debugVisualizer from '../utils/DebugVisualizer.js';
+
+/**
+ * Runs the game simulation in plain Node, without a WebGLRenderer, DOM or audio
+ * Input is set directly on the player, and time only advances when step() or runFor() is called,
+ * which makes it suitable for scripted sessions and assertions
+ */
+export class HeadlessGame {
+    /**
+     * Create a new headless game and start a level
+     * @param {Object} options - Headless settings
+     * @param {number} options.level - Level to start (1-based index)
+     * @param {number} options.stepsPerSecond - Fixed simulation rate in Hz
+     * @param {number} options.seed - Seed for all gameplay randomness (random if not given)
+     * @param {string} options.fireMode - How holding fire behaves (see FIRE_MODES)
+     * @param {Object} options.replay - Replay to play back; its seed and level replace the options above
+     * @param {Object} options.snapshot - Snapshot to continue from instead of starting a level
+     * @param {boolean} options.verbose - Print debug logs to the console
+     */
+    constructor(options = {}) {
+        debugHelper.muted = !options.verbose;
+        
+        // Scene and camera are still needed for transforms and bounding boxes, but are never rendered
+        this.scene = new THREE.Scene();
+        const frustumSize = 100;
+        const aspect = 16 / 9;
+        this.camera = new THREE.OrthographicCamera(
+            frustumSize * aspect / -2,
+            frustumSize * aspect / 2,
+            frustumSize / 2,
+            frustumSize / -2,
+            0.1,
+            1000
+        );
+        
+        // Collision visualization is disabled by default, but entities expect it to exist
+        debugVisualizer.init(this.scene);
+        
+        this.resourceManager = new HeadlessResourceManager(this.scene);
+        
+        // Collect UI messages so scripts can assert on them
+        this.messages = [];
+        this.removeMessageListener = gameEvents.on(GameEvents.SHOW_MESSAGE, (data) => {
+            this.messages.push({ time: this.simulation.time, text: data.text });
+        });
+        
+        const replay = options.replay || null;
+        
+        this.simulation = new Simulation({
+            scene: this.scene,
+            camera: this.camera,
+            resourceManager: this.resourceManager,
+            audioListener: null,
+            playerOptions: {
+                healthBar: new NullHealthBar(100),
+                fireMode: options.fireMode
+            },
+            stepsPerSecond: replay ? replay.stepsPerSecond : options.stepsPerSecond || 120,
+            seed: replay ? replay.seed : options.seed
+        });
+        // Play the replay back, continue from the snapshot, or record a new run so it can be saved
+        if (replay) {
+            this.simulation.start(replay.level);
+            this.simulation.play(replay);
+        } else if (options.snapshot) {
+            this.simulation.restore(options.snapshot);
+        } else {
+            this.simulation.start(options.level || 1);
+            this.simulation.record();
+        }
+        
+        this.player = this.simulation.player;
+        this.enemyManager = this.simulation.enemyManager;
+        this.levelSystem = this.simulation.levelSystem;
+    }
+    
+    /**
+     * Size of one simulation step in seconds
+     * @returns {number} Step size
+     */
+    getStepSize() {
+        return this.simulation.timestep.stepSize;
+    }
+    
+    /**
+     * Set the player's input controls; unspecified controls keep their current value
+     * @param {Object} controls - Any of up, down, left, right, shoot
+     */
+    setInput(controls) {
+        Object.assign(this.player.inputControls, controls);
+    }
+    
+    /**
+     * Advance the simulation by a number of fixed steps
+     * @param {number} count - Number of steps to run
+     */
+    step(count = 1) {
+        const stepSize = this.getStepSize();
+        for (let i = 0; i < count; i++) {
+            this.simulation.step(stepSize);
+        }
+        
+        // Keep rendered transforms in sync with the simulation
+        this.simulation.interpolate(1);
+    }
+    
+    /**
+     * Run the simulation for a span of simulated time
+     * @param {number} seconds - Simulated time to run for
+     * @param {Function} onStep - Optional callback before every step, called with (game, stepIndex)
+     */
+    runFor(seconds, onStep = null) {
+        const steps = Math.round(seconds / this.getStepSize());
+        for (let i = 0; i < steps; i++) {
+            if (onStep) {
+                onStep(this, i);
+            }
+            this.step();
+        }
+    }
+    
+    /**
+     * Get a replay of this run so far
+     * @returns {Object} Replay data (see Replay.js)
+     */
+    getReplay() {
+        return this.simulation.getReplay();
+    }
+    
+    /**
+     * Capture the whole game state, e.g. to continue from it in a new HeadlessGame
+     * @returns {Object} Snapshot data (see Simulation.createSnapshot)
+     */
+    createSnapshot() {
+        return this.simulation.createSnapshot();
+    }
+    
+    /**
+     * Get a plain summary of the game state, for logging and assertions
+     * @returns {Object} Summary of the current state
+     */
+    getSummary() {
+        const position = this.player.position;
+        
+        return {
+            seed: this.simulation.seed,
+            time: Number(this.simulation.time.toFixed(3)),
+            player: {
+                position: { x: position.x, y: position.y, z: position.z },
+                health: this.player.health,
+                shield: Number(this.player.shield.current.toFixed(3)),
+                energy: Number(this.player.energy.current.toFixed(3)),
+                score: this.player.score,
+                alive: !this.player.isDead,
+                lives: this.player.lives,
+                missilesInFlight: this.player.missileManager.missiles.length,
+                weapon: this.player.missileManager.weaponId
+            },
+            powerUps: {
+                selected: this.player.powerUpBar.selected,
+                capsules: this.simulation.powerUpManager.capsules.length,
+                kills: this.simulation.powerUpManager.kills
+            },
+            enemies: {
+                asteroids: this.enemyManager.entities.asteroids.length,
+                loadedAsteroids: this.enemyManager.entities.loadedAsteroids.length,
+                fighters: this.enemyManager.entities.fighters.length,
+                bullets: this.enemyManager.bullets.bullets.length
+            },
+            worldEntities: this.simulation.world.entities.size,
+            level: {
+                number: this.levelSystem.currentLevel + 1,
+                wave: this.levelSystem.currentWaveIndex,
+                active: this.levelSystem.isActive,
+                bossSpawned: this.levelSystem.bossSpawned
+            },
+            messages: this.messages.map(message => message.text),
+            errors: debugHelper.errors.slice()
+        };
+    }
+    
+    /**
+     * Stop listening for events and take the game's entities down, so another game can run in the same process
+     */
+    dispose() {
+        this.removeMessageListener();
+        this.simulation.dispose();
+    }
+}
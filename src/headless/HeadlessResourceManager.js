@@ -0,0 +1,75 @@
+import * as THREE from 'three';
+import debugHelper from '../utils/DebugHelper.js';
+
+/**
+ * Stand-in for the ResourceManager in headless runs
+ * Builds simple primitive meshes instead of loading GLB files, so every model is available
+ * synchronously and nothing is fetched over the network
+ */
+export class HeadlessResourceManager {
+    /**
+     * Create a new headless resource manager
+     * @param {THREE.Scene} scene - The scene (unused, kept for API compatibility with ResourceManager)
+     * @param {Function} onReady - Callback, called immediately since nothing needs loading
+     */
+    constructor(scene = null, onReady = null) {
+        this.scene = scene;
+        
+        // Shared geometry and material templates, roughly matching the size of the real models
+        this.templates = {
+            ship: this.createTemplate(new THREE.BoxGeometry(1.6, 0.4, 1.2)),
+            asteroid: this.createTemplate(new THREE.IcosahedronGeometry(1, 1)),
+            missile: this.createTemplate(new THREE.BoxGeometry(0.6, 0.15, 0.15)),
+            explosion: this.createTemplate(new THREE.SphereGeometry(1, 8, 6))
+        };
+        
+        debugHelper.log("Headless resource manager initialized");
+        
+        if (onReady) {
+            onReady();
+        }
+    }
+    
+    /**
+     * Wrap a geometry in a group, the same shape of hierarchy a loaded GLB scene has
+     * @param {THREE.BufferGeometry} geometry - Geometry for the model
+     * @returns {THREE.Group} The model template
+     */
+    createTemplate(geometry) {
+        const group = new THREE.Group();
+        group.add(new THREE.Mesh(geometry, new THREE.MeshStandardMaterial()));
+        return group;
+    }
+    
+    /**
+     * Get a spaceship model
+     * @returns {THREE.Object3D} A clone of the ship template
+     */
+    getShipModel() {
+        return this.templates.ship.clone();
+    }
+    
+    /**
+     * Get an asteroid model
+     * @returns {THREE.Object3D} A clone of the asteroid template
+     */
+    getAsteroidModel() {
+        return this.templates.asteroid.clone();
+    }
+    
+    /**
+     * Get a missile model
+     * @returns {THREE.Object3D} A clone of the missile template
+     */
+    getMissileModel() {
+        return this.templates.missile.clone();
+    }
+    
+    /**
+     * Get an explosion model
+     * @returns {THREE.Object3D} A clone of the explosion template
+     */
+    getExplosionModel() {
+        return this.templates.explosion.clone();
+    }
+}
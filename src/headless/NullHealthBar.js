@@ -0,0 +1,51 @@
+/**
+ * Health bar with the same API as ui/HealthBar that draws nothing
+ * Used by headless runs, where there is no DOM
+ */
+export class NullHealthBar {
+    /**
+     * Create a new null health bar
+     * @param {number} maxHealth - The maximum health value
+     */
+    constructor(maxHealth = 100) {
+        this.maxHealth = maxHealth;
+        this.currentHealth = maxHealth;
+        this.shield = 0;
+        this.shieldCapacity = 0;
+        this.energy = 0;
+        this.energyCapacity = 0;
+    }
+    
+    /**
+     * Record the current health
+     * @param {number} health - The current health value
+     */
+    update(health) {
+        this.currentHealth = Math.max(0, Math.min(this.maxHealth, health));
+    }
+    
+    /**
+     * Record the current shield charge
+     * @param {number} shield - The current shield charge
+     * @param {number} capacity - The shield's capacity
+     */
+    updateShield(shield, capacity) {
+        this.shield = shield;
+        this.shieldCapacity = capacity;
+    }
+    
+    /**
+     * Record the current energy
+     * @param {number} energy - The current energy
+     * @param {number} capacity - The most energy the ship can hold
+     */
+    updateEnergy(energy, capacity) {
+        this.energy = energy;
+        this.energyCapacity = capacity;
+    }
+    
+    /**
+     * Nothing to remove
+     */
+    remove() {}
+}
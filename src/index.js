@@ -1,11 +1,19 @@
 import * as THREE from 'three';
 
-import { Player } from './entities/Player.js';
 import { ResourceManager } from './utils/ResourceManager.js';
-import { EnemyManager } from './entities/EnemyManager.js';
 import debugHelper from './utils/DebugHelper.js';
 import debugVisualizer from './utils/DebugVisualizer.js';
 import { UIManager } from './ui/UIManager.js';
+import { Simulation } from './core/Simulation.js';
+import { FIRE_MODES } from './entities/Player.js';
+import { GameStateManager } from './core/GameState.js';
+import { gameEvents, GameEvents } from './core/EventSystem.js';
+import { InputManager } from './input/InputManager.js';
+import { KeyboardInput } from './input/KeyboardInput.js';
+import { GamepadInput } from './input/GamepadInput.js';
+import { TouchInput } from './input/TouchInput.js';
+import { serializeReplay, parseReplay } from './input/Replay.js';
+import { SaveSystem } from './core/SaveSystem.js';
 
 class Game {
     constructor() {
@@ -22,8 +30,43 @@ class Game {
             // Initialize UI Manager
             this.uiManager = new UIManager();
             this.scoreDisplay = this.uiManager.createScoreDisplay(0);
+            this.messageDisplay = this.uiManager.createMessageDisplay();
+            this.powerUpDisplay = this.uiManager.createPowerUpDisplay();
+            this.livesDisplay = this.uiManager.createLivesDisplay();
+            this.bombDisplay = this.uiManager.createBombDisplay();
+            this.bossHealthBar = this.uiManager.createBossHealthBar();
             
-            this.initResourceManager(); // This will call initEnemyManager and initPlayer when resources are loaded
+            // Keep recent events for the debug overlay
+            if (debugHelper.isDebugMode) {
+                gameEvents.enableTrace(50);
+            }
+            this.shownTraceCount = 0;
+            
+            // Devices report to the input manager, which maps them to actions
+            // that are routed through the current game state each frame
+            this.input = new InputManager();
+            this.keyboard = new KeyboardInput(this.input);
+            this.gamepad = new GamepadInput(this.input);
+            this.touch = new TouchInput(this.input);
+            
+            // A ?seed= URL parameter replays the same game every time (repros, daily challenges)
+            const seedParam = new URLSearchParams(window.location.search).get('seed');
+            this.seed = seedParam !== null && seedParam !== '' ? Number(seedParam) : null;
+            
+            // Game flow: title screen, playing, paused and game over
+            this.stateManager = new GameStateManager(this);
+            
+            // Replay to play back on the next reset (see playReplay)
+            this.pendingReplay = null;
+            
+            // Saved run to continue on the next reset (see continueGame)
+            this.saveSystem = new SaveSystem();
+            this.pendingSnapshot = null;
+            
+            // Make the game accessible globally for debugging
+            window.game = this;
+            
+            this.initResourceManager(); // This will call start when resources are loaded
             this.initEventListeners();
             this.animate();
             
@@ -116,6 +159,10 @@ class Game {
         const backLight = new THREE.DirectionalLight(0xccccff, 1.5);
         backLight.position.set(-100, 0, 100);
         this.scene.add(backLight);
+        
+        // Create an audio listener for 3D sound, shared by every game
+        this.audioListener = new THREE.AudioListener();
+        this.camera.add(this.audioListener);
                 
         // Set game mode
         this.gameMode = 'sideScroller';
@@ -132,13 +179,11 @@ class Game {
             this.updateLoadingMessage("Loading game resources...");
             
             this.resourceManager = new ResourceManager(this.scene, () => {
-                // Once resources are loaded, initialize enemy manager and player
+                // Once resources are loaded, show the title screen
                 debugHelper.log("Resources loaded, initializing game entities");
                 this.updateLoadingMessage("Resources loaded, initializing game...");
                 
-                // Initialize game entities in the correct order
-                this.initEnemyManager();
-                this.initPlayer();
+                this.start();
                 
                 // Hide loading message
                 this.updateLoadingMessage("");
@@ -152,13 +197,12 @@ class Game {
             
             // Add a timeout to handle the case where resource loading takes too long
             setTimeout(() => {
-                if (!this.enemyManager) {
+                if (!this.started) {
                     debugHelper.log("Resource loading timeout - forcing initialization", "warn");
                     this.updateLoadingMessage("Resource loading timeout - starting game anyway");
                     
                     // Force initialization
-                    this.initEnemyManager();
-                    this.initPlayer();
+                    this.start();
                     
                     // Hide loading message
                     setTimeout(() => {
@@ -177,44 +221,239 @@ class Game {
             // Create a minimal resource manager if initialization fails
             this.resourceManager = {
                 getMissileModel: () => null,
+                getExplosionModel: () => null,
                 getShipModel: () => null,
                 getAsteroidModel: () => null
             };
             
             // Continue with initialization even if resource manager fails
-            this.initEnemyManager();
-            this.initPlayer();
+            this.start();
+        }
+    }
+    
+    /**
+     * Start the game flow at the title screen
+     */
+    start() {
+        if (this.started) {
+            return;
+        }
+        this.started = true;
+        
+        gameEvents.emit(GameEvents.GAME_INIT);
+        this.stateManager.init('menu');
+    }
+    
+    /**
+     * Change the current game state
+     * @param {string} stateName - Name of the state to change to
+     */
+    changeState(stateName) {
+        this.stateManager.changeState(stateName);
+    }
+    
+    /**
+     * Throw away the current game (if any) and start a new one
+     * Games are recorded, unless a replay is being played back
+     */
+    resetGame() {
+        this.endGame();
+        
+        // A replay queued by playReplay() decides the seed and level
+        const replay = this.pendingReplay;
+        this.pendingReplay = null;
+        
+        // A snapshot queued by continueGame() replaces the whole starting state
+        const snapshot = this.pendingSnapshot;
+        this.pendingSnapshot = null;
+        
+        this.simulation = new Simulation({
+            scene: this.scene,
+            camera: this.camera,
+            resourceManager: this.resourceManager,
+            audioListener: this.audioListener,
+            playerOptions: {
+                fireMode: this.getFireMode()
+            },
+            seed: replay ? replay.seed : this.seed
+        });
+        
+        if (replay) {
+            this.simulation.start(replay.level);
+            this.simulation.play(replay);
+            gameEvents.emit(GameEvents.SHOW_MESSAGE, { text: 'REPLAY', duration: 2 });
+        } else if (snapshot) {
+            this.simulation.restore(snapshot);
+        } else {
+            this.simulation.start(1);
+            this.simulation.record();
+        }
+        
+        // Keep direct references for the UI and for debugging
+        this.player = this.simulation.player;
+        this.enemyManager = this.simulation.enemyManager;
+        
+        // Reset the score display for the new game
+        this.score = this.player.score;
+        this.uiManager.updateScore(this.score);
+    }
+    
+    /**
+     * Remove the current game's entities from the scene
+     */
+    endGame() {
+        if (this.simulation) {
+            this.simulation.dispose();
+        }
+        
+        this.simulation = null;
+        this.player = null;
+        this.enemyManager = null;
+    }
+    
+    /**
+     * Pass input controls on to the player
+     * @param {Object|null} controls - Held controls (null releases everything)
+     */
+    setPlayerInput(controls) {
+        // During a replay the ship only follows the recording
+        if (this.simulation && this.simulation.playback) {
+            return;
+        }
+        
+        if (this.player) {
+            this.player.setInputControls(controls);
         }
     }
     
     /**
-     * Initialize the enemy manager
+     * Save the current game so it can be continued later, even after closing the page
      */
-    initEnemyManager() {
+    saveGame() {
+        // Watching a replay never replaces the player's own save
+        if (!this.simulation || !this.player || this.isReplaying()) {
+            return;
+        }
+        
         try {
-            this.enemyManager = new EnemyManager(this.scene, this.resourceManager);
+            this.saveSystem.save(this.simulation.createSnapshot());
+            debugHelper.log("Game saved");
         } catch (error) {
-            debugHelper.log("Error initializing enemy manager: " + error.message, "error");
-            
-            // Create a minimal enemy manager if initialization fails
-            this.enemyManager = {
-                update: () => {},
-                checkCollisions: () => null,
-                entities: { asteroids: [] }
-            };
+            debugHelper.log("Error saving game: " + error.message, "error");
         }
     }
-
-    initPlayer() {
-        // Create an audio listener for 3D sound
-        const audioListener = new THREE.AudioListener();
-        this.camera.add(audioListener);
+    
+    /**
+     * Continue the saved game, if there is one
+     */
+    continueGame() {
+        const snapshot = this.saveSystem.load();
+        if (!snapshot) {
+            return;
+        }
+        
+        this.pendingSnapshot = snapshot;
+        this.changeState('playing');
+    }
+    
+    /**
+     * Check whether there is a saved game to continue
+     * @returns {boolean} Whether continueGame() would restore a game
+     */
+    hasSavedGame() {
+        return this.saveSystem.hasSave();
+    }
+    
+    /**
+     * Get how holding fire behaves, as saved with the input profile
+     * @returns {string} One of FIRE_MODES
+     */
+    getFireMode() {
+        return this.input.getOption('fireMode', 'auto');
+    }
+    
+    /**
+     * Switch to the next fire mode and save the choice; it takes effect from the next game
+     * @returns {string} The new fire mode
+     */
+    toggleFireMode() {
+        const index = FIRE_MODES.indexOf(this.getFireMode());
+        const fireMode = FIRE_MODES[(index + 1) % FIRE_MODES.length];
+        this.input.setOption('fireMode', fireMode);
+        return fireMode;
+    }
+    
+    /**
+     * Delete the saved game
+     */
+    deleteSavedGame() {
+        this.saveSystem.clear();
+    }
+    
+    /**
+     * Play a replay from the start
+     * @param {Object} replay - Replay data (see Replay.js)
+     */
+    playReplay(replay) {
+        if (!replay) {
+            return;
+        }
         
-        // Initialize player with correct parameters: scene, camera, audioListener, resourceManager
-        this.player = new Player(this.scene, this.camera, audioListener, this.resourceManager);
+        debugHelper.log(`Playing replay: seed ${replay.seed}, level ${replay.level}, ${replay.ticks} ticks`);
+        this.pendingReplay = replay;
+        this.changeState('playing');
+    }
+    
+    /**
+     * Get a replay of the current (or last) game
+     * @returns {Object|null} Replay data
+     */
+    getReplay() {
+        return this.simulation ? this.simulation.getReplay() : null;
+    }
+    
+    /**
+     * Check whether the current game is a replay being played back
+     * @returns {boolean} Whether a replay is playing
+     */
+    isReplaying() {
+        return this.simulation ? this.simulation.playback !== null : false;
+    }
+    
+    /**
+     * Check whether a replay being played back has run out of input
+     * @returns {boolean} Whether playback is finished
+     */
+    isReplayFinished() {
+        return this.simulation ? this.simulation.isPlaybackFinished() : false;
+    }
+    
+    /**
+     * Save a replay of the current game as a file, e.g. to attach to a bug report
+     */
+    downloadReplay() {
+        const replay = this.getReplay();
+        if (!replay) {
+            debugHelper.log("No replay to download", "warn");
+            return;
+        }
         
-        // Make player accessible globally for debugging
-        window.game = this;
+        const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `wandering-replay-${replay.seed}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    /**
+     * Advance the game simulation by the real time that passed since the last frame
+     * @param {number} delta - Real time in seconds since the last frame
+     */
+    updateEntities(delta) {
+        if (this.simulation) {
+            this.simulation.advance(delta);
+        }
     }
 
     initEventListeners() {
@@ -225,15 +464,48 @@ class Game {
             this.renderer.setSize(window.innerWidth, window.innerHeight);
         });
         
+        // Save a run in progress when the page is closed, so it can be continued next time
+        window.addEventListener('beforeunload', () => {
+            const stateName = this.stateManager.currentStateName;
+            if (stateName === 'playing' || stateName === 'paused') {
+                this.saveGame();
+            }
+        });
+        
+        // Drop a replay file onto the game to watch it
+        window.addEventListener('dragover', (event) => {
+            event.preventDefault();
+        });
+        window.addEventListener('drop', (event) => {
+            event.preventDefault();
+            const file = event.dataTransfer.files[0];
+            if (!file || !this.started) {
+                return;
+            }
+            
+            file.text().then((text) => {
+                this.playReplay(parseReplay(text));
+            }).catch((error) => {
+                debugHelper.log("Error loading replay: " + error.message, "error");
+            });
+        });
+        
         // Add keyboard listener for debug controls
         window.addEventListener('keydown', (event) => {
-            // Toggle debug visualization with 'V' key
-            if (event.key === 'v' || event.key === 'V') {
+            // Toggle debug visualization with F3 (V is bound to boost)
+            if (event.key === 'F3') {
+                event.preventDefault();
                 const visualizer = debugVisualizer.getInstance();
                 if (visualizer) {
                     visualizer.toggle();
                 }
             }
+            
+            // Save a replay of the current game with F9
+            if (event.key === 'F9') {
+                event.preventDefault();
+                this.downloadReplay();
+            }
         });
     }
 
@@ -241,52 +513,40 @@ class Game {
         // Use bind-less requestAnimationFrame for better performance
         requestAnimationFrame(() => this.animate());
         
-        // Use a fixed delta time for consistent physics
-        const rawDelta = this.clock ? this.clock.getDelta() : 0.016;
-        // Cap delta to prevent large jumps during lag spikes
-        const delta = Math.min(rawDelta, 0.1);
-        
         if (!this.clock) {
             this.clock = new THREE.Clock();
         }
         
-        // Update player first for responsive controls
-        if (this.player) {
-            this.player.update(delta);
-            
-            // Update score if player score changes
-            if (this.player.score !== undefined && this.score !== this.player.score) {
-                this.score = this.player.score;
-                if (this.uiManager) {
-                    this.uiManager.updateScore(this.score);
-                }
-            }
+        const frameTime = this.clock.getDelta();
+        
+        // Route input through the current state, then let it advance the game
+        if (this.started) {
+            // Gamepads have no events, so read them right before the input is used
+            this.gamepad.poll();
+            this.stateManager.handleInput(this.input.getState());
+            this.input.endFrame();
+            this.stateManager.update(frameTime);
         }
         
-        // Update enemy manager
-        if (this.enemyManager) {
-            this.enemyManager.update(delta);
-            
-            // Check for collisions between player and enemies
-            if (this.player && this.player.boundingBox) {
-                const playerCollision = this.enemyManager.checkCollisions(this.player.boundingBox);
-                
-                // Add safety checks before handling collisions
-                if (playerCollision) {
-                    // Handle player collision with object
-                    if (typeof this.player.handleCollision === 'function') {
-                        this.player.handleCollision(playerCollision);
-                    }
-                    
-                    // Handle object collision with player
-                    if (playerCollision.handleCollision && typeof playerCollision.handleCollision === 'function') {
-                        playerCollision.handleCollision(this.player);
-                    } else if (playerCollision.userData && playerCollision.userData.parent && 
-                              typeof playerCollision.userData.parent.handleCollision === 'function') {
-                        // Try to use parent object's handleCollision if available
-                        playerCollision.userData.parent.handleCollision(this.player);
-                    }
-                }
+        // Deliver events deferred outside the simulation (e.g. by UI or state changes)
+        gameEvents.flush();
+        
+        // Refresh the debug overlay's event list when new events have been traced
+        if (gameEvents.traceCount !== this.shownTraceCount) {
+            this.shownTraceCount = gameEvents.traceCount;
+            debugHelper.showEventTrace(gameEvents.getTrace());
+        }
+        
+        // Draw everything between the last two simulation steps
+        if (this.simulation) {
+            this.simulation.interpolate(this.simulation.timestep.alpha);
+        }
+        
+        // Update score if player score changes
+        if (this.player && this.player.score !== undefined && this.score !== this.player.score) {
+            this.score = this.player.score;
+            if (this.uiManager) {
+                this.uiManager.updateScore(this.score);
             }
         }
                 
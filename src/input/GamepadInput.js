@@ -0,0 +1,306 @@
+import debugHelper from '../utils/DebugHelper.js';
+
+// Input names for the buttons of the standard gamepad layout, by button index
+// (https://w3c.github.io/gamepad/#remapping)
+export const GAMEPAD_BUTTONS = [
+    'GamepadA',         // 0: bottom face button
+    'GamepadB',         // 1: right face button
+    'GamepadX',         // 2: left face button
+    'GamepadY',         // 3: top face button
+    'GamepadLB',        // 4: left bumper
+    'GamepadRB',        // 5: right bumper
+    'GamepadLT',        // 6: left trigger
+    'GamepadRT',        // 7: right trigger
+    'GamepadBack',      // 8: back / select
+    'GamepadStart',     // 9: start / options
+    'GamepadLS',        // 10: left stick press
+    'GamepadRS',        // 11: right stick press
+    'GamepadDpadUp',    // 12
+    'GamepadDpadDown',  // 13
+    'GamepadDpadLeft',  // 14
+    'GamepadDpadRight', // 15
+    'GamepadHome'       // 16: guide / home
+];
+
+// Input names for the stick directions, by stick, with the axis indices of the standard layout
+export const GAMEPAD_STICKS = [
+    { xAxis: 0, yAxis: 1, up: 'GamepadLStickUp', down: 'GamepadLStickDown', left: 'GamepadLStickLeft', right: 'GamepadLStickRight' },
+    { xAxis: 2, yAxis: 3, up: 'GamepadRStickUp', down: 'GamepadRStickDown', left: 'GamepadRStickLeft', right: 'GamepadRStickRight' }
+];
+
+// Stick whose deflection is also reported as the analog move axis (the left stick)
+const MOVE_STICK = GAMEPAD_STICKS[0];
+
+// A stick direction is held when it makes up at least this much of the stick's deflection,
+// which splits the stick into 8 equal sectors (sin 22.5°)
+const DIRECTION_THRESHOLD = Math.sin(Math.PI / 8);
+
+/**
+ * Gamepad device for the input manager
+ * The Gamepad API has no button events, so pads are polled once a frame and changes are
+ * reported to the input manager as inputs being pressed and released.
+ * The left stick is also reported as the analog move axis, so the ship moves as far as it is pushed.
+ * Every connected pad reports the same input names, so any of them can play
+ */
+export class GamepadInput {
+    /**
+     * Create a new gamepad device
+     * @param {InputManager} inputManager - Input manager to report buttons to
+     * @param {Object} options - Gamepad options
+     * @param {number} options.stickDeadzone - Stick deflection (0-1) below which a stick counts as centred
+     * @param {number} options.triggerThreshold - Trigger pressure (0-1) at which a trigger counts as pressed
+     * @param {Function} options.getGamepads - Returns the current gamepads (defaults to navigator.getGamepads)
+     */
+    constructor(inputManager, options = {}) {
+        this.inputManager = inputManager;
+        
+        this.stickDeadzone = options.stickDeadzone ?? 0.25;
+        this.triggerThreshold = options.triggerThreshold ?? 0.5;
+        this.getGamepads = options.getGamepads || GamepadInput.getNavigatorGamepads;
+        
+        // Inputs held on any pad at the last poll
+        this.heldInputs = new Set();
+        
+        // Connected pads by index, so connections and disconnections can be reported
+        this.connectedPads = new Map();
+        
+        // Store references to bound methods to be able to remove them later
+        this.boundConnected = this.handleConnected.bind(this);
+        this.boundDisconnected = this.handleDisconnected.bind(this);
+        
+        if (typeof window !== 'undefined') {
+            window.addEventListener('gamepadconnected', this.boundConnected);
+            window.addEventListener('gamepaddisconnected', this.boundDisconnected);
+        }
+    }
+    
+    /**
+     * Get the gamepads from the browser
+     * Reads navigator.getGamepads on every call, so it can be replaced with a mock
+     * @returns {Array<Gamepad|null>} Gamepads, with null for empty slots
+     */
+    static getNavigatorGamepads() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+            return [];
+        }
+        return Array.from(navigator.getGamepads() || []);
+    }
+    
+    /**
+     * Set how far a stick must be pushed before it counts
+     * @param {number} deadzone - Stick deflection from 0 to 1
+     */
+    setStickDeadzone(deadzone) {
+        this.stickDeadzone = Math.min(Math.max(deadzone, 0), 0.95);
+    }
+    
+    /**
+     * Set how far a trigger must be pulled before it counts as pressed
+     * @param {number} threshold - Trigger pressure from 0 to 1
+     */
+    setTriggerThreshold(threshold) {
+        this.triggerThreshold = Math.min(Math.max(threshold, 0.05), 1);
+    }
+    
+    /**
+     * Read every connected pad and report what changed since the last poll
+     * Call once a frame, before the input manager's state is read
+     */
+    poll() {
+        const held = new Set();
+        const seen = new Set();
+        
+        // The furthest pushed move stick of any pad
+        let move = { x: 0, y: 0, magnitude: 0 };
+        
+        for (const gamepad of this.getGamepads()) {
+            if (!gamepad || gamepad.connected === false) {
+                continue;
+            }
+            
+            seen.add(gamepad.index);
+            if (!this.connectedPads.has(gamepad.index)) {
+                this.addPad(gamepad);
+            }
+            
+            this.readButtons(gamepad, held);
+            this.readSticks(gamepad, held);
+            
+            const stick = this.readStick(gamepad, MOVE_STICK);
+            if (stick.magnitude > move.magnitude) {
+                move = stick;
+            }
+        }
+        
+        // Pads that went away without an event (or before the first poll)
+        for (const index of this.connectedPads.keys()) {
+            if (!seen.has(index)) {
+                this.removePad(index);
+            }
+        }
+        
+        for (const input of this.heldInputs) {
+            if (!held.has(input)) {
+                this.inputManager.handleInputUp(input);
+            }
+        }
+        for (const input of held) {
+            if (!this.heldInputs.has(input)) {
+                this.inputManager.handleInputDown(input);
+            }
+        }
+        
+        this.heldInputs = held;
+        
+        // Axes point down and right, so the move axis flips y to make up positive
+        this.inputManager.setMoveAxis(move.x, -move.y);
+    }
+    
+    /**
+     * Add the pressed buttons of a pad to a set of held inputs
+     * @param {Gamepad} gamepad - The pad to read
+     * @param {Set<string>} held - Held inputs to add to
+     */
+    readButtons(gamepad, held) {
+        const buttons = gamepad.buttons || [];
+        const count = Math.min(buttons.length, GAMEPAD_BUTTONS.length);
+        
+        for (let i = 0; i < count; i++) {
+            if (this.isButtonPressed(buttons[i])) {
+                held.add(GAMEPAD_BUTTONS[i]);
+            }
+        }
+    }
+    
+    /**
+     * Check whether a button is pressed
+     * Analog buttons (triggers) count once they pass the trigger threshold
+     * @param {GamepadButton|number} button - The button (some browsers report plain values)
+     * @returns {boolean} Whether the button is pressed
+     */
+    isButtonPressed(button) {
+        if (typeof button === 'number') {
+            return button >= this.triggerThreshold;
+        }
+        if (!button) {
+            return false;
+        }
+        // Digital buttons report a value of 1 when pressed; triggers report how far they are pulled
+        return typeof button.value === 'number' ? button.value >= this.triggerThreshold : !!button.pressed;
+    }
+    
+    /**
+     * Add the directions the sticks of a pad are pushed in to a set of held inputs
+     * @param {Gamepad} gamepad - The pad to read
+     * @param {Set<string>} held - Held inputs to add to
+     */
+    readSticks(gamepad, held) {
+        for (const stick of GAMEPAD_STICKS) {
+            const { x, y, magnitude } = this.readStick(gamepad, stick);
+            if (magnitude === 0) {
+                continue;
+            }
+            
+            // Axes point down and right, so negative y is up
+            if (y <= -magnitude * DIRECTION_THRESHOLD) held.add(stick.up);
+            if (y >= magnitude * DIRECTION_THRESHOLD) held.add(stick.down);
+            if (x <= -magnitude * DIRECTION_THRESHOLD) held.add(stick.left);
+            if (x >= magnitude * DIRECTION_THRESHOLD) held.add(stick.right);
+        }
+    }
+    
+    /**
+     * Read how far a stick of a pad is pushed, outside its deadzone
+     * The deflection past the deadzone is rescaled to 0-1, so the stick moves smoothly away from
+     * centre instead of jumping to the deadzone's size
+     * @param {Gamepad} gamepad - The pad to read
+     * @param {Object} stick - One of GAMEPAD_STICKS
+     * @returns {Object} The rescaled deflection as x, y (in gamepad axis directions) and its magnitude
+     */
+    readStick(gamepad, stick) {
+        const axes = gamepad.axes || [];
+        const x = axes[stick.xAxis] || 0;
+        const y = axes[stick.yAxis] || 0;
+        
+        // Radial deadzone, so diagonals need the same push as straight directions
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude < this.stickDeadzone) {
+            return { x: 0, y: 0, magnitude: 0 };
+        }
+        
+        // Sticks can report a little over 1 on the diagonals
+        const rescaled = (Math.min(magnitude, 1) - this.stickDeadzone) / (1 - this.stickDeadzone);
+        const scale = rescaled / magnitude;
+        
+        return { x: x * scale, y: y * scale, magnitude: rescaled };
+    }
+    
+    /**
+     * Start tracking a pad
+     * @param {Gamepad} gamepad - The pad that was connected
+     */
+    addPad(gamepad) {
+        this.connectedPads.set(gamepad.index, gamepad.id);
+        
+        if (gamepad.mapping !== 'standard') {
+            debugHelper.log(`Gamepad ${gamepad.index} (${gamepad.id}) has no standard mapping, buttons may not match`, "warn");
+        } else {
+            debugHelper.log(`Gamepad ${gamepad.index} connected: ${gamepad.id}`);
+        }
+    }
+    
+    /**
+     * Stop tracking a pad; its inputs are released on the next poll
+     * @param {number} index - Index of the pad that was disconnected
+     */
+    removePad(index) {
+        if (this.connectedPads.has(index)) {
+            debugHelper.log(`Gamepad ${index} disconnected: ${this.connectedPads.get(index)}`);
+            this.connectedPads.delete(index);
+        }
+    }
+    
+    /**
+     * Handle a pad being plugged in
+     * @param {GamepadEvent} event - The gamepad event
+     */
+    handleConnected(event) {
+        if (!this.connectedPads.has(event.gamepad.index)) {
+            this.addPad(event.gamepad);
+        }
+    }
+    
+    /**
+     * Handle a pad being unplugged, releasing everything it held straight away
+     * @param {GamepadEvent} event - The gamepad event
+     */
+    handleDisconnected(event) {
+        this.removePad(event.gamepad.index);
+        this.poll();
+    }
+    
+    /**
+     * Get the number of connected pads
+     * @returns {number} Connected pads
+     */
+    getConnectedCount() {
+        return this.connectedPads.size;
+    }
+    
+    /**
+     * Release every held input and stop listening for pads
+     */
+    dispose() {
+        for (const input of this.heldInputs) {
+            this.inputManager.handleInputUp(input);
+        }
+        this.heldInputs.clear();
+        this.connectedPads.clear();
+        this.inputManager.setMoveAxis(0, 0);
+        
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('gamepadconnected', this.boundConnected);
+            window.removeEventListener('gamepaddisconnected', this.boundDisconnected);
+        }
+    }
+}
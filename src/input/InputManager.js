@@ -0,0 +1,483 @@
+import { SaveSystem } from '../core/SaveSystem.js';
+import { quantizeAxis } from './Replay.js';
+import debugHelper from '../utils/DebugHelper.js';
+
+/**
+ * Everything the player can do, independent of the device used to do it
+ */
+export const InputAction = Object.freeze({
+    MOVE_UP: 'moveUp',
+    MOVE_DOWN: 'moveDown',
+    MOVE_LEFT: 'moveLeft',
+    MOVE_RIGHT: 'moveRight',
+    FIRE: 'fire',
+    BOMB: 'bomb',
+    POWER_UP: 'powerUp',
+    FORMATION: 'formation',
+    SWITCH_WEAPON: 'switchWeapon',
+    BOOST: 'boost',
+    CHARGE_SHOT: 'chargeShot',
+    SPECIAL: 'special',
+    FIRE_MODE: 'fireMode',
+    PAUSE: 'pause',
+    CONFIRM: 'confirm',
+    REPLAY: 'replay',
+    CONTINUE: 'continue',
+    QUIT: 'quit'
+});
+
+// Default bindings for each action; keyboard inputs are KeyboardEvent.code values,
+// gamepad and touch inputs are named in GamepadInput and TouchInput
+export const DEFAULT_BINDINGS = Object.freeze({
+    [InputAction.MOVE_UP]: ['ArrowUp', 'KeyW', 'GamepadDpadUp', 'GamepadLStickUp', 'TouchUp'],
+    [InputAction.MOVE_DOWN]: ['ArrowDown', 'KeyS', 'GamepadDpadDown', 'GamepadLStickDown', 'TouchDown'],
+    [InputAction.MOVE_LEFT]: ['ArrowLeft', 'KeyA', 'GamepadDpadLeft', 'GamepadLStickLeft', 'TouchLeft'],
+    [InputAction.MOVE_RIGHT]: ['ArrowRight', 'KeyD', 'GamepadDpadRight', 'GamepadLStickRight', 'TouchRight'],
+    [InputAction.FIRE]: ['Space', 'GamepadA', 'GamepadRT', 'TouchFire'],
+    [InputAction.BOMB]: ['KeyB', 'GamepadB', 'TouchBomb'],
+    [InputAction.POWER_UP]: ['KeyE', 'ShiftLeft', 'GamepadLB', 'GamepadRB', 'TouchPowerUp'],
+    [InputAction.FORMATION]: ['KeyF', 'GamepadY', 'TouchFormation'],
+    [InputAction.SWITCH_WEAPON]: ['KeyX', 'GamepadX', 'TouchWeapon'],
+    [InputAction.BOOST]: ['KeyV', 'GamepadLT', 'TouchBoost'],
+    [InputAction.CHARGE_SHOT]: ['KeyZ', 'GamepadRS', 'TouchCharge'],
+    [InputAction.SPECIAL]: ['KeyG', 'GamepadLS', 'TouchSpecial'],
+    [InputAction.PAUSE]: ['Escape', 'KeyP', 'GamepadStart', 'TouchStart'],
+    // Start both pauses and confirms, and Y, X and RS double as formation/replay, weapon/continue
+    // and charge shot/fire mode, as menus and gameplay never read input in the same frame
+    [InputAction.CONFIRM]: ['Enter', 'NumpadEnter', 'GamepadStart', 'TouchStart'],
+    [InputAction.REPLAY]: ['KeyR', 'GamepadY'],
+    [InputAction.CONTINUE]: ['KeyC', 'GamepadX'],
+    [InputAction.QUIT]: ['KeyQ', 'GamepadBack'],
+    [InputAction.FIRE_MODE]: ['KeyM', 'GamepadRS']
+});
+
+// Player controls (see Player.inputControls) and the action that drives each one
+export const CONTROL_ACTIONS = Object.freeze({
+    up: InputAction.MOVE_UP,
+    down: InputAction.MOVE_DOWN,
+    left: InputAction.MOVE_LEFT,
+    right: InputAction.MOVE_RIGHT,
+    shoot: InputAction.FIRE,
+    powerUp: InputAction.POWER_UP,
+    formation: InputAction.FORMATION,
+    switchWeapon: InputAction.SWITCH_WEAPON,
+    boost: InputAction.BOOST,
+    chargeShot: InputAction.CHARGE_SHOT,
+    special: InputAction.SPECIAL,
+    bomb: InputAction.BOMB
+});
+
+// Current input profile format version
+export const INPUT_PROFILE_VERSION = 3;
+
+// Devices added in each profile version, by the prefix of their input names; profiles saved
+// before a device existed get its default bindings when loaded (version 1 was keyboard only)
+const PROFILE_MIGRATIONS = Object.freeze([
+    { version: 2, prefix: 'Gamepad' },
+    { version: 3, prefix: 'Touch' }
+]);
+
+/**
+ * Maps physical inputs (keys, and anything else devices report) to actions
+ * An action can have several bindings, and is down while any of them is held.
+ * Bindings can be changed at runtime and are saved to localStorage
+ */
+export class InputManager {
+    /**
+     * Create a new input manager and load the saved bindings
+     * @param {string} storageKey - Key to save the input profile under
+     * @param {Storage} storage - Persistent storage (defaults to localStorage, null for memory only)
+     */
+    constructor(storageKey = 'wandering.input', storage = SaveSystem.getDefaultStorage()) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+        
+        // Inputs bound to each action
+        this.bindings = InputManager.copyBindings(DEFAULT_BINDINGS);
+        
+        // Inputs currently held down
+        this.heldInputs = new Set();
+        
+        // Actions pressed since the last endFrame()
+        this.pressedActions = new Set();
+        
+        // Pending rebind (see captureBinding)
+        this.capture = null;
+        
+        // Device settings saved with the bindings (e.g. touch drag mode)
+        this.options = {};
+        
+        // Analog movement from -1 to 1 on each axis, with up positive (see setMoveAxis)
+        this.moveAxis = { x: 0, y: 0 };
+        
+        // Controls object handed to the player, reused every frame
+        this.controls = { moveX: 0, moveY: 0 };
+        for (const control in CONTROL_ACTIONS) {
+            this.controls[control] = false;
+        }
+        
+        this.loadProfile();
+    }
+    
+    /**
+     * Copy a bindings object so it can be changed without touching the original
+     * @param {Object} bindings - Inputs by action
+     * @returns {Object} The copy
+     */
+    static copyBindings(bindings) {
+        const copy = {};
+        for (const action in bindings) {
+            copy[action] = bindings[action].slice();
+        }
+        return copy;
+    }
+    
+    /**
+     * Bring saved bindings up to date
+     * Saved actions also get the default inputs of devices added since the profile was saved,
+     * and actions added since then get their defaults. A default input the player had moved to
+     * another action is left out, so an input never ends up on two actions that don't share it by default
+     * @param {Object} saved - Inputs by action, as saved
+     * @param {number} version - Profile version the bindings were saved with
+     * @returns {Object} Inputs for every action
+     */
+    static migrateBindings(saved, version) {
+        const bindings = {};
+        for (const action of Object.values(InputAction)) {
+            if (Array.isArray(saved[action])) {
+                bindings[action] = saved[action].filter(input => typeof input === 'string');
+            }
+        }
+        
+        // Inputs the player put on an action they aren't bound to by default
+        const rebound = new Set();
+        for (const action in bindings) {
+            bindings[action]
+                .filter(input => !DEFAULT_BINDINGS[action].includes(input))
+                .forEach(input => rebound.add(input));
+        }
+        
+        const newDevices = PROFILE_MIGRATIONS
+            .filter(migration => migration.version > version)
+            .map(migration => migration.prefix);
+        
+        for (const action of Object.values(InputAction)) {
+            const defaults = DEFAULT_BINDINGS[action].filter(input => !rebound.has(input));
+            
+            if (!bindings[action]) {
+                bindings[action] = defaults;
+                continue;
+            }
+            
+            for (const input of defaults) {
+                if (newDevices.some(prefix => input.startsWith(prefix)) && !bindings[action].includes(input)) {
+                    bindings[action].push(input);
+                }
+            }
+        }
+        
+        return bindings;
+    }
+    
+    /**
+     * Check whether an action exists
+     * @param {string} action - One of InputAction
+     * @throws {Error} If the action is unknown
+     */
+    static assertAction(action) {
+        if (!Object.values(InputAction).includes(action)) {
+            throw new Error(`Unknown input action: ${action}`);
+        }
+    }
+    
+    /**
+     * Handle an input being pressed
+     * @param {string} input - The input, e.g. a KeyboardEvent.code
+     * @param {boolean} repeat - Whether this is an auto-repeat of a held input
+     * @returns {boolean} Whether the input is bound to an action (or was used for rebinding)
+     */
+    handleInputDown(input, repeat = false) {
+        // A pending rebind takes the next fresh press instead of it reaching the game
+        if (this.capture && !repeat) {
+            const { action, onBound } = this.capture;
+            this.capture = null;
+            this.bind(action, input);
+            if (onBound) {
+                onBound(action, input);
+            }
+            return true;
+        }
+        
+        const actions = this.getActionsForInput(input);
+        if (actions.length === 0) {
+            return false;
+        }
+        
+        this.heldInputs.add(input);
+        
+        // Ignore auto-repeat so holding a key doesn't toggle pause repeatedly
+        if (!repeat) {
+            for (const action of actions) {
+                this.pressedActions.add(action);
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Handle an input being released
+     * @param {string} input - The input, e.g. a KeyboardEvent.code
+     * @returns {boolean} Whether the input is bound to an action
+     */
+    handleInputUp(input) {
+        this.heldInputs.delete(input);
+        return this.getActionsForInput(input).length > 0;
+    }
+    
+    /**
+     * Release every held input, e.g. when the window loses focus
+     */
+    releaseAll() {
+        this.heldInputs.clear();
+        this.setMoveAxis(0, 0);
+    }
+    
+    /**
+     * Set the analog movement, e.g. from a gamepad stick
+     * Values are rounded to the precision replays record them at.
+     * While the axis is off centre the ship follows it instead of the move actions
+     * @param {number} x - Horizontal movement from -1 (left) to 1 (right)
+     * @param {number} y - Vertical movement from -1 (down) to 1 (up)
+     */
+    setMoveAxis(x, y) {
+        this.moveAxis.x = quantizeAxis(x);
+        this.moveAxis.y = quantizeAxis(y);
+    }
+    
+    /**
+     * Get every action an input is bound to
+     * @param {string} input - The input
+     * @returns {string[]} Actions bound to the input
+     */
+    getActionsForInput(input) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].includes(input));
+    }
+    
+    /**
+     * Check whether an action is held
+     * @param {string} action - One of InputAction
+     * @returns {boolean} Whether any input bound to the action is held
+     */
+    isDown(action) {
+        const inputs = this.bindings[action];
+        return inputs ? inputs.some(input => this.heldInputs.has(input)) : false;
+    }
+    
+    /**
+     * Check whether an action was pressed this frame
+     * @param {string} action - One of InputAction
+     * @returns {boolean} Whether the action was pressed since the last endFrame()
+     */
+    wasPressed(action) {
+        return this.pressedActions.has(action);
+    }
+    
+    /**
+     * Get the player's controls from the held actions and the analog move axis
+     * @returns {Object} Controls in the same shape as Player.inputControls
+     */
+    getControls() {
+        for (const control in CONTROL_ACTIONS) {
+            this.controls[control] = this.isDown(CONTROL_ACTIONS[control]);
+        }
+        this.controls.moveX = this.moveAxis.x;
+        this.controls.moveY = this.moveAxis.y;
+        return this.controls;
+    }
+    
+    /**
+     * Get the input state for this frame
+     * @returns {Object} Player controls, plus a flag for every action pressed this frame
+     */
+    getState() {
+        const pressed = {};
+        for (const action of Object.values(InputAction)) {
+            pressed[action] = this.pressedActions.has(action);
+        }
+        
+        return {
+            controls: this.getControls(),
+            pressed
+        };
+    }
+    
+    /**
+     * Clear one-shot presses once the frame has handled them
+     */
+    endFrame() {
+        this.pressedActions.clear();
+    }
+    
+    /**
+     * Get the inputs bound to an action
+     * @param {string} action - One of InputAction
+     * @returns {string[]} A copy of the action's bindings
+     */
+    getBindings(action) {
+        InputManager.assertAction(action);
+        return this.bindings[action].slice();
+    }
+    
+    /**
+     * Bind an input to an action, in addition to its existing bindings
+     * The input is taken away from any other action it was bound to
+     * @param {string} action - One of InputAction
+     * @param {string} input - The input to bind
+     */
+    bind(action, input) {
+        InputManager.assertAction(action);
+        
+        for (const other in this.bindings) {
+            this.bindings[other] = this.bindings[other].filter(bound => bound !== input);
+        }
+        this.bindings[action].push(input);
+        
+        this.saveProfile();
+    }
+    
+    /**
+     * Remove an input from an action
+     * @param {string} action - One of InputAction
+     * @param {string} input - The input to unbind
+     */
+    unbind(action, input) {
+        InputManager.assertAction(action);
+        
+        this.bindings[action] = this.bindings[action].filter(bound => bound !== input);
+        this.heldInputs.delete(input);
+        
+        this.saveProfile();
+    }
+    
+    /**
+     * Replace every binding of an action
+     * @param {string} action - One of InputAction
+     * @param {string[]} inputs - The inputs to bind
+     */
+    setBindings(action, inputs) {
+        InputManager.assertAction(action);
+        
+        // Taking the inputs away from other actions keeps each input to one action
+        for (const other in this.bindings) {
+            this.bindings[other] = this.bindings[other].filter(bound => !inputs.includes(bound));
+        }
+        this.bindings[action] = inputs.slice();
+        
+        this.saveProfile();
+    }
+    
+    /**
+     * Bind the next input pressed to an action, e.g. from an options menu
+     * @param {string} action - One of InputAction
+     * @param {Function} onBound - Called with (action, input) once the input is bound
+     * @returns {Function} Function to call to cancel the rebind
+     */
+    captureBinding(action, onBound = null) {
+        InputManager.assertAction(action);
+        
+        const capture = { action, onBound };
+        this.capture = capture;
+        
+        return () => {
+            if (this.capture === capture) {
+                this.capture = null;
+            }
+        };
+    }
+    
+    /**
+     * Restore the default bindings for every action
+     */
+    resetBindings() {
+        this.bindings = InputManager.copyBindings(DEFAULT_BINDINGS);
+        this.heldInputs.clear();
+        this.saveProfile();
+    }
+    
+    /**
+     * Get a saved device setting
+     * @param {string} name - Setting name
+     * @param {*} defaultValue - Value to use if the setting was never saved
+     * @returns {*} The setting
+     */
+    getOption(name, defaultValue = null) {
+        return name in this.options ? this.options[name] : defaultValue;
+    }
+    
+    /**
+     * Change a device setting and save it with the bindings
+     * @param {string} name - Setting name
+     * @param {*} value - JSON-compatible value
+     */
+    setOption(name, value) {
+        this.options[name] = value;
+        this.saveProfile();
+    }
+    
+    /**
+     * Save the bindings to persistent storage
+     * @returns {boolean} Whether the profile reached persistent storage
+     */
+    saveProfile() {
+        if (!this.storage) {
+            return false;
+        }
+        
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                version: INPUT_PROFILE_VERSION,
+                bindings: this.bindings,
+                options: this.options
+            }));
+            return true;
+        } catch (error) {
+            debugHelper.log("Error saving input profile: " + error.message, "error");
+            return false;
+        }
+    }
+    
+    /**
+     * Load the bindings from persistent storage
+     * Profiles saved by an older version of the game are brought up to date (see migrateBindings)
+     */
+    loadProfile() {
+        if (!this.storage) {
+            return;
+        }
+        
+        try {
+            const text = this.storage.getItem(this.storageKey);
+            const profile = text ? JSON.parse(text) : null;
+            
+            if (!profile || !profile.bindings) {
+                return;
+            }
+            
+            // A newer game's profile may bind inputs this version doesn't know
+            const version = profile.version || 1;
+            if (version > INPUT_PROFILE_VERSION) {
+                debugHelper.log(`Ignoring input profile from a newer version (${version})`, "warn");
+                return;
+            }
+            
+            this.bindings = InputManager.migrateBindings(profile.bindings, version);
+            
+            if (profile.options && typeof profile.options === 'object') {
+                this.options = { ...profile.options };
+            }
+        } catch (error) {
+            debugHelper.log("Error reading input profile: " + error.message, "error");
+        }
+    }
+}
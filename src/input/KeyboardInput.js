@@ -0,0 +1,59 @@
+/**
+ * Keyboard device for the input manager
+ * Reports key presses by KeyboardEvent.code, so bindings follow the physical key position on any layout
+ */
+export class KeyboardInput {
+    /**
+     * Create a new keyboard device and start listening to the document
+     * @param {InputManager} inputManager - Input manager to report keys to
+     */
+    constructor(inputManager) {
+        this.inputManager = inputManager;
+        
+        // Store references to bound methods to be able to remove them later
+        this.boundKeyDown = this.handleKeyDown.bind(this);
+        this.boundKeyUp = this.handleKeyUp.bind(this);
+        this.boundBlur = this.handleBlur.bind(this);
+        
+        document.addEventListener('keydown', this.boundKeyDown);
+        document.addEventListener('keyup', this.boundKeyUp);
+        window.addEventListener('blur', this.boundBlur);
+    }
+    
+    /**
+     * Handle key down events
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    handleKeyDown(event) {
+        // Prevent default behavior for bound keys to avoid browser scrolling
+        if (this.inputManager.handleInputDown(event.code, event.repeat)) {
+            event.preventDefault();
+        }
+    }
+    
+    /**
+     * Handle key up events
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    handleKeyUp(event) {
+        if (this.inputManager.handleInputUp(event.code)) {
+            event.preventDefault();
+        }
+    }
+    
+    /**
+     * Release all held keys when the window loses focus, since their key up events won't arrive
+     */
+    handleBlur() {
+        this.inputManager.releaseAll();
+    }
+    
+    /**
+     * Stop listening to the keyboard
+     */
+    dispose() {
+        document.removeEventListener('keydown', this.boundKeyDown);
+        document.removeEventListener('keyup', this.boundKeyUp);
+        window.removeEventListener('blur', this.boundBlur);
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * Input recording and playback
+ * A replay is the seed, the starting level and the player's controls for every simulation step.
+ * Since the simulation is deterministic, feeding the same controls back in reproduces the run exactly
+ */
+
+// Current replay file format version
+export const REPLAY_VERSION = 1;
+
+// Controls packed into one bit each, in this order
+export const REPLAY_CONTROLS = ['up', 'down', 'left', 'right', 'shoot', 'powerUp', 'formation', 'switchWeapon', 'boost', 'chargeShot', 'special', 'bomb'];
+
+// Analog move axes packed into a signed byte each after the control bits, in this order.
+// A centred axis packs to 0, so replays recorded before the axes existed still play back
+export const REPLAY_AXES = ['moveX', 'moveY'];
+
+// Steps an analog axis is rounded to either side of centre
+export const AXIS_STEPS = 127;
+
+/**
+ * Round an analog axis to the precision replays record it at
+ * Live input has to be rounded the same way, or a replay would drift from the run it recorded
+ * @param {number} value - Axis value from -1 to 1
+ * @returns {number} The rounded value
+ */
+export function quantizeAxis(value) {
+    const clamped = Math.min(Math.max(value || 0, -1), 1);
+    return Math.round(clamped * AXIS_STEPS) / AXIS_STEPS;
+}
+
+/**
+ * Pack a set of controls into a bitmask
+ * @param {Object} controls - Any of up, down, left, right, shoot, and the moveX and moveY axes
+ * @returns {number} Bitmask of the held controls
+ */
+export function encodeControls(controls) {
+    let mask = 0;
+    REPLAY_CONTROLS.forEach((control, bit) => {
+        if (controls && controls[control]) {
+            mask |= 1 << bit;
+        }
+    });
+    REPLAY_AXES.forEach((axis, index) => {
+        const steps = Math.round(quantizeAxis(controls ? controls[axis] : 0) * AXIS_STEPS);
+        mask |= (steps & 0xff) << (REPLAY_CONTROLS.length + index * 8);
+    });
+    return mask;
+}
+
+/**
+ * Unpack a bitmask into a set of controls
+ * @param {number} mask - Bitmask of the held controls
+ * @returns {Object} Controls object with every control set to true or false, and every axis to its value
+ */
+export function decodeControls(mask) {
+    const controls = {};
+    REPLAY_CONTROLS.forEach((control, bit) => {
+        controls[control] = (mask & (1 << bit)) !== 0;
+    });
+    REPLAY_AXES.forEach((axis, index) => {
+        const byte = (mask >> (REPLAY_CONTROLS.length + index * 8)) & 0xff;
+        controls[axis] = (byte >= 128 ? byte - 256 : byte) / AXIS_STEPS;
+    });
+    return controls;
+}
+
+/**
+ * Records the player's controls once per simulation step
+ * Runs of identical input are stored as a single (mask, count) pair, which keeps files small
+ */
+export class ReplayRecorder {
+    /**
+     * Create a new recorder
+     * @param {Object} options - Details of the run being recorded
+     * @param {number} options.seed - Seed the simulation was started with
+     * @param {number} options.level - Level the simulation was started at
+     * @param {number} options.stepsPerSecond - Fixed simulation rate in Hz
+     * @param {string} options.fireMode - How holding fire behaved (see FIRE_MODES)
+     */
+    constructor(options) {
+        this.seed = options.seed;
+        this.level = options.level;
+        this.stepsPerSecond = options.stepsPerSecond;
+        this.fireMode = options.fireMode || 'auto';
+        
+        // Run-length encoded input: [[mask, count], ...]
+        this.runs = [];
+        this.ticks = 0;
+    }
+    
+    /**
+     * Record the controls for one simulation step
+     * @param {Object} controls - The player's controls for this step
+     */
+    record(controls) {
+        const mask = encodeControls(controls);
+        const lastRun = this.runs[this.runs.length - 1];
+        
+        if (lastRun && lastRun[0] === mask) {
+            lastRun[1]++;
+        } else {
+            this.runs.push([mask, 1]);
+        }
+        
+        this.ticks++;
+    }
+    
+    /**
+     * Get the recording so far as a replay
+     * @returns {Object} Replay data (see serializeReplay)
+     */
+    toReplay() {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            level: this.level,
+            stepsPerSecond: this.stepsPerSecond,
+            fireMode: this.fireMode,
+            ticks: this.ticks,
+            inputs: this.runs.map(([mask, count]) => `${mask.toString(36)}:${count.toString(36)}`).join(',')
+        };
+    }
+}
+
+/**
+ * Plays a replay back one simulation step at a time
+ */
+export class ReplayPlayer {
+    /**
+     * Create a new replay player
+     * @param {Object} replay - Replay data (see serializeReplay)
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.runs = replay.inputs
+            ? replay.inputs.split(',').map(run => run.split(':').map(value => parseInt(value, 36)))
+            : [];
+        
+        // Position in the recording
+        this.runIndex = 0;
+        this.runTick = 0;
+        this.tick = 0;
+    }
+    
+    /**
+     * Get the controls for the next simulation step
+     * @returns {Object|null} Controls for this step, or null once the replay is finished
+     */
+    next() {
+        if (this.isFinished()) {
+            return null;
+        }
+        
+        const [mask, count] = this.runs[this.runIndex];
+        
+        // Move on to the next run once this one is used up
+        this.runTick++;
+        if (this.runTick >= count) {
+            this.runIndex++;
+            this.runTick = 0;
+        }
+        
+        this.tick++;
+        return decodeControls(mask);
+    }
+    
+    /**
+     * Check whether every recorded step has been played
+     * @returns {boolean} Whether the replay is finished
+     */
+    isFinished() {
+        return this.runIndex >= this.runs.length;
+    }
+}
+
+/**
+ * Turn a replay into file contents
+ * @param {Object} replay - Replay data from ReplayRecorder.toReplay()
+ * @returns {string} JSON text
+ */
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * Read a replay from file contents
+ * @param {string} text - JSON text from serializeReplay()
+ * @returns {Object} Replay data
+ * @throws {Error} If the text isn't a replay this version of the game can play
+ */
+export function parseReplay(text) {
+    const replay = JSON.parse(text);
+    
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${replay ? replay.version : 'none'}`);
+    }
+    
+    if (typeof replay.seed !== 'number' || typeof replay.inputs !== 'string') {
+        throw new Error("Replay is missing its seed or inputs");
+    }
+    
+    return replay;
+}
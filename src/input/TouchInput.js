@@ -0,0 +1,338 @@
+import debugHelper from '../utils/DebugHelper.js';
+
+// Input names for the joystick directions
+export const TOUCH_DIRECTIONS = {
+    up: 'TouchUp',
+    down: 'TouchDown',
+    left: 'TouchLeft',
+    right: 'TouchRight'
+};
+
+// On-screen buttons: input name and label
+export const TOUCH_BUTTONS = [
+    { input: 'TouchFire', label: 'FIRE', className: 'touch-button touch-fire' },
+    { input: 'TouchBomb', label: 'BOMB', className: 'touch-button touch-bomb' },
+    { input: 'TouchPowerUp', label: 'POWER', className: 'touch-button touch-power' },
+    { input: 'TouchFormation', label: 'FORM', className: 'touch-button touch-formation' },
+    { input: 'TouchWeapon', label: 'WPN', className: 'touch-button touch-weapon' },
+    { input: 'TouchBoost', label: 'BOOST', className: 'touch-button touch-boost' },
+    { input: 'TouchCharge', label: 'CHRG', className: 'touch-button touch-charge' },
+    { input: 'TouchSpecial', label: 'PHASE', className: 'touch-button touch-special' },
+    { input: 'TouchStart', label: 'START', className: 'touch-button touch-start' }
+];
+
+// Joystick deflection, as a fraction of its radius, below which the stick counts as centred
+const JOYSTICK_DEADZONE = 0.2;
+
+// A direction is held when it makes up at least this much of the deflection (8 sectors, like GamepadInput)
+const DIRECTION_THRESHOLD = Math.sin(Math.PI / 8);
+
+/**
+ * Touch device for the input manager
+ * Draws a virtual joystick on the left of the screen and fire, bomb, power-up, formation, weapon, ability and start buttons on the right,
+ * only on touch devices. Each finger is tracked separately, so moving and firing work together.
+ * With relative drag on, the joystick centres wherever the finger lands instead of staying in its corner
+ */
+export class TouchInput {
+    /**
+     * Create a new touch device and draw the controls if this is a touch device
+     * @param {InputManager} inputManager - Input manager to report touches to
+     */
+    constructor(inputManager) {
+        this.inputManager = inputManager;
+        this.enabled = TouchInput.isTouchDevice();
+        
+        // Move by dragging relative to where the finger landed (saved with the input profile)
+        this.relativeDrag = inputManager.getOption('touchRelativeDrag', false);
+        
+        // Finger steering the joystick and where its drag is measured from
+        this.joystickTouch = null;
+        this.joystickOrigin = { x: 0, y: 0 };
+        this.joystickInputs = new Set();
+        
+        // Fingers holding buttons, by touch identifier
+        this.buttonTouches = new Map();
+        
+        if (!this.enabled) {
+            return;
+        }
+        
+        this.createElements();
+        
+        // Store references to bound methods to be able to remove them later
+        this.boundTouchStart = this.handleTouchStart.bind(this);
+        this.boundTouchMove = this.handleTouchMove.bind(this);
+        this.boundTouchEnd = this.handleTouchEnd.bind(this);
+        this.boundBlur = this.releaseAll.bind(this);
+        
+        // Not passive, so touches on the controls don't scroll or zoom the page
+        document.addEventListener('touchstart', this.boundTouchStart, { passive: false });
+        document.addEventListener('touchmove', this.boundTouchMove, { passive: false });
+        document.addEventListener('touchend', this.boundTouchEnd, { passive: false });
+        document.addEventListener('touchcancel', this.boundTouchEnd, { passive: false });
+        window.addEventListener('blur', this.boundBlur);
+        
+        debugHelper.log("Touch controls created");
+    }
+    
+    /**
+     * Check whether this browser has a touch screen
+     * @returns {boolean} Whether touch controls should be shown
+     */
+    static isTouchDevice() {
+        if (typeof window === 'undefined' || typeof navigator === 'undefined') {
+            return false;
+        }
+        return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+    }
+    
+    /**
+     * Create the joystick and buttons (laid out by style.css for both orientations)
+     */
+    createElements() {
+        this.container = document.createElement('div');
+        this.container.className = 'touch-controls';
+        
+        this.joystickBase = document.createElement('div');
+        this.joystickBase.className = 'touch-joystick';
+        this.joystickKnob = document.createElement('div');
+        this.joystickKnob.className = 'touch-joystick-knob';
+        this.joystickBase.appendChild(this.joystickKnob);
+        this.container.appendChild(this.joystickBase);
+        
+        this.buttons = new Map();
+        for (const button of TOUCH_BUTTONS) {
+            const element = document.createElement('div');
+            element.className = button.className;
+            element.textContent = button.label;
+            element.dataset.touchInput = button.input;
+            this.container.appendChild(element);
+            this.buttons.set(button.input, element);
+        }
+        
+        // Switches between a fixed joystick and relative drag
+        this.dragToggle = document.createElement('div');
+        this.dragToggle.className = 'touch-drag-toggle';
+        this.dragToggle.dataset.touchToggle = 'drag';
+        this.container.appendChild(this.dragToggle);
+        this.updateDragToggle();
+        
+        document.body.appendChild(this.container);
+    }
+    
+    /**
+     * Turn relative drag on or off and save the choice
+     * @param {boolean} enabled - Whether the joystick centres where the finger lands
+     */
+    setRelativeDrag(enabled) {
+        this.relativeDrag = enabled;
+        this.inputManager.setOption('touchRelativeDrag', enabled);
+        this.updateDragToggle();
+    }
+    
+    /**
+     * Show the current joystick mode on the toggle
+     */
+    updateDragToggle() {
+        if (this.dragToggle) {
+            this.dragToggle.textContent = this.relativeDrag ? 'MOVE: DRAG' : 'MOVE: STICK';
+        }
+    }
+    
+    /**
+     * Handle fingers landing: on a button, on the toggle, or on the left half for the joystick
+     * @param {TouchEvent} event - The touch event
+     */
+    handleTouchStart(event) {
+        let handled = false;
+        
+        for (const touch of event.changedTouches) {
+            const target = touch.target instanceof Element ? touch.target : null;
+            const button = target ? target.closest('[data-touch-input]') : null;
+            
+            if (button) {
+                this.buttonTouches.set(touch.identifier, button.dataset.touchInput);
+                this.inputManager.handleInputDown(button.dataset.touchInput);
+                button.classList.add('active');
+                handled = true;
+            } else if (target && target.closest('[data-touch-toggle]')) {
+                this.setRelativeDrag(!this.relativeDrag);
+                handled = true;
+            } else if (this.joystickTouch === null && touch.clientX < window.innerWidth / 2) {
+                this.startJoystick(touch);
+                handled = true;
+            }
+        }
+        
+        if (handled) {
+            event.preventDefault();
+        }
+    }
+    
+    /**
+     * Handle fingers moving; only the joystick finger matters
+     * @param {TouchEvent} event - The touch event
+     */
+    handleTouchMove(event) {
+        for (const touch of event.changedTouches) {
+            if (touch.identifier === this.joystickTouch) {
+                this.moveJoystick(touch.clientX, touch.clientY);
+                event.preventDefault();
+            }
+        }
+    }
+    
+    /**
+     * Handle fingers lifting or being cancelled
+     * @param {TouchEvent} event - The touch event
+     */
+    handleTouchEnd(event) {
+        let handled = false;
+        
+        for (const touch of event.changedTouches) {
+            if (touch.identifier === this.joystickTouch) {
+                this.endJoystick();
+                handled = true;
+            } else if (this.buttonTouches.has(touch.identifier)) {
+                this.releaseButton(touch.identifier);
+                handled = true;
+            }
+        }
+        
+        if (handled) {
+            event.preventDefault();
+        }
+    }
+    
+    /**
+     * Start steering with a finger
+     * @param {Touch} touch - The finger
+     */
+    startJoystick(touch) {
+        this.joystickTouch = touch.identifier;
+        
+        if (this.relativeDrag) {
+            // Float the joystick under the finger and measure the drag from there
+            this.joystickOrigin = { x: touch.clientX, y: touch.clientY };
+            this.joystickBase.classList.add('floating');
+            this.joystickBase.style.left = `${touch.clientX}px`;
+            this.joystickBase.style.top = `${touch.clientY}px`;
+        } else {
+            // Measure from the centre of the joystick, wherever it is laid out for this orientation
+            const rect = this.joystickBase.getBoundingClientRect();
+            this.joystickOrigin = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+        }
+        
+        this.joystickBase.classList.add('active');
+        this.moveJoystick(touch.clientX, touch.clientY);
+    }
+    
+    /**
+     * Steer towards a point on screen
+     * @param {number} x - Finger position in client pixels
+     * @param {number} y - Finger position in client pixels
+     */
+    moveJoystick(x, y) {
+        const radius = this.joystickBase.offsetWidth / 2 || 60;
+        const dx = x - this.joystickOrigin.x;
+        const dy = y - this.joystickOrigin.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        // Keep the knob inside the base
+        const knobScale = distance > radius ? radius / distance : 1;
+        this.joystickKnob.style.transform = `translate(${dx * knobScale}px, ${dy * knobScale}px)`;
+        
+        const held = new Set();
+        if (distance >= radius * JOYSTICK_DEADZONE) {
+            // Screen y points down, so negative dy is up
+            const threshold = distance * DIRECTION_THRESHOLD;
+            if (dy <= -threshold) held.add(TOUCH_DIRECTIONS.up);
+            if (dy >= threshold) held.add(TOUCH_DIRECTIONS.down);
+            if (dx <= -threshold) held.add(TOUCH_DIRECTIONS.left);
+            if (dx >= threshold) held.add(TOUCH_DIRECTIONS.right);
+        }
+        
+        this.setJoystickInputs(held);
+    }
+    
+    /**
+     * Stop steering and recentre the joystick
+     */
+    endJoystick() {
+        this.joystickTouch = null;
+        this.setJoystickInputs(new Set());
+        
+        this.joystickKnob.style.transform = '';
+        this.joystickBase.classList.remove('active', 'floating');
+        this.joystickBase.style.left = '';
+        this.joystickBase.style.top = '';
+    }
+    
+    /**
+     * Report the joystick directions that changed
+     * @param {Set<string>} held - Directions now held
+     */
+    setJoystickInputs(held) {
+        for (const input of this.joystickInputs) {
+            if (!held.has(input)) {
+                this.inputManager.handleInputUp(input);
+            }
+        }
+        for (const input of held) {
+            if (!this.joystickInputs.has(input)) {
+                this.inputManager.handleInputDown(input);
+            }
+        }
+        this.joystickInputs = held;
+    }
+    
+    /**
+     * Release the button a finger was holding
+     * The button stays held while another finger is still on it
+     * @param {number} identifier - Touch identifier of the finger
+     */
+    releaseButton(identifier) {
+        const input = this.buttonTouches.get(identifier);
+        this.buttonTouches.delete(identifier);
+        
+        if ([...this.buttonTouches.values()].includes(input)) {
+            return;
+        }
+        
+        this.inputManager.handleInputUp(input);
+        this.buttons.get(input).classList.remove('active');
+    }
+    
+    /**
+     * Release everything, e.g. when the window loses focus and touch end events won't arrive
+     */
+    releaseAll() {
+        if (this.joystickTouch !== null) {
+            this.endJoystick();
+        }
+        for (const identifier of [...this.buttonTouches.keys()]) {
+            this.releaseButton(identifier);
+        }
+    }
+    
+    /**
+     * Remove the controls and stop listening to touches
+     */
+    dispose() {
+        if (!this.enabled) {
+            return;
+        }
+        
+        this.releaseAll();
+        
+        document.removeEventListener('touchstart', this.boundTouchStart);
+        document.removeEventListener('touchmove', this.boundTouchMove);
+        document.removeEventListener('touchend', this.boundTouchEnd);
+        document.removeEventListener('touchcancel', this.boundTouchEnd);
+        window.removeEventListener('blur', this.boundBlur);
+        
+        if (this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
@@ -0,0 +1,73 @@
+import { gameEvents, GameEvents } from '../core/EventSystem.js';
+import debugHelper from '../utils/DebugHelper.js';
+
+/**
+ * Class representing the smart bomb counter under the lives counter
+ * Listens for BOMBS_CHANGED events
+ */
+export class BombDisplay {
+    /**
+     * Create a new bomb display
+     */
+    constructor() {
+        // Define colors directly instead of using CSS variables
+        this.primaryColor = '#4f8dff';
+        this.accentColor = '#ffcd38';
+        this.textColor = '#ffffff';
+        
+        // Create the container
+        this.container = document.createElement('div');
+        this.container.className = 'bomb-display';
+        this.container.style.position = 'absolute';
+        this.container.style.top = '106px';
+        this.container.style.left = '20px';
+        this.container.style.color = this.textColor;
+        this.container.style.fontFamily = '"Orbitron", sans-serif';
+        this.container.style.fontSize = '14px';
+        this.container.style.fontWeight = 'bold';
+        this.container.style.letterSpacing = '1px';
+        this.container.style.textShadow = `0 0 6px ${this.primaryColor}`;
+        this.container.style.pointerEvents = 'none';
+        this.container.style.zIndex = '100';
+        
+        // Create the label
+        const label = document.createElement('span');
+        label.textContent = 'BOMBS:';
+        
+        // Create the value display
+        this.valueDisplay = document.createElement('span');
+        this.valueDisplay.style.color = this.accentColor;
+        this.valueDisplay.style.marginLeft = '8px';
+        
+        this.container.appendChild(label);
+        this.container.appendChild(this.valueDisplay);
+        document.body.appendChild(this.container);
+        
+        // Listen for bomb stock changes
+        this.removeChangedListener = gameEvents.on(GameEvents.BOMBS_CHANGED, (data) => this.update(data.bombs));
+        
+        debugHelper.log("Bomb display UI created");
+    }
+    
+    /**
+     * Show the number of smart bombs in stock
+     * @param {number} bombs - Bombs in stock
+     */
+    update(bombs) {
+        this.valueDisplay.textContent = `${bombs}`;
+        
+        // Grey out an empty stock
+        this.valueDisplay.style.color = bombs > 0 ? this.accentColor : '#777777';
+    }
+    
+    /**
+     * Remove the bomb display from the DOM
+     */
+    remove() {
+        this.removeChangedListener();
+        
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
@@ -0,0 +1,138 @@
+import { gameEvents, GameEvents } from '../core/EventSystem.js';
+import debugHelper from '../utils/DebugHelper.js';
+
+/**
+ * Class representing the boss health bar across the top of the screen
+ * Shown while a boss is in play, with a tick at each health threshold where the boss changes phase.
+ * Listens for BOSS_SPAWN, BOSS_HEALTH_CHANGED, BOSS_PHASE_CHANGED and BOSS_DEFEATED events
+ */
+export class BossHealthBar {
+    /**
+     * Create a new boss health bar, hidden until a boss arrives
+     */
+    constructor() {
+        // Define colors directly instead of using CSS variables
+        this.primaryColor = '#ff4f4f';
+        this.accentColor = '#ffcd38';
+        this.textColor = '#ffffff';
+        
+        // Create the container
+        this.container = document.createElement('div');
+        this.container.className = 'boss-health-bar';
+        this.container.style.position = 'absolute';
+        this.container.style.top = '20px';
+        this.container.style.left = '50%';
+        this.container.style.transform = 'translateX(-50%)';
+        this.container.style.width = '400px';
+        this.container.style.display = 'none';
+        this.container.style.fontFamily = '"Orbitron", sans-serif';
+        this.container.style.pointerEvents = 'none';
+        this.container.style.zIndex = '100';
+        
+        // Boss name, with the phase it is in
+        this.label = document.createElement('div');
+        this.label.style.color = this.textColor;
+        this.label.style.fontSize = '14px';
+        this.label.style.fontWeight = 'bold';
+        this.label.style.letterSpacing = '2px';
+        this.label.style.textAlign = 'center';
+        this.label.style.marginBottom = '4px';
+        this.label.style.textShadow = `0 0 6px ${this.primaryColor}`;
+        
+        // The bar itself
+        this.bar = document.createElement('div');
+        this.bar.style.position = 'relative';
+        this.bar.style.height = '14px';
+        this.bar.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.bar.style.border = '2px solid white';
+        this.bar.style.borderRadius = '5px';
+        this.bar.style.overflow = 'hidden';
+        this.bar.style.boxShadow = `0 0 10px ${this.primaryColor}`;
+        
+        this.fill = document.createElement('div');
+        this.fill.style.width = '100%';
+        this.fill.style.height = '100%';
+        this.fill.style.backgroundColor = this.primaryColor;
+        this.fill.style.transition = 'width 0.2s';
+        
+        this.bar.appendChild(this.fill);
+        this.container.appendChild(this.label);
+        this.container.appendChild(this.bar);
+        document.body.appendChild(this.container);
+        
+        // Phase threshold ticks, replaced for each boss
+        this.ticks = [];
+        this.name = '';
+        
+        this.removeListeners = [
+            gameEvents.on(GameEvents.BOSS_SPAWN, (data) => this.show(data)),
+            gameEvents.on(GameEvents.BOSS_HEALTH_CHANGED, (data) => this.update(data.health, data.maxHealth)),
+            gameEvents.on(GameEvents.BOSS_PHASE_CHANGED, (data) => this.setPhase(data.name)),
+            gameEvents.on(GameEvents.BOSS_DEFEATED, () => this.hide()),
+            gameEvents.on(GameEvents.LEVEL_START, () => this.hide())
+        ];
+        
+        debugHelper.log("Boss health bar UI created");
+    }
+    
+    /**
+     * Show the bar for a boss that has arrived
+     * @param {Object} data - BOSS_SPAWN event data
+     */
+    show(data) {
+        this.name = data.name;
+        this.setPhase(data.phase);
+        
+        // Mark where the boss changes phase
+        this.ticks.forEach(tick => tick.remove());
+        this.ticks = data.thresholds.map(threshold => {
+            const tick = document.createElement('div');
+            tick.style.position = 'absolute';
+            tick.style.top = '0';
+            tick.style.left = `${threshold * 100}%`;
+            tick.style.width = '2px';
+            tick.style.height = '100%';
+            tick.style.backgroundColor = this.accentColor;
+            this.bar.appendChild(tick);
+            return tick;
+        });
+        
+        this.update(data.health, data.maxHealth);
+        this.container.style.display = 'block';
+    }
+    
+    /**
+     * Show the boss's health
+     * @param {number} health - Current health
+     * @param {number} maxHealth - Full health
+     */
+    update(health, maxHealth) {
+        this.fill.style.width = `${Math.max(0, health / maxHealth) * 100}%`;
+    }
+    
+    /**
+     * Show the name of the phase the boss is in next to its own
+     * @param {string|null} phase - Phase name, or null for none
+     */
+    setPhase(phase) {
+        this.label.textContent = phase ? `${this.name} - ${phase}` : this.name;
+    }
+    
+    /**
+     * Hide the bar once the boss has gone
+     */
+    hide() {
+        this.container.style.display = 'none';
+    }
+    
+    /**
+     * Remove the boss health bar from the DOM
+     */
+    remove() {
+        this.removeListeners.forEach(removeListener => removeListener());
+        
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
@@ -2,7 +2,7 @@ import * as THREE from 'three';
 import debugHelper from '../utils/DebugHelper.js';
 
 /**
- * Class representing a health bar in the UI
+ * Class representing a health bar in the UI, with the shield and the energy meter drawn as separate segments below it
  */
 export class HealthBar {
     /**
@@ -51,13 +51,57 @@ export class HealthBar {
         this.text.style.fontSize = '14px';
         this.text.style.fontWeight = 'bold';
         this.text.style.textShadow = '0 0 3px #000';
-        this.text.textContent = `SHIELD: ${this.currentHealth}/${this.maxHealth}`;
+        this.text.textContent = `HULL: ${this.currentHealth}/${this.maxHealth}`;
         
         // Add elements to the DOM
         this.container.appendChild(this.fill);
         this.container.appendChild(this.text);
         document.body.appendChild(this.container);
         
+        // Create the shield segment under the health bar
+        this.shieldContainer = document.createElement('div');
+        this.shieldContainer.className = 'shield-bar-container';
+        this.shieldContainer.style.position = 'absolute';
+        this.shieldContainer.style.top = '52px';
+        this.shieldContainer.style.left = '20px';
+        this.shieldContainer.style.width = '200px';
+        this.shieldContainer.style.height = '10px';
+        this.shieldContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.shieldContainer.style.border = '2px solid white';
+        this.shieldContainer.style.borderRadius = '5px';
+        this.shieldContainer.style.overflow = 'hidden';
+        
+        this.shieldFill = document.createElement('div');
+        this.shieldFill.className = 'shield-bar-fill';
+        this.shieldFill.style.width = '0%';
+        this.shieldFill.style.height = '100%';
+        this.shieldFill.style.backgroundColor = '#66ccff';
+        
+        this.shieldContainer.appendChild(this.shieldFill);
+        document.body.appendChild(this.shieldContainer);
+        
+        // Create the energy meter under the shield
+        this.energyContainer = document.createElement('div');
+        this.energyContainer.className = 'energy-bar-container';
+        this.energyContainer.style.position = 'absolute';
+        this.energyContainer.style.top = '68px';
+        this.energyContainer.style.left = '20px';
+        this.energyContainer.style.width = '200px';
+        this.energyContainer.style.height = '10px';
+        this.energyContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.energyContainer.style.border = '2px solid white';
+        this.energyContainer.style.borderRadius = '5px';
+        this.energyContainer.style.overflow = 'hidden';
+        
+        this.energyFill = document.createElement('div');
+        this.energyFill.className = 'energy-bar-fill';
+        this.energyFill.style.width = '100%';
+        this.energyFill.style.height = '100%';
+        this.energyFill.style.backgroundColor = '#ffcd38';
+        
+        this.energyContainer.appendChild(this.energyFill);
+        document.body.appendChild(this.energyContainer);
+        
         debugHelper.log("Health bar UI created");
     }
     
@@ -73,7 +117,7 @@ export class HealthBar {
         this.fill.style.width = `${percentage}%`;
         
         // Update the text
-        this.text.textContent = `SHIELD: ${Math.floor(this.currentHealth)}/${this.maxHealth}`;
+        this.text.textContent = `HULL: ${Math.floor(this.currentHealth)}/${this.maxHealth}`;
         
         // Color changes based on health level
         if (percentage > 60) {
@@ -92,6 +136,33 @@ export class HealthBar {
         }
     }
     
+    /**
+     * Update the shield segment
+     * @param {number} shield - The current shield charge
+     * @param {number} capacity - The shield's capacity
+     */
+    updateShield(shield, capacity) {
+        const percentage = capacity > 0 ? (shield / capacity) * 100 : 0;
+        this.shieldFill.style.width = `${percentage}%`;
+        
+        // The border dims while the shield is down
+        this.shieldContainer.style.borderColor = shield > 0 ? 'white' : 'rgba(255, 255, 255, 0.3)';
+    }
+    
+    /**
+     * Update the energy meter
+     * @param {number} energy - The current energy
+     * @param {number} capacity - The most energy the ship can hold
+     * @param {boolean} boosting - Whether the boost is draining energy
+     */
+    updateEnergy(energy, capacity, boosting = false) {
+        const percentage = capacity > 0 ? (energy / capacity) * 100 : 0;
+        this.energyFill.style.width = `${percentage}%`;
+        
+        // The meter glows white-hot while boosting
+        this.energyFill.style.backgroundColor = boosting ? '#fff3c0' : '#ffcd38';
+    }
+    
     /**
      * Remove the health bar from the DOM
      */
@@ -99,5 +170,11 @@ export class HealthBar {
         if (this.container && this.container.parentNode) {
             this.container.parentNode.removeChild(this.container);
         }
+        if (this.shieldContainer && this.shieldContainer.parentNode) {
+            this.shieldContainer.parentNode.removeChild(this.shieldContainer);
+        }
+        if (this.energyContainer && this.energyContainer.parentNode) {
+            this.energyContainer.parentNode.removeChild(this.energyContainer);
+        }
     }
 } 
\ No newline at end of file
@@ -0,0 +1,73 @@
+import { gameEvents, GameEvents } from '../core/EventSystem.js';
+import debugHelper from '../utils/DebugHelper.js';
+
+/**
+ * Class representing the lives counter under the health bar
+ * Listens for LIVES_CHANGED events
+ */
+export class LivesDisplay {
+    /**
+     * Create a new lives display
+     */
+    constructor() {
+        // Define colors directly instead of using CSS variables
+        this.primaryColor = '#4f8dff';
+        this.accentColor = '#ffcd38';
+        this.textColor = '#ffffff';
+        
+        // Create the container
+        this.container = document.createElement('div');
+        this.container.className = 'lives-display';
+        this.container.style.position = 'absolute';
+        this.container.style.top = '86px';
+        this.container.style.left = '20px';
+        this.container.style.color = this.textColor;
+        this.container.style.fontFamily = '"Orbitron", sans-serif';
+        this.container.style.fontSize = '14px';
+        this.container.style.fontWeight = 'bold';
+        this.container.style.letterSpacing = '1px';
+        this.container.style.textShadow = `0 0 6px ${this.primaryColor}`;
+        this.container.style.pointerEvents = 'none';
+        this.container.style.zIndex = '100';
+        
+        // Create the label
+        const label = document.createElement('span');
+        label.textContent = 'LIVES:';
+        
+        // Create the value display
+        this.valueDisplay = document.createElement('span');
+        this.valueDisplay.style.color = this.accentColor;
+        this.valueDisplay.style.marginLeft = '8px';
+        
+        this.container.appendChild(label);
+        this.container.appendChild(this.valueDisplay);
+        document.body.appendChild(this.container);
+        
+        // Listen for lives changes
+        this.removeChangedListener = gameEvents.on(GameEvents.LIVES_CHANGED, (data) => this.update(data.lives));
+        
+        debugHelper.log("Lives display UI created");
+    }
+    
+    /**
+     * Show the number of lives left
+     * @param {number} lives - Ships left, including the one in play
+     */
+    update(lives) {
+        this.valueDisplay.textContent = `${lives}`;
+        
+        // Flag the last ship
+        this.valueDisplay.style.color = lives <= 1 ? '#ff3333' : this.accentColor;
+    }
+    
+    /**
+     * Remove the lives display from the DOM
+     */
+    remove() {
+        this.removeChangedListener();
+        
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
@@ -0,0 +1,110 @@
+import { gameEvents, GameEvents } from '../core/EventSystem.js';
+import debugHelper from '../utils/DebugHelper.js';
+
+/**
+ * Class representing the centered banner for game messages (title, pause, wave announcements, game over)
+ * Listens for SHOW_MESSAGE and HIDE_MESSAGE events
+ */
+export class MessageDisplay {
+    /**
+     * Create a new message display
+     */
+    constructor() {
+        this.hideTimer = null;
+        
+        // Define colors directly instead of using CSS variables
+        this.primaryColor = '#4f8dff';
+        this.accentColor = '#ffcd38';
+        this.textColor = '#ffffff';
+        
+        // Create the container
+        this.container = document.createElement('div');
+        this.container.className = 'message-display';
+        this.container.style.position = 'absolute';
+        this.container.style.top = '40%';
+        this.container.style.left = '50%';
+        this.container.style.transform = 'translate(-50%, -50%)';
+        this.container.style.textAlign = 'center';
+        this.container.style.fontFamily = '"Orbitron", sans-serif';
+        this.container.style.pointerEvents = 'none';
+        this.container.style.zIndex = '1000';
+        this.container.style.transition = 'opacity 0.3s';
+        this.container.style.opacity = '0';
+        
+        // Create the main text
+        this.text = document.createElement('div');
+        this.text.style.color = this.textColor;
+        this.text.style.fontSize = '48px';
+        this.text.style.fontWeight = 'bold';
+        this.text.style.letterSpacing = '4px';
+        this.text.style.textShadow = `0 0 12px ${this.primaryColor}`;
+        
+        // Create the smaller prompt below it
+        this.subtext = document.createElement('div');
+        this.subtext.style.color = this.accentColor;
+        this.subtext.style.fontSize = '18px';
+        this.subtext.style.marginTop = '16px';
+        this.subtext.style.letterSpacing = '2px';
+        this.subtext.style.textShadow = `0 0 6px ${this.primaryColor}`;
+        
+        // Add to DOM
+        this.container.appendChild(this.text);
+        this.container.appendChild(this.subtext);
+        document.body.appendChild(this.container);
+        
+        // Listen for message events
+        this.removeShowListener = gameEvents.on(GameEvents.SHOW_MESSAGE, (data) => this.show(data));
+        this.removeHideListener = gameEvents.on(GameEvents.HIDE_MESSAGE, () => this.hide());
+        
+        debugHelper.log("Message display UI created");
+    }
+    
+    /**
+     * Show a message
+     * @param {Object} data - Message data
+     * @param {string} data.text - The main message text
+     * @param {string} data.subtext - Optional smaller text below the message
+     * @param {number} data.duration - Seconds to show the message for (0 keeps it until hidden)
+     */
+    show(data = {}) {
+        // A new message replaces any pending hide from the previous one
+        if (this.hideTimer) {
+            clearTimeout(this.hideTimer);
+            this.hideTimer = null;
+        }
+        
+        this.text.textContent = data.text || '';
+        this.subtext.textContent = data.subtext || '';
+        this.subtext.style.display = data.subtext ? 'block' : 'none';
+        this.container.style.opacity = '1';
+        
+        if (data.duration > 0) {
+            this.hideTimer = setTimeout(() => this.hide(), data.duration * 1000);
+        }
+    }
+    
+    /**
+     * Hide the current message
+     */
+    hide() {
+        if (this.hideTimer) {
+            clearTimeout(this.hideTimer);
+            this.hideTimer = null;
+        }
+        
+        this.container.style.opacity = '0';
+    }
+    
+    /**
+     * Remove the message display from the DOM
+     */
+    remove() {
+        this.hide();
+        this.removeShowListener();
+        this.removeHideListener();
+        
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
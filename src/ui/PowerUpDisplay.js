@@ -0,0 +1,110 @@
+import { gameEvents, GameEvents } from '../core/EventSystem.js';
+import { POWER_UPS } from '../entities/PowerUpManager.js';
+import debugHelper from '../utils/DebugHelper.js';
+
+/**
+ * Class representing the Gradius-style power-up bar along the bottom of the screen, with the weapon in use
+ * Listens for POWERUP_BAR_CHANGED and WEAPON_CHANGED events
+ */
+export class PowerUpDisplay {
+    /**
+     * Create a new power-up display
+     */
+    constructor() {
+        // Define colors directly instead of using CSS variables
+        this.primaryColor = '#4f8dff';
+        this.accentColor = '#ffcd38';
+        this.textColor = '#ffffff';
+        
+        // Create the container
+        this.container = document.createElement('div');
+        this.container.className = 'powerup-display';
+        this.container.style.position = 'absolute';
+        this.container.style.bottom = '20px';
+        this.container.style.left = '50%';
+        this.container.style.transform = 'translateX(-50%)';
+        this.container.style.display = 'flex';
+        this.container.style.gap = '4px';
+        this.container.style.fontFamily = '"Orbitron", sans-serif';
+        this.container.style.pointerEvents = 'none';
+        this.container.style.zIndex = '100';
+        
+        // Weapon in use, to the left of the bar
+        this.weaponLabel = document.createElement('div');
+        this.weaponLabel.style.padding = '4px 10px';
+        this.weaponLabel.style.marginRight = '8px';
+        this.weaponLabel.style.color = this.accentColor;
+        this.weaponLabel.style.fontSize = '12px';
+        this.weaponLabel.style.fontWeight = 'bold';
+        this.weaponLabel.style.letterSpacing = '1px';
+        this.weaponLabel.style.textShadow = `0 0 6px ${this.primaryColor}`;
+        this.container.appendChild(this.weaponLabel);
+        
+        // One cell per slot
+        this.cells = POWER_UPS.map(powerUp => {
+            const cell = document.createElement('div');
+            cell.textContent = powerUp.label;
+            cell.style.minWidth = '72px';
+            cell.style.padding = '4px 6px';
+            cell.style.textAlign = 'center';
+            cell.style.fontSize = '12px';
+            cell.style.fontWeight = 'bold';
+            cell.style.letterSpacing = '1px';
+            cell.style.border = `2px solid ${this.primaryColor}`;
+            cell.style.borderRadius = '3px';
+            cell.style.transition = 'background-color 0.15s, color 0.15s, opacity 0.15s';
+            this.container.appendChild(cell);
+            return cell;
+        });
+        this.update({ selected: -1, slots: [] });
+        
+        document.body.appendChild(this.container);
+        
+        // Listen for bar changes
+        this.removeChangedListener = gameEvents.on(GameEvents.POWERUP_BAR_CHANGED, (data) => this.update(data));
+        this.removeWeaponListener = gameEvents.on(GameEvents.WEAPON_CHANGED, (data) => this.updateWeapon(data));
+        
+        debugHelper.log("Power-up display UI created");
+    }
+    
+    /**
+     * Redraw the bar
+     * @param {Object} data - Power-up bar state (see Player.getPowerUpState)
+     * @param {number} data.selected - Index of the highlighted slot, or -1
+     * @param {Object[]} data.slots - Each slot with its level and maxLevel
+     */
+    update(data) {
+        this.cells.forEach((cell, index) => {
+            const slot = data.slots[index];
+            const maxed = slot ? slot.level >= slot.maxLevel : false;
+            const selected = index === data.selected;
+            
+            // The highlighted slot lights up; maxed-out slots are greyed out
+            cell.style.backgroundColor = selected ? this.accentColor : 'rgba(0, 0, 0, 0.5)';
+            cell.style.color = selected ? '#000000' : this.textColor;
+            cell.style.opacity = maxed && !selected ? '0.35' : '1';
+        });
+    }
+    
+    /**
+     * Show the weapon in use
+     * @param {Object} data - WEAPON_CHANGED event data
+     * @param {string} data.name - Weapon name
+     * @param {number} data.level - Weapon level
+     */
+    updateWeapon(data) {
+        this.weaponLabel.textContent = data.level > 1 ? `${data.name} LV${data.level}` : data.name;
+    }
+    
+    /**
+     * Remove the power-up display from the DOM
+     */
+    remove() {
+        this.removeChangedListener();
+        this.removeWeaponListener();
+        
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+    }
+}
@@ -2,6 +2,11 @@ import * as THREE from 'three';
 import debugHelper from '../utils/DebugHelper.js';
 import { HealthBar } from './HealthBar.js';
 import { ScoreDisplay } from './ScoreDisplay.js';
+import { MessageDisplay } from './MessageDisplay.js';
+import { PowerUpDisplay } from './PowerUpDisplay.js';
+import { LivesDisplay } from './LivesDisplay.js';
+import { BombDisplay } from './BombDisplay.js';
+import { BossHealthBar } from './BossHealthBar.js';
 
 /**
  * Manages all UI elements in the game
@@ -35,6 +40,51 @@ export class UIManager {
         return this.elements.scoreDisplay;
     }
     
+    /**
+     * Create the message display for SHOW_MESSAGE events
+     * @returns {MessageDisplay} The created message display
+     */
+    createMessageDisplay() {
+        this.elements.messageDisplay = new MessageDisplay();
+        return this.elements.messageDisplay;
+    }
+    
+    /**
+     * Create the power-up bar display for POWERUP_BAR_CHANGED events
+     * @returns {PowerUpDisplay} The created power-up display
+     */
+    createPowerUpDisplay() {
+        this.elements.powerUpDisplay = new PowerUpDisplay();
+        return this.elements.powerUpDisplay;
+    }
+    
+    /**
+     * Create the lives counter for LIVES_CHANGED events
+     * @returns {LivesDisplay} The created lives display
+     */
+    createLivesDisplay() {
+        this.elements.livesDisplay = new LivesDisplay();
+        return this.elements.livesDisplay;
+    }
+    
+    /**
+     * Create the smart bomb counter for BOMBS_CHANGED events
+     * @returns {BombDisplay} The created bomb display
+     */
+    createBombDisplay() {
+        this.elements.bombDisplay = new BombDisplay();
+        return this.elements.bombDisplay;
+    }
+    
+    /**
+     * Create the boss health bar for the boss events
+     * @returns {BossHealthBar} The created boss health bar
+     */
+    createBossHealthBar() {
+        this.elements.bossHealthBar = new BossHealthBar();
+        return this.elements.bossHealthBar;
+    }
+    
     /**
      * Update the health bar
      * @param {number} health - The current health value
@@ -69,6 +119,31 @@ export class UIManager {
             this.elements.scoreDisplay.remove();
         }
         
+        // Remove message display if it exists
+        if (this.elements.messageDisplay) {
+            this.elements.messageDisplay.remove();
+        }
+        
+        // Remove power-up display if it exists
+        if (this.elements.powerUpDisplay) {
+            this.elements.powerUpDisplay.remove();
+        }
+        
+        // Remove lives display if it exists
+        if (this.elements.livesDisplay) {
+            this.elements.livesDisplay.remove();
+        }
+        
+        // Remove bomb display if it exists
+        if (this.elements.bombDisplay) {
+            this.elements.bombDisplay.remove();
+        }
+        
+        // Remove boss health bar if it exists
+        if (this.elements.bossHealthBar) {
+            this.elements.bossHealthBar.remove();
+        }
+        
         // Clear all elements
         this.elements = {};
     }
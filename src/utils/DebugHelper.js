@@ -3,6 +3,8 @@
  */
 export class DebugHelper {
     constructor() {
+        // The overlay needs a DOM; headless runs (Node) only log to the console
+        this.hasDOM = typeof document !== 'undefined';
         this.isDebugMode = true;
         this.modelLoadingStatus = {};
         this.errors = [];
@@ -10,8 +12,11 @@ export class DebugHelper {
         // Add a flag to control verbosity of info logs
         this.verboseLogging = false;
         
+        // Silence console output entirely (errors are still collected)
+        this.muted = false;
+        
         // Create debug overlay if in debug mode
-        if (this.isDebugMode) {
+        if (this.isDebugMode && this.hasDOM) {
             this.createDebugOverlay();
         }
     }
@@ -53,19 +58,93 @@ export class DebugHelper {
             toggleButton.style.borderRadius = '3px';
             toggleButton.style.cursor = 'pointer';
             
+            // Recent game events, shown next to the log (see showEventTrace)
+            const eventTrace = document.createElement('div');
+            eventTrace.id = 'debug-event-trace';
+            eventTrace.style.position = 'fixed';
+            eventTrace.style.bottom = '10px';
+            eventTrace.style.right = '10px';
+            eventTrace.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+            eventTrace.style.color = '#0ff';
+            eventTrace.style.padding = '10px';
+            eventTrace.style.borderRadius = '5px';
+            eventTrace.style.fontFamily = 'monospace';
+            eventTrace.style.fontSize = '12px';
+            eventTrace.style.maxWidth = '400px';
+            eventTrace.style.maxHeight = '200px';
+            eventTrace.style.overflow = 'auto';
+            eventTrace.style.whiteSpace = 'pre';
+            eventTrace.style.zIndex = '1000';
+            eventTrace.style.display = 'none'; // Hide initially
+            
             toggleButton.addEventListener('click', () => {
                 if (debugOverlay.style.display === 'none') {
                     debugOverlay.style.display = 'block';
+                    eventTrace.style.display = 'block';
                     toggleButton.textContent = 'Hide Debug';
                 } else {
                     debugOverlay.style.display = 'none';
+                    eventTrace.style.display = 'none';
                     toggleButton.textContent = 'Show Debug';
                 }
             });
             
             document.body.appendChild(toggleButton);
             document.body.appendChild(debugOverlay);
+            document.body.appendChild(eventTrace);
+        }
+    }
+    
+    /**
+     * Show recent game events in the debug overlay
+     * @param {Object[]} events - Traced events from EventSystem.getTrace(), oldest first
+     */
+    showEventTrace(events) {
+        if (!this.isDebugMode || !this.hasDOM) {
+            return;
+        }
+        
+        const eventTrace = document.getElementById('debug-event-trace');
+        if (!eventTrace) {
+            return;
+        }
+        
+        // Newest event at the top
+        const lines = ['RECENT EVENTS:'];
+        for (let i = events.length - 1; i >= 0; i--) {
+            const event = events[i];
+            const time = (event.time / 1000).toFixed(2);
+            const deferred = event.deferred ? ' (deferred)' : '';
+            lines.push(`${time}s ${event.name}${deferred} -> ${event.listenerCount} ${this.formatEventData(event.data)}`);
+        }
+        
+        eventTrace.textContent = lines.join('\n');
+    }
+    
+    /**
+     * Summarize an event payload on one line
+     * Only the top level is shown, since payloads can reference whole entities
+     * @param {any} data - The event data
+     * @returns {string} Short description of the data
+     */
+    formatEventData(data) {
+        if (data === undefined || data === null) {
+            return '';
         }
+        
+        if (typeof data !== 'object') {
+            return String(data);
+        }
+        
+        const fields = Object.keys(data).map(key => {
+            const value = data[key];
+            if (value === null || typeof value !== 'object') {
+                return `${key}: ${value}`;
+            }
+            return `${key}: ${value.constructor ? value.constructor.name : 'Object'}`;
+        });
+        
+        return `{ ${fields.join(', ')} }`;
     }
     
     /**
@@ -98,6 +177,13 @@ export class DebugHelper {
         const timestamp = new Date().toLocaleTimeString();
         const formattedMessage = `[${timestamp}] ${message}`;
         
+        if (this.muted) {
+            if (type === 'error') {
+                this.errors.push(formattedMessage);
+            }
+            return;
+        }
+        
         // Log to console based on type
         switch (type) {
             case 'warn':
@@ -112,7 +198,7 @@ export class DebugHelper {
         }
         
         // Add to debug overlay if it exists
-        if (this.isDebugMode) {
+        if (this.isDebugMode && this.hasDOM) {
             const debugOverlay = document.getElementById('debug-overlay');
             if (debugOverlay) {
                 const messageElement = document.createElement('div');
@@ -1,5 +1,5 @@
 import * as THREE from 'three';
-import { ModelLoader } from './ModelLoader';
+import { ModelLoader } from './ModelLoader.js';
 import debugHelper from './DebugHelper.js';
 
 /**
@@ -20,13 +20,17 @@ export class ResourceManager {
         this.models = {
             spaceships: [],
             asteroids: [],
-            planets: []
+            planets: [],
+            weapons: [],
+            effects: []
         };
         
         // Track loading status
         this.loadingStatus = {
             spaceship: false,
-            asteroid: false
+            asteroid: false,
+            missile: false,
+            explosion: false
         };
         
         // Initialize resources
@@ -46,6 +50,10 @@ export class ResourceManager {
         debugHelper.log("ResourceManager: Loading asteroid model");
         this.loadAsteroidModel();
         
+        // Load weapon and effect models
+        this.loadMissileModel();
+        this.loadExplosionModel();
+        
         debugHelper.log("Resource manager initialized");
     }
     
@@ -53,9 +61,9 @@ export class ResourceManager {
      * Check if all resources are loaded and call onReady if provided
      */
     checkAllResourcesLoaded() {
-        debugHelper.log(`ResourceManager: Checking resources - spaceship: ${this.loadingStatus.spaceship}, asteroid: ${this.loadingStatus.asteroid}`);
+        debugHelper.log(`ResourceManager: Checking resources - spaceship: ${this.loadingStatus.spaceship}, asteroid: ${this.loadingStatus.asteroid}, missile: ${this.loadingStatus.missile}, explosion: ${this.loadingStatus.explosion}`);
         
-        if (this.loadingStatus.spaceship && this.loadingStatus.asteroid) {
+        if (Object.values(this.loadingStatus).every(loaded => loaded)) {
             debugHelper.log("ResourceManager: All resources loaded, calling onReady callback");
             if (this.onReady) {
                 this.onReady();
@@ -146,6 +154,93 @@ export class ResourceManager {
         );
     }
     
+    /**
+     * Load the missile model
+     */
+    loadMissileModel() {
+        this.modelLoader.loadModel('models/spaceships/spaceship_missile_0304125431.glb', 
+            (model) => {
+                this.models.weapons.push({
+                    name: 'missile',
+                    model: model
+                });
+                
+                debugHelper.log("Missile model loaded");
+                
+                this.loadingStatus.missile = true;
+                this.checkAllResourcesLoaded();
+            },
+            (error) => {
+                debugHelper.log(`ResourceManager: Failed to load missile model: ${error}`, "error");
+                
+                // Mark as loaded even if it failed, the MissileManager can still load its own copy
+                this.loadingStatus.missile = true;
+                this.checkAllResourcesLoaded();
+            }
+        );
+    }
+    
+    /**
+     * Load the explosion effect model
+     */
+    loadExplosionModel() {
+        this.modelLoader.loadModel('models/spaceships/impact_explosion_no__0305031045.glb', 
+            (model) => {
+                this.models.effects.push({
+                    name: 'explosion',
+                    model: model
+                });
+                
+                debugHelper.log("Explosion model loaded");
+                
+                this.loadingStatus.explosion = true;
+                this.checkAllResourcesLoaded();
+            },
+            (error) => {
+                debugHelper.log(`ResourceManager: Failed to load explosion model: ${error}`, "error");
+                
+                // Mark as loaded even if it failed, so we don't block the game
+                this.loadingStatus.explosion = true;
+                this.checkAllResourcesLoaded();
+            }
+        );
+    }
+    
+    /**
+     * Get a clone of a model from one of the collections
+     * @param {Array} collection - Collection to search
+     * @param {string} name - Name of the model
+     * @returns {THREE.Object3D|null} A clone of the model or null if not loaded
+     */
+    cloneModel(collection, name) {
+        const entry = collection.find(m => m.name === name);
+        if (entry && entry.model) {
+            try {
+                return entry.model.clone();
+            } catch (error) {
+                debugHelper.log(`ResourceManager: Error cloning ${name} model: ${error}`, "error");
+                return null;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Get a missile model
+     * @returns {THREE.Object3D|null} A clone of the missile model
+     */
+    getMissileModel() {
+        return this.cloneModel(this.models.weapons, 'missile');
+    }
+    
+    /**
+     * Get an explosion model
+     * @returns {THREE.Object3D|null} A clone of the explosion model
+     */
+    getExplosionModel() {
+        return this.cloneModel(this.models.effects, 'explosion');
+    }
+    
     /**
      * Get a spaceship model
      * @returns {THREE.Object3D} A spaceship model